@@ -8,6 +8,7 @@ import path from 'path';
 import { connectDatabase, getPrismaClient } from './config/database.js';
 import { API_ROUTES } from './config/apiConfig.js';
 import { initializeSocket } from './src/socket.js';
+import { startWebhookInboxWorker } from './services/webhookInboxService.js';
 import messagesRouter from './src/routes/messagesRoute.js';
 
 // Import Athlete routes
@@ -16,6 +17,12 @@ import athletesallhydrateRouter from './routes/Athlete/athletesallhydrateRoute.j
 import athleteProfileRouter from './routes/Athlete/athleteProfileRoute.js';
 import athletepersonhydrateRouter from './routes/Athlete/athletepersonhydrateRoute.js';
 import athleteActivitiesRouter from './routes/Athlete/athleteActivitiesRoute.js';
+import athleteRecordsRouter from './routes/Athlete/athleteRecordsRoute.js';
+import athleteActivityUploadRouter from './routes/Athlete/athleteActivityUploadRoute.js';
+import athleteManualActivityRouter from './routes/Athlete/athleteManualActivityRoute.js';
+import athletePrivacyRouter from './routes/Athlete/athletePrivacyRoute.js';
+import athleteCalendarRouter from './routes/Athlete/athleteCalendarRoute.js';
+import calendarFeedRouter from './routes/Athlete/calendarFeedRoute.js';
 import athleteUpdateRouter from './routes/Athlete/athleteUpdateRoute.js';
 // Import modular Garmin routes
 import garminUrlGenRouter from './routes/Garmin/garminUrlGenRoute.js';
@@ -25,11 +32,13 @@ import garminActivityRouter from './routes/Garmin/garminActivityRoute.js';
 import garminActivityDetailsRouter from './routes/Garmin/garminActivityDetailsRoute.js';
 import garminPermissionsRouter from './routes/Garmin/garminPermissionsRoute.js';
 import garminDeregistrationRouter from './routes/Garmin/garminDeregistrationRoute.js';
+import garminBackfillRouter from './routes/Garmin/garminBackfillRoute.js';
 // Import Strava routes
 import stravaUrlRoute from './routes/Strava/stravaUrlRoute.js';
 import stravaCallbackRoute from './routes/Strava/stravaCallbackRoute.js';
 import stravaTokenRoute from './routes/Strava/stravaTokenRoute.js';
 import stravaAthleteRoute from './routes/Strava/stravaAthleteRoute.js';
+import stravaWebhookRoute from './routes/Strava/stravaWebhookRoute.js';
 // RunCrew routes
 import runCrewCreateRouter from './routes/RunCrew/runCrewCreateRoute.js';
 import runCrewLookupRouter from './routes/RunCrew/runCrewLookupRoute.js';
@@ -38,6 +47,9 @@ import runCrewHydrateRouter from './routes/RunCrew/runCrewHydrateRoute.js';
 import runCrewMessageRouter from './routes/RunCrew/runCrewMessageRoute.js';
 import runCrewAnnouncementRouter from './routes/RunCrew/runCrewAnnouncementRoute.js';
 import runCrewRunRouter from './routes/RunCrew/runCrewRunRoute.js';
+import runCrewAttendanceRouter from './routes/RunCrew/runCrewAttendanceRoute.js';
+import runCrewPaceGroupRouter from './routes/RunCrew/runCrewPaceGroupRoute.js';
+import runCrewRouteLibraryRouter from './routes/RunCrew/runCrewRouteLibraryRoute.js';
 import runCrewEventRouter from './routes/RunCrew/runCrewEventRoute.js';
 import runCrewManagerRouter from './routes/RunCrew/runCrewManagerRoute.js';
 import runCrewDeleteRouter from './routes/RunCrew/runCrewDeleteRoute.js';
@@ -66,6 +78,8 @@ import founderHydrateRouter from './routes/Founder/founderHydrateRoute.js';
 // Admin routes
 import adminHydrateRouter from './routes/Admin/adminHydrateRoute.js';
 import adminUpsertRouter from './routes/Admin/adminUpsertRoute.js';
+import adminActivityDedupRouter from './routes/Admin/adminActivityDedupRoute.js';
+import adminWebhookInboxRouter from './routes/Admin/adminWebhookInboxRoute.js';
 // Company routes (GoFast Company Stack - ALL company-related routes here)
 import companyHydrateRouter from './routes/Company/companyHydrateRoute.js';
 import companyRoadmapRouter from './routes/Company/companyRoadmapRoute.js';
@@ -147,6 +161,11 @@ app.use('/uploads', express.static(uploadDir));
 // Athlete routes - ORDER MATTERS!
 app.use('/api/athlete', athletepersonhydrateRouter); // /hydrate (universal), /athletepersonhydrate (legacy)
 app.use('/api/athlete', athleteActivitiesRouter); // /activities, /:athleteId/activities (BEFORE /:id routes)
+app.use('/api/athlete', athleteRecordsRouter); // /:id/records
+app.use('/api/athlete', athleteActivityUploadRouter); // /:athleteId/activities/upload (GPX/TCX/FIT)
+app.use('/api/athlete', athleteManualActivityRouter); // /:athleteId/activities/manual, /activities/:id (PUT/DELETE), /activities/:id/overrides
+app.use('/api/athlete', athletePrivacyRouter); // /:athleteId/privacy, /:athleteId/privacy/zones
+app.use('/api/athlete', athleteCalendarRouter); // /:athleteId/calendar, /:athleteId/calendar/token
 app.use('/api/athlete', athletesallhydrateRouter); // /athletesallhydrate (legacy)
 app.use('/api/athlete', athleteProfileRouter); // /:id/profile
 app.use('/api/athlete', athleteUpdateRouter); // /config, /status/:athleteId, /update/:athleteId, /bulk-update/:athleteId
@@ -160,18 +179,25 @@ app.use('/api/garmin', garminActivityRouter); // /activity, /activities (GET), /
 app.use('/api/garmin', garminActivityDetailsRouter); // /activity-details (dedicated file)
 app.use('/api/garmin', garminPermissionsRouter); // /permissions, /webhook
 app.use('/api/garmin', garminDeregistrationRouter); // /deregistration
+app.use('/api/garmin', garminBackfillRouter); // /backfill (POST), /backfill/status
 // Strava routes
 app.use('/api/strava', stravaUrlRoute); // /auth
 app.use('/api/strava', stravaCallbackRoute); // /callback
 app.use('/api/strava', stravaTokenRoute); // /token
 app.use('/api/strava', stravaAthleteRoute); // /activities
+app.use('/api/strava', stravaWebhookRoute); // /webhook (GET validation, POST events)
+// Calendar feed (public, secret token in the URL)
+app.use('/api/calendar', calendarFeedRouter); // /:token.ics
 // RunCrew routes
 app.use('/api/runcrew', runCrewCreateRouter); // /create
 app.use('/api/runcrew', runCrewLookupRouter); // /lookup (BEFORE /join)
 app.use('/api/runcrew', runCrewJoinRouter); // /join
 app.use('/api/runcrew', runCrewMessageRouter); // /:runCrewId/messages
 app.use('/api/runcrew', runCrewAnnouncementRouter); // /:runCrewId/announcements
-app.use('/api/runcrew', runCrewRunRouter); // /:runCrewId/runs, /runs/:runId/rsvp
+app.use('/api/runcrew', runCrewRunRouter); // /:runCrewId/runs, /runs/:runId, /runs/:runId/occurrences/:occurrenceDate, /runs/:runId/rsvp
+app.use('/api/runcrew', runCrewAttendanceRouter); // /runs/:runId/checkin(-code), /runs/:runId/attendance, /:runCrewId/attendance
+app.use('/api/runcrew', runCrewPaceGroupRouter); // /runs/:runId/pace-groups(/:paceGroupId)
+app.use('/api/runcrew', runCrewRouteLibraryRouter); // /:runCrewId/routes, /routes/:routeId
 app.use('/api/runcrew', runCrewEventRouter); // /:runCrewId/events
 app.use('/api/runcrew', runCrewManagerRouter); // /:runCrewId/managers
 app.use('/api/runcrew', runCrewDeleteRouter); // DELETE /:id (BEFORE /:id hydrate route)
@@ -191,8 +217,8 @@ app.use('/api/event-result', eventResultRouter); // POST /claim
 app.use('/api/events', eventResultRouter); // GET /:eventCode/leaderboard (must come after /api/event routes)
 // Training routes
 app.use('/api/training/race', trainingRaceRouter); // /create, /all, /:raceId
-app.use('/api/training/plan', trainingPlanRouter); // /race/:raceId, /active, /:planId, /:planId/status
-app.use('/api/training/day', trainingDayRouter); // /today, /date/:date, /week/:weekIndex, /:trainingDayId/feedback
+app.use('/api/training/plan', trainingPlanRouter); // /generate, /race/:raceId, /active, /:planId, /:planId/status, /:planId/start|complete|cancel, /:planId/fitness, /:planId/adjustments, /:planId/adapt
+app.use('/api/training/day', trainingDayRouter); // /today, /date/:date, /week/:weekIndex, /:trainingDayId/feedback|candidates|activity|workout
 // Founder routes
 app.use('/api/founder', founderHydrateRouter); // /hydrate (FIRST - most specific)
 app.use('/api/founder', founderTaskRouter); // /tasks, /tasks/:taskId
@@ -202,6 +228,8 @@ app.use('/api/founder', founderUpsertRouter); // /upsert
 // Admin routes
 app.use('/api/admin', adminHydrateRouter); // /athletes/hydrate, /athletes/:id/hydrate, /athletes/hydrate/summary
 app.use('/api/admin', adminUpsertRouter); // /upsert?model=founder, /upsert/founder
+app.use('/api/admin', adminActivityDedupRouter); // /activities/duplicates, /activities/dedup/scan, /activities/:id/merge|separate|canonical
+app.use('/api/admin', adminWebhookInboxRouter); // /webhooks/inbox, /webhooks/inbox/replay, /webhooks/inbox/:id/replay
 // Legacy admin route compatibility - /api/athlete/admin/hydrate
 app.use('/api/athlete/admin', adminHydrateRouter); // /hydrate (redirects to /api/admin/athletes/hydrate)
 // Company routes (GoFast Company Stack - single-tenant)
@@ -269,6 +297,7 @@ httpServer.listen(PORT, async () => {
   console.log(`🚀 GoFast Backend V2 running on port ${PORT}`);
   console.log(`📡 Socket.io server ready for WebSocket connections`);
   await connectDatabase();
+  startWebhookInboxWorker();
 });
 
 // Export for potential use elsewhere
@@ -47,6 +47,13 @@ const initializeFirebase = () => {
   return firebaseAdmin;
 };
 
+/**
+ * Verify a Firebase ID token outside an Express request (socket events)
+ * @param {string} token
+ * @returns {Promise<Object>} Decoded token (uid, email, ...)
+ */
+export const verifyIdToken = async (token) => initializeFirebase().auth().verifyIdToken(token);
+
 /**
  * Firebase Token Verification Middleware
  * Verifies Firebase ID tokens from Authorization header
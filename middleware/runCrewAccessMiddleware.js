@@ -0,0 +1,79 @@
+// RunCrew Access Middleware
+// Loads the run in req.params.runId and checks the signed-in athlete may use it.
+// Use after verifyFirebaseToken: router.post('/runs/:runId/...', verifyFirebaseToken, requireRunAccess({ organizer: true }), ...)
+
+import { getPrismaClient } from '../config/database.js';
+
+/**
+ * Require access to a crew run
+ * Sets req.runAccess = { athlete, run, isOrganizer }. Organizers are the crew admin, managers and
+ * the run creator; everyone else must be a member of the run's crew.
+ * @param {Object} [options]
+ * @param {boolean} [options.organizer] - Only organizers may continue
+ * @param {Object} [options.include] - Extra Prisma include for the run (runCrew, overrides are always loaded)
+ * @returns {Function} Express middleware - sends 403 / 404 itself
+ */
+export const requireRunAccess = ({ organizer = false, include = {} } = {}) => async (req, res, next) => {
+  try {
+    const prisma = getPrismaClient();
+
+    const athlete = await prisma.athlete.findFirst({
+      where: { firebaseId: req.user?.uid },
+      select: { id: true }
+    });
+
+    if (!athlete) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized'
+      });
+    }
+
+    const run = await prisma.runCrewRun.findUnique({
+      where: { id: req.params.runId },
+      include: {
+        ...include,
+        overrides: true,
+        runCrew: {
+          include: {
+            managers: true,
+            memberships: {
+              where: { athleteId: athlete.id },
+              select: { athleteId: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      });
+    }
+
+    const isOrganizer = run.runCrew.runcrewAdminId === athlete.id
+      || run.createdById === athlete.id
+      || run.runCrew.managers?.some(manager => manager.athleteId === athlete.id);
+    const isMember = isOrganizer || run.runCrew.memberships.length > 0;
+
+    if (!isMember || (organizer && !isOrganizer)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized',
+        message: organizer ? 'Only crew admins, managers and the run creator can do this' : 'You must be a member of this RunCrew'
+      });
+    }
+
+    req.runAccess = { athlete, run, isOrganizer };
+    next();
+  } catch (error) {
+    console.error('❌ RUNCREW RUN ACCESS ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load run',
+      message: error.message
+    });
+  }
+};
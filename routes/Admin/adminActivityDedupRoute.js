@@ -0,0 +1,173 @@
+// Admin Activity Dedup Routes
+// Review and override cross-source duplicate merges (Garmin + Strava copies of the same run)
+// Admin routes work without Firebase auth (internal admin tool)
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import {
+  dedupAthleteActivities,
+  adminMergeActivities,
+  adminSeparateActivity,
+  adminSetCanonical
+} from '../../services/activityDedupService.js';
+
+const router = express.Router();
+
+const activityReviewSelect = {
+  id: true,
+  athleteId: true,
+  source: true,
+  sourceActivityId: true,
+  activityType: true,
+  activityName: true,
+  startTime: true,
+  duration: true,
+  distance: true,
+  hydratedAt: true,
+  duplicateOfId: true,
+  dedupStatus: true,
+  dedupReviewedAt: true
+};
+
+const sendDedupError = (res, error, fallback) => {
+  const status = error.message === 'Activity not found' ? 404 : 400;
+  res.status(status).json({
+    success: false,
+    error: fallback,
+    message: error.message
+  });
+};
+
+// GET /api/admin/activities/duplicates - Canonical activities with their linked duplicates
+// Query: athleteId (optional), status (optional: auto_merged | admin_merged), limit, offset
+router.get('/activities/duplicates', async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const { athleteId, status, limit = 50, offset = 0 } = req.query;
+
+    const duplicateFilter = status ? { dedupStatus: status } : {};
+
+    const where = {
+      duplicateOfId: null,
+      duplicates: { some: duplicateFilter },
+      ...(athleteId ? { athleteId } : {})
+    };
+
+    const [groups, totalCount] = await Promise.all([
+      prisma.athleteActivity.findMany({
+        where,
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: { startTime: 'desc' },
+        select: {
+          ...activityReviewSelect,
+          athlete: {
+            select: { id: true, firstName: true, lastName: true, email: true }
+          },
+          duplicates: {
+            select: activityReviewSelect
+          }
+        }
+      }),
+      prisma.athleteActivity.count({ where })
+    ]);
+
+    console.log(`✅ ADMIN DEDUP: Found ${groups.length} duplicate groups (total: ${totalCount})`);
+
+    res.json({
+      success: true,
+      count: groups.length,
+      totalCount,
+      groups
+    });
+  } catch (error) {
+    console.error('❌ ADMIN DEDUP: Error listing duplicates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list duplicate activities',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/activities/dedup/scan - Re-run automatic dedup for an athlete's existing activities
+// Body: { athleteId }
+router.post('/activities/dedup/scan', async (req, res) => {
+  try {
+    const { athleteId } = req.body || {};
+
+    if (!athleteId) {
+      return res.status(400).json({
+        success: false,
+        error: 'athleteId is required'
+      });
+    }
+
+    const mergedGroups = await dedupAthleteActivities(athleteId);
+
+    res.json({
+      success: true,
+      athleteId,
+      mergedGroups
+    });
+  } catch (error) {
+    console.error('❌ ADMIN DEDUP: Scan failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to scan activities for duplicates',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/activities/:id/merge - Mark activity as a duplicate of another
+// Body: { canonicalActivityId }
+router.post('/activities/:id/merge', async (req, res) => {
+  try {
+    const { canonicalActivityId } = req.body || {};
+
+    if (!canonicalActivityId) {
+      return res.status(400).json({
+        success: false,
+        error: 'canonicalActivityId is required'
+      });
+    }
+
+    const activity = await adminMergeActivities(req.params.id, canonicalActivityId);
+
+    res.json({ success: true, activity });
+  } catch (error) {
+    console.error('❌ ADMIN DEDUP: Merge failed:', error);
+    sendDedupError(res, error, 'Failed to merge activities');
+  }
+});
+
+// POST /api/admin/activities/:id/separate - Detach activity from its duplicate group (auto-dedup won't re-link it to that group)
+router.post('/activities/:id/separate', async (req, res) => {
+  try {
+    const activity = await adminSeparateActivity(req.params.id);
+
+    res.json({ success: true, activity });
+  } catch (error) {
+    console.error('❌ ADMIN DEDUP: Separate failed:', error);
+    // Prisma P2025 = record to update not found
+    if (error.code === 'P2025') {
+      return sendDedupError(res, new Error('Activity not found'), 'Failed to separate activity');
+    }
+    sendDedupError(res, error, 'Failed to separate activity');
+  }
+});
+
+// POST /api/admin/activities/:id/canonical - Make this activity the canonical row for its group
+router.post('/activities/:id/canonical', async (req, res) => {
+  try {
+    const activity = await adminSetCanonical(req.params.id);
+
+    res.json({ success: true, activity });
+  } catch (error) {
+    console.error('❌ ADMIN DEDUP: Set canonical failed:', error);
+    sendDedupError(res, error, 'Failed to set canonical activity');
+  }
+});
+
+export default router;
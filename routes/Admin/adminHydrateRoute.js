@@ -9,6 +9,7 @@
 
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
+import { AUDIENCE, prepareActivitiesForAudience } from '../../services/activityPrivacyService.js';
 
 const router = express.Router();
 
@@ -54,7 +55,7 @@ function formatAthleteForHydration(athlete) {
       lastSyncAt: athlete.garmin_last_sync_at || null,
       scope: athlete.garmin_scope || null,
       hasTokens: !!(athlete.garmin_access_token && athlete.garmin_refresh_token),
-      tokenStatus: athlete.garmin_access_token ? 'active' : 'none'
+      tokenStatus: athlete.garmin_access_token ? (athlete.garmin_token_status || 'active') : 'none'
     },
     
     // Computed fields for admin display
@@ -203,14 +204,16 @@ router.get('/hydrate', async (req, res) => {
                     id: true,
                     firstName: true,
                     lastName: true,
-                    email: true
+                    email: true,
+                    defaultActivityVisibility: true
                   }
                 }
               },
               orderBy: { createdAt: 'desc' },
               take: 100 // Limit for performance
             });
-            result.activities = activities;
+            // Admin sees every activity, but no more location than the public (privacy zones, private routes)
+            result.activities = await prepareActivitiesForAudience(activities, AUDIENCE.ADMIN);
             result.count.activities = activities.length;
             break;
             
@@ -302,7 +305,8 @@ async function hydrateActivities(req, res) {
             firstName: true,
             lastName: true,
             email: true,
-            gofastHandle: true
+            gofastHandle: true,
+            defaultActivityVisibility: true
           }
         }
       }
@@ -317,7 +321,8 @@ async function hydrateActivities(req, res) {
       message: `Hydrated ${activities.length} activities`,
       count: activities.length,
       totalCount: totalCount,
-      activities: activities,
+      // Admin sees every activity, but no more location than the public (privacy zones, private routes)
+      activities: await prepareActivitiesForAudience(activities, AUDIENCE.ADMIN),
       timestamp: new Date().toISOString()
     });
     
@@ -0,0 +1,126 @@
+// Admin Webhook Inbox Routes
+// Inspect stored provider webhooks and replay failed/pending ones
+// Admin routes work without Firebase auth (internal admin tool)
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import {
+  INBOX_STATUS,
+  replayWebhooks,
+  processDueWebhooks
+} from '../../services/webhookInboxService.js';
+
+const router = express.Router();
+
+// GET /api/admin/webhooks/inbox - List inbox rows with status counts
+// Query: status, provider, eventType, limit, offset
+router.get('/webhooks/inbox', async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const { status, provider, eventType, limit = 50, offset = 0 } = req.query;
+
+    const where = {
+      ...(status ? { status } : {}),
+      ...(provider ? { provider } : {}),
+      ...(eventType ? { eventType } : {})
+    };
+
+    const [items, totalCount, statusCounts] = await Promise.all([
+      prisma.webhookInbox.findMany({
+        where,
+        take: parseInt(limit),
+        skip: parseInt(offset),
+        orderBy: { receivedAt: 'desc' }
+      }),
+      prisma.webhookInbox.count({ where }),
+      prisma.webhookInbox.groupBy({
+        by: ['status'],
+        _count: { _all: true }
+      })
+    ]);
+
+    const counts = statusCounts.reduce((acc, row) => {
+      acc[row.status] = row._count._all;
+      return acc;
+    }, {});
+
+    res.json({
+      success: true,
+      count: items.length,
+      totalCount,
+      counts,
+      items
+    });
+  } catch (error) {
+    console.error('❌ ADMIN WEBHOOK INBOX: Error listing inbox:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhook inbox',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/webhooks/inbox/replay - Bulk replay (defaults to all failed rows)
+// Body: { status?, provider?, eventType? }
+router.post('/webhooks/inbox/replay', async (req, res) => {
+  try {
+    const { status = INBOX_STATUS.FAILED, provider, eventType } = req.body || {};
+
+    const requeued = await replayWebhooks({
+      status,
+      ...(provider ? { provider } : {}),
+      ...(eventType ? { eventType } : {})
+    });
+
+    const processed = await processDueWebhooks();
+
+    res.json({
+      success: true,
+      requeued,
+      processed
+    });
+  } catch (error) {
+    console.error('❌ ADMIN WEBHOOK INBOX: Bulk replay failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhooks',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/admin/webhooks/inbox/:id/replay - Replay a single row (any status except processing)
+router.post('/webhooks/inbox/:id/replay', async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const { id } = req.params;
+
+    const requeued = await replayWebhooks({ id });
+
+    if (requeued === 0) {
+      const existing = await prisma.webhookInbox.findUnique({ where: { id } });
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        error: existing ? 'Webhook is currently being processed' : 'Webhook not found'
+      });
+    }
+
+    await processDueWebhooks();
+    const item = await prisma.webhookInbox.findUnique({ where: { id } });
+
+    res.json({
+      success: true,
+      item
+    });
+  } catch (error) {
+    console.error('❌ ADMIN WEBHOOK INBOX: Replay failed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook',
+      message: error.message
+    });
+  }
+});
+
+export default router;
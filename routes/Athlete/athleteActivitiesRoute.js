@@ -1,10 +1,25 @@
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { getCurrentWeek, getPreviousWeek, getCurrentMonth, getPreviousMonth } from '../../utils/weekUtils.js';
+import { getActivityStreams, STREAM_RESOLUTIONS, DEFAULT_STREAM_RESOLUTION } from '../../services/activityStreamService.js';
+import { updateActivityMetrics } from '../../services/activityMetricsService.js';
+import { evaluatePersonalRecords } from '../../services/personalRecordService.js';
+import { matchActivityToTrainingDay } from '../../services/trainingMatchService.js';
+import { verifyFirebaseToken, optionalFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  AUDIENCE,
+  visibleActivityWhere,
+  getViewerAudience,
+  getActivityAccess,
+  prepareActivitiesForAudience,
+  redactStreamsForAudience
+} from '../../services/activityPrivacyService.js';
+import { DEFAULT_COUNTED_SPORTS, SPORT_LIST, parseSportList } from '../../services/activityTypeService.js';
 
 const router = express.Router();
 
 // GET /api/athlete/activities - Fetch ALL activities (all athletes)
+// Public feed: only public activities, privacy zones trimmed
 router.get('/activities', async (req, res) => {
   try {
     const prisma = getPrismaClient();
@@ -13,7 +28,10 @@ router.get('/activities', async (req, res) => {
     console.log('🔍 Fetching ALL activities:', { limit, offset, sortBy, sortOrder });
     
     // Fetch all activities with athlete relation
+    const where = visibleActivityWhere(AUDIENCE.PUBLIC);
+
     const activities = await prisma.athleteActivity.findMany({
+      where,
       take: parseInt(limit),
       skip: parseInt(offset),
       orderBy: {
@@ -33,13 +51,13 @@ router.get('/activities', async (req, res) => {
     });
     
     // Get total count
-    const totalCount = await prisma.athleteActivity.count();
+    const totalCount = await prisma.athleteActivity.count({ where });
     
     console.log(`✅ Found ${activities.length} activities (total: ${totalCount})`);
     
     res.json({
       success: true,
-      activities: activities,
+      activities: await prepareActivitiesForAudience(activities, AUDIENCE.PUBLIC),
       count: activities.length,
       totalCount: totalCount,
       limit: parseInt(limit),
@@ -56,14 +74,195 @@ router.get('/activities', async (req, res) => {
   }
 });
 
+// GET /api/athlete/activities/:id/streams - Time-series streams for one activity
+// Query params: resolution = 'low' | 'medium' | 'full' (default: 'medium')
+// Optional auth: the owner gets full GPS, everyone else gets privacy zones removed
+router.get('/activities/:id/streams', optionalFirebaseToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { resolution = DEFAULT_STREAM_RESOLUTION } = req.query;
+    
+    if (!Object.prototype.hasOwnProperty.call(STREAM_RESOLUTIONS, resolution)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid resolution',
+        message: `resolution must be one of: ${Object.keys(STREAM_RESOLUTIONS).join(', ')}`
+      });
+    }
+    
+    const { activity, audience, canView, zones } = await getActivityAccess(id, req.user?.uid);
+    
+    // Hidden activities look the same as missing ones
+    if (!activity || !canView) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found',
+        activityId: id
+      });
+    }
+    
+    const stream = await getActivityStreams(id, resolution);
+    
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'No streams for this activity',
+        activityId: id
+      });
+    }
+    
+    res.json({
+      success: true,
+      activityId: id,
+      athleteId: activity.athleteId,
+      resolution: stream.resolution,
+      pointCount: stream.pointCount,
+      streams: redactStreamsForAudience(stream.streams, { audience, zones })
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching activity streams:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch activity streams',
+      message: error.message
+    });
+  }
+});
+
+// Derived metric columns (services/activityMetricsService.js)
+const ACTIVITY_METRICS_SELECT = {
+  paceSecondsPerMile: true,
+  gradeAdjustedPaceSecondsPerMile: true,
+  bestEfforts: true,
+  heartRateZoneSeconds: true,
+  trainingLoad: true,
+  metricsComputedAt: true
+};
+
+// GET /api/athlete/activities/:id/metrics - Stored derived metrics for one activity
+router.get('/activities/:id/metrics', optionalFirebaseToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const prisma = getPrismaClient();
+    
+    const { canView } = await getActivityAccess(id, req.user?.uid);
+    const activity = canView
+      ? await prisma.athleteActivity.findUnique({
+        where: { id },
+        select: { id: true, athleteId: true, ...ACTIVITY_METRICS_SELECT }
+      })
+      : null;
+    
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found',
+        activityId: id
+      });
+    }
+    
+    const { id: activityId, athleteId, ...metrics } = activity;
+    
+    res.json({
+      success: true,
+      activityId,
+      athleteId,
+      metrics
+    });
+    
+  } catch (error) {
+    console.error('❌ Error fetching activity metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch activity metrics',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/athlete/activities/:id/metrics/recompute - Recompute derived metrics (e.g. after birthday/max HR changes)
+// Owner only
+router.post('/activities/:id/metrics/recompute', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const prisma = getPrismaClient();
+    
+    const activity = await prisma.athleteActivity.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        athleteId: true,
+        athlete: { select: { firebaseId: true } }
+      }
+    });
+    
+    if (!activity) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found',
+        activityId: id
+      });
+    }
+    
+    if (activity.athlete.firebaseId !== req.user?.uid) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only recompute metrics for your own activities'
+      });
+    }
+    
+    const metrics = await updateActivityMetrics(id);
+    
+    if (!metrics) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to recompute activity metrics',
+        activityId: id
+      });
+    }
+    
+    await evaluatePersonalRecords(id);
+    await matchActivityToTrainingDay(id);
+    
+    res.json({
+      success: true,
+      activityId: id,
+      athleteId: activity.athleteId,
+      metrics
+    });
+    
+  } catch (error) {
+    console.error('❌ Error recomputing activity metrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to recompute activity metrics',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/athlete/:athleteId/activities/weekly - Fetch weekly activities by athleteId
 // Query params: period = 'current' | 'previous' | 'month' | 'lastMonth' (default: 'current')
-router.get('/:athleteId/activities/weekly', async (req, res) => {
+//               sports = comma-separated canonical sports to total (default: 'run')
+// Optional auth: the owner sees everything, crew members public + crew-only, others public only
+router.get('/:athleteId/activities/weekly', optionalFirebaseToken, async (req, res) => {
   try {
     const { athleteId } = req.params;
     const { period = 'current' } = req.query;
     
-    console.log('🔍 Fetching activities for athleteId:', athleteId, 'period:', period);
+    const { sports: requestedSports, invalid: invalidSports } = parseSportList(req.query.sports);
+    if (invalidSports.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid sports',
+        message: `sports must be a comma-separated list of: ${SPORT_LIST.join(', ')}`
+      });
+    }
+    const sports = requestedSports || DEFAULT_COUNTED_SPORTS;
+    
+    console.log('🔍 Fetching activities for athleteId:', athleteId, 'period:', period, 'sports:', sports.join(','));
     
     // Verify athlete exists
     const prisma = getPrismaClient();
@@ -106,38 +305,35 @@ router.get('/:athleteId/activities/weekly', async (req, res) => {
     
     const windowStart = dateRange.start;
     const windowEnd = dateRange.end;
+    const audience = await getViewerAudience(athleteId, req.user?.uid);
     
     console.log(`📅 Date range (${periodLabel}): ${windowStart.toISOString()} to ${windowEnd.toISOString()}`);
     
-    // Fetch ALL activities for this athlete from the selected period (for reference)
-    const allActivities = await prisma.athleteActivity.findMany({
+    // Fetch this athlete's activities of the requested sports from the selected period
+    const activities = await prisma.athleteActivity.findMany({
       where: {
         athleteId: athleteId,
         startTime: {
           gte: windowStart,
           lte: windowEnd
-        }
+        },
+        // Skip cross-source duplicates (same run from Garmin + Strava)
+        duplicateOfId: null,
+        // Canonical sport (classified on ingest - services/activityTypeService.js)
+        sport: { in: sports },
+        ...visibleActivityWhere(audience)
       },
       orderBy: {
         startTime: 'desc'
       }
     });
     
-    // Filter to only running activities (exclude wheelchair)
-    const activities = allActivities.filter(activity => {
-      if (!activity.activityType) return false;
-      const type = activity.activityType.toLowerCase();
-      // Include activities with "running" or "run" in the type, but exclude wheelchair
-      return (type.includes('running') || type === 'run') && !type.includes('wheelchair');
-    });
-    
-    console.log(`📊 Filtered ${activities.length} running activities from ${allActivities.length} total activities`);
-    
-    // Calculate weekly totals ONLY for runs
+    // Calculate weekly totals for the requested sports
     const weeklyTotals = {
       totalDistance: 0,
       totalDuration: 0,
       totalCalories: 0,
+      totalTrainingLoad: 0,
       activityCount: activities.length
     };
     
@@ -145,13 +341,18 @@ router.get('/:athleteId/activities/weekly', async (req, res) => {
       if (activity.distance) weeklyTotals.totalDistance += activity.distance;
       if (activity.duration) weeklyTotals.totalDuration += activity.duration;
       if (activity.calories) weeklyTotals.totalCalories += activity.calories;
+      if (activity.trainingLoad) weeklyTotals.totalTrainingLoad += activity.trainingLoad;
     });
     
     // Convert distance from meters to miles
     weeklyTotals.totalDistanceMiles = (weeklyTotals.totalDistance / 1609.34).toFixed(2);
+    weeklyTotals.totalTrainingLoad = Math.round(weeklyTotals.totalTrainingLoad * 10) / 10;
+    weeklyTotals.averagePaceSecondsPerMile = weeklyTotals.totalDistance > 0
+      ? Math.round(weeklyTotals.totalDuration / (weeklyTotals.totalDistance / 1609.34))
+      : null;
     
-    console.log(`✅ Found ${activities.length} running activities for athleteId ${athleteId} (${periodLabel})`);
-    console.log(`📊 Run totals: ${weeklyTotals.totalDistanceMiles} miles, ${weeklyTotals.totalDuration}s, ${weeklyTotals.totalCalories} cal`);
+    console.log(`✅ Found ${activities.length} ${sports.join('/')} activities for athleteId ${athleteId} (${periodLabel})`);
+    console.log(`📊 Totals: ${weeklyTotals.totalDistanceMiles} miles, ${weeklyTotals.totalDuration}s, ${weeklyTotals.totalCalories} cal`);
     
     res.json({
       success: true,
@@ -162,8 +363,9 @@ router.get('/:athleteId/activities/weekly', async (req, res) => {
         lastName: athlete.lastName,
         email: athlete.email
       },
-      activities: activities,
+      activities: await prepareActivitiesForAudience(activities, audience),
       weeklyTotals: weeklyTotals,
+      sports: sports,
       period: period,
       periodLabel: periodLabel,
       dateRange: {
@@ -185,7 +387,8 @@ router.get('/:athleteId/activities/weekly', async (req, res) => {
 });
 
 // GET /api/athlete/:athleteId/activities - Fetch activities by specific athleteId
-router.get('/:athleteId/activities', async (req, res) => {
+// Optional auth: same visibility rules as /weekly
+router.get('/:athleteId/activities', optionalFirebaseToken, async (req, res) => {
   try {
     const { athleteId } = req.params;
     const { limit = 100, offset = 0, sortBy = 'startTime', sortOrder = 'desc' } = req.query;
@@ -207,11 +410,15 @@ router.get('/:athleteId/activities', async (req, res) => {
       });
     }
     
+    const audience = await getViewerAudience(athleteId, req.user?.uid);
+    const where = {
+      athleteId: athleteId,
+      ...visibleActivityWhere(audience)
+    };
+    
     // Fetch activities for this athlete
     const activities = await prisma.athleteActivity.findMany({
-      where: {
-        athleteId: athleteId
-      },
+      where,
       take: parseInt(limit),
       skip: parseInt(offset),
       orderBy: {
@@ -220,11 +427,7 @@ router.get('/:athleteId/activities', async (req, res) => {
     });
     
     // Get total count for this athlete
-    const totalCount = await prisma.athleteActivity.count({
-      where: {
-        athleteId: athleteId
-      }
-    });
+    const totalCount = await prisma.athleteActivity.count({ where });
     
     console.log(`✅ Found ${activities.length} activities for athleteId ${athleteId} (total: ${totalCount})`);
     
@@ -237,7 +440,7 @@ router.get('/:athleteId/activities', async (req, res) => {
         lastName: athlete.lastName,
         email: athlete.email
       },
-      activities: activities,
+      activities: await prepareActivitiesForAudience(activities, audience),
       count: activities.length,
       totalCount: totalCount,
       limit: parseInt(limit),
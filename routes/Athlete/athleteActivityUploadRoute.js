@@ -0,0 +1,146 @@
+// Athlete Activity Upload Route
+// POST /api/athlete/:athleteId/activities/upload - Import GPX/TCX/FIT files as activities
+
+import express from 'express';
+import multer from 'multer';
+import { getPrismaClient } from '../../config/database.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { importActivityFile } from '../../services/activityUploadService.js';
+import { ActivityFileParseError, SUPPORTED_ACTIVITY_FILE_TYPES } from '../../services/activityFileParserService.js';
+
+const router = express.Router();
+
+const MAX_FILES = 10;
+const MAX_FILE_SIZE = 25 * 1024 * 1024; // 25MB - long FIT files with 1s recording
+
+// Files are parsed in memory and never written to /data/uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_FILES, fileSize: MAX_FILE_SIZE }
+});
+
+// Turn multer limit errors into our JSON error shape instead of Express' HTML 500
+const receiveFiles = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Each file must be under ${MAX_FILE_SIZE / (1024 * 1024)}MB`
+          : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+            ? `Upload up to ${MAX_FILES} files in the "files" field`
+            : error.message
+      });
+    }
+    if (error) return next(error);
+    next();
+  });
+};
+
+/**
+ * Upload Activity Files
+ * POST /api/athlete/:athleteId/activities/upload
+ * multipart/form-data:
+ *   - files: one or more .gpx / .tcx / .fit files (max 10, 25MB each)
+ *   - activityType (optional): used when a file has no sport (default "running")
+ *
+ * Each file is imported independently - one bad file doesn't fail the others.
+ * Returns:
+ *   - imported: [{ fileName, activityId, created, activityType, startTime, distance, duration }]
+ *   - errors: [{ fileName, error }]
+ */
+router.post('/:athleteId/activities/upload', verifyFirebaseToken, receiveFiles, async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const { athleteId } = req.params;
+    const firebaseId = req.user?.uid;
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No files uploaded',
+        message: `Attach ${SUPPORTED_ACTIVITY_FILE_TYPES.join(', ')} files in the "files" field`
+      });
+    }
+
+    // Verify athlete belongs to this Firebase user
+    const athlete = await prisma.athlete.findUnique({
+      where: { id: athleteId },
+      select: { id: true, firebaseId: true }
+    });
+
+    if (!athlete) {
+      return res.status(404).json({
+        success: false,
+        error: 'Athlete not found',
+        athleteId
+      });
+    }
+
+    if (athlete.firebaseId !== firebaseId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only upload activities to your own account'
+      });
+    }
+
+    console.log(`📤 UPLOAD: ${files.length} file(s) for athlete ${athleteId}`);
+
+    const imported = [];
+    const errors = [];
+
+    for (const file of files) {
+      try {
+        const { activity, created } = await importActivityFile(athleteId, file, {
+          activityType: req.body.activityType?.trim() || null
+        });
+
+        imported.push({
+          fileName: file.originalname,
+          activityId: activity.id,
+          created,
+          activityType: activity.activityType,
+          activityName: activity.activityName,
+          startTime: activity.startTime,
+          distance: activity.distance,
+          duration: activity.duration
+        });
+      } catch (error) {
+        if (!(error instanceof ActivityFileParseError)) {
+          console.error(`❌ UPLOAD: Failed to import "${file.originalname}":`, error);
+        }
+        errors.push({
+          fileName: file.originalname,
+          error: error instanceof ActivityFileParseError ? error.message : 'Failed to import activity'
+        });
+      }
+    }
+
+    console.log(`✅ UPLOAD: ${imported.length} imported, ${errors.length} failed for athlete ${athleteId}`);
+
+    res.status(imported.length > 0 ? 200 : 400).json({
+      success: imported.length > 0,
+      athleteId,
+      imported,
+      errors,
+      summary: {
+        total: files.length,
+        imported: imported.length,
+        failed: errors.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ UPLOAD: Error importing activity files:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import activity files',
+      message: error.message
+    });
+  }
+});
+
+export default router;
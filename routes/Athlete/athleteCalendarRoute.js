@@ -0,0 +1,150 @@
+// Athlete Calendar Route
+// GET    /api/athlete/:athleteId/calendar         - Whether the iCal feed is on
+// POST   /api/athlete/:athleteId/calendar/token   - Turn the feed on / rotate its URL (URL returned once)
+// DELETE /api/athlete/:athleteId/calendar/token   - Turn the feed off (old URLs stop working)
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  generateCalendarFeedToken,
+  hashCalendarFeedToken,
+  getCalendarFeedUrls
+} from '../../services/calendarFeedService.js';
+
+const router = express.Router();
+
+/**
+ * Load the athlete and verify it belongs to the authenticated user
+ * Sends the error response itself and returns null when access is denied.
+ */
+async function loadOwnedAthlete(req, res) {
+  const prisma = getPrismaClient();
+  const { athleteId } = req.params;
+
+  const athlete = await prisma.athlete.findUnique({
+    where: { id: athleteId },
+    select: { id: true, firebaseId: true, calendarFeedTokenHash: true }
+  });
+
+  if (!athlete) {
+    res.status(404).json({
+      success: false,
+      error: 'Athlete not found',
+      athleteId
+    });
+    return null;
+  }
+
+  if (athlete.firebaseId !== req.user?.uid) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You can only manage your own calendar feed'
+    });
+    return null;
+  }
+
+  return athlete;
+}
+
+/**
+ * Get Calendar Feed Status
+ * GET /api/athlete/:athleteId/calendar
+ * Only the token hash is stored, so the URL itself can't be shown again - rotate for a new one.
+ */
+router.get('/:athleteId/calendar', verifyFirebaseToken, async (req, res) => {
+  try {
+    const athlete = await loadOwnedAthlete(req, res);
+    if (!athlete) return;
+
+    res.json({
+      success: true,
+      athleteId: athlete.id,
+      enabled: Boolean(athlete.calendarFeedTokenHash)
+    });
+
+  } catch (error) {
+    console.error('❌ CALENDAR: Error fetching calendar feed status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch calendar feed status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Create / Rotate Calendar Feed URL
+ * POST /api/athlete/:athleteId/calendar/token
+ * Any previously issued URL stops working.
+ */
+router.post('/:athleteId/calendar/token', verifyFirebaseToken, async (req, res) => {
+  try {
+    const athlete = await loadOwnedAthlete(req, res);
+    if (!athlete) return;
+
+    const rotated = Boolean(athlete.calendarFeedTokenHash);
+    const token = generateCalendarFeedToken();
+
+    const prisma = getPrismaClient();
+    await prisma.athlete.update({
+      where: { id: athlete.id },
+      data: { calendarFeedTokenHash: hashCalendarFeedToken(token) }
+    });
+
+    console.log(`✅ CALENDAR: ${rotated ? 'Rotated' : 'Created'} calendar feed for athlete ${athlete.id}`);
+
+    res.status(rotated ? 200 : 201).json({
+      success: true,
+      athleteId: athlete.id,
+      enabled: true,
+      rotated,
+      ...getCalendarFeedUrls(token)
+    });
+
+  } catch (error) {
+    console.error('❌ CALENDAR: Error creating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create calendar feed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Revoke Calendar Feed
+ * DELETE /api/athlete/:athleteId/calendar/token
+ */
+router.delete('/:athleteId/calendar/token', verifyFirebaseToken, async (req, res) => {
+  try {
+    const athlete = await loadOwnedAthlete(req, res);
+    if (!athlete) return;
+
+    if (athlete.calendarFeedTokenHash) {
+      const prisma = getPrismaClient();
+      await prisma.athlete.update({
+        where: { id: athlete.id },
+        data: { calendarFeedTokenHash: null }
+      });
+      console.log(`🗑️ CALENDAR: Revoked calendar feed for athlete ${athlete.id}`);
+    }
+
+    res.json({
+      success: true,
+      athleteId: athlete.id,
+      enabled: false
+    });
+
+  } catch (error) {
+    console.error('❌ CALENDAR: Error revoking calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke calendar feed',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,261 @@
+// Athlete Manual Activity Route
+// POST   /api/athlete/:athleteId/activities/manual - Log a manual activity (treadmill, untracked run)
+// PUT    /api/athlete/activities/:id                - Edit a manual activity
+// DELETE /api/athlete/activities/:id                - Delete a manual/uploaded activity
+// PATCH  /api/athlete/activities/:id/overrides      - Override type / visibility / leaderboard exclusion (any source)
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  MANUAL_SOURCE,
+  validateManualActivityInput,
+  normalizeActivityType,
+  createManualActivity,
+  updateManualActivity,
+  deleteAthleteActivity,
+  applyActivityOverrides
+} from '../../services/manualActivityService.js';
+import { isValidVisibility, ACTIVITY_VISIBILITY_LEVELS } from '../../services/activityPrivacyService.js';
+
+const router = express.Router();
+
+// Sources the athlete owns outright (synced sources can only be overridden)
+const DELETABLE_SOURCES = [MANUAL_SOURCE, 'upload'];
+
+/**
+ * Load an activity and verify it belongs to the authenticated athlete
+ * Sends the error response itself and returns null when access is denied.
+ */
+async function loadOwnedActivity(req, res) {
+  const prisma = getPrismaClient();
+  const { id } = req.params;
+  const firebaseId = req.user?.uid;
+
+  const activity = await prisma.athleteActivity.findUnique({
+    where: { id },
+    include: {
+      athlete: { select: { firebaseId: true } }
+    }
+  });
+
+  if (!activity) {
+    res.status(404).json({
+      success: false,
+      error: 'Activity not found',
+      activityId: id
+    });
+    return null;
+  }
+
+  if (activity.athlete.firebaseId !== firebaseId) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You can only edit your own activities'
+    });
+    return null;
+  }
+
+  const { athlete, ...rest } = activity;
+  return rest;
+}
+
+/**
+ * Create Manual Activity
+ * POST /api/athlete/:athleteId/activities/manual
+ * Body: { activityType, startTime, distanceMiles | distanceKm | distanceMeters, duration (seconds or "h:mm:ss"),
+ *         activityName?, notes?, perceivedEffort? (1-10), calories?, averageHeartRate?, maxHeartRate?,
+ *         visibility? ("public" | "crew" | "private", default: athlete's default), excludeFromLeaderboards? }
+ */
+router.post('/:athleteId/activities/manual', verifyFirebaseToken, async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const { athleteId } = req.params;
+    const firebaseId = req.user?.uid;
+
+    const athlete = await prisma.athlete.findUnique({
+      where: { id: athleteId },
+      select: { id: true, firebaseId: true }
+    });
+
+    if (!athlete) {
+      return res.status(404).json({
+        success: false,
+        error: 'Athlete not found',
+        athleteId
+      });
+    }
+
+    if (athlete.firebaseId !== firebaseId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: 'You can only log activities for your own account'
+      });
+    }
+
+    const { data, errors } = validateManualActivityInput(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid activity',
+        errors
+      });
+    }
+
+    const activity = await createManualActivity(athleteId, data);
+
+    res.status(201).json({
+      success: true,
+      message: 'Activity created',
+      activity
+    });
+
+  } catch (error) {
+    console.error('❌ MANUAL ACTIVITY CREATE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create activity',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Update Manual Activity
+ * PUT /api/athlete/activities/:id
+ * Body: any field accepted by create (only provided fields change)
+ */
+router.put('/activities/:id', verifyFirebaseToken, async (req, res) => {
+  try {
+    const activity = await loadOwnedActivity(req, res);
+    if (!activity) return;
+
+    if (activity.source !== MANUAL_SOURCE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Synced activities cannot be edited',
+        message: `This activity came from ${activity.source} - use PATCH /api/athlete/activities/${activity.id}/overrides to change its type, visibility or leaderboard inclusion`
+      });
+    }
+
+    const { data, errors } = validateManualActivityInput(req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid activity',
+        errors
+      });
+    }
+
+    const updated = await updateManualActivity(activity, data);
+
+    res.json({
+      success: true,
+      message: 'Activity updated',
+      activity: updated
+    });
+
+  } catch (error) {
+    console.error('❌ MANUAL ACTIVITY UPDATE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update activity',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete Activity
+ * DELETE /api/athlete/activities/:id
+ * Only manual and uploaded activities - synced ones would come back on the next sync
+ */
+router.delete('/activities/:id', verifyFirebaseToken, async (req, res) => {
+  try {
+    const activity = await loadOwnedActivity(req, res);
+    if (!activity) return;
+
+    if (!DELETABLE_SOURCES.includes(activity.source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Synced activities cannot be deleted',
+        message: `Delete it in ${activity.source}, or make it private / exclude it from leaderboards via overrides`
+      });
+    }
+
+    await deleteAthleteActivity(activity);
+
+    res.json({
+      success: true,
+      message: 'Activity deleted',
+      activityId: activity.id
+    });
+
+  } catch (error) {
+    console.error('❌ MANUAL ACTIVITY DELETE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete activity',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Override Activity
+ * PATCH /api/athlete/activities/:id/overrides
+ * Body: { activityType?: string | null (null restores the provider's type),
+ *         visibility?: "public" | "crew" | "private" | null (null = athlete's default), excludeFromLeaderboards?: boolean }
+ * Raw provider data (summaryData/detailData, original type) is never touched.
+ */
+router.patch('/activities/:id/overrides', verifyFirebaseToken, async (req, res) => {
+  try {
+    const activity = await loadOwnedActivity(req, res);
+    if (!activity) return;
+
+    const { activityType, visibility, excludeFromLeaderboards } = req.body || {};
+    const overrides = {};
+    const errors = [];
+
+    if (activityType !== undefined) {
+      overrides.activityType = activityType === null ? null : normalizeActivityType(activityType);
+      if (activityType !== null && !overrides.activityType) errors.push('activityType must be a non-empty string or null');
+    }
+    if (visibility !== undefined) {
+      if (visibility !== null && !isValidVisibility(visibility)) errors.push(`visibility must be one of: ${ACTIVITY_VISIBILITY_LEVELS.join(', ')} or null`);
+      else overrides.visibility = visibility;
+    }
+    if (excludeFromLeaderboards !== undefined) {
+      if (typeof excludeFromLeaderboards !== 'boolean') errors.push('excludeFromLeaderboards must be a boolean');
+      else overrides.excludeFromLeaderboards = excludeFromLeaderboards;
+    }
+
+    if (errors.length > 0 || Object.keys(overrides).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid overrides',
+        errors: errors.length > 0 ? errors : ['Send at least one of activityType, visibility, excludeFromLeaderboards']
+      });
+    }
+
+    const updated = await applyActivityOverrides(activity, overrides);
+
+    res.json({
+      success: true,
+      message: 'Activity overrides saved',
+      activity: updated
+    });
+
+  } catch (error) {
+    console.error('❌ ACTIVITY OVERRIDE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save activity overrides',
+      message: error.message
+    });
+  }
+});
+
+export default router;
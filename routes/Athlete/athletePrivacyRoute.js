@@ -0,0 +1,245 @@
+// Athlete Privacy Route
+// GET    /api/athlete/:athleteId/privacy                 - Default activity visibility + privacy zones
+// PUT    /api/athlete/:athleteId/privacy                 - Update default activity visibility
+// POST   /api/athlete/:athleteId/privacy/zones           - Add a privacy zone
+// DELETE /api/athlete/:athleteId/privacy/zones/:zoneId   - Remove a privacy zone
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  ACTIVITY_VISIBILITY_LEVELS,
+  isValidVisibility,
+  DEFAULT_PRIVACY_ZONE_RADIUS_METERS,
+  MIN_PRIVACY_ZONE_RADIUS_METERS,
+  MAX_PRIVACY_ZONE_RADIUS_METERS
+} from '../../services/activityPrivacyService.js';
+
+const router = express.Router();
+
+const MAX_PRIVACY_ZONES = 5;
+
+/**
+ * Load the athlete and verify it belongs to the authenticated user
+ * Sends the error response itself and returns null when access is denied.
+ */
+async function loadOwnedAthlete(req, res) {
+  const prisma = getPrismaClient();
+  const { athleteId } = req.params;
+
+  const athlete = await prisma.athlete.findUnique({
+    where: { id: athleteId },
+    select: { id: true, firebaseId: true, defaultActivityVisibility: true }
+  });
+
+  if (!athlete) {
+    res.status(404).json({
+      success: false,
+      error: 'Athlete not found',
+      athleteId
+    });
+    return null;
+  }
+
+  if (athlete.firebaseId !== req.user?.uid) {
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You can only manage your own privacy settings'
+    });
+    return null;
+  }
+
+  return athlete;
+}
+
+/**
+ * Get Privacy Settings
+ * GET /api/athlete/:athleteId/privacy
+ */
+router.get('/:athleteId/privacy', verifyFirebaseToken, async (req, res) => {
+  try {
+    const athlete = await loadOwnedAthlete(req, res);
+    if (!athlete) return;
+
+    const prisma = getPrismaClient();
+    const zones = await prisma.privacyZone.findMany({
+      where: { athleteId: athlete.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      athleteId: athlete.id,
+      defaultActivityVisibility: athlete.defaultActivityVisibility,
+      visibilityLevels: ACTIVITY_VISIBILITY_LEVELS,
+      zones
+    });
+
+  } catch (error) {
+    console.error('❌ PRIVACY: Error fetching privacy settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch privacy settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Update Default Activity Visibility
+ * PUT /api/athlete/:athleteId/privacy
+ * Body: { defaultActivityVisibility: "public" | "crew" | "private" }
+ * Applies to every activity without its own visibility (past and future).
+ */
+router.put('/:athleteId/privacy', verifyFirebaseToken, async (req, res) => {
+  try {
+    const athlete = await loadOwnedAthlete(req, res);
+    if (!athlete) return;
+
+    const { defaultActivityVisibility } = req.body || {};
+
+    if (!isValidVisibility(defaultActivityVisibility)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid visibility',
+        message: `defaultActivityVisibility must be one of: ${ACTIVITY_VISIBILITY_LEVELS.join(', ')}`
+      });
+    }
+
+    const prisma = getPrismaClient();
+    const updated = await prisma.athlete.update({
+      where: { id: athlete.id },
+      data: { defaultActivityVisibility },
+      select: { id: true, defaultActivityVisibility: true }
+    });
+
+    console.log(`✅ PRIVACY: Athlete ${athlete.id} default activity visibility → ${defaultActivityVisibility}`);
+
+    res.json({
+      success: true,
+      athleteId: updated.id,
+      defaultActivityVisibility: updated.defaultActivityVisibility
+    });
+
+  } catch (error) {
+    console.error('❌ PRIVACY: Error updating privacy settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update privacy settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Add Privacy Zone
+ * POST /api/athlete/:athleteId/privacy/zones
+ * Body: { latitude, longitude, radiusMeters? (100-1600, default 200), name? }
+ */
+router.post('/:athleteId/privacy/zones', verifyFirebaseToken, async (req, res) => {
+  try {
+    const athlete = await loadOwnedAthlete(req, res);
+    if (!athlete) return;
+
+    const { name, latitude, longitude, radiusMeters = DEFAULT_PRIVACY_ZONE_RADIUS_METERS } = req.body || {};
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    const radius = Number(radiusMeters);
+    const errors = [];
+
+    if (latitude == null || !Number.isFinite(lat) || lat < -90 || lat > 90) errors.push('latitude must be between -90 and 90');
+    if (longitude == null || !Number.isFinite(lng) || lng < -180 || lng > 180) errors.push('longitude must be between -180 and 180');
+    if (!Number.isFinite(radius) || radius < MIN_PRIVACY_ZONE_RADIUS_METERS || radius > MAX_PRIVACY_ZONE_RADIUS_METERS) {
+      errors.push(`radiusMeters must be between ${MIN_PRIVACY_ZONE_RADIUS_METERS} and ${MAX_PRIVACY_ZONE_RADIUS_METERS}`);
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid privacy zone',
+        errors
+      });
+    }
+
+    const prisma = getPrismaClient();
+    const zoneCount = await prisma.privacyZone.count({ where: { athleteId: athlete.id } });
+
+    if (zoneCount >= MAX_PRIVACY_ZONES) {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many privacy zones',
+        message: `You can have up to ${MAX_PRIVACY_ZONES} privacy zones`
+      });
+    }
+
+    const zone = await prisma.privacyZone.create({
+      data: {
+        athleteId: athlete.id,
+        name: typeof name === 'string' && name.trim() ? name.trim() : null,
+        latitude: lat,
+        longitude: lng,
+        radiusMeters: Math.round(radius)
+      }
+    });
+
+    console.log(`✅ PRIVACY: Added ${zone.radiusMeters}m privacy zone ${zone.id} for athlete ${athlete.id}`);
+
+    res.status(201).json({
+      success: true,
+      zone
+    });
+
+  } catch (error) {
+    console.error('❌ PRIVACY: Error adding privacy zone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add privacy zone',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Remove Privacy Zone
+ * DELETE /api/athlete/:athleteId/privacy/zones/:zoneId
+ */
+router.delete('/:athleteId/privacy/zones/:zoneId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const athlete = await loadOwnedAthlete(req, res);
+    if (!athlete) return;
+
+    const prisma = getPrismaClient();
+    const { zoneId } = req.params;
+
+    const { count } = await prisma.privacyZone.deleteMany({
+      where: { id: zoneId, athleteId: athlete.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Privacy zone not found',
+        zoneId
+      });
+    }
+
+    console.log(`🗑️ PRIVACY: Removed privacy zone ${zoneId} for athlete ${athlete.id}`);
+
+    res.json({
+      success: true,
+      message: 'Privacy zone removed',
+      zoneId
+    });
+
+  } catch (error) {
+    console.error('❌ PRIVACY: Error removing privacy zone:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove privacy zone',
+      message: error.message
+    });
+  }
+});
+
+export default router;
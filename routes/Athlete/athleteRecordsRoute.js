@@ -0,0 +1,67 @@
+// Athlete Records Route
+// GET /api/athlete/:id/records - Personal records (current + history)
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import { optionalFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { getPersonalRecords } from '../../services/personalRecordService.js';
+import { getViewerAudience } from '../../services/activityPrivacyService.js';
+
+const router = express.Router();
+
+/**
+ * Get Athlete Personal Records
+ * GET /api/athlete/:id/records
+ * Optional auth: records set by activities the viewer can't see are left out (same rules as /activities)
+ * Query params:
+ *   - history: 'true' | 'false' (default: 'true') - include every past PR per distance
+ *
+ * Returns:
+ *   - records: { mile, fiveK, tenK, half } → { seconds, time, achievedAt, previousSeconds, source, activity }
+ *   - history: { fiveK: [newest → oldest], ... }
+ *   - baseline5k: current 5K PR as "mm:ss" (pre-fills TrainingPlan.trainingPlanBaseline5k)
+ */
+router.get('/:id/records', optionalFirebaseToken, async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const { id } = req.params;
+    const includeHistory = req.query.history !== 'false';
+
+    const athlete = await prisma.athlete.findUnique({
+      where: { id },
+      select: { id: true, firstName: true, lastName: true }
+    });
+
+    if (!athlete) {
+      return res.status(404).json({
+        success: false,
+        error: 'Athlete not found',
+        athleteId: id
+      });
+    }
+
+    const audience = await getViewerAudience(id, req.user?.uid);
+    const { records, history } = await getPersonalRecords(id, { includeHistory, audience });
+
+    console.log(`🏆 RECORDS: ${Object.keys(records).length} current PR(s) for athlete ${id}`);
+
+    res.json({
+      success: true,
+      athleteId: id,
+      athlete,
+      records,
+      ...(includeHistory ? { history } : {}),
+      baseline5k: records.fiveK?.time || null
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching athlete records:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch personal records',
+      message: error.message
+    });
+  }
+});
+
+export default router;
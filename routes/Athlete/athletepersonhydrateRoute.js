@@ -3,6 +3,7 @@ import { getPrismaClient } from '../../config/database.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
 import { findAthleteByFirebaseId } from '../../services/firebaseidathletelookup.js';
 import { getCurrentWeek } from '../../utils/weekUtils.js';
+import { SPORTS } from '../../services/activityTypeService.js';
 
 const router = express.Router();
 
@@ -181,6 +182,10 @@ async function hydrateAthlete(req, res) {
               }
             }
           }
+        },
+        // Activity privacy settings (owner-only view)
+        privacyZones: {
+          orderBy: { createdAt: 'asc' }
         }
       }
     });
@@ -382,20 +387,10 @@ async function hydrateAthlete(req, res) {
           gte: windowStart,
           lte: windowEnd
         },
-        // MVP1: Only show running activities (exclude wheelchair)
-        AND: [
-          {
-            OR: [
-              { activityType: { equals: 'running', mode: 'insensitive' } },
-              { activityType: { equals: 'run', mode: 'insensitive' } }
-            ]
-          },
-          {
-            NOT: {
-              activityType: { contains: 'wheelchair', mode: 'insensitive' }
-            }
-          }
-        ]
+        // Skip cross-source duplicates (same run from Garmin + Strava)
+        duplicateOfId: null,
+        // MVP1: Only show runs (canonical sport - wheelchair pushes are their own sport)
+        sport: SPORTS.RUN
       },
       orderBy: {
         startTime: 'desc'
@@ -404,6 +399,8 @@ async function hydrateAthlete(req, res) {
         id: true,
         activityName: true,
         activityType: true,
+        sport: true,
+        sportSubType: true,
         sourceActivityId: true,
         startTime: true,
         duration: true,
@@ -414,6 +411,8 @@ async function hydrateAthlete(req, res) {
         elevationGain: true,
         averageSpeed: true,
         deviceName: true,
+        visibility: true,
+        excludeFromLeaderboards: true,
         detailData: true,
         summaryData: true
       }
@@ -479,6 +478,12 @@ async function hydrateAthlete(req, res) {
       MyCrew: MyCrew, // Primary crew ID for MVP1
       MyCrewManagerId: MyCrewManagerId, // Manager record ID if admin
       
+      // Activity Privacy (see services/activityPrivacyService.js)
+      activityPrivacy: {
+        defaultActivityVisibility: athlete.defaultActivityVisibility,
+        privacyZones: athlete.privacyZones || []
+      },
+      
       // Weekly Activities (last 7 days)
       weeklyActivities: weeklyActivities || [],
       weeklyActivityCount: weeklyActivities.length,
@@ -0,0 +1,50 @@
+// Calendar Feed Route (public - the secret token in the URL is the credential)
+// GET /api/calendar/:token.ics   - iCalendar feed of planned workouts + RSVP'd crew runs/events
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import { buildAthleteCalendar, hashCalendarFeedToken } from '../../services/calendarFeedService.js';
+
+const router = express.Router();
+
+/**
+ * Get Calendar Feed
+ * GET /api/calendar/:token.ics
+ * Polled by calendar apps (Apple/Google/Outlook subscriptions).
+ */
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const athlete = await prisma.athlete.findUnique({
+      where: { calendarFeedTokenHash: hashCalendarFeedToken(req.params.token) },
+      select: { id: true, firstName: true, lastName: true }
+    });
+
+    if (!athlete) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar not found',
+        message: 'This calendar link was revoked or never existed'
+      });
+    }
+
+    const calendar = await buildAthleteCalendar(athlete);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="gofast.ics"',
+      'Cache-Control': 'private, max-age=900'
+    });
+    res.send(calendar);
+
+  } catch (error) {
+    console.error('❌ CALENDAR: Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calendar feed',
+      message: error.message
+    });
+  }
+});
+
+export default router;
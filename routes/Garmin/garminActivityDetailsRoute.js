@@ -1,5 +1,5 @@
 import express from 'express';
-import { updateActivityDetail } from '../../services/garminUpdateActivityDetailService.js';
+import { enqueueWebhooks } from '../../services/webhookInboxService.js';
 
 const router = express.Router();
 
@@ -11,6 +11,7 @@ router.use((req, res, next) => {
 
 // POST /api/garmin/activity-details - Handle Garmin's activity detail webhook
 // Dedicated file for activity details webhook
+// Each detail is stored in the webhook inbox; details that beat their summary are parked as "pending"
 router.post("/activity-details", async (req, res) => {
   // 1️⃣ Acknowledge Garmin immediately for test compliance
   res.sendStatus(200);
@@ -28,63 +29,8 @@ router.post("/activity-details", async (req, res) => {
       return;
     }
     
-    console.log(`📊 Processing ${activityDetails.length} activity detail(s)`);
-    
-    // Process each activity detail
-    for (const activityDetail of activityDetails) {
-      try {
-        // Log all key IDs for debugging
-        console.log(`📊 ID EXTRACTION - All available IDs:`);
-        console.log(`   - userId: ${activityDetail.userId}`);
-        console.log(`   - summaryId: ${activityDetail.summaryId}`);
-        console.log(`   - activityId (top-level): ${activityDetail.activityId}`);
-        console.log(`   - summary.activityId: ${activityDetail.summary?.activityId}`);
-        
-        // Summary webhook saves: sourceActivityId = activityId (top-level from summary webhook)
-        // Details webhook has: activityId (top-level) and summary.activityId (nested)
-        // CRITICAL: Try top-level activityId FIRST (this is what summary webhook saved!)
-        if (!activityDetail.activityId && !activityDetail.summary?.activityId) {
-          console.error('❌ No activityId found in activity detail');
-          console.error('📊 Activity detail:', JSON.stringify(activityDetail, null, 2).substring(0, 500));
-          continue;
-        }
-        
-        // Try top-level activityId FIRST (matches what summary webhook saved)
-        let updated = null;
-        let matchedActivityId = null;
-        
-        if (activityDetail.activityId) {
-          console.log(`🔍 Attempting match with top-level activityId: ${activityDetail.activityId} (what summary webhook saved)`);
-          updated = await updateActivityDetail(activityDetail.activityId.toString(), activityDetail);
-          if (updated) {
-            matchedActivityId = activityDetail.activityId;
-            console.log(`✅ Match successful with top-level activityId: ${matchedActivityId}`);
-          }
-        }
-        
-        // If that fails, try summary.activityId as fallback
-        if (!updated && activityDetail.summary?.activityId) {
-          console.warn(`⚠️ Top-level activityId (${activityDetail.activityId}) didn't match, trying summary.activityId: ${activityDetail.summary.activityId}`);
-          updated = await updateActivityDetail(activityDetail.summary.activityId.toString(), activityDetail);
-          if (updated) {
-            matchedActivityId = activityDetail.summary.activityId;
-            console.log(`✅ Fallback match successful with summary.activityId: ${matchedActivityId}`);
-          }
-        }
-        
-        if (!updated) {
-          console.error(`❌ Failed to match with both activityId (${activityDetail.activityId}) and summary.activityId (${activityDetail.summary?.activityId})`);
-          console.error(`💡 Summary webhook may not have been received for these activities yet`);
-          continue;
-        }
-        
-        console.log(`✅ Activity detail updated successfully for activityId ${matchedActivityId}`);
-        
-      } catch (detailError) {
-        console.error('❌ Error processing individual activity detail:', detailError);
-        // Continue with next activity detail
-      }
-    }
+    // 2️⃣ Store for the inbox worker (services/garminWebhookProcessorService.js matches to the summary)
+    await enqueueWebhooks('garmin', 'activity-details', activityDetails);
     
   } catch (err) {
     console.error('❌ Error saving Garmin detail data:', err);
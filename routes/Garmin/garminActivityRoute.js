@@ -1,7 +1,6 @@
 import express from "express";
-import { getPrismaClient } from '../../config/database.js';
-import GarminFieldMapper from '../../services/GarminFieldMapper.js';
-import { findAthleteByGarminUserId } from '../../services/garminFindAthleteService.js';
+import { extractGarminUserId } from '../../services/garminActivitySummaryService.js';
+import { enqueueWebhooks } from '../../services/webhookInboxService.js';
 
 const router = express.Router();
 
@@ -12,10 +11,9 @@ router.get('/ping', (req, res) => {
 });
 
 // POST /api/garmin/activity - Handle Garmin activity webhook
+// Stores each activity in the webhook inbox; services/webhookInboxService.js processes it (with retries)
 router.post("/activity", async (req, res) => {
   try {
-    const prisma = getPrismaClient();
-    
     // Validate payload structure
     const payload = req.body;
     if (!payload.activities || !Array.isArray(payload.activities)) {
@@ -29,140 +27,16 @@ router.post("/activity", async (req, res) => {
     const activities = payload.activities;
     console.log(`📩 Garmin webhook received (${activities.length} activities)`);
     
-    // Check if userId is at root level
-    if (payload.userId) {
-      console.log(`🔍 Found userId at ROOT level: ${payload.userId}`);
-    }
-    
-    // Process each activity
-    for (let i = 0; i < activities.length; i++) {
-      const garminActivity = activities[i];
-      try {
-        
-        // Extract userId and activityId - try multiple field name variations
-        // Also check payload root level (userId might be at root, not in each activity)
-        const userId = garminActivity.userId || garminActivity.user_id || garminActivity.userIdString || garminActivity.garminUserId || payload.userId;
-        const activityId = garminActivity.activityId || garminActivity.summaryId || garminActivity.activitySummaryId;
-        
-        if (!userId) {
-          console.warn('⚠️ No userId found in activity:', Object.keys(garminActivity));
-          console.warn('📊 Activity sample:', JSON.stringify(garminActivity, null, 2).substring(0, 300));
-          continue;
-    }
-    
-        if (!activityId) {
-          console.warn('⚠️ No activityId found in activity:', Object.keys(garminActivity));
-          continue;
-        }
+    // userId might be at root, not in each activity - fold it into every item before storing
+    const items = activities.map(garminActivity => ({
+      ...garminActivity,
+      userId: extractGarminUserId(garminActivity, payload.userId)
+    }));
     
-        console.log(`🔍 Processing activity ${activityId} for userId: ${userId}`);
-        
-        // Lookup athlete using the service
-        const athlete = await findAthleteByGarminUserId(userId);
-        
-        if (!athlete) {
-          console.error(`❌ No athlete found for Garmin user ID: ${userId}`);
-          continue;
-        }
-    
-        // Log device info to see what Garmin sends
-        console.log(`📱 Device fields check:`);
-        console.log(`   - deviceMetaData:`, JSON.stringify(garminActivity.deviceMetaData));
-        console.log(`   - deviceName:`, garminActivity.deviceName);
-        console.log(`   - device:`, JSON.stringify(garminActivity.device));
-        console.log(`   - All keys with 'device':`, Object.keys(garminActivity).filter(k => k.toLowerCase().includes('device')));
-        
-        // Extract deviceName from multiple possible locations (Garmin may use deviceModel or deviceName)
-        const extractedDeviceName = garminActivity.deviceMetaData?.deviceName || 
-                                    garminActivity.deviceMetaData?.deviceModel ||
-                                    garminActivity.deviceName || 
-                                    garminActivity.deviceModel ||
-                                    garminActivity.device?.name ||
-                                    garminActivity.device?.deviceName ||
-                                    garminActivity.device?.deviceModel ||
-                                    garminActivity.deviceMetaData?.name ||
-                                    null;
-        
-        console.log(`📱 Extracted deviceName: ${extractedDeviceName || 'NULL'}`);
-        
-        // Normalize webhook format to mapper expected format
-        const normalizedActivity = {
-          ...garminActivity,
-          // Try multiple field names for activityName
-          activityName: garminActivity.activityName || 
-                        garminActivity.activity_name || 
-                        garminActivity.name || 
-                        garminActivity.displayName || 
-                        garminActivity.title || 
-                        null,
-          // Convert activityType string to object format if needed
-          activityType: typeof garminActivity.activityType === 'string' 
-            ? { typeKey: garminActivity.activityType }
-            : garminActivity.activityType,
-          // Convert startTimeInSeconds to startTimeLocal if needed
-          startTimeLocal: garminActivity.startTimeLocal || 
-            (garminActivity.startTimeInSeconds 
-              ? new Date(garminActivity.startTimeInSeconds * 1000).toISOString()
-              : null),
-          // Map field name variations
-          averageSpeed: garminActivity.averageSpeed || garminActivity.averageSpeedInMetersPerSecond,
-          calories: garminActivity.calories || garminActivity.activeKilocalories,
-          averageHeartRate: garminActivity.averageHeartRate || garminActivity.averageHeartRateInBeatsPerMinute,
-          maxHeartRate: garminActivity.maxHeartRate || garminActivity.maxHeartRateInBeatsPerMinute,
-          elevationGain: garminActivity.elevationGain || garminActivity.totalElevationGainInMeters,
-          // Ensure deviceMetaData is passed AND explicitly set deviceName
-          deviceMetaData: garminActivity.deviceMetaData || null,
-          deviceName: extractedDeviceName, // Explicitly set deviceName for mapper
-        };
-        
-        // Map using GarminFieldMapper
-        const mappedActivity = GarminFieldMapper.mapActivitySummary(normalizedActivity, athlete.id);
-        
-        console.log(`✅ Mapped activity: ${mappedActivity.activityName || mappedActivity.activityType || 'Unknown'}`);
-        console.log(`✅ Mapped deviceName: ${mappedActivity.deviceName || 'NULL - NOT SAVED!'}`);
-        
-        // Validate the mapped activity
-        const validation = GarminFieldMapper.validateActivity(mappedActivity);
-        if (!validation.isValid) {
-          console.error(`❌ Activity validation failed for activityId ${activityId}:`, validation.errors);
-          continue;
-        }
-        
-        if (validation.warnings.length > 0) {
-          console.warn(`⚠️ Activity validation warnings for activityId ${activityId}:`, validation.warnings);
-        }
-        
-        // Remove timestamps from mapped activity (we set them in upsert)
-        const { syncedAt, lastUpdatedAt, ...activityData } = mappedActivity;
-        
-        // Log what we're about to save
-        console.log(`💾 About to save deviceName: ${activityData.deviceName || 'NULL - WILL BE NULL IN DB!'}`);
-    
-        // Upsert into athleteActivity
-        const upsertedActivity = await prisma.athleteActivity.upsert({
-          where: { sourceActivityId: mappedActivity.sourceActivityId },
-          update: {
-            ...activityData,
-            lastUpdatedAt: new Date()
-          },
-          create: {
-            ...activityData,
-            syncedAt: new Date(),
-            lastUpdatedAt: new Date()
-          }
-    });
-    
-        console.log(`✅ Saved Garmin activity ${activityId} for athlete ${athlete.id}`);
-        console.log(`✅ Saved deviceName in DB: ${upsertedActivity.deviceName || 'NULL - CHECK DATABASE!'}`);
-        
-      } catch (activityError) {
-        console.error('❌ Error processing individual activity:', activityError);
-        // Continue with next activity
-      }
-    }
+    const queued = await enqueueWebhooks('garmin', 'activity', items);
     
     // Return 200 OK
-    res.status(200).json({ success: true, message: 'Webhook processed' });
+    res.status(200).json({ success: true, message: 'Webhook queued', queued });
     
   } catch (error) {
     console.error('❌ Garmin activity webhook processing error:', error);
@@ -0,0 +1,77 @@
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import { startGarminBackfill, getBackfillProgress } from '../../services/garminBackfillService.js';
+
+const router = express.Router();
+
+// POST /api/garmin/backfill - Import Garmin history on demand
+// Body: { athleteId, days? } - days defaults to GARMIN_BACKFILL_DAYS (90)
+router.post('/backfill', async (req, res) => {
+  try {
+    const { athleteId, days } = req.body || {};
+
+    if (!athleteId) {
+      return res.status(400).json({ success: false, error: 'athleteId is required' });
+    }
+
+    const prisma = getPrismaClient();
+    const athlete = await prisma.athlete.findUnique({
+      where: { id: athleteId },
+      select: { id: true, garmin_is_connected: true, garmin_access_token: true }
+    });
+
+    if (!athlete) {
+      return res.status(404).json({ success: false, error: 'Athlete not found' });
+    }
+
+    if (!athlete.garmin_is_connected || !athlete.garmin_access_token) {
+      return res.status(400).json({ success: false, error: 'Garmin is not connected for this athlete' });
+    }
+
+    const { job, alreadyRunning } = await startGarminBackfill(athleteId, { days, trigger: 'manual' });
+
+    res.status(alreadyRunning ? 200 : 202).json({
+      success: true,
+      message: alreadyRunning ? 'Backfill already in progress' : 'Backfill started',
+      alreadyRunning,
+      jobId: job.id,
+      status: job.status,
+      days: job.days
+    });
+  } catch (error) {
+    console.error('❌ Garmin backfill start error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start Garmin backfill',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/garmin/backfill/status?athleteId=... - Progress for "importing your history"
+router.get('/backfill/status', async (req, res) => {
+  try {
+    const { athleteId } = req.query;
+
+    if (!athleteId) {
+      return res.status(400).json({ success: false, error: 'athleteId is required' });
+    }
+
+    const progress = await getBackfillProgress(athleteId);
+
+    res.json({
+      success: true,
+      athleteId,
+      backfill: progress // null = never backfilled
+    });
+  } catch (error) {
+    console.error('❌ Garmin backfill status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get Garmin backfill status',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import express from 'express';
 import { exchangeCodeForTokens, GARMIN_CONFIG } from '../../services/garminUtils.js';
 import { getCodeVerifier, deleteCodeVerifier } from '../../utils/redis.js';
 import { saveGarminTokens } from './garminTokenSaveRoute.js';
+import { startGarminBackfill } from '../../services/garminBackfillService.js';
 
 const router = express.Router();
 
@@ -79,6 +80,11 @@ router.get('/callback', async (req, res) => {
       console.warn(`⚠️ This means webhooks will NOT be able to find this athlete!`);
     }
     
+    // Import history - Garmin only pushes new activities after connection
+    await startGarminBackfill(athleteId, { trigger: 'connect' }).catch(backfillError => {
+      console.error(`❌ Could not start Garmin backfill for athleteId ${athleteId}:`, backfillError);
+    });
+    
     // Step 6: Redirect to frontend success page
     return res.redirect(`${GARMIN_CONFIG.FRONTEND_URL}/garmin/success?athleteId=${athleteId}`);
     
@@ -154,6 +160,11 @@ router.get('/exchange', async (req, res) => {
       console.warn(`⚠️ This means webhooks will NOT be able to find this athlete!`);
     }
     
+    // Import history - Garmin only pushes new activities after connection
+    await startGarminBackfill(athleteId, { trigger: 'connect' }).catch(backfillError => {
+      console.error(`❌ Could not start Garmin backfill for athleteId ${athleteId}:`, backfillError);
+    });
+    
     res.json({
       success: true,
       message: 'Garmin connected successfully',
@@ -1,6 +1,8 @@
 import express from "express";
 import { getPrismaClient } from '../../config/database.js';
 import { findAthleteByGarminUserId } from '../../services/garminFindAthleteService.js';
+import { garminFetch } from '../../services/tokenManagerService.js';
+import { handleGarminGeneralEvent } from '../../services/garminGeneralEventService.js';
 
 const router = express.Router();
 
@@ -32,6 +34,8 @@ router.get("/status", async (req, res) => {
         garmin_access_token: true,
         garmin_refresh_token: true,
         garmin_expires_in: true,
+        garmin_expires_at: true,
+        garmin_token_status: true,
         garmin_scope: true,
         garmin_connected_at: true,
         garmin_last_sync_at: true,
@@ -74,7 +78,9 @@ router.get("/status", async (req, res) => {
       lastSyncedAt: athlete.garmin_last_sync_at,
       connectedAt: athlete.garmin_connected_at,
       disconnectedAt: athlete.garmin_disconnected_at,
-      garminUserId: athlete.garmin_user_id
+      garminUserId: athlete.garmin_user_id,
+      tokenStatus: athlete.garmin_token_status || null, // "refresh_failed" → frontend should prompt reconnect
+      tokenExpiresAt: athlete.garmin_expires_at || null
     };
     
     console.log(`✅ GARMIN STATUS RESPONSE:`, {
@@ -238,6 +244,8 @@ router.post("/disconnect", async (req, res) => {
         garmin_access_token: null,
         garmin_refresh_token: null,
         garmin_expires_in: null,
+        garmin_expires_at: null,
+        garmin_token_status: null,
         garmin_scope: null,
         garmin_connected_at: null,
         garmin_last_sync_at: null,
@@ -342,11 +350,12 @@ router.put("/permissions", async (req, res) => {
     }
 
     // 3️⃣ Fetch current permission state from Garmin
-    const resp = await fetch(
+    const resp = await garminFetch(
+      'athlete',
+      athlete.id,
       "https://apis.garmin.com/wellness-api/rest/user/permissions",
       {
         headers: {
-          Authorization: `Bearer ${athlete.garmin_access_token}`,
           "Content-Type": "application/json"
         }
       }
@@ -407,11 +416,12 @@ router.post("/permissions", async (req, res) => {
     }
 
     // 3️⃣ Fetch current permission state from Garmin
-    const resp = await fetch(
+    const resp = await garminFetch(
+      'athlete',
+      athlete.id,
       "https://apis.garmin.com/wellness-api/rest/user/permissions",
       {
         headers: {
-          Authorization: `Bearer ${athlete.garmin_access_token}`,
           "Content-Type": "application/json"
         }
       }
@@ -473,38 +483,32 @@ router.get("/permissions/check", async (req, res) => {
 });
 
 // POST /api/garmin/webhook - Handle general Garmin webhook events
+// Target is resolved across Athlete, Parent and YoungAthlete by garmin_user_id
 router.post("/webhook", async (req, res) => {
   try {
     const { eventType, userId, data, timestamp } = req.body;
     
     console.log('Garmin webhook received:', { eventType, userId, data, timestamp });
     
-    // Handle different webhook event types
-    switch (eventType) {
-      case 'permissions_changed':
-        console.log('Permissions changed:', data);
-        // TODO: Process permissions change
-        break;
-      case 'user_deregistered':
-        console.log('User deregistered:', data);
-        // TODO: Process deregistration
-        break;
-      case 'connection_status':
-        console.log('Connection status changed:', data);
-        // TODO: Update connection status
-        break;
-      case 'data_available':
-        console.log('New data available:', data);
-        // TODO: Trigger data sync
-        break;
-      default:
-        console.log('Unknown webhook event type:', eventType);
+    // permissions_changed → garmin_permissions/garmin_scope
+    // user_deregistered   → wipe tokens, garmin_is_connected=false, garmin_disconnected_at
+    // connection_status   → garmin_is_connected (+ garmin_disconnected_at)
+    // data_available      → queue a pull sync in the webhook inbox
+    const outcome = await handleGarminGeneralEvent({ eventType, userId, data });
+    
+    if (outcome.handled) {
+      console.log(`✅ Garmin ${eventType} handled for ${outcome.ownerType || 'all owners'} ${outcome.ownerId || userId}`);
+    } else {
+      console.log(`⚠️ Garmin ${eventType} not handled: ${outcome.reason}`);
     }
     
     res.json({
       success: true,
-      message: 'Webhook processed',
+      message: outcome.handled ? 'Webhook processed' : 'Webhook ignored',
       eventType: eventType,
+      handled: outcome.handled,
+      ownerType: outcome.ownerType || null,
+      reason: outcome.reason || null,
       timestamp: new Date().toISOString()
     });
     
@@ -1,6 +1,9 @@
 // garminTokenSaveRoute.js - Internal service for saving tokens to database
 import { getPrismaClient } from '../../config/database.js';
 import { fetchGarminUserInfo, fetchGarminProfile } from '../../services/garminUtils.js';
+import { computeExpiresAt, TOKEN_STATUS } from '../../services/tokenManagerService.js';
+import { wakePendingWebhooks } from '../../services/webhookInboxService.js';
+import { garminUserDependency } from '../../services/garminWebhookProcessorService.js';
 
 // Internal service function to save Garmin tokens
 export const saveGarminTokens = async (athleteId, tokens) => {
@@ -17,6 +20,8 @@ export const saveGarminTokens = async (athleteId, tokens) => {
         garmin_access_token: tokens.access_token,
         garmin_refresh_token: tokens.refresh_token,
         garmin_expires_in: tokens.expires_in,
+        garmin_expires_at: computeExpiresAt(tokens.expires_in),
+        garmin_token_status: TOKEN_STATUS.HEALTHY,
         garmin_scope: tokens.scope,
         garmin_connected_at: new Date(),
         garmin_last_sync_at: new Date(),
@@ -119,6 +124,9 @@ export const saveGarminTokens = async (athleteId, tokens) => {
       console.error(`❌ CRITICAL: garmin_user_id was NOT saved! Webhooks will fail!`);
     } else {
       console.log(`✅ FINAL SAVE VERIFICATION - garmin_user_id confirmed in database: ${finalGarminUserId}`);
+      
+      // Activities Garmin pushed before garmin_user_id was saved are parked in the webhook inbox
+      await wakePendingWebhooks([garminUserDependency(finalGarminUserId)]);
     }
     
     return {
@@ -2,6 +2,7 @@
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { fetchGarminProfile } from '../../services/garminUtils.js';
+import { getValidGarminAccessToken } from '../../services/tokenManagerService.js';
 
 const router = express.Router();
 
@@ -46,8 +47,18 @@ router.get('/user', async (req, res) => {
       });
     }
     
-    // Step 2: Call Garmin Connect API
-    const profileData = await fetchGarminProfile(athlete.garmin_access_token);
+    // Step 2: Make sure the access token is still valid (refreshes + persists if expiring)
+    const tokenResult = await getValidGarminAccessToken('athlete', athleteId);
+    if (!tokenResult.success) {
+      return res.status(401).json({
+        success: false,
+        error: 'Garmin connection needs to be re-authorized',
+        details: tokenResult.error
+      });
+    }
+    
+    // Step 3: Call Garmin Connect API
+    const profileData = await fetchGarminProfile(tokenResult.accessToken);
     
     console.log(`✅ Garmin profile received for athleteId: ${athleteId}`, {
       userId: profileData.userId,
@@ -55,7 +66,7 @@ router.get('/user', async (req, res) => {
       profileId: profileData.profileId
     });
     
-    // Step 3: Update athlete record
+    // Step 4: Update athlete record
     const updatedAthlete = await prisma.athlete.update({
       where: { id: athleteId },
       data: {
@@ -0,0 +1,357 @@
+// RunCrew Attendance Route
+// POST /api/runcrew/runs/:runId/checkin-code       - Organizer: new short-lived self check-in code
+// POST /api/runcrew/runs/:runId/checkin            - Member: check in with the code (429 after 5 wrong codes)
+// PUT  /api/runcrew/runs/:runId/attendance         - Organizer: roll call (present / absent)
+// GET  /api/runcrew/runs/:runId/attendance         - Who checked in vs who RSVP'd
+// GET  /api/runcrew/:runCrewId/attendance          - Attendance + streaks for every member
+// GET  /api/runcrew/:runCrewId/attendance/:athleteId - One member's attendance history
+// Recurring runs take occurrenceDate ("YYYY-MM-DD", body or query). Synced runs that start at the
+// meet-up check members in automatically (services/runCrewAttendanceService.js).
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { requireRunAccess } from '../../middleware/runCrewAccessMiddleware.js';
+import { RUN_OCCURRENCE_STATUS, getRunOccurrence } from '../../services/runCrewOccurrenceService.js';
+import {
+  CHECK_IN_METHODS,
+  getCrewAttendance,
+  getMemberAttendance,
+  issueCheckInCode,
+  recordCheckIn,
+  removeCheckIn,
+  verifyCheckInCode
+} from '../../services/runCrewAttendanceService.js';
+
+const router = express.Router();
+
+const ATHLETE_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  photoURL: true
+};
+
+/**
+ * Resolve the occurrence (recurring runs need occurrenceDate)
+ * Sends the error response itself and returns null when it can't be used for check-ins.
+ */
+function loadOccurrence(res, run, occurrenceDate, { allowCancelled = false } = {}) {
+  const occurrence = getRunOccurrence(run, occurrenceDate);
+
+  if (!occurrence) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid occurrence',
+      message: 'occurrenceDate (YYYY-MM-DD) must be a date of this recurring run'
+    });
+    return null;
+  }
+
+  if (!allowCancelled && occurrence.status === RUN_OCCURRENCE_STATUS.CANCELLED) {
+    res.status(409).json({
+      success: false,
+      error: 'Occurrence cancelled',
+      message: `The ${occurrence.date} run is cancelled`
+    });
+    return null;
+  }
+
+  return occurrence;
+}
+
+/**
+ * Load the crew (caller must belong to it) and the membership of the athlete asked about
+ * Sends the error response itself and returns null when access is denied.
+ */
+async function loadCrewForAttendance(req, res, athleteId) {
+  const prisma = getPrismaClient();
+  const { runCrewId } = req.params;
+
+  const requester = await prisma.athlete.findFirst({
+    where: { firebaseId: req.user?.uid },
+    select: { id: true }
+  });
+
+  const runCrew = await prisma.runCrew.findUnique({
+    where: { id: runCrewId },
+    include: {
+      managers: true,
+      memberships: {
+        where: { athleteId: { in: [requester?.id, athleteId].filter(Boolean) } }
+      }
+    }
+  });
+
+  if (!runCrew) {
+    res.status(404).json({
+      success: false,
+      error: 'RunCrew not found'
+    });
+    return null;
+  }
+
+  const canView = requester && (
+    runCrew.runcrewAdminId === requester.id
+    || runCrew.managers.some(manager => manager.athleteId === requester.id)
+    || runCrew.memberships.some(membership => membership.athleteId === requester.id)
+  );
+
+  if (!canView) {
+    res.status(403).json({
+      success: false,
+      error: 'Access denied'
+    });
+    return null;
+  }
+
+  return { runCrew, membership: runCrew.memberships.find(m => m.athleteId === athleteId) || null };
+}
+
+// New self check-in code (shows on the organizer's phone at the meet-up)
+// Body: { occurrenceDate? }
+router.post('/runs/:runId/checkin-code', verifyFirebaseToken, requireRunAccess({ organizer: true }), async (req, res) => {
+  try {
+    const access = req.runAccess;
+
+    const occurrence = loadOccurrence(res, access.run, req.body?.occurrenceDate);
+    if (!occurrence) return;
+
+    const { code, expiresAt } = await issueCheckInCode(occurrence);
+    console.log(`✅ CHECK-IN: Code issued for run ${occurrence.id} by ${access.athlete.id}`);
+
+    res.status(201).json({
+      success: true,
+      runId: occurrence.runId,
+      occurrenceDate: occurrence.occurrenceDate,
+      code,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW CHECK-IN CODE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create check-in code',
+      message: error.message
+    });
+  }
+});
+
+// Self check-in
+// Body: { code, occurrenceDate? }
+router.post('/runs/:runId/checkin', verifyFirebaseToken, requireRunAccess(), async (req, res) => {
+  try {
+    const access = req.runAccess;
+
+    const { code, occurrenceDate } = req.body || {};
+    const occurrence = loadOccurrence(res, access.run, occurrenceDate);
+    if (!occurrence) return;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['code']
+      });
+    }
+
+    const { valid, locked } = await verifyCheckInCode(occurrence, access.athlete.id, code);
+    if (locked) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many check-in attempts',
+        message: 'Ask the organizer to check you in'
+      });
+    }
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid check-in code',
+        message: 'The code is wrong or has expired - ask the organizer for a new one'
+      });
+    }
+
+    const checkIn = await recordCheckIn(occurrence, access.athlete.id, { method: CHECK_IN_METHODS.CODE });
+    console.log(`✅ CHECK-IN: Athlete ${access.athlete.id} checked in to run ${occurrence.id} with a code`);
+
+    res.json({
+      success: true,
+      message: 'Checked in',
+      data: checkIn
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW CHECK-IN ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check in',
+      message: error.message
+    });
+  }
+});
+
+// Roll call
+// Body: { occurrenceDate?, present: [athleteId], absent: [athleteId] }
+router.put('/runs/:runId/attendance', verifyFirebaseToken, requireRunAccess({ organizer: true }), async (req, res) => {
+  try {
+    const access = req.runAccess;
+
+    const { occurrenceDate, present = [], absent = [] } = req.body || {};
+
+    if (!Array.isArray(present) || !Array.isArray(absent) || present.length + absent.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update',
+        message: 'Send present and/or absent as arrays of athlete ids'
+      });
+    }
+
+    const occurrence = loadOccurrence(res, access.run, occurrenceDate);
+    if (!occurrence) return;
+
+    const prisma = getPrismaClient();
+    const members = await prisma.runCrewMembership.findMany({
+      where: { runCrewId: access.run.runCrewId, athleteId: { in: present } },
+      select: { athleteId: true }
+    });
+    const memberIds = new Set(members.map(m => m.athleteId));
+    const notMembers = present.filter(id => !memberIds.has(id));
+
+    if (notMembers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not crew members',
+        athleteIds: notMembers
+      });
+    }
+
+    for (const athleteId of present) {
+      await recordCheckIn(occurrence, athleteId, { method: CHECK_IN_METHODS.ROLL_CALL, checkedInById: access.athlete.id });
+    }
+    for (const athleteId of absent) {
+      await removeCheckIn(occurrence, athleteId);
+    }
+
+    console.log(`✅ CHECK-IN: Roll call for run ${occurrence.id} (${present.length} present, ${absent.length} absent)`);
+
+    const checkIns = await prisma.runCrewRunCheckIn.findMany({
+      where: { runId: occurrence.runId, occurrenceDate: occurrence.occurrenceDate || '' },
+      include: { athlete: { select: ATHLETE_SELECT } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Attendance updated',
+      checkIns
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW ROLL CALL ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update attendance',
+      message: error.message
+    });
+  }
+});
+
+// Attendance for one occurrence: check-ins, plus "going" RSVPs that never checked in
+// Query: ?occurrenceDate=YYYY-MM-DD (recurring runs)
+router.get('/runs/:runId/attendance', verifyFirebaseToken, requireRunAccess(), async (req, res) => {
+  try {
+    const access = req.runAccess;
+
+    const occurrence = loadOccurrence(res, access.run, req.query.occurrenceDate, { allowCancelled: true });
+    if (!occurrence) return;
+
+    const prisma = getPrismaClient();
+    const key = occurrence.occurrenceDate || '';
+    const [checkIns, rsvps] = await Promise.all([
+      prisma.runCrewRunCheckIn.findMany({
+        where: { runId: occurrence.runId, occurrenceDate: key },
+        include: { athlete: { select: ATHLETE_SELECT } },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.runCrewRunRSVP.findMany({
+        where: { runId: occurrence.runId, occurrenceDate: key, status: 'going' },
+        include: { athlete: { select: ATHLETE_SELECT } }
+      })
+    ]);
+
+    const checkedIn = new Set(checkIns.map(checkIn => checkIn.athleteId));
+
+    res.json({
+      success: true,
+      runId: occurrence.runId,
+      occurrenceDate: occurrence.occurrenceDate,
+      date: occurrence.date,
+      status: occurrence.status,
+      checkIns,
+      going: rsvps.length,
+      noShows: rsvps.filter(rsvp => !checkedIn.has(rsvp.athleteId)).map(rsvp => rsvp.athlete)
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW ATTENDANCE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attendance',
+      message: error.message
+    });
+  }
+});
+
+// Attendance and streaks for every member (last year)
+router.get('/:runCrewId/attendance', verifyFirebaseToken, async (req, res) => {
+  try {
+    const loaded = await loadCrewForAttendance(req, res, null);
+    if (!loaded) return;
+
+    const members = await getCrewAttendance(loaded.runCrew.id);
+
+    res.json({
+      success: true,
+      runCrewId: loaded.runCrew.id,
+      members
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW CREW ATTENDANCE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch crew attendance',
+      message: error.message
+    });
+  }
+});
+
+// One member's attendance history and streaks
+router.get('/:runCrewId/attendance/:athleteId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const loaded = await loadCrewForAttendance(req, res, req.params.athleteId);
+    if (!loaded) return;
+
+    if (!loaded.membership) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found',
+        athleteId: req.params.athleteId
+      });
+    }
+
+    const attendance = await getMemberAttendance(loaded.runCrew.id, loaded.membership);
+
+    res.json({
+      success: true,
+      runCrewId: loaded.runCrew.id,
+      athleteId: req.params.athleteId,
+      ...attendance
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW MEMBER ATTENDANCE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch member attendance',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,13 +1,37 @@
 // RunCrew Event Route
 // POST /api/runcrew/:runCrewId/events
 // Creates a new event (admin/manager only - MVP1: admin only)
+// GET    /api/runcrew/:runCrewId/events
+// PATCH  /api/runcrew/events/:eventId
+// DELETE /api/runcrew/events/:eventId
+// POST   /api/runcrew/events/:eventId/rsvp   - { status } ("going" on a full event is waitlisted)
 
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  MAX_CAPACITY,
+  RSVP_CHOICES,
+  RSVP_STATUS,
+  fillEventWaitlist,
+  getSpotsLeft,
+  parseCapacity,
+  rsvpToEvent
+} from '../../services/runCrewCapacityService.js';
 
 const router = express.Router();
 
+const RSVP_ATHLETE_INCLUDE = {
+  athlete: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      photoURL: true
+    }
+  }
+};
+
 const authorizeCrewAccess = async (prisma, runCrewId, athleteId) => {
   const runCrew = await prisma.runCrew.findUnique({
     where: { id: runCrewId },
@@ -38,7 +62,7 @@ const authorizeCrewAccess = async (prisma, runCrewId, athleteId) => {
 router.post('/:runCrewId/events', verifyFirebaseToken, async (req, res) => {
   const prisma = getPrismaClient();
   const { runCrewId } = req.params;
-  const { title, date, time, location, address, description, eventType } = req.body;
+  const { title, date, time, location, address, description, eventType, capacity } = req.body;
   const firebaseId = req.user?.uid;
 
   // Validation
@@ -50,6 +74,15 @@ router.post('/:runCrewId/events', verifyFirebaseToken, async (req, res) => {
     });
   }
 
+  const parsedCapacity = capacity === undefined ? { capacity: null } : parseCapacity(capacity);
+  if (!parsedCapacity) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid capacity',
+      message: `capacity must be a whole number from 1 to ${MAX_CAPACITY}, or null for no limit`
+    });
+  }
+
   try {
     // Get athlete from Firebase ID
     const athlete = await prisma.athlete.findFirst({
@@ -90,7 +123,8 @@ router.post('/:runCrewId/events', verifyFirebaseToken, async (req, res) => {
         location: location.trim(),
         address: address?.trim(),
         description: description?.trim(),
-        eventType: eventType?.trim()
+        eventType: eventType?.trim(),
+        capacity: parsedCapacity.capacity
       },
       include: {
         organizer: {
@@ -180,7 +214,7 @@ router.get('/:runCrewId/events', verifyFirebaseToken, async (req, res) => {
 
     res.json({
       success: true,
-      events
+      events: events.map(event => ({ ...event, spotsLeft: getSpotsLeft(event.capacity, event.rsvps) }))
     });
   } catch (error) {
     console.error('❌ RUNCREW EVENT LIST ERROR:', error);
@@ -204,7 +238,8 @@ router.patch('/events/:eventId', verifyFirebaseToken, async (req, res) => {
     location,
     address,
     description,
-    eventType
+    eventType,
+    capacity
   } = req.body;
 
   try {
@@ -250,6 +285,17 @@ router.patch('/events/:eventId', verifyFirebaseToken, async (req, res) => {
     if (address !== undefined) data.address = address?.trim() || null;
     if (description !== undefined) data.description = description?.trim() || null;
     if (eventType !== undefined) data.eventType = eventType?.trim() || null;
+    if (capacity !== undefined) {
+      const parsedCapacity = parseCapacity(capacity);
+      if (!parsedCapacity) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid capacity',
+          message: `capacity must be a whole number from 1 to ${MAX_CAPACITY}, or null for no limit`
+        });
+      }
+      data.capacity = parsedCapacity.capacity;
+    }
 
     const updatedEvent = await prisma.runCrewEvent.update({
       where: { id: eventId },
@@ -278,6 +324,14 @@ router.patch('/events/:eventId', verifyFirebaseToken, async (req, res) => {
       }
     });
 
+    // A higher (or no) limit opens spots for waitlisted members
+    if (data.capacity !== undefined && data.capacity !== event.capacity && await fillEventWaitlist(updatedEvent) > 0) {
+      updatedEvent.rsvps = await prisma.runCrewEventRSVP.findMany({
+        where: { eventId },
+        include: RSVP_ATHLETE_INCLUDE
+      });
+    }
+
     res.json({
       success: true,
       message: 'Event updated successfully',
@@ -333,5 +387,58 @@ router.delete('/events/:eventId', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+// RSVP to event
+// "going" on a full event comes back as "waitlisted" (with waitlistPosition); leaving "going"
+// promotes the next waitlisted member.
+router.post('/events/:eventId/rsvp', verifyFirebaseToken, async (req, res) => {
+  const prisma = getPrismaClient();
+  const { eventId } = req.params;
+  const { status } = req.body;
+  const firebaseId = req.user?.uid;
+
+  if (!status || !RSVP_CHOICES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid status',
+      validStatuses: RSVP_CHOICES
+    });
+  }
+
+  try {
+    const athlete = await prisma.athlete.findFirst({ where: { firebaseId } });
+    if (!athlete) {
+      return res.status(404).json({ success: false, error: 'Athlete not found' });
+    }
+
+    const event = await prisma.runCrewEvent.findUnique({ where: { id: eventId } });
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+
+    const { authorized } = await authorizeCrewAccess(prisma, event.runCrewId, athlete.id);
+    if (!authorized) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized',
+        message: 'You must be a member of this RunCrew to RSVP'
+      });
+    }
+
+    const { rsvp, waitlistPosition } = await rsvpToEvent(event, athlete.id, status);
+
+    res.json({
+      success: true,
+      message: rsvp.status === RSVP_STATUS.WAITLISTED
+        ? 'Event is full - added to the waitlist'
+        : 'RSVP updated successfully',
+      data: rsvp,
+      waitlistPosition
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW EVENT RSVP ERROR:', error);
+    res.status(500).json({ success: false, error: 'Failed to update RSVP', message: error.message });
+  }
+});
+
 export default router;
 
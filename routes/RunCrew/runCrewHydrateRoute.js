@@ -6,6 +6,7 @@ import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
 import { computeCrewLeaderboard } from '../../services/crewLeaderboard.js';
+import { RUN_ROUTE_SELECT } from '../../services/runCrewRouteLibraryService.js';
 
 const router = express.Router();
 
@@ -70,6 +71,9 @@ router.post('/hydrate', async (req, res) => {
               include: {
                 athlete: true
               }
+            },
+            route: {
+              select: RUN_ROUTE_SELECT
             }
           },
           orderBy: {
@@ -347,6 +351,9 @@ router.get('/:id', verifyFirebaseToken, async (req, res) => {
                   }
                 }
               }
+            },
+            route: {
+              select: RUN_ROUTE_SELECT
             }
           },
           orderBy: {
@@ -6,6 +6,8 @@ import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
 import { getCurrentWeek, getPreviousWeek } from '../../utils/weekUtils.js';
+import { visibleActivityWhere, AUDIENCE } from '../../services/activityPrivacyService.js';
+import { getCountedSports } from '../../services/activityTypeService.js';
 
 const router = express.Router();
 
@@ -13,20 +15,22 @@ const router = express.Router();
  * Get RunCrew Leaderboard
  * GET /api/runcrew/:runCrewId/leaderboard
  * Query params:
- *   - metric: 'miles' | 'runs' | 'calories' (default: 'miles')
+ *   - metric: 'miles' | 'runs' | 'calories' | 'load' (default: 'miles')
  *   - week: 'current' | 'previous' (default: 'current') - which week to show
  * 
  * Returns:
  *   - Array of leaderboard entries with:
  *     - athlete: { id, firstName, lastName, photoURL }
- *     - totalMiles: number (running activities only)
- *     - totalRuns: number (running activities only)
- *     - totalCalories: number (running activities only)
+ *     - totalMiles: number (counted sports only)
+ *     - totalRuns: number (counted sports only)
+ *     - totalCalories: number (counted sports only)
+ *     - totalTrainingLoad: number (stored AthleteActivity.trainingLoad, counted sports only)
  *     - latestRunAt: Date | null
  *     - Sorted by selected metric (descending)
+ *   - countedSports: sports included (RunCrew.countedSports, default ['run'])
  * 
  * Note: 
- *   - Only includes running activities (excludes bikes, wheelchair, etc.)
+ *   - Only includes the crew's counted sports (default: runs - no wheelchair, bikes, etc.)
  *   - Uses Monday-Sunday week boundaries (not rolling 7 days)
  */
 router.get('/:runCrewId/leaderboard', verifyFirebaseToken, async (req, res) => {
@@ -37,7 +41,7 @@ router.get('/:runCrewId/leaderboard', verifyFirebaseToken, async (req, res) => {
     const firebaseId = req.user?.uid;
 
     // Validate metric
-    const validMetrics = ['miles', 'runs', 'calories'];
+    const validMetrics = ['miles', 'runs', 'calories', 'load'];
     if (!validMetrics.includes(metric)) {
       return res.status(400).json({
         success: false,
@@ -106,9 +110,9 @@ router.get('/:runCrewId/leaderboard', verifyFirebaseToken, async (req, res) => {
     
     const windowStart = weekRange.start;
     const windowEnd = weekRange.end;
+    const countedSports = getCountedSports(runCrew);
 
-    // Get all memberships with their activities
-    // MVP1: Filter for running activities only (exclude wheelchair, bikes, etc.)
+    // Get all memberships with their activities (crew's counted sports only)
     const memberships = await prisma.runCrewMembership.findMany({
       where: { runCrewId },
       include: {
@@ -124,26 +128,22 @@ router.get('/:runCrewId/leaderboard', verifyFirebaseToken, async (req, res) => {
                   gte: windowStart,
                   lte: windowEnd
                 },
-                // MVP1: Only include running activities (exclude wheelchair)
-                AND: [
-                  {
-                    OR: [
-                      { activityType: { equals: 'running', mode: 'insensitive' } },
-                      { activityType: { equals: 'run', mode: 'insensitive' } }
-                    ]
-                  },
-                  {
-                    NOT: {
-                      activityType: { contains: 'wheelchair', mode: 'insensitive' }
-                    }
-                  }
-                ]
+                // Skip cross-source duplicates (same run from Garmin + Strava)
+                duplicateOfId: null,
+                // Athlete opted this activity out of leaderboards
+                excludeFromLeaderboards: false,
+                // Only the sports this crew counts (classified on ingest - services/activityTypeService.js)
+                sport: { in: countedSports },
+                // Crew members see public + crew-only activities, never private ones
+                ...visibleActivityWhere(AUDIENCE.CREW)
               },
               select: {
                 activityType: true,
+                sport: true,
                 distance: true,
                 duration: true,
                 calories: true,
+                trainingLoad: true,
                 startTime: true
               },
               orderBy: {
@@ -157,28 +157,22 @@ router.get('/:runCrewId/leaderboard', verifyFirebaseToken, async (req, res) => {
 
     // Calculate leaderboard entries
     const leaderboardEntries = memberships.map((membership) => {
-      const allActivities = membership.athlete?.activities || [];
-      
-      // Safety net: Filter to only running activities (in case query filter missed something)
-      const activities = allActivities.filter(activity => {
-        if (!activity.activityType) return false;
-        const type = activity.activityType.toLowerCase();
-        // Include activities with "running" or "run" in the type, but exclude wheelchair
-        return (type.includes('running') || type === 'run') && !type.includes('wheelchair');
-      });
+      const activities = membership.athlete?.activities || [];
       
       const totals = activities.reduce(
         (acc, activity) => {
           const distance = activity.distance || 0; // meters
           const calories = activity.calories || 0;
+          const trainingLoad = activity.trainingLoad || 0; // Computed on ingest
 
           return {
             distance: acc.distance + distance,
             calories: acc.calories + calories,
+            trainingLoad: acc.trainingLoad + trainingLoad,
             count: acc.count + 1
           };
         },
-        { distance: 0, calories: 0, count: 0 }
+        { distance: 0, calories: 0, trainingLoad: 0, count: 0 }
       );
 
       const totalMiles = totals.distance / 1609.34; // Convert meters to miles
@@ -196,6 +190,7 @@ router.get('/:runCrewId/leaderboard', verifyFirebaseToken, async (req, res) => {
         totalMiles: parseFloat(totalMiles.toFixed(2)),
         totalRuns: totals.count,
         totalCalories: totals.calories,
+        totalTrainingLoad: Math.round(totals.trainingLoad * 10) / 10,
         latestRunAt
       };
     });
@@ -206,6 +201,8 @@ router.get('/:runCrewId/leaderboard', verifyFirebaseToken, async (req, res) => {
         return b.totalRuns - a.totalRuns;
       } else if (metric === 'calories') {
         return b.totalCalories - a.totalCalories;
+      } else if (metric === 'load') {
+        return b.totalTrainingLoad - a.totalTrainingLoad;
       } else {
         // Default: miles
         return b.totalMiles - a.totalMiles;
@@ -216,6 +213,7 @@ router.get('/:runCrewId/leaderboard', verifyFirebaseToken, async (req, res) => {
       success: true,
       leaderboard: sortedEntries,
       metric,
+      countedSports,
       week: weekRange.label,
       weekStart: windowStart.toISOString(),
       weekEnd: windowEnd.toISOString()
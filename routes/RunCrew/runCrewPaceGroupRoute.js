@@ -0,0 +1,213 @@
+// RunCrew Pace Group Route
+// POST   /api/runcrew/runs/:runId/pace-groups                 - { name?, minPace, maxPace, distanceMiles?, leaderId?, sortOrder? }
+// PATCH  /api/runcrew/runs/:runId/pace-groups/:paceGroupId    - same fields, omitted ones unchanged
+// DELETE /api/runcrew/runs/:runId/pace-groups/:paceGroupId    - RSVPs in the group keep their status, lose the group
+// Crew admins, managers and the run creator manage groups. Members pick one when they RSVP;
+// GET /api/runcrew/runs/:runId returns per-group counts and a suggestion
+// (services/runCrewPaceGroupService.js).
+
+import express from 'express';
+import { getPrismaClient } from '../../config/database.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { requireRunAccess } from '../../middleware/runCrewAccessMiddleware.js';
+import {
+  PaceGroupError,
+  formatPaceRange,
+  parsePaceGroupInput
+} from '../../services/runCrewPaceGroupService.js';
+
+const router = express.Router();
+
+const PACE_GROUP_INCLUDE = {
+  leader: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      photoURL: true
+    }
+  }
+};
+
+/**
+ * Check a leader belongs to the run's crew
+ * @returns {Promise<string|null>} error message
+ */
+async function validateLeader(run, leaderId) {
+  if (!leaderId || leaderId === run.runCrew.runcrewAdminId) {
+    return null;
+  }
+
+  const prisma = getPrismaClient();
+  const membership = await prisma.runCrewMembership.findUnique({
+    where: {
+      runCrewId_athleteId: {
+        runCrewId: run.runCrewId,
+        athleteId: leaderId
+      }
+    }
+  });
+
+  return membership ? null : 'leaderId must be a member of this RunCrew';
+}
+
+// Counts are per occurrence, so they live on the run detail - not here
+function paceGroupResponse(paceGroup) {
+  return {
+    ...paceGroup,
+    pace: formatPaceRange(paceGroup.minPaceSecondsPerMile, paceGroup.maxPaceSecondsPerMile)
+  };
+}
+
+// Create a pace group
+router.post('/runs/:runId/pace-groups', verifyFirebaseToken, requireRunAccess({ organizer: true }), async (req, res) => {
+  const prisma = getPrismaClient();
+  const { leaderId } = req.body || {};
+
+  try {
+    const { run } = req.runAccess;
+
+    const data = parsePaceGroupInput(req.body);
+
+    const leaderError = await validateLeader(run, leaderId);
+    if (leaderError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid leader',
+        message: leaderError
+      });
+    }
+
+    const paceGroup = await prisma.runCrewRunPaceGroup.create({
+      data: {
+        ...data,
+        runId: run.id,
+        leaderId: leaderId || null
+      },
+      include: PACE_GROUP_INCLUDE
+    });
+
+    console.log(`✅ RUNCREW PACE GROUP: Created "${paceGroup.name}" on run ${run.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pace group created successfully',
+      data: paceGroupResponse(paceGroup)
+    });
+  } catch (error) {
+    if (error instanceof PaceGroupError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pace group',
+        message: error.message
+      });
+    }
+
+    console.error('❌ RUNCREW PACE GROUP CREATE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create pace group',
+      message: error.message
+    });
+  }
+});
+
+// Update a pace group
+router.patch('/runs/:runId/pace-groups/:paceGroupId', verifyFirebaseToken, requireRunAccess({ organizer: true }), async (req, res) => {
+  const prisma = getPrismaClient();
+  const { paceGroupId } = req.params;
+  const { leaderId } = req.body || {};
+
+  try {
+    const { run } = req.runAccess;
+
+    const existing = await prisma.runCrewRunPaceGroup.findFirst({
+      where: { id: paceGroupId, runId: run.id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pace group not found'
+      });
+    }
+
+    const data = parsePaceGroupInput(req.body, existing);
+
+    if (leaderId !== undefined) {
+      const leaderError = await validateLeader(run, leaderId);
+      if (leaderError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid leader',
+          message: leaderError
+        });
+      }
+      data.leaderId = leaderId || null;
+    }
+
+    const paceGroup = await prisma.runCrewRunPaceGroup.update({
+      where: { id: paceGroupId },
+      data,
+      include: PACE_GROUP_INCLUDE
+    });
+
+    res.json({
+      success: true,
+      message: 'Pace group updated successfully',
+      data: paceGroupResponse(paceGroup)
+    });
+  } catch (error) {
+    if (error instanceof PaceGroupError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pace group',
+        message: error.message
+      });
+    }
+
+    console.error('❌ RUNCREW PACE GROUP UPDATE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update pace group',
+      message: error.message
+    });
+  }
+});
+
+// Delete a pace group
+router.delete('/runs/:runId/pace-groups/:paceGroupId', verifyFirebaseToken, requireRunAccess({ organizer: true }), async (req, res) => {
+  const prisma = getPrismaClient();
+  const { paceGroupId } = req.params;
+
+  try {
+    const { run } = req.runAccess;
+
+    const { count } = await prisma.runCrewRunPaceGroup.deleteMany({
+      where: { id: paceGroupId, runId: run.id }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pace group not found'
+      });
+    }
+
+    console.log(`🗑️ RUNCREW PACE GROUP: Deleted ${paceGroupId} from run ${run.id}`);
+
+    res.json({
+      success: true,
+      message: 'Pace group deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW PACE GROUP DELETE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete pace group',
+      message: error.message
+    });
+  }
+});
+
+export default router;
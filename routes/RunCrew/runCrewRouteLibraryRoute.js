@@ -0,0 +1,345 @@
+// RunCrew Route Library Route
+// POST   /api/runcrew/:runCrewId/routes    - multipart "file" (.gpx) + name?, description? - or JSON { name, description?, polyline }
+// GET    /api/runcrew/:runCrewId/routes    - Crew's routes (with how many runs use each)
+// GET    /api/runcrew/routes/:routeId
+// PATCH  /api/runcrew/routes/:routeId      - { name?, description? }
+// DELETE /api/runcrew/routes/:routeId      - Runs using it keep their details, lose the map
+// Runs reference routes with routeId (routes/RunCrew/runCrewRunRoute.js); distance / elevation are
+// computed by services/runCrewRouteLibraryService.js.
+
+import express from 'express';
+import multer from 'multer';
+import { getPrismaClient } from '../../config/database.js';
+import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { ActivityFileParseError } from '../../services/activityFileParserService.js';
+import {
+  RouteLibraryError,
+  buildRouteFromGpx,
+  buildRouteFromPolyline,
+  routeMiles
+} from '../../services/runCrewRouteLibraryService.js';
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB - a long GPX course with dense points
+
+// GPX files are parsed in memory and never written to /data/uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: 1, fileSize: MAX_FILE_SIZE }
+});
+
+// Turn multer limit errors into our JSON error shape instead of Express' HTML 500
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `GPX files must be under ${MAX_FILE_SIZE / (1024 * 1024)}MB`
+          : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+            ? 'Upload one .gpx file in the "file" field'
+            : error.message
+      });
+    }
+    if (error) return next(error);
+    next();
+  });
+};
+
+const CREATOR_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  photoURL: true
+};
+
+const withMiles = (route) => ({ ...route, distanceMiles: routeMiles(route) });
+
+/**
+ * Load the crew and the caller's role in it
+ * Sends the error response itself and returns null when the caller isn't in the crew.
+ */
+async function loadCrewAccess(req, res, runCrewId) {
+  const prisma = getPrismaClient();
+
+  const athlete = await prisma.athlete.findFirst({
+    where: { firebaseId: req.user?.uid },
+    select: { id: true }
+  });
+
+  if (!athlete) {
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+    return null;
+  }
+
+  const runCrew = await prisma.runCrew.findUnique({
+    where: { id: runCrewId },
+    include: {
+      managers: true,
+      memberships: {
+        where: { athleteId: athlete.id },
+        select: { athleteId: true }
+      }
+    }
+  });
+
+  if (!runCrew) {
+    res.status(404).json({
+      success: false,
+      error: 'RunCrew not found'
+    });
+    return null;
+  }
+
+  const canManage = runCrew.runcrewAdminId === athlete.id
+    || runCrew.managers?.some(manager => manager.athleteId === athlete.id);
+
+  if (!canManage && runCrew.memberships.length === 0) {
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'You must be a member of this RunCrew'
+    });
+    return null;
+  }
+
+  return { athlete, runCrew, canManage };
+}
+
+/**
+ * Load a library route the caller can see (or change, with `manage`: crew admin, manager or the
+ * member who added it)
+ * Sends the error response itself and returns null when access is denied.
+ */
+async function loadRoute(req, res, { manage = false } = {}) {
+  const prisma = getPrismaClient();
+
+  const route = await prisma.runCrewRoute.findUnique({
+    where: { id: req.params.routeId },
+    include: {
+      createdBy: { select: CREATOR_SELECT },
+      _count: { select: { runs: true } }
+    }
+  });
+
+  if (!route) {
+    res.status(404).json({
+      success: false,
+      error: 'Route not found'
+    });
+    return null;
+  }
+
+  const access = await loadCrewAccess(req, res, route.runCrewId);
+  if (!access) return null;
+
+  if (manage && !access.canManage && route.createdById !== access.athlete.id) {
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Only crew admins, managers and the member who added the route can change it'
+    });
+    return null;
+  }
+
+  return { ...access, route };
+}
+
+// Add a route to the crew library (any member)
+router.post('/:runCrewId/routes', verifyFirebaseToken, receiveFile, async (req, res) => {
+  const prisma = getPrismaClient();
+  const { runCrewId } = req.params;
+  const { name, description, polyline } = req.body || {};
+
+  if (!req.file && !polyline?.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing route',
+      message: 'Upload a .gpx file in the "file" field or send an encoded polyline'
+    });
+  }
+
+  try {
+    const access = await loadCrewAccess(req, res, runCrewId);
+    if (!access) return;
+
+    const { gpxName, ...routeData } = req.file
+      ? buildRouteFromGpx(req.file.buffer)
+      : buildRouteFromPolyline(polyline);
+
+    const routeName = name?.trim() || gpxName?.trim();
+    if (!routeName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['name']
+      });
+    }
+
+    const route = await prisma.runCrewRoute.create({
+      data: {
+        ...routeData,
+        runCrewId,
+        createdById: access.athlete.id,
+        name: routeName,
+        description: description?.trim() || null
+      },
+      include: {
+        createdBy: { select: CREATOR_SELECT }
+      }
+    });
+
+    console.log(`✅ RUNCREW ROUTE: "${route.name}" added to crew ${runCrewId} (${route.source}, ${routeMiles(route)} mi)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Route added successfully',
+      data: withMiles(route)
+    });
+  } catch (error) {
+    if (error instanceof RouteLibraryError || error instanceof ActivityFileParseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route',
+        message: error.message
+      });
+    }
+
+    console.error('❌ RUNCREW ROUTE CREATE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add route',
+      message: error.message
+    });
+  }
+});
+
+// List the crew's routes
+router.get('/:runCrewId/routes', verifyFirebaseToken, async (req, res) => {
+  const prisma = getPrismaClient();
+  const { runCrewId } = req.params;
+
+  try {
+    const access = await loadCrewAccess(req, res, runCrewId);
+    if (!access) return;
+
+    // Polylines pasted onto a single run aren't library routes
+    const routes = await prisma.runCrewRoute.findMany({
+      where: { runCrewId, inLibrary: true },
+      include: {
+        createdBy: { select: CREATOR_SELECT },
+        _count: { select: { runs: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      routes: routes.map(withMiles)
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW ROUTE LIST ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch routes',
+      message: error.message
+    });
+  }
+});
+
+// Get one route
+router.get('/routes/:routeId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const loaded = await loadRoute(req, res);
+    if (!loaded) return;
+
+    res.json({
+      success: true,
+      data: withMiles(loaded.route)
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW ROUTE GET ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch route',
+      message: error.message
+    });
+  }
+});
+
+// Rename / describe a route (the course itself is replaced by adding a new route)
+router.patch('/routes/:routeId', verifyFirebaseToken, async (req, res) => {
+  const prisma = getPrismaClient();
+  const { name, description } = req.body || {};
+
+  try {
+    const loaded = await loadRoute(req, res, { manage: true });
+    if (!loaded) return;
+
+    const data = {};
+    if (name !== undefined) {
+      if (!name?.trim()) {
+        return res.status(400).json({ success: false, error: 'Route name cannot be empty' });
+      }
+      data.name = name.trim();
+    }
+    if (description !== undefined) data.description = description?.trim() || null;
+
+    const route = await prisma.runCrewRoute.update({
+      where: { id: loaded.route.id },
+      data,
+      include: {
+        createdBy: { select: CREATOR_SELECT },
+        _count: { select: { runs: true } }
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Route updated successfully',
+      data: withMiles(route)
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW ROUTE UPDATE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update route',
+      message: error.message
+    });
+  }
+});
+
+// Delete a route (runs using it are unlinked)
+router.delete('/routes/:routeId', verifyFirebaseToken, async (req, res) => {
+  const prisma = getPrismaClient();
+
+  try {
+    const loaded = await loadRoute(req, res, { manage: true });
+    if (!loaded) return;
+
+    await prisma.runCrewRoute.delete({
+      where: { id: loaded.route.id }
+    });
+
+    console.log(`🗑️ RUNCREW ROUTE: Deleted "${loaded.route.name}" (${loaded.route._count.runs} run(s) unlinked)`);
+
+    res.json({
+      success: true,
+      message: 'Route deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW ROUTE DELETE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete route',
+      message: error.message
+    });
+  }
+});
+
+export default router;
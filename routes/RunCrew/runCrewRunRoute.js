@@ -1,13 +1,93 @@
 // RunCrew Run Route
-// POST /api/runcrew/:runCrewId/runs
-// Creates a new run (admin only - MVP1)
+// POST   /api/runcrew/:runCrewId/runs                                - routeId (crew route library) or stravaPolyline (this run only)
+// GET    /api/runcrew/:runCrewId/runs?from=YYYY-MM-DD&to=YYYY-MM-DD   - Runs + occurrences in the window
+// GET    /api/runcrew/runs/:runId?occurrenceDate=YYYY-MM-DD           - Run detail (pace group counts + suggestion)
+// PATCH  /api/runcrew/runs/:runId
+// DELETE /api/runcrew/runs/:runId
+// PUT    /api/runcrew/runs/:runId/occurrences/:occurrenceDate      - Cancel / move / change one occurrence
+// DELETE /api/runcrew/runs/:runId/occurrences/:occurrenceDate      - Back to the series
+// POST   /api/runcrew/runs/:runId/rsvp                              - { status, occurrenceDate?, paceGroupId? }
+// Recurring runs are expanded by services/runCrewOccurrenceService.js
+// Capacity / waitlist: services/runCrewCapacityService.js, pace groups: routes/RunCrew/runCrewPaceGroupRoute.js
 
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import { requireRunAccess } from '../../middleware/runCrewAccessMiddleware.js';
+import { isValidTimeZone, dayKeyToDate } from '../../utils/timezoneUtils.js';
+import { parseRecurrenceRule, RecurrenceRuleError } from '../../utils/recurrenceRuleUtils.js';
+import {
+  RUN_OCCURRENCE_STATUS,
+  MAX_OCCURRENCE_WINDOW_DAYS,
+  buildRunOccurrence,
+  expandRunOccurrences,
+  getRunOccurrence,
+  getRunRecurrence,
+  isRunOccurrenceDate,
+  resolveOccurrenceWindow
+} from '../../services/runCrewOccurrenceService.js';
+import {
+  MAX_CAPACITY,
+  RSVP_CHOICES,
+  RSVP_STATUS,
+  fillRunWaitlists,
+  parseCapacity,
+  rsvpToRunOccurrence
+} from '../../services/runCrewCapacityService.js';
+import { suggestPaceGroup } from '../../services/runCrewPaceGroupService.js';
+import {
+  RUN_ROUTE_SELECT,
+  RouteLibraryError,
+  buildRouteFromPolyline,
+  routeMiles
+} from '../../services/runCrewRouteLibraryService.js';
 
 const router = express.Router();
 
+const PACE_GROUP_INCLUDE = {
+  include: {
+    leader: {
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        photoURL: true
+      }
+    }
+  }
+};
+
+/**
+ * Check timezone / recurrence rule input
+ * @returns {string|null} error message
+ */
+function validateSchedule({ timezone, recurrenceRule }) {
+  if (timezone?.trim() && !isValidTimeZone(timezone.trim())) {
+    return `Unknown timezone "${timezone}" - use an IANA name like "America/Chicago"`;
+  }
+
+  if (recurrenceRule?.trim()) {
+    try {
+      parseRecurrenceRule(recurrenceRule);
+    } catch (error) {
+      if (error instanceof RecurrenceRuleError) return `Invalid recurrence rule: ${error.message}`;
+      throw error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Route from a crew's library
+ * @returns {Promise<Object|null>} RunCrewRoute, null when it isn't in this crew's library
+ */
+async function findCrewRoute(runCrewId, routeId) {
+  const prisma = getPrismaClient();
+  return prisma.runCrewRoute.findFirst({
+    where: { id: routeId, runCrewId, inLibrary: true }
+  });
+}
+
 // Create run (allows admin, managers, or members)
 router.post('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
   const prisma = getPrismaClient();
@@ -26,11 +106,13 @@ router.post('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
     totalMiles,
     pace,
     stravaMapUrl,
-    stravaPolyline, // reserved for future use (ignored for now)
+    stravaPolyline, // Stored as this run's own route (not listed in the library) when no routeId is given
+    routeId,
     description,
     recurrenceRule,
     recurrenceEndsOn,
     recurrenceNote,
+    capacity,
     // Legacy fallback fields (pre-migration)
     location: legacyLocation,
     address: legacyAddress
@@ -49,6 +131,24 @@ router.post('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
     });
   }
 
+  const scheduleError = validateSchedule({ timezone, recurrenceRule });
+  if (scheduleError) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid schedule',
+      message: scheduleError
+    });
+  }
+
+  const parsedCapacity = capacity === undefined ? { capacity: null } : parseCapacity(capacity);
+  if (!parsedCapacity) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid capacity',
+      message: `capacity must be a whole number from 1 to ${MAX_CAPACITY}, or null for no limit`
+    });
+  }
+
   try {
     // Get athlete from Firebase ID
     const athlete = await prisma.athlete.findFirst({
@@ -117,55 +217,89 @@ router.post('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
       recurrenceEndsDate = Number.isNaN(parsedEnd.getTime()) ? null : parsedEnd;
     }
 
+    // Map: a route from the crew library, or a pasted polyline kept for this run only
+    let route = null;
+    let pastedRoute = null;
+    if (routeId) {
+      route = await findCrewRoute(runCrewId, routeId);
+      if (!route) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid route',
+          message: 'routeId must be a route in this crew\'s library'
+        });
+      }
+    } else if (stravaPolyline?.trim()) {
+      pastedRoute = {
+        ...buildRouteFromPolyline(stravaPolyline),
+        runCrewId,
+        createdById: athlete.id,
+        name: title.trim(),
+        inLibrary: false
+      };
+    }
+
     const parsedMiles = totalMiles ? parseFloat(totalMiles) : null;
     const parsedLat = meetUpLat !== undefined && meetUpLat !== null && meetUpLat !== '' ? parseFloat(meetUpLat) : null;
     const parsedLng = meetUpLng !== undefined && meetUpLng !== null && meetUpLng !== '' ? parseFloat(meetUpLng) : null;
+    const routeDistance = route || pastedRoute ? routeMiles(route || pastedRoute) : null;
 
-    // Create run
-    const run = await prisma.runCrewRun.create({
-      data: {
-        runCrewId,
-        createdById: athlete.id, // Admin who created it
-        title: title.trim(),
-        runType,
-        date: runDate,
-        startTime: startTime.trim(),
-        timezone: timezone?.trim() || null,
-        meetUpPoint: normalizedPoint,
-        meetUpAddress: normalizedAddress,
-        meetUpPlaceId: meetUpPlaceId?.trim() || null,
-        meetUpLat: parsedLat,
-        meetUpLng: parsedLng,
-        recurrenceRule: recurrenceRule?.trim() || null,
-        recurrenceEndsOn: recurrenceEndsDate,
-        recurrenceNote: recurrenceNote?.trim() || null,
-        totalMiles: Number.isNaN(parsedMiles) ? null : parsedMiles,
-        pace: pace?.trim() || null,
-        stravaMapUrl: stravaMapUrl?.trim() || null,
-        description: description?.trim() || null
-      },
-      include: {
-        createdBy: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            photoURL: true
-          }
+    // Create run (with its pasted route, if any - both or neither)
+    const run = await prisma.$transaction(async (tx) => {
+      if (pastedRoute) {
+        route = await tx.runCrewRoute.create({ data: pastedRoute });
+      }
+
+      return tx.runCrewRun.create({
+        data: {
+          runCrewId,
+          createdById: athlete.id, // Admin who created it
+          title: title.trim(),
+          runType,
+          date: runDate,
+          startTime: startTime.trim(),
+          timezone: timezone?.trim() || null,
+          meetUpPoint: normalizedPoint,
+          meetUpAddress: normalizedAddress,
+          meetUpPlaceId: meetUpPlaceId?.trim() || null,
+          meetUpLat: parsedLat,
+          meetUpLng: parsedLng,
+          recurrenceRule: recurrenceRule?.trim() || null,
+          recurrenceEndsOn: recurrenceEndsDate,
+          recurrenceNote: recurrenceNote?.trim() || null,
+          totalMiles: Number.isNaN(parsedMiles) || parsedMiles == null ? routeDistance : parsedMiles,
+          pace: pace?.trim() || null,
+          stravaMapUrl: stravaMapUrl?.trim() || null,
+          routeId: route?.id || null,
+          description: description?.trim() || null,
+          capacity: parsedCapacity.capacity
         },
-        rsvps: {
-          include: {
-            athlete: {
-              select: {
-                id: true,
-                firstName: true,
-                lastName: true,
-                photoURL: true
+        include: {
+          route: {
+            select: RUN_ROUTE_SELECT
+          },
+          createdBy: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              photoURL: true
+            }
+          },
+          rsvps: {
+            include: {
+              athlete: {
+                select: {
+                  id: true,
+                  firstName: true,
+                  lastName: true,
+                  photoURL: true
+                }
               }
             }
           }
         }
-      }
+      });
     });
 
     res.status(201).json({
@@ -175,6 +309,14 @@ router.post('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof RouteLibraryError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid route',
+        message: `stravaPolyline: ${error.message}`
+      });
+    }
+
     console.error('❌ RUNCREW RUN CREATE ERROR:', error);
     res.status(500).json({
       success: false,
@@ -185,11 +327,22 @@ router.post('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
 });
 
 // Get runs for a crew
+// `runs` are the stored rows (a recurring run is one row); `occurrences` are the concrete runs in
+// the window (default: yesterday + 8 weeks), each with its own status and RSVPs.
 router.get('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
   const prisma = getPrismaClient();
   const { runCrewId } = req.params;
   const firebaseId = req.user?.uid;
 
+  const window = resolveOccurrenceWindow(req.query);
+  if (!window) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid window',
+      message: `from/to must be YYYY-MM-DD, to on or after from, at most ${MAX_OCCURRENCE_WINDOW_DAYS} days apart`
+    });
+  }
+
   try {
     const athlete = await prisma.athlete.findFirst({
       where: { firebaseId }
@@ -252,6 +405,11 @@ router.get('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
               }
             }
           }
+        },
+        overrides: true,
+        paceGroups: PACE_GROUP_INCLUDE,
+        route: {
+          select: RUN_ROUTE_SELECT
         }
       },
       orderBy: {
@@ -261,7 +419,9 @@ router.get('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
 
     res.json({
       success: true,
-      runs
+      runs,
+      window,
+      occurrences: expandRunOccurrences(runs, window)
     });
   } catch (error) {
     console.error('❌ RUNCREW RUN LIST ERROR:', error);
@@ -273,6 +433,104 @@ router.get('/:runCrewId/runs', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+// Get one run (one occurrence for recurring runs - ?occurrenceDate=YYYY-MM-DD)
+// The occurrence carries per-pace-group counts; paceGroupSuggestion is the group that fits the
+// caller's recent runs (null without pace groups or recent runs).
+router.get('/runs/:runId', verifyFirebaseToken, async (req, res) => {
+  const prisma = getPrismaClient();
+  const { runId } = req.params;
+  const firebaseId = req.user?.uid;
+
+  try {
+    const athlete = await prisma.athlete.findFirst({
+      where: { firebaseId },
+      select: { id: true }
+    });
+
+    if (!athlete) {
+      return res.status(403).json({
+        success: false,
+        error: 'Unauthorized'
+      });
+    }
+
+    const run = await prisma.runCrewRun.findUnique({
+      where: { id: runId },
+      include: {
+        runCrew: {
+          include: {
+            managers: true,
+            memberships: {
+              where: { athleteId: athlete.id },
+              select: { athleteId: true }
+            }
+          }
+        },
+        createdBy: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            photoURL: true
+          }
+        },
+        rsvps: {
+          include: RSVP_ATHLETE_INCLUDE
+        },
+        overrides: true,
+        paceGroups: PACE_GROUP_INCLUDE,
+        route: {
+          select: RUN_ROUTE_SELECT
+        }
+      }
+    });
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      });
+    }
+
+    const isAdmin = run.runCrew.runcrewAdminId === athlete.id;
+    const isManager = run.runCrew.managers?.some(manager => manager.athleteId === athlete.id);
+    const isMember = run.runCrew.memberships.length > 0;
+
+    if (!isAdmin && !isManager && !isMember) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied'
+      });
+    }
+
+    const occurrence = getRunOccurrence(run, req.query.occurrenceDate);
+    if (!occurrence) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid occurrence',
+        message: 'occurrenceDate (YYYY-MM-DD) must be a date of this recurring run'
+      });
+    }
+
+    const paceGroupSuggestion = run.paceGroups.length > 0
+      ? await suggestPaceGroup(athlete.id, run.paceGroups)
+      : null;
+
+    res.json({
+      success: true,
+      data: occurrence,
+      paceGroupSuggestion
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW RUN GET ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch run',
+      message: error.message
+    });
+  }
+});
+
 // Update run
 router.patch('/runs/:runId', verifyFirebaseToken, async (req, res) => {
   const prisma = getPrismaClient();
@@ -295,7 +553,9 @@ router.patch('/runs/:runId', verifyFirebaseToken, async (req, res) => {
     description,
     recurrenceRule,
     recurrenceEndsOn,
-    recurrenceNote
+    recurrenceNote,
+    capacity,
+    routeId
   } = req.body;
 
   try {
@@ -339,6 +599,15 @@ router.patch('/runs/:runId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    const scheduleError = validateSchedule({ timezone, recurrenceRule });
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid schedule',
+        message: scheduleError
+      });
+    }
+
     const data = {};
     if (title !== undefined) data.title = title.trim();
     if (runType !== undefined) data.runType = runType;
@@ -372,11 +641,35 @@ router.patch('/runs/:runId', verifyFirebaseToken, async (req, res) => {
       }
       data.recurrenceEndsOn = parsedEnd;
     }
+    if (capacity !== undefined) {
+      const parsedCapacity = parseCapacity(capacity);
+      if (!parsedCapacity) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid capacity',
+          message: `capacity must be a whole number from 1 to ${MAX_CAPACITY}, or null for no limit`
+        });
+      }
+      data.capacity = parsedCapacity.capacity;
+    }
+    if (routeId !== undefined) {
+      if (routeId && !await findCrewRoute(run.runCrewId, routeId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid route',
+          message: 'routeId must be a route in this crew\'s library'
+        });
+      }
+      data.routeId = routeId || null;
+    }
 
     const updatedRun = await prisma.runCrewRun.update({
       where: { id: runId },
       data,
       include: {
+        route: {
+          select: RUN_ROUTE_SELECT
+        },
         createdBy: {
           select: {
             id: true,
@@ -400,6 +693,25 @@ router.patch('/runs/:runId', verifyFirebaseToken, async (req, res) => {
       }
     });
 
+    // A pasted route belongs to this run only - drop it once the run points elsewhere
+    if (data.routeId !== undefined && run.routeId && run.routeId !== data.routeId) {
+      await prisma.runCrewRoute.deleteMany({
+        where: { id: run.routeId, inLibrary: false }
+      });
+    }
+
+    // A higher (or no) limit opens spots for waitlisted members
+    if (data.capacity !== undefined && data.capacity !== run.capacity) {
+      const overrides = await prisma.runCrewRunOverride.findMany({ where: { runId } });
+      const promoted = await fillRunWaitlists({ ...updatedRun, overrides });
+      if (promoted > 0) {
+        updatedRun.rsvps = await prisma.runCrewRunRSVP.findMany({
+          where: { runId },
+          include: RSVP_ATHLETE_INCLUDE
+        });
+      }
+    }
+
     res.json({
       success: true,
       message: 'Run updated successfully',
@@ -462,9 +774,13 @@ router.delete('/runs/:runId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    await prisma.runCrewRun.delete({
-      where: { id: runId }
-    });
+    // A route pasted onto this run isn't in the library - it goes with the run
+    await prisma.$transaction([
+      prisma.runCrewRun.delete({
+        where: { id: runId }
+      }),
+      ...(run.routeId ? [prisma.runCrewRoute.deleteMany({ where: { id: run.routeId, inLibrary: false } })] : [])
+    ]);
 
     res.json({
       success: true,
@@ -480,19 +796,177 @@ router.delete('/runs/:runId', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+const RSVP_ATHLETE_INCLUDE = {
+  athlete: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      photoURL: true
+    }
+  }
+};
+
+// Occurrence overrides are organizer-only; the response needs the run's pace groups
+const requireOccurrenceManager = requireRunAccess({ organizer: true, include: { paceGroups: PACE_GROUP_INCLUDE } });
+
+/**
+ * Check the managed run is recurring and the occurrence date belongs to its series
+ * (after requireOccurrenceManager). Sends the error response itself and returns null when it doesn't.
+ */
+function loadManagedOccurrence(req, res) {
+  const { run } = req.runAccess;
+  const { occurrenceDate } = req.params;
+
+  if (!getRunRecurrence(run)) {
+    res.status(400).json({
+      success: false,
+      error: 'Not a recurring run',
+      message: 'Single runs have no occurrences - update the run itself'
+    });
+    return null;
+  }
+
+  if (!isRunOccurrenceDate(run, occurrenceDate)) {
+    res.status(404).json({
+      success: false,
+      error: 'Occurrence not found',
+      message: `${occurrenceDate} is not a date of this run's schedule`
+    });
+    return null;
+  }
+
+  return { ...req.runAccess, occurrenceDate };
+}
+
+async function occurrenceResponse(run, occurrenceDate, override) {
+  const prisma = getPrismaClient();
+  const rsvps = await prisma.runCrewRunRSVP.findMany({
+    where: { runId: run.id, occurrenceDate },
+    include: RSVP_ATHLETE_INCLUDE
+  });
+  return buildRunOccurrence({ ...run, rsvps }, occurrenceDate, override);
+}
+
+// Change one occurrence of a recurring run
+// Body: { cancelled?, date? ("YYYY-MM-DD" or null), startTime?, meetUpPoint?, meetUpAddress?,
+//         meetUpPlaceId?, meetUpLat?, meetUpLng?, note? } - omitted fields keep their current value
+router.put('/runs/:runId/occurrences/:occurrenceDate', verifyFirebaseToken, requireOccurrenceManager, async (req, res) => {
+  const prisma = getPrismaClient();
+  const {
+    cancelled,
+    date,
+    startTime,
+    meetUpPoint,
+    meetUpAddress,
+    meetUpPlaceId,
+    meetUpLat,
+    meetUpLng,
+    note
+  } = req.body || {};
+
+  try {
+    const loaded = loadManagedOccurrence(req, res);
+    if (!loaded) return;
+    const { athlete, run, occurrenceDate } = loaded;
+
+    const data = { updatedById: athlete.id };
+    if (cancelled !== undefined) {
+      data.status = cancelled ? RUN_OCCURRENCE_STATUS.CANCELLED : RUN_OCCURRENCE_STATUS.SCHEDULED;
+    }
+    if (date !== undefined) {
+      const movedTo = date ? dayKeyToDate(date) : null;
+      if (date && !movedTo) {
+        return res.status(400).json({ success: false, error: 'Invalid date format', message: 'date must be YYYY-MM-DD' });
+      }
+      data.date = movedTo;
+    }
+    if (startTime !== undefined) data.startTime = startTime?.trim() || null;
+    if (meetUpPoint !== undefined) data.meetUpPoint = meetUpPoint?.trim() || null;
+    if (meetUpAddress !== undefined) data.meetUpAddress = meetUpAddress?.trim() || null;
+    if (meetUpPlaceId !== undefined) data.meetUpPlaceId = meetUpPlaceId?.trim() || null;
+    if (meetUpLat !== undefined) data.meetUpLat = meetUpLat !== null && meetUpLat !== '' ? parseFloat(meetUpLat) : null;
+    if (meetUpLng !== undefined) data.meetUpLng = meetUpLng !== null && meetUpLng !== '' ? parseFloat(meetUpLng) : null;
+    if (note !== undefined) data.note = note?.trim() || null;
+
+    const override = await prisma.runCrewRunOverride.upsert({
+      where: {
+        runId_occurrenceDate: {
+          runId: run.id,
+          occurrenceDate
+        }
+      },
+      update: data,
+      create: {
+        runId: run.id,
+        occurrenceDate,
+        ...data
+      }
+    });
+
+    console.log(`✅ RUNCREW RUN OCCURRENCE: ${run.id} on ${occurrenceDate} → ${override.status}${override.date ? ' (moved)' : ''}`);
+
+    res.json({
+      success: true,
+      message: 'Occurrence updated successfully',
+      data: await occurrenceResponse(run, occurrenceDate, override)
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW RUN OCCURRENCE UPDATE ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update occurrence',
+      message: error.message
+    });
+  }
+});
+
+// Undo changes to one occurrence (it follows the series again)
+router.delete('/runs/:runId/occurrences/:occurrenceDate', verifyFirebaseToken, requireOccurrenceManager, async (req, res) => {
+  const prisma = getPrismaClient();
+
+  try {
+    const loaded = loadManagedOccurrence(req, res);
+    if (!loaded) return;
+    const { run, occurrenceDate } = loaded;
+
+    await prisma.runCrewRunOverride.deleteMany({
+      where: { runId: run.id, occurrenceDate }
+    });
+
+    console.log(`🗑️ RUNCREW RUN OCCURRENCE: ${run.id} on ${occurrenceDate} reset to the series`);
+
+    res.json({
+      success: true,
+      message: 'Occurrence reset successfully',
+      data: await occurrenceResponse(run, occurrenceDate, null)
+    });
+  } catch (error) {
+    console.error('❌ RUNCREW RUN OCCURRENCE RESET ERROR:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset occurrence',
+      message: error.message
+    });
+  }
+});
+
 // RSVP to run
+// Recurring runs need the occurrence: { status, occurrenceDate: "YYYY-MM-DD" }
+// "going" on a full run comes back as "waitlisted" (with waitlistPosition); leaving "going" promotes
+// the next waitlisted member. paceGroupId picks one of the run's pace groups (null clears it).
 router.post('/runs/:runId/rsvp', verifyFirebaseToken, async (req, res) => {
   const prisma = getPrismaClient();
   const { runId } = req.params;
-  const { status } = req.body; // "going", "maybe", "not-going"
+  const { status, occurrenceDate, paceGroupId } = req.body; // "going", "maybe", "not-going"
   const firebaseId = req.user?.uid;
 
   // Validation
-  if (!status || !['going', 'maybe', 'not-going'].includes(status)) {
+  if (!status || !RSVP_CHOICES.includes(status)) {
     return res.status(400).json({
       success: false,
       error: 'Invalid status',
-      validStatuses: ['going', 'maybe', 'not-going']
+      validStatuses: RSVP_CHOICES
     });
   }
 
@@ -521,6 +995,10 @@ router.post('/runs/:runId/rsvp', verifyFirebaseToken, async (req, res) => {
               }
             }
           }
+        },
+        overrides: true,
+        paceGroups: {
+          select: { id: true }
         }
       }
     });
@@ -540,38 +1018,43 @@ router.post('/runs/:runId/rsvp', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Upsert RSVP
-    const rsvp = await prisma.runCrewRunRSVP.upsert({
-      where: {
-        runId_athleteId: {
-          runId,
-          athleteId: athlete.id
-        }
-      },
-      update: {
-        status
-      },
-      create: {
-        runId,
-        athleteId: athlete.id,
-        status
-      },
-      include: {
-        athlete: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            photoURL: true
-          }
-        }
-      }
+    // Recurring runs: RSVP to one occurrence, never to the whole series
+    const occurrence = getRunOccurrence(run, occurrenceDate);
+    if (!occurrence) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid occurrence',
+        message: 'occurrenceDate (YYYY-MM-DD) must be a date of this recurring run'
+      });
+    }
+
+    if (occurrence.status === RUN_OCCURRENCE_STATUS.CANCELLED && status !== RSVP_STATUS.NOT_GOING) {
+      return res.status(409).json({
+        success: false,
+        error: 'Occurrence cancelled',
+        message: `The ${occurrenceDate} run is cancelled`
+      });
+    }
+
+    if (paceGroupId && !run.paceGroups.some(group => group.id === paceGroupId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pace group',
+        message: 'paceGroupId must be one of this run\'s pace groups'
+      });
+    }
+
+    const { rsvp, waitlistPosition } = await rsvpToRunOccurrence(run, occurrence, athlete.id, status, {
+      paceGroupId: paceGroupId === undefined ? undefined : paceGroupId || null
     });
 
     res.json({
       success: true,
-      message: 'RSVP updated successfully',
-      data: rsvp
+      message: rsvp.status === RSVP_STATUS.WAITLISTED
+        ? 'Run is full - added to the waitlist'
+        : 'RSVP updated successfully',
+      data: rsvp,
+      waitlistPosition
     });
 
   } catch (error) {
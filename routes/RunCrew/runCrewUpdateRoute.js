@@ -1,10 +1,11 @@
 // RunCrew Update Route
-// PATCH /api/runcrew/:id - Update RunCrew name and description (admin only)
+// PATCH /api/runcrew/:id - Update RunCrew name, description and leaderboard sports (admin only)
 
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
 import { isAthleteAdmin } from '../../services/runCrewManagerMapService.js';
+import { parseSportList, SPORT_LIST } from '../../services/activityTypeService.js';
 
 const router = express.Router();
 
@@ -17,15 +18,18 @@ const router = express.Router();
  * 2. Find athlete by firebaseId
  * 3. Find RunCrew by id
  * 4. Check if athlete is admin
- * 5. Update name and/or description
+ * 5. Update name, description, logo/icon and/or countedSports
  * 6. Return updated RunCrew
+ *
+ * countedSports: sports that count toward the crew leaderboard, e.g. ["run", "walk"]
+ * (canonical sports from services/activityTypeService.js)
  */
 router.patch('/:id', verifyFirebaseToken, async (req, res) => {
   try {
     const prisma = getPrismaClient();
     const { id: runCrewId } = req.params;
     const firebaseId = req.user?.uid;
-    const { name, description, logo, icon } = req.body;
+    const { name, description, logo, icon, countedSports } = req.body;
 
     console.log('✏️ RUNCREW UPDATE: Updating RunCrew:', runCrewId);
 
@@ -108,13 +112,26 @@ router.patch('/:id', verifyFirebaseToken, async (req, res) => {
     if (icon !== undefined) {
       updateData.icon = icon?.trim() || null;
     }
+    if (countedSports !== undefined) {
+      const { sports, invalid } = parseSportList(countedSports);
+      if (!sports) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid countedSports',
+          message: invalid.length > 0
+            ? `Unknown sports: ${invalid.join(', ')} - use ${SPORT_LIST.join(', ')}`
+            : 'countedSports must list at least one sport'
+        });
+      }
+      updateData.countedSports = sports;
+    }
 
     // If no fields to update, return error
     if (Object.keys(updateData).length === 0) {
       return res.status(400).json({
         success: false,
         error: 'No fields to update',
-        message: 'Provide at least one field to update (name or description)'
+        message: 'Provide at least one field to update (name, description, logo, icon or countedSports)'
       });
     }
 
@@ -2,6 +2,7 @@ import express from 'express';
 import dotenv from 'dotenv';
 import { getPrismaClient } from '../../config/database.js';
 import { resolveAthleteId } from '../../services/athleteService.js';
+import { stravaFetch } from '../../services/tokenManagerService.js';
 
 dotenv.config();
 
@@ -15,14 +16,12 @@ router.get('/activities', async (req, res) => {
     if (!athleteId) return res.status(400).json({ error: 'athleteId is required' });
 
     const athlete = await prisma.athlete.findUnique({ where: { id: athleteId } });
-    if (!athlete || !athlete.strava_access_token) {
+    if (!athlete || (!athlete.strava_access_token && !athlete.strava_refresh_token)) {
       return res.status(404).json({ error: 'Athlete not connected to Strava' });
     }
 
     const baseUrl = process.env.STRAVA_BASE_URL || 'https://www.strava.com/api/v3';
-    const resp = await fetch(`${baseUrl}/athlete/activities?per_page=5`, {
-      headers: { Authorization: `Bearer ${athlete.strava_access_token}` }
-    });
+    const resp = await stravaFetch(athleteId, `${baseUrl}/athlete/activities?per_page=5`);
 
     if (!resp.ok) {
       const text = await resp.text();
@@ -2,6 +2,7 @@ import express from 'express';
 import dotenv from 'dotenv';
 import { getPrismaClient } from '../../config/database.js';
 import { resolveAthleteId } from '../../services/athleteService.js';
+import { TOKEN_STATUS } from '../../services/tokenManagerService.js';
 
 dotenv.config();
 
@@ -50,7 +51,8 @@ router.get('/callback', async (req, res) => {
         strava_id: stravaId,
         strava_access_token: data?.access_token || null,
         strava_refresh_token: data?.refresh_token || null,
-        strava_expires_at: data?.expires_at || null
+        strava_expires_at: data?.expires_at || null,
+        strava_token_status: TOKEN_STATUS.HEALTHY
       }
     });
 
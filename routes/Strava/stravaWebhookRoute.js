@@ -0,0 +1,105 @@
+import express from 'express';
+import dotenv from 'dotenv';
+import { getPrismaClient } from '../../config/database.js';
+import { findAthleteByStravaId } from '../../services/athleteService.js';
+import {
+  fetchStravaActivity,
+  upsertStravaActivity,
+  deleteStravaActivity
+} from '../../services/stravaActivityService.js';
+
+dotenv.config();
+
+const router = express.Router();
+
+// GET /api/strava/webhook - Strava push subscription validation handshake
+// Strava calls this once when the subscription is created (see scripts/registerStravaWebhook.js)
+router.get('/webhook', (req, res) => {
+  const mode = req.query['hub.mode'];
+  const verifyToken = req.query['hub.verify_token'];
+  const challenge = req.query['hub.challenge'];
+
+  if (mode !== 'subscribe' || !challenge) {
+    console.warn('⚠️ Invalid Strava webhook validation request:', req.query);
+    return res.status(400).json({ error: 'Invalid subscription validation request' });
+  }
+
+  if (!process.env.STRAVA_WEBHOOK_VERIFY_TOKEN || verifyToken !== process.env.STRAVA_WEBHOOK_VERIFY_TOKEN) {
+    console.warn('⚠️ Strava webhook verify_token mismatch');
+    return res.status(403).json({ error: 'Verify token mismatch' });
+  }
+
+  console.log('✅ Strava webhook subscription validated');
+  return res.status(200).json({ 'hub.challenge': challenge });
+});
+
+// POST /api/strava/webhook - Strava push subscription event receiver
+// Event: { object_type, object_id, aspect_type, updates, owner_id, subscription_id, event_time }
+router.post('/webhook', async (req, res) => {
+  // 1️⃣ Acknowledge Strava immediately (must respond within 2 seconds)
+  res.sendStatus(200);
+
+  try {
+    const { object_type: objectType, object_id: objectId, aspect_type: aspectType, updates, owner_id: ownerId } = req.body || {};
+
+    console.log(`📩 Strava webhook received: ${objectType} ${aspectType} (object ${objectId}, owner ${ownerId})`);
+
+    if (!objectType || !objectId || !aspectType || !ownerId) {
+      console.warn('⚠️ Invalid Strava webhook payload:', req.body);
+      return;
+    }
+
+    // 2️⃣ Athlete deauthorized our app on Strava - clear tokens so nothing matches again
+    if (objectType === 'athlete') {
+      if (aspectType === 'update' && String(updates?.authorized) === 'false') {
+        const prisma = getPrismaClient();
+        const result = await prisma.athlete.updateMany({
+          where: { strava_id: Number(ownerId) },
+          data: {
+            strava_id: null,
+            strava_access_token: null,
+            strava_refresh_token: null,
+            strava_expires_at: null
+          }
+        });
+        console.log(`✅ Strava deauthorization processed for owner ${ownerId} (${result.count} record(s) updated)`);
+      }
+      return;
+    }
+
+    if (objectType !== 'activity') {
+      console.log(`⚠️ Ignoring Strava webhook for object_type: ${objectType}`);
+      return;
+    }
+
+    // 3️⃣ Delete - no athlete lookup needed, the activity is gone on Strava
+    if (aspectType === 'delete') {
+      await deleteStravaActivity(objectId);
+      return;
+    }
+
+    // 4️⃣ Create/update - look up athlete by Strava owner id
+    const athlete = await findAthleteByStravaId(Number(ownerId));
+
+    if (!athlete) {
+      console.error(`❌ No athlete found for Strava owner id: ${ownerId}`);
+      return;
+    }
+
+    // 5️⃣ Webhook only carries ids - fetch the full activity from Strava (token manager refreshes if needed)
+    const fetchResult = await fetchStravaActivity(athlete.id, objectId);
+    if (!fetchResult.success) {
+      console.error(`❌ Could not fetch Strava activity ${objectId} for athlete ${athlete.id}`);
+      return;
+    }
+
+    // 6️⃣ Upsert into AthleteActivity (source: 'strava')
+    await upsertStravaActivity(athlete.id, fetchResult.activity);
+
+  } catch (error) {
+    // Already sent 200 - log only
+    console.error('❌ Strava webhook processing error:', error);
+  }
+});
+
+export default router;
@@ -1,74 +1,159 @@
 // Training Day Route
-// Manages daily workout plans and actual workout data
+// Planned workouts (TrainingDayPlanned) merged with what was done (TrainingDayExecuted)
+// GET  /api/training/day/today?athleteId=xxx
+// GET  /api/training/day/date/:date?athleteId=xxx
+// GET  /api/training/day/week/:weekIndex?athleteId=xxx&planId=xxx
+// POST /api/training/day/:trainingDayId/feedback
+// GET  /api/training/day/:trainingDayId/candidates
+// PUT  /api/training/day/:trainingDayId/activity
+// GET  /api/training/day/:trainingDayId/workout?format=fit|garmin&target=pace|hr
+// Activities are linked to days automatically on ingest (services/trainingMatchService.js);
+// the activity endpoints let the athlete override that by hand.
 
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  getActivePlan,
+  getMergedTrainingDays,
+  mergeTrainingDays,
+  parseDayParam,
+  sameDayWhere,
+  startOfDay,
+  upsertExecutedDay,
+  EXECUTION_STATUS
+} from '../../services/trainingExecutionService.js';
+import { relinkTrainingDay } from '../../services/trainingMatchService.js';
+import { adaptPlanAfterFeedback, getPlanAdjustments } from '../../services/trainingAdaptationService.js';
+import { isRunActivity } from '../../services/activityTypeService.js';
+import { getAthleteMaxHeartRate } from '../../services/activityMetricsService.js';
+import {
+  WORKOUT_EXPORT_FORMATS,
+  WORKOUT_EXPORT_TARGETS,
+  WorkoutExportError,
+  buildGarminWorkout,
+  encodeFitWorkout
+} from '../../services/workoutExportService.js';
 
 const router = express.Router();
 
 /**
- * Get today's workout
- * GET /api/training/day/today?athleteId=xxx
+ * Verify the athlete belongs to the authenticated user
+ * Sends the error response itself and returns null when access is denied.
  */
-router.get('/today', verifyFirebaseToken, async (req, res) => {
-  try {
-    const prisma = getPrismaClient();
-    const { athleteId } = req.query;
-    const firebaseId = req.user?.uid;
+async function loadOwnedAthlete(req, res, athleteId) {
+  if (!athleteId) {
+    res.status(400).json({
+      success: false,
+      error: 'athleteId is required'
+    });
+    return null;
+  }
 
-    if (!athleteId) {
-      return res.status(400).json({
-        success: false,
-        error: 'athleteId is required'
-      });
-    }
+  const prisma = getPrismaClient();
+  const athlete = await prisma.athlete.findFirst({
+    where: {
+      id: athleteId,
+      firebaseId: req.user?.uid
+    },
+    select: { id: true }
+  });
+
+  if (!athlete) {
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+    return null;
+  }
 
-    // Verify athlete matches Firebase user
-    const athlete = await prisma.athlete.findFirst({
-      where: {
-        id: athleteId,
-        firebaseId: firebaseId
-      }
+  return athlete;
+}
+
+/**
+ * The day's planned workout on the athlete's active plan, merged with its execution
+ */
+async function getWorkoutForDay(athleteId, day) {
+  const plan = await getActivePlan(athleteId);
+  if (!plan) return { plan: null, workout: null, execution: null };
+
+  const { days, execution } = await getMergedTrainingDays(plan.id, { date: sameDayWhere(day) });
+  return { plan, workout: days[0] || null, execution };
+}
+
+/**
+ * Load a planned day, verify ownership and find its plan's active execution
+ * Sends the error response itself and returns null when the day can't be changed.
+ */
+async function loadPlannedDayForUpdate(req, res, action) {
+  const prisma = getPrismaClient();
+
+  const plannedDay = await prisma.trainingDayPlanned.findUnique({
+    where: { id: req.params.trainingDayId }
+  });
+
+  if (!plannedDay) {
+    res.status(404).json({
+      success: false,
+      error: 'Training day not found'
     });
+    return null;
+  }
 
-    if (!athlete) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
+  const athlete = await loadOwnedAthlete(req, res, plannedDay.athleteId);
+  if (!athlete) return null;
 
-    // Get today's date (start of day)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+  const execution = await prisma.trainingPlanExecution.findFirst({
+    where: { trainingPlanId: plannedDay.trainingPlanId, status: EXECUTION_STATUS.ACTIVE },
+    orderBy: { startedAt: 'desc' }
+  });
 
-    // Get today's workout
-    const workout = await prisma.trainingDay.findFirst({
-      where: {
-        athleteId,
-        date: today
-      },
-      include: {
-        race: true,
-        trainingPlan: true,
-        sessions: {
-          orderBy: { startTime: 'desc' }
-        }
-      }
+  if (!execution) {
+    res.status(409).json({
+      success: false,
+      error: 'Plan not started',
+      message: `Start the plan (POST /api/training/plan/${plannedDay.trainingPlanId}/start) before ${action}`
     });
+    return null;
+  }
+
+  return { plannedDay, execution };
+}
+
+function planSummary(plan) {
+  return plan && {
+    id: plan.id,
+    trainingPlanName: plan.trainingPlanName,
+    status: plan.status,
+    race: plan.race
+  };
+}
+
+/**
+ * Get today's workout
+ * GET /api/training/day/today?athleteId=xxx
+ */
+router.get('/today', verifyFirebaseToken, async (req, res) => {
+  try {
+    const athlete = await loadOwnedAthlete(req, res, req.query.athleteId);
+    if (!athlete) return;
+
+    const { plan, workout, execution } = await getWorkoutForDay(athlete.id, startOfDay());
 
     if (!workout) {
       return res.json({
         success: true,
         workout: null,
-        message: 'No workout scheduled for today'
+        plan: planSummary(plan),
+        message: plan ? 'No workout scheduled for today' : 'No active training plan found'
       });
     }
 
     res.json({
       success: true,
-      workout
+      workout,
+      plan: planSummary(plan),
+      execution
     });
   } catch (error) {
     console.error('❌ TRAINING DAY TODAY error:', error);
@@ -86,52 +171,19 @@ router.get('/today', verifyFirebaseToken, async (req, res) => {
  */
 router.get('/date/:date', verifyFirebaseToken, async (req, res) => {
   try {
-    const prisma = getPrismaClient();
-    const { date, athleteId } = req.params;
-    const { athleteId: queryAthleteId } = req.query;
-    const firebaseId = req.user?.uid;
-    const finalAthleteId = athleteId || queryAthleteId;
+    const athlete = await loadOwnedAthlete(req, res, req.query.athleteId);
+    if (!athlete) return;
 
-    if (!finalAthleteId) {
+    const day = parseDayParam(req.params.date);
+    if (!day) {
       return res.status(400).json({
         success: false,
-        error: 'athleteId is required'
+        error: 'Invalid date',
+        message: 'Date must be YYYY-MM-DD'
       });
     }
 
-    // Verify athlete matches Firebase user
-    const athlete = await prisma.athlete.findFirst({
-      where: {
-        id: finalAthleteId,
-        firebaseId: firebaseId
-      }
-    });
-
-    if (!athlete) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
-
-    // Parse date
-    const workoutDate = new Date(date);
-    workoutDate.setHours(0, 0, 0, 0);
-
-    // Get workout for this date
-    const workout = await prisma.trainingDay.findFirst({
-      where: {
-        athleteId: finalAthleteId,
-        date: workoutDate
-      },
-      include: {
-        race: true,
-        trainingPlan: true,
-        sessions: {
-          orderBy: { startTime: 'desc' }
-        }
-      }
-    });
+    const { plan, workout, execution } = await getWorkoutForDay(athlete.id, day);
 
     if (!workout) {
       return res.status(404).json({
@@ -142,7 +194,9 @@ router.get('/date/:date', verifyFirebaseToken, async (req, res) => {
 
     res.json({
       success: true,
-      workout
+      workout,
+      plan: planSummary(plan),
+      execution
     });
   } catch (error) {
     console.error('❌ TRAINING DAY BY DATE error:', error);
@@ -156,49 +210,47 @@ router.get('/date/:date', verifyFirebaseToken, async (req, res) => {
 /**
  * Get all workouts for a week
  * GET /api/training/day/week/:weekIndex?athleteId=xxx&planId=xxx
+ * planId defaults to the athlete's active plan
  */
 router.get('/week/:weekIndex', verifyFirebaseToken, async (req, res) => {
   try {
     const prisma = getPrismaClient();
-    const { weekIndex } = req.params;
     const { athleteId, planId } = req.query;
-    const firebaseId = req.user?.uid;
+    const weekIndex = Number(req.params.weekIndex);
+
+    const athlete = await loadOwnedAthlete(req, res, athleteId);
+    if (!athlete) return;
 
-    if (!athleteId || !planId) {
+    if (!Number.isInteger(weekIndex) || weekIndex < 0) {
       return res.status(400).json({
         success: false,
-        error: 'athleteId and planId are required'
+        error: 'weekIndex must be a non-negative integer'
       });
     }
 
-    // Verify athlete matches Firebase user
-    const athlete = await prisma.athlete.findFirst({
-      where: {
-        id: athleteId,
-        firebaseId: firebaseId
-      }
-    });
+    const plan = planId
+      ? await prisma.trainingPlan.findFirst({ where: { id: planId, athleteId: athlete.id }, include: { race: true } })
+      : await getActivePlan(athlete.id);
 
-    if (!athlete) {
-      return res.status(403).json({
+    if (!plan) {
+      return res.status(404).json({
         success: false,
-        error: 'Unauthorized'
+        error: planId ? 'Training plan not found' : 'No active training plan found'
       });
     }
 
-    // Get workouts for this week
-    const workouts = await prisma.trainingDay.findMany({
-      where: {
-        athleteId,
-        trainingPlanId: planId,
-        weekIndex: parseInt(weekIndex)
-      },
-      orderBy: { dayIndex: 'asc' }
-    });
+    const [{ days, execution }, adjustments] = await Promise.all([
+      getMergedTrainingDays(plan.id, { weekIndex }),
+      getPlanAdjustments(plan.id, { weekIndex })
+    ]);
 
     res.json({
       success: true,
-      workouts
+      weekIndex,
+      workouts: days,
+      plan: planSummary(plan),
+      execution,
+      adjustments
     });
   } catch (error) {
     console.error('❌ TRAINING DAY WEEK error:', error);
@@ -213,60 +265,40 @@ router.get('/week/:weekIndex', verifyFirebaseToken, async (req, res) => {
  * Submit feedback for a workout
  * POST /api/training/day/:trainingDayId/feedback
  * Body: { mood, effort, injuryFlag, notes }
+ * trainingDayId is the TrainingDayPlanned id; feedback is stored on the executed day of the
+ * plan's active execution, so the plan must be started first.
+ * An injury flag or a very hard effort adapts the coming days - returned as adjustments.
  */
 router.post('/:trainingDayId/feedback', verifyFirebaseToken, async (req, res) => {
   try {
-    const prisma = getPrismaClient();
-    const { trainingDayId } = req.params;
-    const { mood, effort, injuryFlag, notes } = req.body;
-    const firebaseId = req.user?.uid;
-
-    // Get existing training day
-    const trainingDay = await prisma.trainingDay.findUnique({
-      where: { id: trainingDayId }
-    });
+    const { mood, effort, injuryFlag, notes } = req.body || {};
 
-    if (!trainingDay) {
-      return res.status(404).json({
+    if (effort != null && (!Number.isFinite(Number(effort)) || Number(effort) < 1 || Number(effort) > 10)) {
+      return res.status(400).json({
         success: false,
-        error: 'Training day not found'
+        error: 'effort must be between 1 and 10'
       });
     }
 
-    // Verify athlete matches Firebase user
-    const athlete = await prisma.athlete.findFirst({
-      where: {
-        id: trainingDay.athleteId,
-        firebaseId: firebaseId
-      }
-    });
+    const loaded = await loadPlannedDayForUpdate(req, res, 'logging feedback');
+    if (!loaded) return;
+    const { plannedDay, execution } = loaded;
 
-    if (!athlete) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
-
-    // Update feedback
-    const feedbackData = {
+    const feedback = {
       mood: mood || null,
-      effort: effort || null,
-      injuryFlag: injuryFlag || false,
+      effort: effort != null ? Number(effort) : null,
+      injuryFlag: injuryFlag === true,
       notes: notes || null,
       submittedAt: new Date()
     };
 
-    const updated = await prisma.trainingDay.update({
-      where: { id: trainingDayId },
-      data: {
-        feedback: feedbackData
-      }
-    });
+    const executed = await upsertExecutedDay(execution, plannedDay, { feedback });
+    const adjustments = await adaptPlanAfterFeedback(execution, plannedDay, executed);
 
     res.json({
       success: true,
-      workout: updated
+      workout: mergeTrainingDays([plannedDay], [executed])[0],
+      adjustments
     });
   } catch (error) {
     console.error('❌ TRAINING DAY FEEDBACK error:', error);
@@ -278,65 +310,185 @@ router.post('/:trainingDayId/feedback', verifyFirebaseToken, async (req, res) =>
 });
 
 /**
- * Update actual workout data (from Garmin sync)
- * PUT /api/training/day/:trainingDayId/actual
- * Body: { actualData: {...} }
+ * Runs the athlete could link to a planned day (the day itself and one day either side)
+ * GET /api/training/day/:trainingDayId/candidates
  */
-router.put('/:trainingDayId/actual', verifyFirebaseToken, async (req, res) => {
+router.get('/:trainingDayId/candidates', verifyFirebaseToken, async (req, res) => {
   try {
     const prisma = getPrismaClient();
-    const { trainingDayId } = req.params;
-    const { actualData } = req.body;
-    const firebaseId = req.user?.uid;
 
-    // Get existing training day
-    const trainingDay = await prisma.trainingDay.findUnique({
-      where: { id: trainingDayId }
+    const plannedDay = await prisma.trainingDayPlanned.findUnique({
+      where: { id: req.params.trainingDayId }
     });
 
-    if (!trainingDay) {
+    if (!plannedDay) {
       return res.status(404).json({
         success: false,
         error: 'Training day not found'
       });
     }
 
-    // Verify athlete matches Firebase user
-    const athlete = await prisma.athlete.findFirst({
+    const athlete = await loadOwnedAthlete(req, res, plannedDay.athleteId);
+    if (!athlete) return;
+
+    const day = startOfDay(plannedDay.date);
+    const from = new Date(day);
+    from.setDate(from.getDate() - 1);
+    const to = new Date(day);
+    to.setDate(to.getDate() + 2);
+
+    const activities = await prisma.athleteActivity.findMany({
       where: {
-        id: trainingDay.athleteId,
-        firebaseId: firebaseId
-      }
+        athleteId: athlete.id,
+        duplicateOfId: null,
+        startTime: { gte: from, lt: to }
+      },
+      select: {
+        id: true,
+        activityName: true,
+        activityType: true,
+        sport: true,
+        startTime: true,
+        distance: true,
+        duration: true,
+        paceSecondsPerMile: true,
+        averageHeartRate: true
+      },
+      orderBy: { startTime: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      candidates: activities.filter(isRunActivity)
     });
+  } catch (error) {
+    console.error('❌ TRAINING DAY CANDIDATES error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch candidate activities'
+    });
+  }
+});
 
-    if (!athlete) {
-      return res.status(403).json({
+/**
+ * Re-link a planned day by hand
+ * PUT /api/training/day/:trainingDayId/activity
+ * Body: { activityId } - one of the athlete's activities, or null to clear the day
+ * Manual links are kept: later syncs won't replace them.
+ */
+router.put('/:trainingDayId/activity', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { activityId } = req.body || {};
+
+    if (activityId === undefined || (activityId !== null && typeof activityId !== 'string')) {
+      return res.status(400).json({
         success: false,
-        error: 'Unauthorized'
+        error: 'activityId is required',
+        message: 'Send an activity id, or null to clear the day'
       });
     }
 
-    // Update actual data
-    const updated = await prisma.trainingDay.update({
-      where: { id: trainingDayId },
-      data: {
-        actualData
-      }
-    });
+    const loaded = await loadPlannedDayForUpdate(req, res, 'linking activities');
+    if (!loaded) return;
+    const { plannedDay, execution } = loaded;
+
+    const executed = await relinkTrainingDay(execution, plannedDay, activityId);
+
+    if (!executed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Activity not found'
+      });
+    }
 
     res.json({
       success: true,
-      workout: updated
+      workout: mergeTrainingDays([plannedDay], [executed])[0]
     });
   } catch (error) {
-    console.error('❌ TRAINING DAY ACTUAL UPDATE error:', error);
+    console.error('❌ TRAINING DAY ACTIVITY error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update actual data'
+      error: 'Failed to link activity'
     });
   }
 });
 
-export default router;
+/**
+ * Export a planned day as a structured workout for the watch
+ * GET /api/training/day/:trainingDayId/workout?format=fit|garmin&target=pace|hr
+ * fit → FIT workout file download, garmin → Garmin Training API workout JSON.
+ * target=hr uses bpm when the athlete's max HR is known, else the watch's HR zones.
+ */
+router.get('/:trainingDayId/workout', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { format = 'fit', target = 'pace' } = req.query;
 
+    if (!WORKOUT_EXPORT_FORMATS.includes(format) || !WORKOUT_EXPORT_TARGETS.includes(target)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export options',
+        message: `format must be one of: ${WORKOUT_EXPORT_FORMATS.join(', ')}; target must be one of: ${WORKOUT_EXPORT_TARGETS.join(', ')}`
+      });
+    }
+
+    const prisma = getPrismaClient();
+    const plannedDay = await prisma.trainingDayPlanned.findUnique({
+      where: { id: req.params.trainingDayId }
+    });
+
+    if (!plannedDay) {
+      return res.status(404).json({
+        success: false,
+        error: 'Training day not found'
+      });
+    }
+
+    const athlete = await loadOwnedAthlete(req, res, plannedDay.athleteId);
+    if (!athlete) return;
+
+    const { plannedData } = plannedDay;
+    const options = {
+      name: plannedData?.label,
+      target,
+      maxHeartRate: target === 'hr' ? await getAthleteMaxHeartRate(athlete.id) : null
+    };
 
+    if (format === 'garmin') {
+      return res.json({
+        success: true,
+        trainingDayId: plannedDay.id,
+        date: plannedDay.date,
+        workout: buildGarminWorkout(plannedData, options)
+      });
+    }
+
+    const file = encodeFitWorkout(plannedData, options);
+    const day = startOfDay(plannedDay.date);
+    const fileName = `gofast-${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}-${plannedData.type}.fit`;
+
+    console.log(`📤 TRAINING DAY WORKOUT: Exported ${fileName} (${target} targets) for athlete ${athlete.id}`);
+
+    res.set({
+      'Content-Type': 'application/vnd.ant.fit',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+    res.send(file);
+  } catch (error) {
+    if (error instanceof WorkoutExportError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot export workout',
+        message: error.message
+      });
+    }
+
+    console.error('❌ TRAINING DAY WORKOUT error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export workout'
+    });
+  }
+});
+
+export default router;
@@ -1,38 +1,60 @@
 // Training Plan Route
-// Manages training plans for races
+// Manages training plans for races and their executions (start → complete | cancel)
 
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
 import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
+import {
+  createTrainingPlan,
+  TrainingPlanGenerationError,
+  PLAN_TEMPLATE_KEYS
+} from '../../services/trainingPlanGeneratorService.js';
+import {
+  getMergedTrainingDays,
+  startPlanExecution,
+  finishPlanExecution,
+  EXECUTION_STATUS
+} from '../../services/trainingExecutionService.js';
+import { backfillExecutionMatches } from '../../services/trainingMatchService.js';
+import { getFitnessSummary } from '../../services/fitnessEstimationService.js';
+import { adaptPlanSchedule, getPlanAdjustments } from '../../services/trainingAdaptationService.js';
 
 const router = express.Router();
 
 /**
- * Get training plans for a race
- * GET /api/training/plan/race/:raceId
+ * Generate a training plan for a race
+ * POST /api/training/plan/generate
+ * Body: { athleteId, raceId, goalTime, baseline5k?, baselineWeeklyMileage?, startDate?, totalWeeks?,
+ *         template? ("5k" | "10k" | "half" | "marathon", default: from race type), trainingPlanName?, activate? }
+ * baseline5k is optional when the athlete has a 5K PR on record. Creates the plan, its phases and
+ * every planned day; activate: true starts it right away (like POST /:planId/start).
  */
-router.get('/race/:raceId', verifyFirebaseToken, async (req, res) => {
+router.post('/generate', verifyFirebaseToken, async (req, res) => {
   try {
     const prisma = getPrismaClient();
-    const { raceId } = req.params;
+    const { athleteId, raceId, goalTime, template } = req.body || {};
     const firebaseId = req.user?.uid;
 
-    // Get race to verify ownership
-    const race = await prisma.trainingRace.findUnique({
-      where: { id: raceId }
-    });
+    if (!athleteId || !raceId || !goalTime) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        required: ['athleteId', 'raceId', 'goalTime']
+      });
+    }
 
-    if (!race) {
-      return res.status(404).json({
+    if (template && !PLAN_TEMPLATE_KEYS.includes(template)) {
+      return res.status(400).json({
         success: false,
-        error: 'Race not found'
+        error: 'Invalid template',
+        message: `template must be one of: ${PLAN_TEMPLATE_KEYS.join(', ')}`
       });
     }
 
     // Verify athlete matches Firebase user
     const athlete = await prisma.athlete.findFirst({
       where: {
-        id: race.athleteId,
+        id: athleteId,
         firebaseId: firebaseId
       }
     });
@@ -44,12 +66,87 @@ router.get('/race/:raceId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Get all plans for this race
+    const race = await prisma.race.findUnique({
+      where: { id: raceId }
+    });
+
+    if (!race) {
+      return res.status(404).json({
+        success: false,
+        error: 'Race not found'
+      });
+    }
+
+    console.log(`🏗️ TRAINING PLAN GENERATE: ${race.raceName} (${race.raceType}) for athlete ${athleteId}`);
+
+    const { plan, execution, paceZones, warnings } = await createTrainingPlan(athleteId, race, {
+      goalTime,
+      template,
+      baseline5k: req.body.baseline5k,
+      baselineWeeklyMileage: req.body.baselineWeeklyMileage,
+      startDate: req.body.startDate,
+      totalWeeks: req.body.totalWeeks,
+      trainingPlanName: req.body.trainingPlanName,
+      activate: req.body.activate === true
+    });
+
+    const matched = execution ? await backfillExecutionMatches(execution) : 0;
+
+    res.status(201).json({
+      success: true,
+      plan,
+      execution,
+      matched,
+      paceZones,
+      warnings
+    });
+  } catch (error) {
+    if (error instanceof TrainingPlanGenerationError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot generate plan',
+        message: error.message
+      });
+    }
+
+    console.error('❌ TRAINING PLAN GENERATE error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to generate training plan'
+    });
+  }
+});
+
+/**
+ * Get training plans for a race
+ * GET /api/training/plan/race/:raceId
+ */
+router.get('/race/:raceId', verifyFirebaseToken, async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const { raceId } = req.params;
+    const firebaseId = req.user?.uid;
+
+    const race = await prisma.race.findUnique({
+      where: { id: raceId }
+    });
+
+    if (!race) {
+      return res.status(404).json({
+        success: false,
+        error: 'Race not found'
+      });
+    }
+
+    // Races are shared - only return the authenticated athlete's plans for it
     const plans = await prisma.trainingPlan.findMany({
-      where: { raceId },
+      where: {
+        raceId,
+        athlete: { firebaseId: firebaseId }
+      },
       include: {
-        trainingDays: {
-          orderBy: { date: 'asc' }
+        phases: {
+          orderBy: { phaseIndex: 'asc' }
         }
       },
       orderBy: { createdAt: 'desc' }
@@ -57,6 +154,7 @@ router.get('/race/:raceId', verifyFirebaseToken, async (req, res) => {
 
     res.json({
       success: true,
+      race,
       plans
     });
   } catch (error) {
@@ -108,8 +206,8 @@ router.get('/active', verifyFirebaseToken, async (req, res) => {
       },
       include: {
         race: true,
-        trainingDays: {
-          orderBy: { date: 'asc' }
+        phases: {
+          orderBy: { phaseIndex: 'asc' }
         }
       }
     });
@@ -122,9 +220,12 @@ router.get('/active', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    const { days, execution } = await getMergedTrainingDays(plan.id);
+
     res.json({
       success: true,
-      plan
+      plan: { ...plan, plannedDays: days },
+      execution
     });
   } catch (error) {
     console.error('❌ TRAINING PLAN ACTIVE error:', error);
@@ -149,8 +250,11 @@ router.get('/:planId', verifyFirebaseToken, async (req, res) => {
       where: { id: planId },
       include: {
         race: true,
-        trainingDays: {
-          orderBy: { date: 'asc' }
+        phases: {
+          orderBy: { phaseIndex: 'asc' }
+        },
+        executions: {
+          orderBy: { startedAt: 'desc' }
         }
       }
     });
@@ -177,9 +281,12 @@ router.get('/:planId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    const { days, execution } = await getMergedTrainingDays(plan.id);
+
     res.json({
       success: true,
-      plan
+      plan: { ...plan, plannedDays: days },
+      execution
     });
   } catch (error) {
     console.error('❌ TRAINING PLAN GET error:', error);
@@ -236,8 +343,17 @@ router.put('/:planId/status', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // If activating a plan, deactivate all other plans for this athlete
+    // If activating a plan, deactivate all other plans (and stop their executions) for this athlete
     if (status === 'active') {
+      await prisma.trainingPlanExecution.updateMany({
+        where: {
+          status: EXECUTION_STATUS.ACTIVE,
+          trainingPlan: { athleteId: plan.athleteId, id: { not: planId } }
+        },
+        data: {
+          status: EXECUTION_STATUS.CANCELLED
+        }
+      });
       await prisma.trainingPlan.updateMany({
         where: {
           athleteId: plan.athleteId,
@@ -247,6 +363,9 @@ router.put('/:planId/status', verifyFirebaseToken, async (req, res) => {
           status: 'archived'
         }
       });
+    } else {
+      // Leaving 'active' ends the running execution too (no-op if the plan was never started)
+      await finishPlanExecution(plan, status === 'completed' ? EXECUTION_STATUS.COMPLETED : EXECUTION_STATUS.CANCELLED);
     }
 
     // Update plan
@@ -268,6 +387,246 @@ router.put('/:planId/status', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * Load a plan and verify it belongs to the authenticated athlete
+ * Sends the error response itself and returns null when access is denied.
+ */
+async function loadOwnedPlan(req, res) {
+  const prisma = getPrismaClient();
+  const { planId } = req.params;
+
+  const plan = await prisma.trainingPlan.findUnique({
+    where: { id: planId },
+    include: {
+      athlete: { select: { firebaseId: true } },
+      race: true
+    }
+  });
+
+  if (!plan) {
+    res.status(404).json({
+      success: false,
+      error: 'Training plan not found'
+    });
+    return null;
+  }
+
+  if (plan.athlete.firebaseId !== req.user?.uid) {
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized'
+    });
+    return null;
+  }
+
+  const { athlete, ...rest } = plan;
+  return rest;
+}
+
+/**
+ * Start following a plan
+ * POST /api/training/plan/:planId/start
+ * Creates a TrainingPlanExecution, makes the plan active and archives the athlete's other active plans.
+ * Runs already logged on the plan's past days are linked right away.
+ */
+router.post('/:planId/start', verifyFirebaseToken, async (req, res) => {
+  try {
+    const plan = await loadOwnedPlan(req, res);
+    if (!plan) return;
+
+    if (['completed', 'archived'].includes(plan.status) && req.body?.restart !== true) {
+      return res.status(409).json({
+        success: false,
+        error: `Plan is ${plan.status}`,
+        message: 'Send { restart: true } to run it again'
+      });
+    }
+
+    const execution = await startPlanExecution(plan);
+
+    if (!execution) {
+      return res.status(409).json({
+        success: false,
+        error: 'Plan already started'
+      });
+    }
+
+    const matched = await backfillExecutionMatches(execution);
+
+    res.status(201).json({
+      success: true,
+      execution,
+      matched
+    });
+  } catch (error) {
+    console.error('❌ TRAINING PLAN START error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start training plan'
+    });
+  }
+});
+
+/**
+ * Complete a plan (execution → completed, plan → completed)
+ * POST /api/training/plan/:planId/complete
+ */
+router.post('/:planId/complete', verifyFirebaseToken, async (req, res) => {
+  try {
+    const plan = await loadOwnedPlan(req, res);
+    if (!plan) return;
+
+    const execution = await finishPlanExecution(plan, EXECUTION_STATUS.COMPLETED);
+
+    if (!execution) {
+      return res.status(409).json({
+        success: false,
+        error: 'Plan not started',
+        message: 'This plan has no running execution'
+      });
+    }
+
+    res.json({
+      success: true,
+      execution
+    });
+  } catch (error) {
+    console.error('❌ TRAINING PLAN COMPLETE error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to complete training plan'
+    });
+  }
+});
+
+/**
+ * Cancel a plan (execution → cancelled, plan → archived)
+ * POST /api/training/plan/:planId/cancel
+ */
+router.post('/:planId/cancel', verifyFirebaseToken, async (req, res) => {
+  try {
+    const plan = await loadOwnedPlan(req, res);
+    if (!plan) return;
+
+    const execution = await finishPlanExecution(plan, EXECUTION_STATUS.CANCELLED);
+
+    if (!execution) {
+      return res.status(409).json({
+        success: false,
+        error: 'Plan not started',
+        message: 'This plan has no running execution'
+      });
+    }
+
+    res.json({
+      success: true,
+      execution
+    });
+  } catch (error) {
+    console.error('❌ TRAINING PLAN CANCEL error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel training plan'
+    });
+  }
+});
+
+/**
+ * Adaptive 5K prediction and projected race-day finish
+ * GET /api/training/plan/:planId/fitness
+ * Re-estimated from every workout linked to the plan (see services/fitnessEstimationService.js)
+ */
+router.get('/:planId/fitness', verifyFirebaseToken, async (req, res) => {
+  try {
+    const plan = await loadOwnedPlan(req, res);
+    if (!plan) return;
+
+    const fitness = await getFitnessSummary(plan);
+
+    res.json({
+      success: true,
+      fitness
+    });
+  } catch (error) {
+    console.error('❌ TRAINING PLAN FITNESS error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch fitness prediction'
+    });
+  }
+});
+
+/**
+ * Changes the plan made to itself, with reasons
+ * GET /api/training/plan/:planId/adjustments?weekIndex=xxx
+ */
+router.get('/:planId/adjustments', verifyFirebaseToken, async (req, res) => {
+  try {
+    const plan = await loadOwnedPlan(req, res);
+    if (!plan) return;
+
+    const { weekIndex } = req.query;
+    if (weekIndex !== undefined && !(Number.isInteger(Number(weekIndex)) && Number(weekIndex) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'weekIndex must be a non-negative integer'
+      });
+    }
+
+    const adjustments = await getPlanAdjustments(plan.id, weekIndex !== undefined ? { weekIndex: Number(weekIndex) } : {});
+
+    res.json({
+      success: true,
+      adjustments
+    });
+  } catch (error) {
+    console.error('❌ TRAINING PLAN ADJUSTMENTS error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch plan adjustments'
+    });
+  }
+});
+
+/**
+ * Re-check the schedule now (missed workouts, weekly mileage ramp)
+ * POST /api/training/plan/:planId/adapt
+ * Also runs after every sync and daily via scripts/adaptTrainingPlans.js
+ */
+router.post('/:planId/adapt', verifyFirebaseToken, async (req, res) => {
+  try {
+    const prisma = getPrismaClient();
+    const plan = await loadOwnedPlan(req, res);
+    if (!plan) return;
+
+    const execution = await prisma.trainingPlanExecution.findFirst({
+      where: { trainingPlanId: plan.id, status: EXECUTION_STATUS.ACTIVE },
+      orderBy: { startedAt: 'desc' }
+    });
+
+    if (!execution) {
+      return res.status(409).json({
+        success: false,
+        error: 'Plan not started',
+        message: 'This plan has no running execution'
+      });
+    }
+
+    const adjustments = await adaptPlanSchedule(execution);
+
+    res.json({
+      success: true,
+      adjustments
+    });
+  } catch (error) {
+    console.error('❌ TRAINING PLAN ADAPT error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to adapt training plan'
+    });
+  }
+});
+
 export default router;
 
 
@@ -1,5 +1,6 @@
 // Training Race Route
-// Manages race goals and race-related data
+// Manages races (shared Race events) - goals and baselines live on the athlete's TrainingPlan
+// (POST /api/training/plan/generate)
 
 import express from 'express';
 import { getPrismaClient } from '../../config/database.js';
@@ -7,10 +8,55 @@ import { verifyFirebaseToken } from '../../middleware/firebaseMiddleware.js';
 
 const router = express.Router();
 
+const RACE_TYPES = ['5k', '10k', '10m', 'half', 'marathon', 'other'];
+const UPDATABLE_FIELDS = ['raceName', 'raceType', 'raceDate', 'distanceMiles', 'location', 'registrationUrl', 'description', 'courseProfile'];
+
+function weeksUntil(date) {
+  const weeksAway = Math.ceil((new Date(date) - new Date()) / (1000 * 60 * 60 * 24 * 7));
+  return weeksAway > 0 ? weeksAway : null;
+}
+
 /**
- * Create a new training race
+ * Load a race and verify the authenticated athlete created it
+ * Sends the error response itself and returns null when access is denied.
+ */
+async function loadOwnedRace(req, res) {
+  const prisma = getPrismaClient();
+  const { raceId } = req.params;
+
+  const race = await prisma.race.findUnique({
+    where: { id: raceId },
+    include: {
+      createdByAthlete: { select: { firebaseId: true } }
+    }
+  });
+
+  if (!race) {
+    res.status(404).json({
+      success: false,
+      error: 'Race not found'
+    });
+    return null;
+  }
+
+  if (!race.createdByAthlete || race.createdByAthlete.firebaseId !== req.user?.uid) {
+    res.status(403).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Only the athlete who created this race can change it'
+    });
+    return null;
+  }
+
+  const { createdByAthlete, ...rest } = race;
+  return rest;
+}
+
+/**
+ * Create a new race
  * POST /api/training/race/create
- * Body: { athleteId, raceName, raceType, raceDate, goalTime, goalPace, baseline5k, baselineWeeklyMileage, distanceMiles, location }
+ * Body: { athleteId, raceName, raceType, raceDate, distanceMiles, location?, registrationUrl?, description? }
+ * Then generate a plan for it with POST /api/training/plan/generate (goal time, baseline 5K).
  */
 router.post('/create', verifyFirebaseToken, async (req, res) => {
   try {
@@ -20,23 +66,39 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
       raceName,
       raceType,
       raceDate,
-      goalTime,
-      goalPace,
-      baseline5k,
-      baselineWeeklyMileage,
       distanceMiles,
-      location
+      location,
+      registrationUrl,
+      description
     } = req.body;
     const firebaseId = req.user?.uid;
 
     console.log('🏁 TRAINING RACE CREATE: Creating race:', raceName);
 
     // Validation
-    if (!athleteId || !raceName || !raceType || !raceDate || !goalTime || !baseline5k || !distanceMiles) {
+    if (!athleteId || !raceName || !raceType || !raceDate || !distanceMiles) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields',
-        required: ['athleteId', 'raceName', 'raceType', 'raceDate', 'goalTime', 'baseline5k', 'distanceMiles']
+        required: ['athleteId', 'raceName', 'raceType', 'raceDate', 'distanceMiles']
+      });
+    }
+
+    if (!RACE_TYPES.includes(raceType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid raceType',
+        message: `raceType must be one of: ${RACE_TYPES.join(', ')}`
+      });
+    }
+
+    const raceDateTime = new Date(raceDate);
+    const miles = parseFloat(distanceMiles);
+    if (Number.isNaN(raceDateTime.getTime()) || !(miles > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid race',
+        message: 'raceDate must be a date and distanceMiles a positive number'
       });
     }
 
@@ -56,26 +118,17 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Calculate weeks away
-    const raceDateTime = new Date(raceDate);
-    const now = new Date();
-    const weeksAway = Math.ceil((raceDateTime - now) / (1000 * 60 * 60 * 24 * 7));
-
     // Create race
-    const race = await prisma.trainingRace.create({
+    const race = await prisma.race.create({
       data: {
-        athleteId,
         raceName: raceName.trim(),
         raceType,
         raceDate: raceDateTime,
-        goalTime,
-        goalPace: goalPace || null,
-        baseline5k,
-        baselineWeeklyMileage: baselineWeeklyMileage || null,
-        distanceMiles: parseFloat(distanceMiles),
-        weeksAway: weeksAway > 0 ? weeksAway : null,
+        distanceMiles: miles,
         location: location || null,
-        status: 'planning'
+        registrationUrl: registrationUrl || null,
+        description: description || null,
+        createdByAthleteId: athleteId
       }
     });
 
@@ -83,7 +136,7 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
 
     res.json({
       success: true,
-      race
+      race: { ...race, weeksAway: weeksUntil(race.raceDate) }
     });
   } catch (error) {
     console.error('❌ TRAINING RACE CREATE error:', error);
@@ -96,7 +149,7 @@ router.post('/create', verifyFirebaseToken, async (req, res) => {
 });
 
 /**
- * Get all races for an athlete
+ * Get all races for an athlete (created by them or with one of their plans)
  * GET /api/training/race/all?athleteId=xxx
  */
 router.get('/all', verifyFirebaseToken, async (req, res) => {
@@ -127,15 +180,25 @@ router.get('/all', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Get all races
-    const races = await prisma.trainingRace.findMany({
-      where: { athleteId },
+    const races = await prisma.race.findMany({
+      where: {
+        OR: [
+          { createdByAthleteId: athleteId },
+          { trainingPlans: { some: { athleteId } } }
+        ]
+      },
+      include: {
+        trainingPlans: {
+          where: { athleteId },
+          orderBy: { createdAt: 'desc' }
+        }
+      },
       orderBy: { raceDate: 'asc' }
     });
 
     res.json({
       success: true,
-      races
+      races: races.map(race => ({ ...race, weeksAway: weeksUntil(race.raceDate) }))
     });
   } catch (error) {
     console.error('❌ TRAINING RACE GET ALL error:', error);
@@ -147,7 +210,7 @@ router.get('/all', verifyFirebaseToken, async (req, res) => {
 });
 
 /**
- * Get single race by ID
+ * Get single race by ID (with the authenticated athlete's plans for it)
  * GET /api/training/race/:raceId
  */
 router.get('/:raceId', verifyFirebaseToken, async (req, res) => {
@@ -156,13 +219,17 @@ router.get('/:raceId', verifyFirebaseToken, async (req, res) => {
     const { raceId } = req.params;
     const firebaseId = req.user?.uid;
 
-    const race = await prisma.trainingRace.findUnique({
+    const race = await prisma.race.findUnique({
       where: { id: raceId },
       include: {
         trainingPlans: {
+          where: { athlete: { firebaseId: firebaseId } },
           include: {
-            trainingDays: true
-          }
+            phases: {
+              orderBy: { phaseIndex: 'asc' }
+            }
+          },
+          orderBy: { createdAt: 'desc' }
         }
       }
     });
@@ -174,24 +241,9 @@ router.get('/:raceId', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    // Verify athlete matches Firebase user
-    const athlete = await prisma.athlete.findFirst({
-      where: {
-        id: race.athleteId,
-        firebaseId: firebaseId
-      }
-    });
-
-    if (!athlete) {
-      return res.status(403).json({
-        success: false,
-        error: 'Unauthorized'
-      });
-    }
-
     res.json({
       success: true,
-      race
+      race: { ...race, weeksAway: weeksUntil(race.raceDate) }
     });
   } catch (error) {
     console.error('❌ TRAINING RACE GET error:', error);
@@ -205,57 +257,37 @@ router.get('/:raceId', verifyFirebaseToken, async (req, res) => {
 /**
  * Update race
  * PUT /api/training/race/:raceId
+ * Body: any of raceName, raceType, raceDate, distanceMiles, location, registrationUrl, description, courseProfile
  */
 router.put('/:raceId', verifyFirebaseToken, async (req, res) => {
   try {
     const prisma = getPrismaClient();
-    const { raceId } = req.params;
-    const firebaseId = req.user?.uid;
-    const updates = req.body;
-
-    // Get existing race
-    const race = await prisma.trainingRace.findUnique({
-      where: { id: raceId }
-    });
+    const race = await loadOwnedRace(req, res);
+    if (!race) return;
 
-    if (!race) {
-      return res.status(404).json({
-        success: false,
-        error: 'Race not found'
-      });
-    }
+    const updates = Object.fromEntries(
+      UPDATABLE_FIELDS.filter(field => req.body?.[field] !== undefined).map(field => [field, req.body[field]])
+    );
 
-    // Verify athlete matches Firebase user
-    const athlete = await prisma.athlete.findFirst({
-      where: {
-        id: race.athleteId,
-        firebaseId: firebaseId
-      }
-    });
-
-    if (!athlete) {
-      return res.status(403).json({
+    if (updates.raceType && !RACE_TYPES.includes(updates.raceType)) {
+      return res.status(400).json({
         success: false,
-        error: 'Unauthorized'
+        error: 'Invalid raceType',
+        message: `raceType must be one of: ${RACE_TYPES.join(', ')}`
       });
     }
-
-    // Recalculate weeks away if raceDate updated
-    if (updates.raceDate) {
-      const raceDateTime = new Date(updates.raceDate);
-      const now = new Date();
-      updates.weeksAway = Math.ceil((raceDateTime - now) / (1000 * 60 * 60 * 24 * 7));
-    }
+    if (updates.raceDate) updates.raceDate = new Date(updates.raceDate);
+    if (updates.distanceMiles != null) updates.distanceMiles = parseFloat(updates.distanceMiles);
 
     // Update race
-    const updatedRace = await prisma.trainingRace.update({
-      where: { id: raceId },
+    const updatedRace = await prisma.race.update({
+      where: { id: race.id },
       data: updates
     });
 
     res.json({
       success: true,
-      race: updatedRace
+      race: { ...updatedRace, weeksAway: weeksUntil(updatedRace.raceDate) }
     });
   } catch (error) {
     console.error('❌ TRAINING RACE UPDATE error:', error);
@@ -273,39 +305,25 @@ router.put('/:raceId', verifyFirebaseToken, async (req, res) => {
 router.delete('/:raceId', verifyFirebaseToken, async (req, res) => {
   try {
     const prisma = getPrismaClient();
-    const { raceId } = req.params;
-    const firebaseId = req.user?.uid;
-
-    // Get existing race
-    const race = await prisma.trainingRace.findUnique({
-      where: { id: raceId }
-    });
-
-    if (!race) {
-      return res.status(404).json({
-        success: false,
-        error: 'Race not found'
-      });
-    }
+    const race = await loadOwnedRace(req, res);
+    if (!race) return;
 
-    // Verify athlete matches Firebase user
-    const athlete = await prisma.athlete.findFirst({
-      where: {
-        id: race.athleteId,
-        firebaseId: firebaseId
-      }
+    // Other athletes may be training for it
+    const otherPlans = await prisma.trainingPlan.count({
+      where: { raceId: race.id, athleteId: { not: race.createdByAthleteId } }
     });
 
-    if (!athlete) {
-      return res.status(403).json({
+    if (otherPlans > 0) {
+      return res.status(409).json({
         success: false,
-        error: 'Unauthorized'
+        error: 'Race in use',
+        message: 'Other athletes have training plans for this race'
       });
     }
 
     // Delete race (cascade will delete related plans and days)
-    await prisma.trainingRace.delete({
-      where: { id: raceId }
+    await prisma.race.delete({
+      where: { id: race.id }
     });
 
     res.json({
@@ -322,5 +340,3 @@ router.delete('/:raceId', verifyFirebaseToken, async (req, res) => {
 });
 
 export default router;
-
-
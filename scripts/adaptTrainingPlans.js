@@ -0,0 +1,42 @@
+import dotenv from "dotenv";
+import { getPrismaClient } from '../config/database.js';
+import { adaptPlanSchedule } from '../services/trainingAdaptationService.js';
+import { EXECUTION_STATUS } from '../services/trainingExecutionService.js';
+
+dotenv.config();
+
+// Daily pass over running plans: moves recently missed workouts and keeps the weekly ramp safe
+// (athletes who don't sync still get their week adjusted). Scheduled as a Render cron (render.yaml).
+// Usage: node scripts/adaptTrainingPlans.js [trainingPlanId]
+const adaptAllTrainingPlans = async () => {
+  const prisma = getPrismaClient();
+  let adjusted = 0;
+
+  try {
+    const onlyPlanId = process.argv[2];
+
+    const executions = await prisma.trainingPlanExecution.findMany({
+      where: {
+        status: EXECUTION_STATUS.ACTIVE,
+        ...(onlyPlanId ? { trainingPlanId: onlyPlanId } : {})
+      }
+    });
+
+    console.log(`🔧 TRAINING ADAPT: ${executions.length} running plan(s)`);
+
+    for (const execution of executions) {
+      const adjustments = await adaptPlanSchedule(execution);
+      adjusted += adjustments.length;
+    }
+
+    console.log(`🎉 TRAINING ADAPT: Done (${adjusted} day(s) adjusted)`);
+
+  } catch (error) {
+    console.error('❌ TRAINING ADAPT: Error:', error);
+    process.exitCode = 1;
+  } finally {
+    process.exit(process.exitCode || 0);
+  }
+};
+
+adaptAllTrainingPlans();
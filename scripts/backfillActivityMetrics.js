@@ -0,0 +1,55 @@
+import dotenv from "dotenv";
+import { getPrismaClient } from '../config/database.js';
+import { updateActivityMetrics } from '../services/activityMetricsService.js';
+
+dotenv.config();
+
+// Computes derived metrics (pace, GAP, best efforts, HR zones, training load) for existing activities
+// Usage: node scripts/backfillActivityMetrics.js [--all]   (default: only rows never computed)
+const RECOMPUTE_ALL = process.argv.includes('--all');
+const BATCH_SIZE = 50;
+
+const backfillActivityMetrics = async () => {
+  const prisma = getPrismaClient();
+
+  let cursor = null;
+  let computed = 0;
+  let failed = 0;
+
+  try {
+    console.log(`📈 METRICS BACKFILL: Starting${RECOMPUTE_ALL ? ' (all activities)' : ''}...`);
+
+    while (true) {
+      const activities = await prisma.athleteActivity.findMany({
+        where: RECOMPUTE_ALL ? {} : { metricsComputedAt: null },
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+      });
+
+      if (activities.length === 0) break;
+      cursor = activities[activities.length - 1].id;
+
+      for (const activity of activities) {
+        const metrics = await updateActivityMetrics(activity.id);
+        if (metrics) {
+          computed++;
+        } else {
+          failed++;
+        }
+      }
+
+      console.log(`🔄 METRICS BACKFILL: ${computed} computed, ${failed} failed so far`);
+    }
+
+    console.log(`🎉 METRICS BACKFILL: Done - computed ${computed}, failed ${failed}`);
+
+  } catch (error) {
+    console.error('❌ METRICS BACKFILL: Error:', error);
+  } finally {
+    process.exit(failed > 0 ? 1 : 0);
+  }
+};
+
+backfillActivityMetrics();
@@ -0,0 +1,79 @@
+import dotenv from "dotenv";
+import { getPrismaClient } from '../config/database.js';
+import { classifyActivityType } from '../services/activityTypeService.js';
+
+dotenv.config();
+
+// Classifies existing activities into canonical sport/sub-type (aggregates filter on AthleteActivity.sport)
+// Usage: node scripts/backfillActivitySports.js [--all]   (default: only rows never classified; --all after taxonomy changes)
+// Runs on every deploy (npm run deploy) so rows synced before classification existed are counted
+const RECLASSIFY_ALL = process.argv.includes('--all');
+const BATCH_SIZE = 200;
+
+const backfillActivitySports = async () => {
+  const prisma = getPrismaClient();
+
+  let cursor = null;
+  const skippedIds = []; // Still unclassified after this run (no sport for the type, or the update failed)
+  let classified = 0;
+  let unchanged = 0;
+  let failed = 0;
+  const sportCounts = {};
+
+  try {
+    console.log(`🏷️ SPORT BACKFILL: Starting${RECLASSIFY_ALL ? ' (all activities)' : ''}...`);
+
+    while (true) {
+      // Classified rows drop out of the sport: null filter, so that mode re-reads the first batch
+      // each time instead of paging (a cursor would skip rows). --all doesn't shrink and pages by id.
+      const activities = await prisma.athleteActivity.findMany({
+        where: RECLASSIFY_ALL
+          ? {}
+          : { sport: null, activityType: { not: null }, id: { notIn: skippedIds } },
+        select: { id: true, activityType: true, sport: true, sportSubType: true },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(RECLASSIFY_ALL && cursor ? { skip: 1, cursor: { id: cursor } } : {})
+      });
+
+      if (activities.length === 0) break;
+      cursor = activities[activities.length - 1].id;
+
+      for (const activity of activities) {
+        const { sport, sportSubType } = classifyActivityType(activity.activityType);
+        sportCounts[sport || 'none'] = (sportCounts[sport || 'none'] || 0) + 1;
+
+        if (sport === activity.sport && sportSubType === activity.sportSubType) {
+          if (!sport) skippedIds.push(activity.id);
+          unchanged++;
+          continue;
+        }
+
+        try {
+          await prisma.athleteActivity.update({
+            where: { id: activity.id },
+            data: { sport, sportSubType }
+          });
+          classified++;
+        } catch (error) {
+          console.error(`❌ SPORT BACKFILL: Failed to classify activity ${activity.id}:`, error.message);
+          skippedIds.push(activity.id);
+          failed++;
+        }
+      }
+
+      console.log(`🔄 SPORT BACKFILL: ${classified} classified, ${unchanged} unchanged, ${failed} failed so far`);
+    }
+
+    console.log(`📊 SPORT BACKFILL: By sport:`, sportCounts);
+    console.log(`🎉 SPORT BACKFILL: Done - classified ${classified}, unchanged ${unchanged}, failed ${failed}`);
+
+  } catch (error) {
+    console.error('❌ SPORT BACKFILL: Error:', error);
+    failed++;
+  } finally {
+    process.exit(failed > 0 ? 1 : 0);
+  }
+};
+
+backfillActivitySports();
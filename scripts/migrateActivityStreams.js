@@ -0,0 +1,78 @@
+import dotenv from "dotenv";
+import { getPrismaClient } from '../config/database.js';
+import GarminFieldMapper from '../services/GarminFieldMapper.js';
+import { saveActivityStreams } from '../services/activityStreamService.js';
+
+dotenv.config();
+
+// Moves detailData.samples (legacy) into ActivityStream rows and strips them from detailData
+// Usage: node scripts/migrateActivityStreams.js [--dry-run]
+const DRY_RUN = process.argv.includes('--dry-run');
+const BATCH_SIZE = 25; // detailData blobs with samples can be several MB each
+
+const migrateActivityStreams = async () => {
+  const prisma = getPrismaClient();
+
+  let cursor = null;
+  let scanned = 0;
+  let migrated = 0;
+  let failed = 0;
+
+  try {
+    console.log(`🚚 STREAMS MIGRATION: Starting${DRY_RUN ? ' (dry run)' : ''}...`);
+
+    while (true) {
+      // Only hydrated activities can have samples in detailData
+      const activities = await prisma.athleteActivity.findMany({
+        where: { hydratedAt: { not: null } },
+        select: { id: true, sourceActivityId: true, detailData: true },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+      });
+
+      if (activities.length === 0) break;
+      cursor = activities[activities.length - 1].id;
+
+      for (const activity of activities) {
+        scanned++;
+        const samples = activity.detailData?.samples;
+        if (!Array.isArray(samples) || samples.length === 0) continue;
+
+        console.log(`🔄 STREAMS MIGRATION: ${activity.id} (${activity.sourceActivityId}) - ${samples.length} samples`);
+
+        if (DRY_RUN) {
+          migrated++;
+          continue;
+        }
+
+        try {
+          const streams = GarminFieldMapper.mapSampleStreams(samples);
+          await saveActivityStreams(activity.id, streams);
+
+          const { samples: _removed, ...detailData } = activity.detailData;
+          await prisma.athleteActivity.update({
+            where: { id: activity.id },
+            data: {
+              detailData: { ...detailData, sampleCount: samples.length }
+            }
+          });
+
+          migrated++;
+        } catch (error) {
+          failed++;
+          console.error(`❌ STREAMS MIGRATION: Failed for ${activity.id}:`, error.message);
+        }
+      }
+    }
+
+    console.log(`🎉 STREAMS MIGRATION: Done - scanned ${scanned}, migrated ${migrated}, failed ${failed}`);
+
+  } catch (error) {
+    console.error('❌ STREAMS MIGRATION: Error:', error);
+  } finally {
+    process.exit(failed > 0 ? 1 : 0);
+  }
+};
+
+migrateActivityStreams();
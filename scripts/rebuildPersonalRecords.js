@@ -0,0 +1,43 @@
+import dotenv from "dotenv";
+import { getPrismaClient } from '../config/database.js';
+import { rebuildPersonalRecords } from '../services/personalRecordService.js';
+
+dotenv.config();
+
+// Rebuilds PR history for every athlete with activities (run after scripts/backfillActivityMetrics.js)
+// Usage: node scripts/rebuildPersonalRecords.js [athleteId]
+const rebuildAllPersonalRecords = async () => {
+  const prisma = getPrismaClient();
+  let failed = 0;
+
+  try {
+    const onlyAthleteId = process.argv[2];
+
+    const athletes = onlyAthleteId
+      ? [{ athleteId: onlyAthleteId }]
+      : await prisma.athleteActivity.findMany({
+          distinct: ['athleteId'],
+          select: { athleteId: true }
+        });
+
+    console.log(`🏆 PR REBUILD: ${athletes.length} athlete(s)`);
+
+    for (const { athleteId } of athletes) {
+      try {
+        await rebuildPersonalRecords(athleteId);
+      } catch (error) {
+        failed++;
+        console.error(`❌ PR REBUILD: Failed for athlete ${athleteId}:`, error.message);
+      }
+    }
+
+    console.log(`🎉 PR REBUILD: Done (${failed} failed)`);
+
+  } catch (error) {
+    console.error('❌ PR REBUILD: Error:', error);
+  } finally {
+    process.exit(failed > 0 ? 1 : 0);
+  }
+};
+
+rebuildAllPersonalRecords();
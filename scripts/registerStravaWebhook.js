@@ -0,0 +1,76 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Strava allows ONE push subscription per app - this script checks for it and creates it if missing
+const STRAVA_PUSH_API = "https://www.strava.com/api/v3/push_subscriptions";
+const BACKEND_URL = process.env.BACKEND_URL || "https://gofastbackendv2-fall2025.onrender.com";
+const CALLBACK_URL = `${BACKEND_URL}/api/strava/webhook`;
+
+(async () => {
+  try {
+    const clientId = process.env.STRAVA_CLIENT_ID;
+    const clientSecret = process.env.STRAVA_CLIENT_SECRET;
+    const verifyToken = process.env.STRAVA_WEBHOOK_VERIFY_TOKEN;
+
+    if (!clientId || !clientSecret || !verifyToken) {
+      throw new Error("❌ Missing STRAVA_CLIENT_ID, STRAVA_CLIENT_SECRET or STRAVA_WEBHOOK_VERIFY_TOKEN in .env");
+    }
+
+    // STEP 1: Check existing subscription
+    console.log("🔍 Checking Strava push subscriptions...");
+    const checkRes = await fetch(
+      `${STRAVA_PUSH_API}?client_id=${encodeURIComponent(clientId)}&client_secret=${encodeURIComponent(clientSecret)}`
+    );
+
+    if (!checkRes.ok) {
+      const errorText = await checkRes.text();
+      throw new Error(`❌ Failed to check subscriptions: ${checkRes.status} - ${errorText}`);
+    }
+
+    const current = await checkRes.json();
+    console.log("📦 Current subs:", JSON.stringify(current, null, 2));
+
+    const already = Array.isArray(current) && current.some(s => s.callback_url === CALLBACK_URL);
+    if (already) {
+      console.log("✅ Already subscribed to:", CALLBACK_URL);
+      process.exit(0);
+    }
+
+    if (Array.isArray(current) && current.length > 0) {
+      console.error("❌ A subscription with a different callback already exists - delete it first:", current[0].id);
+      process.exit(1);
+    }
+
+    // STEP 2: Register new subscription (Strava calls GET /api/strava/webhook to validate)
+    console.log("🚀 Registering Strava push subscription...");
+    console.log("📡 Callback URL:", CALLBACK_URL);
+
+    const res = await fetch(STRAVA_PUSH_API, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        client_id: clientId,
+        client_secret: clientSecret,
+        callback_url: CALLBACK_URL,
+        verify_token: verifyToken,
+      }),
+    });
+
+    const data = await res.json();
+    console.log("📡 Strava Response:", JSON.stringify(data, null, 2));
+
+    if (res.ok) {
+      console.log("✅ Done. Status:", res.status);
+      console.log("🎉 Strava webhook registered successfully! Subscription id:", data.id);
+    } else {
+      console.error("❌ Failed to register webhook. Status:", res.status);
+      console.error("❌ Response:", data);
+      process.exit(1);
+    }
+
+  } catch (err) {
+    console.error("💥 Strava webhook registration failed:", err);
+    process.exit(1);
+  }
+})();
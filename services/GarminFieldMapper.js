@@ -3,6 +3,8 @@
  * Maps Garmin API fields to our AthleteActivity model
  */
 
+import { classifyActivityType } from './activityTypeService.js';
+
 export class GarminFieldMapper {
   
   /**
@@ -21,6 +23,7 @@ export class GarminFieldMapper {
       
       // Core Activity Data (Summary)
       activityType: garminActivity.activityType?.typeKey || null,
+      ...classifyActivityType(garminActivity.activityType?.typeKey),
       activityName: garminActivity.activityName || null,
       startTime: garminActivity.startTimeLocal ? new Date(garminActivity.startTimeLocal) : null,
       duration: garminActivity.durationInSeconds || null,
@@ -118,6 +121,11 @@ export class GarminFieldMapper {
     if (garminActivity.activityLevel) {
       summaryData.activityLevel = garminActivity.activityLevel;
     }
+
+    // Local time offset at the start - places the activity on the athlete's calendar day
+    if (Number.isFinite(garminActivity.startTimeOffsetInSeconds)) {
+      summaryData.startTimeOffsetInSeconds = garminActivity.startTimeOffsetInSeconds;
+    }
     
     // Return null if no summary data
     return Object.keys(summaryData).length > 0 ? summaryData : null;
@@ -173,17 +181,10 @@ export class GarminFieldMapper {
       detailData.heartRateZones = garminDetails.timeInHeartRateZones;
     }
     
-    // Raw samples (optional streams) - THIS CAN BE A MASSIVE ARRAY
-    if (garminDetails.samples) {
-      const samplesArray = Array.isArray(garminDetails.samples) ? garminDetails.samples : [];
-      const samplesSize = JSON.stringify(garminDetails.samples).length;
-      console.log(`📊 Mapped samples: ${samplesArray.length} items, ~${Math.round(samplesSize / 1024)}KB`);
-      
-      if (samplesArray.length > 10000) {
-        console.warn(`⚠️ Large samples array detected: ${samplesArray.length} items - this will be stored in detailData JSON`);
-      }
-      
-      detailData.samples = garminDetails.samples;
+    // Raw samples are NOT stored here - they go to ActivityStream (see mapSampleStreams)
+    // Only keep the count so consumers know streams exist
+    if (Array.isArray(garminDetails.samples) && garminDetails.samples.length > 0) {
+      detailData.sampleCount = garminDetails.samples.length;
     }
     
     // Log total detailData size
@@ -194,6 +195,49 @@ export class GarminFieldMapper {
     return Object.keys(detailData).length > 0 ? detailData : null;
   }
   
+  /**
+   * Map Garmin detail samples to columnar streams (ActivityStream "full" resolution)
+   * @param {Array} samples - Raw Garmin samples array from activity details
+   * @returns {Object|null} Parallel arrays keyed by channel, or null if no samples
+   */
+  static mapSampleStreams(samples) {
+    if (!Array.isArray(samples) || samples.length === 0) {
+      return null;
+    }
+    
+    const firstTime = samples.find(sample => sample.startTimeInSeconds != null)?.startTimeInSeconds;
+    
+    const streams = {
+      time: [],
+      distance: [],
+      heartRate: [],
+      speed: [],
+      cadence: [],
+      elevation: [],
+      latitude: [],
+      longitude: []
+    };
+    
+    samples.forEach((sample, index) => {
+      // Seconds since activity start (fall back to timer/index for samples without a timestamp)
+      const offset = sample.startTimeInSeconds != null && firstTime != null
+        ? sample.startTimeInSeconds - firstTime
+        : (sample.timerDurationInSeconds ?? sample.clockDurationInSeconds ?? index);
+      
+      streams.time.push(offset);
+      streams.distance.push(sample.totalDistanceInMeters ?? null);
+      streams.heartRate.push(sample.heartRate ?? null);
+      streams.speed.push(sample.speedMetersPerSecond ?? null);
+      streams.cadence.push(sample.stepsPerMinute ?? sample.bikeCadenceInRPM ?? null);
+      streams.elevation.push(sample.elevationInMeters ?? null);
+      streams.latitude.push(sample.latitudeInDegree ?? null);
+      streams.longitude.push(sample.longitudeInDegree ?? null);
+    });
+    
+    console.log(`📊 Mapped ${samples.length} samples to streams`);
+    return streams;
+  }
+  
   /**
    * Map source-specific metadata
    * @param {Object} garminActivity - Raw Garmin activity data
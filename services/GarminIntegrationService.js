@@ -6,6 +6,7 @@
 import { PrismaClient } from '@prisma/client';
 import { fetchGarminUserId, fetchGarminUserProfile } from '../config/garminUserIdConfig.js';
 import { GarminFieldMapper } from './GarminFieldMapper.js';
+import { computeExpiresAt, TOKEN_STATUS } from './tokenManagerService.js';
 
 const prisma = new PrismaClient();
 
@@ -39,6 +40,8 @@ export class GarminIntegrationService {
           garmin_access_token: tokenData.access_token,
           garmin_refresh_token: tokenData.refresh_token,
           garmin_expires_in: tokenData.expires_in,
+          garmin_expires_at: computeExpiresAt(tokenData.expires_in),
+          garmin_token_status: TOKEN_STATUS.HEALTHY,
           garmin_scope: tokenData.scope,
           garmin_connected_at: new Date(),
           garmin_last_sync_at: new Date(),
@@ -0,0 +1,216 @@
+/**
+ * Strava Field Mapper Service
+ * Maps Strava API activity fields to our AthleteActivity model
+ * (Strava counterpart of GarminFieldMapper)
+ */
+
+import { classifyActivityType } from './activityTypeService.js';
+
+// Strava sport_type → Garmin-style typeKey so aggregates treat both sources the same
+const STRAVA_TYPE_KEYS = {
+  Run: 'running',
+  TrailRun: 'trail_running',
+  VirtualRun: 'treadmill_running',
+  Walk: 'walking',
+  Hike: 'hiking',
+  Ride: 'cycling',
+  VirtualRide: 'virtual_ride',
+  MountainBikeRide: 'mountain_biking',
+  GravelRide: 'gravel_cycling',
+  EBikeRide: 'e_bike_fitness',
+  Swim: 'lap_swimming',
+  Wheelchair: 'wheelchair_push_run',
+  Workout: 'other'
+};
+
+export class StravaFieldMapper {
+
+  /**
+   * Build the AthleteActivity.sourceActivityId for a Strava activity.
+   * sourceActivityId is unique across ALL sources, so Strava IDs are prefixed
+   * to guarantee they never collide with a Garmin activityId.
+   * @param {string|number} stravaActivityId - Strava's activity id
+   * @returns {string|null}
+   */
+  static toSourceActivityId(stravaActivityId) {
+    if (stravaActivityId === undefined || stravaActivityId === null || stravaActivityId === '') return null;
+    return `strava_${stravaActivityId}`;
+  }
+
+  /**
+   * Convert a Strava sport_type/type into our Garmin-style typeKey
+   * @param {Object} stravaActivity - Raw Strava activity
+   * @returns {string|null} e.g. "running", "trail_running"
+   */
+  static mapActivityType(stravaActivity) {
+    const stravaType = stravaActivity.sport_type || stravaActivity.type;
+    if (!stravaType) return null;
+
+    if (STRAVA_TYPE_KEYS[stravaType]) {
+      return STRAVA_TYPE_KEYS[stravaType];
+    }
+
+    // Fallback: "AlpineSki" → "alpine_ski"
+    return stravaType.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+  }
+
+  /**
+   * Map Strava activity (GET /activities/{id}) to AthleteActivity model
+   * @param {Object} stravaActivity - Raw Strava DetailedActivity/SummaryActivity
+   * @param {string} athleteId - Our athlete's ID
+   * @returns {Object} Mapped activity data for database
+   */
+  static mapActivitySummary(stravaActivity, athleteId) {
+    const startLatLng = Array.isArray(stravaActivity.start_latlng) ? stravaActivity.start_latlng : [];
+    const endLatLng = Array.isArray(stravaActivity.end_latlng) ? stravaActivity.end_latlng : [];
+    const activityType = this.mapActivityType(stravaActivity);
+
+    return {
+      athleteId: athleteId,
+
+      // Source Information (join key)
+      sourceActivityId: this.toSourceActivityId(stravaActivity.id),
+      source: 'strava',
+
+      // Core Activity Data (Summary)
+      activityType,
+      ...classifyActivityType(activityType),
+      activityName: stravaActivity.name || null,
+      startTime: stravaActivity.start_date ? new Date(stravaActivity.start_date) : null,
+      duration: stravaActivity.moving_time || stravaActivity.elapsed_time || null,
+      distance: stravaActivity.distance || null,
+      averageSpeed: stravaActivity.average_speed || null,
+      calories: stravaActivity.calories ? Math.round(stravaActivity.calories) : null,
+
+      // Performance Metrics (Summary)
+      averageHeartRate: stravaActivity.average_heartrate ? Math.round(stravaActivity.average_heartrate) : null,
+      maxHeartRate: stravaActivity.max_heartrate ? Math.round(stravaActivity.max_heartrate) : null,
+      elevationGain: stravaActivity.total_elevation_gain || null,
+      steps: null, // Strava does not expose step counts
+
+      // Location Data (Summary)
+      startLatitude: startLatLng[0] ?? null,
+      startLongitude: startLatLng[1] ?? null,
+      endLatitude: endLatLng[0] ?? null,
+      endLongitude: endLatLng[1] ?? null,
+      summaryPolyline: stravaActivity.map?.summary_polyline || stravaActivity.map?.polyline || null,
+
+      // Device Information
+      deviceName: stravaActivity.device_name || null,
+      garminUserId: null,
+
+      // Summary Data (JSON for additional Strava-only fields)
+      summaryData: this.mapSummaryData(stravaActivity),
+
+      // Timestamps
+      syncedAt: new Date(),
+      lastUpdatedAt: new Date()
+    };
+  }
+
+  /**
+   * Map Strava-only fields that have no AthleteActivity column
+   * @param {Object} stravaActivity - Raw Strava activity
+   * @returns {Object|null} Summary data as JSON
+   */
+  static mapSummaryData(stravaActivity) {
+    const summaryData = {};
+
+    if (stravaActivity.athlete?.id) {
+      summaryData.stravaAthleteId = stravaActivity.athlete.id;
+    }
+
+    if (stravaActivity.sport_type || stravaActivity.type) {
+      summaryData.stravaSportType = stravaActivity.sport_type || stravaActivity.type;
+    }
+
+    if (stravaActivity.elapsed_time) {
+      summaryData.elapsedTime = stravaActivity.elapsed_time;
+    }
+
+    if (stravaActivity.start_date_local) {
+      summaryData.startDateLocal = stravaActivity.start_date_local;
+    }
+
+    if (stravaActivity.timezone) {
+      summaryData.timezone = stravaActivity.timezone;
+    }
+
+    if (stravaActivity.max_speed) {
+      summaryData.maxSpeed = stravaActivity.max_speed;
+    }
+
+    if (stravaActivity.average_cadence) {
+      summaryData.averageCadence = stravaActivity.average_cadence;
+    }
+
+    if (stravaActivity.workout_type !== undefined && stravaActivity.workout_type !== null) {
+      summaryData.workoutType = stravaActivity.workout_type;
+    }
+
+    // Mile splits (DetailedActivity only) - used for best efforts when there are no samples
+    if (Array.isArray(stravaActivity.splits_standard) && stravaActivity.splits_standard.length > 0) {
+      summaryData.splits = stravaActivity.splits_standard.map(split => ({
+        distance: split.distance,
+        movingTime: split.moving_time,
+        elapsedTime: split.elapsed_time,
+        elevationDifference: split.elevation_difference ?? null
+      }));
+    }
+
+    if (stravaActivity.description) {
+      summaryData.activityDescription = stravaActivity.description;
+    }
+
+    if (stravaActivity.trainer) {
+      summaryData.trainer = true;
+    }
+
+    if (stravaActivity.manual) {
+      summaryData.manual = true;
+    }
+
+    // Return null if no summary data
+    return Object.keys(summaryData).length > 0 ? summaryData : null;
+  }
+
+  /**
+   * Validate mapped activity data
+   * @param {Object} mappedActivity - Mapped activity data
+   * @returns {Object} Validation result
+   */
+  static validateActivity(mappedActivity) {
+    const errors = [];
+    const warnings = [];
+
+    // Required fields
+    if (!mappedActivity.athleteId) {
+      errors.push('athleteId is required');
+    }
+
+    if (!mappedActivity.sourceActivityId) {
+      errors.push('sourceActivityId is required');
+    }
+
+    // Warning for missing core data
+    if (!mappedActivity.activityType) {
+      warnings.push('activityType is missing');
+    }
+
+    if (!mappedActivity.startTime) {
+      warnings.push('startTime is missing');
+    }
+
+    if (!mappedActivity.duration) {
+      warnings.push('duration is missing');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      warnings
+    };
+  }
+}
+
+export default StravaFieldMapper;
@@ -0,0 +1,384 @@
+import { getPrismaClient } from '../config/database.js';
+import { rebuildPersonalRecords, rebuildSupersededRecords } from './personalRecordService.js';
+
+/**
+ * Activity Dedup Service
+ *
+ * An athlete connected to both Garmin and Strava gets the same run twice
+ * (Garmin → Strava auto-sync). This service matches activities across sources,
+ * picks ONE canonical row per real-world activity and links the others to it
+ * via duplicateOfId. Aggregates only count rows where duplicateOfId is null.
+ *
+ * Admin merges ("admin_merged") are never re-pointed by the automatic matcher, and the canonical
+ * an admin picked ("admin_canonical", or the target of an admin merge) stays canonical - later
+ * copies from other sources still join it. An admin separation only splits the pair(s) the admin
+ * looked at (dedupSeparatedFromIds). Either way a new copy of the run isn't counted twice.
+ */
+
+// Match tolerances - devices and Strava disagree slightly on start/moving time and GPS distance
+export const DEDUP_TOLERANCES = {
+  startTimeSeconds: 120,
+  durationSeconds: 60,
+  durationPercent: 0.05,
+  distanceMeters: 100,
+  distancePercent: 0.03
+};
+
+export const DEDUP_STATUS = {
+  AUTO_MERGED: 'auto_merged',
+  ADMIN_MERGED: 'admin_merged',
+  ADMIN_CANONICAL: 'admin_canonical',
+  ADMIN_SEPARATED: 'admin_separated'
+};
+
+const isAdminMerged = (activity) => activity.dedupStatus === DEDUP_STATUS.ADMIN_MERGED;
+
+// Statuses a canonical row keeps when it absorbs a new copy
+const KEPT_CANONICAL_STATUSES = [DEDUP_STATUS.ADMIN_CANONICAL, DEDUP_STATUS.ADMIN_SEPARATED];
+
+// An admin said these two are different activities
+const isSeparatedPair = (a, b) =>
+  Boolean(a.dedupSeparatedFromIds?.includes(b.id) || b.dedupSeparatedFromIds?.includes(a.id));
+
+const withinTolerance = (a, b, absolute, percent) => {
+  if (a == null || b == null) return a == null && b == null;
+  return Math.abs(a - b) <= Math.max(absolute, Math.max(a, b) * percent);
+};
+
+/**
+ * Check whether two activities are the same real-world activity
+ * @param {Object} a - AthleteActivity
+ * @param {Object} b - AthleteActivity
+ * @returns {boolean}
+ */
+export function isDuplicatePair(a, b) {
+  if (!a?.startTime || !b?.startTime) return false;
+  if (a.athleteId !== b.athleteId || a.source === b.source) return false;
+
+  const startDiffSeconds = Math.abs(new Date(a.startTime) - new Date(b.startTime)) / 1000;
+  if (startDiffSeconds > DEDUP_TOLERANCES.startTimeSeconds) return false;
+
+  return (
+    withinTolerance(a.duration, b.duration, DEDUP_TOLERANCES.durationSeconds, DEDUP_TOLERANCES.durationPercent) &&
+    withinTolerance(a.distance, b.distance, DEDUP_TOLERANCES.distanceMeters, DEDUP_TOLERANCES.distancePercent)
+  );
+}
+
+/**
+ * Rank an activity for canonical selection (higher wins)
+ * Garmin with details > Garmin summary > Strava > anything else
+ */
+function canonicalRank(activity) {
+  let rank = 0;
+  if (activity.source === 'garmin') rank += 10;
+  else if (activity.source === 'strava') rank += 5;
+  if (activity.detailData || activity.hydratedAt) rank += 2;
+  return rank;
+}
+
+/**
+ * Pick the canonical activity from a group of duplicates
+ * Ties go to the earliest synced row so the canonical id stays stable
+ * @param {Array<Object>} activities
+ * @returns {Object}
+ */
+export function pickCanonical(activities) {
+  return [...activities].sort((a, b) => {
+    const rankDiff = canonicalRank(b) - canonicalRank(a);
+    if (rankDiff !== 0) return rankDiff;
+    return new Date(a.syncedAt) - new Date(b.syncedAt);
+  })[0];
+}
+
+/**
+ * Detect duplicates for a freshly ingested/updated activity and link the group to a canonical row.
+ * Call after every upsert (Garmin summary, Garmin details, Strava).
+ * Never throws - dedup must not break ingestion.
+ * @param {string} activityId - AthleteActivity.id
+ * @returns {Promise<{canonicalId: string, duplicateIds: Array<string>}|null>} - null when nothing matched
+ */
+export async function dedupActivity(activityId) {
+  try {
+    const prisma = getPrismaClient();
+
+    const activity = await prisma.athleteActivity.findUnique({ where: { id: activityId } });
+    if (!activity?.startTime || isAdminMerged(activity)) {
+      return null;
+    }
+
+    const windowMs = DEDUP_TOLERANCES.startTimeSeconds * 1000;
+    const candidates = await prisma.athleteActivity.findMany({
+      where: {
+        athleteId: activity.athleteId,
+        id: { not: activity.id },
+        source: { not: activity.source },
+        startTime: {
+          gte: new Date(activity.startTime.getTime() - windowMs),
+          lte: new Date(activity.startTime.getTime() + windowMs)
+        }
+      }
+    });
+
+    // Admin-merged copies still match - the group then converges on their canonical
+    const matches = candidates.filter(candidate =>
+      !isSeparatedPair(activity, candidate) && isDuplicatePair(activity, candidate)
+    );
+    if (matches.length === 0) {
+      return null;
+    }
+
+    // Pull in anything already linked to the matches so the whole group converges on one canonical
+    const groupIds = new Set([activity.id, ...matches.map(m => m.id)]);
+    matches.forEach(m => { if (m.duplicateOfId) groupIds.add(m.duplicateOfId); });
+    if (activity.duplicateOfId) groupIds.add(activity.duplicateOfId);
+
+    const group = await prisma.athleteActivity.findMany({
+      where: {
+        OR: [
+          { id: { in: [...groupIds] } },
+          { duplicateOfId: { in: [...groupIds] } }
+        ]
+      }
+    });
+
+    // Closest rows first; anything an admin split from a row already kept stays out of the group
+    const startGap = (a) => (a.id === activity.id ? -1 : Math.abs(new Date(a.startTime) - activity.startTime));
+    const kept = [];
+    [...group].sort((a, b) => startGap(a) - startGap(b)).forEach(a => {
+      if (!kept.some(other => isSeparatedPair(a, other))) kept.push(a);
+    });
+
+    // An admin already chose the canonical for this run - keep it
+    const pinnedIds = new Set(kept.filter(isAdminMerged).map(a => a.duplicateOfId));
+    const pinned = kept.find(a => !a.duplicateOfId && (a.dedupStatus === DEDUP_STATUS.ADMIN_CANONICAL || pinnedIds.has(a.id)));
+    const canonical = pinned || pickCanonical(kept.filter(a => !isAdminMerged(a)));
+    if (!canonical) {
+      return null;
+    }
+    const duplicateIds = kept
+      .filter(a => a.id !== canonical.id && !isAdminMerged(a))
+      .map(a => a.id);
+
+    await prisma.$transaction([
+      prisma.athleteActivity.update({
+        where: { id: canonical.id },
+        // An admin-reviewed row that absorbs a new copy still shows up as admin-reviewed
+        data: {
+          duplicateOfId: null,
+          dedupStatus: KEPT_CANONICAL_STATUSES.includes(canonical.dedupStatus) ? canonical.dedupStatus : null
+        }
+      }),
+      prisma.athleteActivity.updateMany({
+        where: { id: { in: duplicateIds } },
+        data: { duplicateOfId: canonical.id, dedupStatus: DEDUP_STATUS.AUTO_MERGED }
+      })
+    ]);
+
+    console.log(`🔗 Dedup: ${duplicateIds.length} duplicate(s) linked to canonical ${canonical.source} activity ${canonical.id}`);
+
+    // PRs held by a copy that just became a duplicate move to the canonical
+    await rebuildSupersededRecords(activity.athleteId);
+    return { canonicalId: canonical.id, duplicateIds };
+  } catch (error) {
+    console.error(`❌ Dedup failed for activity ${activityId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Re-run dedup over an athlete's existing activities (backfill after connecting a second source)
+ * @param {string} athleteId
+ * @returns {Promise<number>} - Number of groups merged
+ */
+export async function dedupAthleteActivities(athleteId) {
+  const prisma = getPrismaClient();
+
+  const activities = await prisma.athleteActivity.findMany({
+    where: { athleteId, startTime: { not: null }, duplicateOfId: null },
+    select: { id: true },
+    orderBy: { startTime: 'asc' }
+  });
+
+  let merged = 0;
+  for (const { id } of activities) {
+    const result = await dedupActivity(id);
+    if (result) merged++;
+  }
+
+  console.log(`✅ Dedup backfill for athlete ${athleteId}: ${merged} group(s) merged from ${activities.length} activities`);
+  return merged;
+}
+
+/**
+ * Admin override: mark an activity as a duplicate of another
+ * @param {string} activityId - Activity to hide from aggregates
+ * @param {string} canonicalId - Activity to keep
+ * @returns {Promise<Object>} - Updated duplicate activity
+ */
+export async function adminMergeActivities(activityId, canonicalId) {
+  const prisma = getPrismaClient();
+
+  if (activityId === canonicalId) {
+    throw new Error('An activity cannot be a duplicate of itself');
+  }
+
+  const [activity, canonical] = await Promise.all([
+    prisma.athleteActivity.findUnique({ where: { id: activityId } }),
+    prisma.athleteActivity.findUnique({ where: { id: canonicalId } })
+  ]);
+
+  if (!activity || !canonical) {
+    throw new Error('Activity not found');
+  }
+  if (activity.athleteId !== canonical.athleteId) {
+    throw new Error('Activities belong to different athletes');
+  }
+
+  // Target currently hangs off this activity - that's a canonical swap, not a merge
+  if (canonical.duplicateOfId === activityId) {
+    await adminSetCanonical(canonicalId);
+    return prisma.athleteActivity.findUnique({ where: { id: activityId } });
+  }
+
+  // Keep the chain flat - if the target is itself a duplicate, link to its canonical
+  const targetId = canonical.duplicateOfId || canonical.id;
+  const now = new Date();
+
+  const [, updated] = await prisma.$transaction([
+    // Anything that pointed at the merged activity follows it to the new canonical
+    prisma.athleteActivity.updateMany({
+      where: { duplicateOfId: activityId },
+      data: { duplicateOfId: targetId }
+    }),
+    prisma.athleteActivity.update({
+      where: { id: activityId },
+      data: {
+        duplicateOfId: targetId,
+        dedupStatus: DEDUP_STATUS.ADMIN_MERGED,
+        dedupReviewedAt: now,
+        // Merging overrides an earlier separation of the same pair
+        dedupSeparatedFromIds: (activity.dedupSeparatedFromIds || []).filter(id => id !== targetId && id !== canonicalId)
+      }
+    })
+  ]);
+
+  console.log(`🔗 Admin merged activity ${activityId} into ${targetId}`);
+  await rebuildPersonalRecords(activity.athleteId);
+  return updated;
+}
+
+/**
+ * Admin override: detach an activity from its duplicate group (counts in aggregates again)
+ * The automatic matcher will not re-link it to that group's rows, but still matches copies
+ * that arrive later from other sources.
+ * @param {string} activityId
+ * @returns {Promise<Object>} - Updated activity
+ */
+export async function adminSeparateActivity(activityId) {
+  const prisma = getPrismaClient();
+
+  const activity = await prisma.athleteActivity.findUnique({ where: { id: activityId } });
+  if (!activity) {
+    throw new Error('Activity not found');
+  }
+
+  let separatedFromIds = [];
+  if (activity.duplicateOfId) {
+    const group = await prisma.athleteActivity.findMany({
+      where: {
+        id: { not: activityId },
+        OR: [{ id: activity.duplicateOfId }, { duplicateOfId: activity.duplicateOfId }]
+      },
+      select: { id: true }
+    });
+    separatedFromIds = group.map(a => a.id);
+  }
+
+  const updated = await prisma.athleteActivity.update({
+    where: { id: activityId },
+    data: {
+      duplicateOfId: null,
+      dedupStatus: DEDUP_STATUS.ADMIN_SEPARATED,
+      dedupReviewedAt: new Date(),
+      dedupSeparatedFromIds: [...new Set([...(activity.dedupSeparatedFromIds || []), ...separatedFromIds])]
+    }
+  });
+
+  console.log(`✂️ Admin separated activity ${activityId} from its duplicate group`);
+  await rebuildPersonalRecords(activity.athleteId);
+  return updated;
+}
+
+/**
+ * Admin override: make a duplicate the canonical row for its group
+ * @param {string} activityId - Currently a duplicate
+ * @returns {Promise<Object>} - The new canonical activity
+ */
+export async function adminSetCanonical(activityId) {
+  const prisma = getPrismaClient();
+
+  const activity = await prisma.athleteActivity.findUnique({ where: { id: activityId } });
+  if (!activity) {
+    throw new Error('Activity not found');
+  }
+  if (!activity.duplicateOfId) {
+    return activity; // Already canonical
+  }
+
+  const previousCanonicalId = activity.duplicateOfId;
+  const now = new Date();
+
+  const [, , promoted] = await prisma.$transaction([
+    prisma.athleteActivity.updateMany({
+      where: { duplicateOfId: previousCanonicalId, id: { not: activityId } },
+      data: { duplicateOfId: activityId }
+    }),
+    prisma.athleteActivity.update({
+      where: { id: previousCanonicalId },
+      data: { duplicateOfId: activityId, dedupStatus: DEDUP_STATUS.ADMIN_MERGED, dedupReviewedAt: now }
+    }),
+    prisma.athleteActivity.update({
+      where: { id: activityId },
+      data: { duplicateOfId: null, dedupStatus: DEDUP_STATUS.ADMIN_CANONICAL, dedupReviewedAt: now }
+    })
+  ]);
+
+  console.log(`👑 Admin set activity ${activityId} as canonical (was ${previousCanonicalId})`);
+  await rebuildPersonalRecords(activity.athleteId);
+  return promoted;
+}
+
+/**
+ * Hand a canonical row's group to one of its duplicates (call before deleting the canonical)
+ * The best remaining copy becomes canonical and the others are re-pointed to it, so deleting
+ * one copy of a run doesn't make every other copy count.
+ * @param {string} canonicalId - Canonical activity about to go away
+ * @returns {Promise<Object|null>} - The promoted activity, or null when nothing hung off it
+ */
+export async function promoteDuplicateOf(canonicalId) {
+  const prisma = getPrismaClient();
+
+  const duplicates = await prisma.athleteActivity.findMany({ where: { duplicateOfId: canonicalId } });
+  if (duplicates.length === 0) {
+    return null;
+  }
+
+  const promoted = pickCanonical(duplicates);
+
+  const [, updated] = await prisma.$transaction([
+    prisma.athleteActivity.updateMany({
+      where: { duplicateOfId: canonicalId, id: { not: promoted.id } },
+      data: { duplicateOfId: promoted.id }
+    }),
+    prisma.athleteActivity.update({
+      where: { id: promoted.id },
+      data: {
+        duplicateOfId: null,
+        dedupStatus: KEPT_CANONICAL_STATUSES.includes(promoted.dedupStatus) ? promoted.dedupStatus : null
+      }
+    })
+  ]);
+
+  console.log(`👑 Promoted activity ${promoted.id} to canonical in place of ${canonicalId}`);
+  return updated;
+}
@@ -0,0 +1,564 @@
+import { haversineMeters, encodePolyline } from '../utils/geoUtils.js';
+
+/**
+ * Activity File Parser Service
+ *
+ * Parses GPX, TCX and FIT activity files into one shape:
+ *   {
+ *     fileType, activityName, activityType, startTime, duration, distance, averageSpeed, calories,
+ *     averageHeartRate, maxHeartRate, elevationGain, startLatitude, startLongitude, endLatitude,
+ *     endLongitude, summaryPolyline, deviceName,
+ *     streams: { time, distance, heartRate, speed, cadence, elevation, latitude, longitude }
+ *   }
+ * streams uses the same columnar layout as ActivityStream (activityStreamService).
+ *
+ * Throws ActivityFileParseError with a readable message when a file can't be used.
+ * parseGpxRoute reads planned courses (no timestamps) for the crew route library.
+ */
+
+export const SUPPORTED_ACTIVITY_FILE_TYPES = ['gpx', 'tcx', 'fit'];
+
+const MAX_POLYLINE_POINTS = 500; // summaryPolyline is a preview, not the full track
+const ELEVATION_NOISE_METERS = 1; // Ignore climbs smaller than this when summing elevation gain
+
+export class ActivityFileParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ActivityFileParseError';
+  }
+}
+
+// File sport/type labels → Garmin-style typeKey (same vocabulary as GarminFieldMapper/StravaFieldMapper)
+const TYPE_KEYS = {
+  running: 'running',
+  run: 'running',
+  trail_running: 'trail_running',
+  treadmill_running: 'treadmill_running',
+  biking: 'cycling',
+  cycling: 'cycling',
+  ride: 'cycling',
+  walking: 'walking',
+  walk: 'walking',
+  hiking: 'hiking',
+  hike: 'hiking',
+  swimming: 'lap_swimming',
+  other: 'other'
+};
+
+function mapActivityType(raw) {
+  if (!raw) return null;
+  const key = String(raw).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return TYPE_KEYS[key] || key;
+}
+
+/**
+ * Work out the file type from the extension, falling back to content sniffing
+ * @param {string} fileName
+ * @param {Buffer} buffer
+ * @returns {string|null} "gpx" | "tcx" | "fit" | null
+ */
+export function detectActivityFileType(fileName, buffer) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (SUPPORTED_ACTIVITY_FILE_TYPES.includes(extension)) {
+    return extension;
+  }
+
+  if (buffer?.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT') {
+    return 'fit';
+  }
+
+  const head = buffer?.toString('utf8', 0, 1000) || '';
+  if (/<gpx[\s>]/i.test(head)) return 'gpx';
+  if (/<TrainingCenterDatabase[\s>]/i.test(head)) return 'tcx';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Shared: points → activity summary + streams
+// ---------------------------------------------------------------------------
+
+/**
+ * Total climb of an elevation profile, ignoring wiggles under ELEVATION_NOISE_METERS
+ * @param {Array<number|null>} elevations - meters, in track order (gaps allowed)
+ * @returns {number|null} meters (0.1 precision), null without a climb
+ */
+export function computeElevationGain(elevations) {
+  let gain = 0;
+  let climbBase = null;
+
+  elevations.forEach(elevation => {
+    if (!Number.isFinite(elevation)) return;
+    if (climbBase == null || elevation < climbBase) {
+      climbBase = elevation;
+    } else if (elevation - climbBase >= ELEVATION_NOISE_METERS) {
+      gain += elevation - climbBase;
+      climbBase = elevation;
+    }
+  });
+
+  return gain ? Math.round(gain * 10) / 10 : null;
+}
+
+/**
+ * Build summary fields and streams from track points
+ * @param {Array<Object>} points - { time: ms, lat, lng, elevation, heartRate, cadence, distance?, speed? }
+ * @param {Object} summary - File-level values that win over point-derived ones (duration, distance, calories...)
+ */
+function buildActivity(points, summary) {
+  const timed = points.filter(point => Number.isFinite(point.time)).sort((a, b) => a.time - b.time);
+  if (timed.length < 2) {
+    throw new ActivityFileParseError('File has fewer than 2 timestamped track points');
+  }
+
+  const firstTime = timed[0].time;
+  const streams = {
+    time: [],
+    distance: [],
+    heartRate: [],
+    speed: [],
+    cadence: [],
+    elevation: [],
+    latitude: [],
+    longitude: []
+  };
+
+  let cumulative = 0;
+  let lastPosition = null;
+
+  timed.forEach((point, index) => {
+    const hasPosition = Number.isFinite(point.lat) && Number.isFinite(point.lng);
+
+    // Prefer the device's distance; otherwise integrate GPS positions
+    if (Number.isFinite(point.distance)) {
+      cumulative = Math.max(cumulative, point.distance);
+    } else if (hasPosition && lastPosition) {
+      cumulative += haversineMeters(lastPosition.lat, lastPosition.lng, point.lat, point.lng);
+    }
+    if (hasPosition) lastPosition = point;
+
+    let speed = Number.isFinite(point.speed) ? point.speed : null;
+    if (speed == null && index > 0) {
+      const dt = (point.time - timed[index - 1].time) / 1000;
+      const dd = cumulative - streams.distance[index - 1];
+      speed = dt > 0 ? dd / dt : null;
+    }
+
+    streams.time.push(Math.round((point.time - firstTime) / 1000));
+    streams.distance.push(cumulative);
+    streams.heartRate.push(Number.isFinite(point.heartRate) ? point.heartRate : null);
+    streams.speed.push(speed);
+    streams.cadence.push(Number.isFinite(point.cadence) ? point.cadence : null);
+    streams.elevation.push(Number.isFinite(point.elevation) ? point.elevation : null);
+    streams.latitude.push(hasPosition ? point.lat : null);
+    streams.longitude.push(hasPosition ? point.lng : null);
+  });
+
+  const positions = timed.filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+  const step = Math.max(1, Math.ceil(positions.length / MAX_POLYLINE_POINTS));
+  const polylinePoints = positions.filter((_, index) => index % step === 0 || index === positions.length - 1);
+
+  const heartRates = streams.heartRate.filter(hr => hr != null);
+  const duration = Math.round(summary.duration || streams.time[streams.time.length - 1]);
+  const distance = summary.distance || cumulative || null;
+
+  return {
+    fileType: summary.fileType,
+    activityName: summary.activityName || null,
+    activityType: mapActivityType(summary.activityType),
+    startTime: summary.startTime || new Date(firstTime),
+    duration: duration || null,
+    distance,
+    averageSpeed: summary.averageSpeed || (distance && duration ? distance / duration : null),
+    calories: summary.calories ? Math.round(summary.calories) : null,
+    averageHeartRate: summary.averageHeartRate
+      || (heartRates.length ? Math.round(heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length) : null),
+    maxHeartRate: summary.maxHeartRate || (heartRates.length ? Math.max(...heartRates) : null),
+    elevationGain: summary.elevationGain ?? computeElevationGain(streams.elevation),
+    startLatitude: positions[0]?.lat ?? null,
+    startLongitude: positions[0]?.lng ?? null,
+    endLatitude: positions[positions.length - 1]?.lat ?? null,
+    endLongitude: positions[positions.length - 1]?.lng ?? null,
+    summaryPolyline: encodePolyline(polylinePoints.map(point => [point.lat, point.lng])),
+    deviceName: summary.deviceName || null,
+    streams
+  };
+}
+
+// ---------------------------------------------------------------------------
+// XML helpers (GPX/TCX are flat enough that tag scanning is reliable)
+// ---------------------------------------------------------------------------
+
+// Matches <tag ...>inner</tag> or <tag .../> with any namespace prefix (gpxtpx:hr, ns3:Speed)
+function tagBlocks(xml, tag) {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}\\b([^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${tag}>)`, 'g');
+  const blocks = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    blocks.push({ attrs: parseAttributes(match[1]), inner: match[2] || '' });
+  }
+  return blocks;
+}
+
+function tagText(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}\\b[^>]*>([^<]*)<\\/(?:[\\w-]+:)?${tag}>`));
+  return match ? decodeEntities(match[1].trim()) : null;
+}
+
+function tagNumber(xml, tag) {
+  const text = tagText(xml, tag);
+  const value = text == null ? NaN : parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseAttributes(raw) {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*"([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(raw || '')) !== null) {
+    attrs[match[1]] = decodeEntities(match[2]);
+  }
+  return attrs;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+const parseTime = (text) => {
+  const ms = text ? Date.parse(text) : NaN;
+  return Number.isFinite(ms) ? ms : null;
+};
+
+// ---------------------------------------------------------------------------
+// GPX
+// ---------------------------------------------------------------------------
+
+export function parseGpx(buffer) {
+  const xml = buffer.toString('utf8');
+  if (!/<gpx[\s>]/i.test(xml)) {
+    throw new ActivityFileParseError('Not a GPX file (no <gpx> root element)');
+  }
+
+  const track = tagBlocks(xml, 'trk')[0];
+  if (!track) {
+    throw new ActivityFileParseError('GPX file has no <trk> track');
+  }
+
+  const points = tagBlocks(track.inner, 'trkpt').map(({ attrs, inner }) => ({
+    time: parseTime(tagText(inner, 'time')),
+    lat: parseFloat(attrs.lat),
+    lng: parseFloat(attrs.lon),
+    elevation: tagNumber(inner, 'ele'),
+    heartRate: tagNumber(inner, 'hr'),
+    cadence: tagNumber(inner, 'cad')
+  }));
+
+  const metadataTime = parseTime(tagText(tagBlocks(xml, 'metadata')[0]?.inner || '', 'time'));
+
+  return buildActivity(points, {
+    fileType: 'gpx',
+    activityName: tagText(track.inner, 'name'),
+    activityType: tagText(track.inner, 'type'),
+    startTime: metadataTime ? new Date(metadataTime) : null,
+    deviceName: parseAttributes(xml.match(/<gpx\b([^>]*)>/i)?.[1]).creator || null
+  });
+}
+
+/**
+ * Parse a GPX course (planned route - no timestamps needed)
+ * Uses the first track, or the first <rte> route when the file has no track.
+ * @param {Buffer} buffer
+ * @returns {{name: string|null, points: Array<{lat: number, lng: number, elevation: number|null}>}}
+ * @throws {ActivityFileParseError}
+ */
+export function parseGpxRoute(buffer) {
+  const xml = buffer.toString('utf8');
+  if (!/<gpx[\s>]/i.test(xml)) {
+    throw new ActivityFileParseError('Not a GPX file (no <gpx> root element)');
+  }
+
+  const track = tagBlocks(xml, 'trk')[0];
+  const route = track ? null : tagBlocks(xml, 'rte')[0];
+  if (!track && !route) {
+    throw new ActivityFileParseError('GPX file has no <trk> track or <rte> route');
+  }
+
+  const points = tagBlocks((track || route).inner, track ? 'trkpt' : 'rtept')
+    .map(({ attrs, inner }) => ({
+      lat: parseFloat(attrs.lat),
+      lng: parseFloat(attrs.lon),
+      elevation: tagNumber(inner, 'ele')
+    }))
+    .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+
+  if (points.length < 2) {
+    throw new ActivityFileParseError('GPX file has fewer than 2 points with coordinates');
+  }
+
+  return {
+    name: tagText((track || route).inner, 'name'),
+    points
+  };
+}
+
+// ---------------------------------------------------------------------------
+// TCX
+// ---------------------------------------------------------------------------
+
+export function parseTcx(buffer) {
+  const xml = buffer.toString('utf8');
+  const activity = tagBlocks(xml, 'Activity')[0];
+  if (!activity) {
+    throw new ActivityFileParseError('TCX file has no <Activity>');
+  }
+
+  const laps = tagBlocks(activity.inner, 'Lap');
+  let duration = 0;
+  let distance = 0;
+  let calories = 0;
+  let maxHeartRate = null;
+  const points = [];
+
+  laps.forEach(({ inner }) => {
+    duration += tagNumber(inner, 'TotalTimeSeconds') || 0;
+    calories += tagNumber(inner, 'Calories') || 0;
+
+    const lapMaxHr = tagNumber(tagBlocks(inner, 'MaximumHeartRateBpm')[0]?.inner || '', 'Value');
+    if (lapMaxHr != null) maxHeartRate = Math.max(maxHeartRate || 0, lapMaxHr);
+
+    tagBlocks(inner, 'Trackpoint').forEach(({ inner: tp }) => {
+      const position = tagBlocks(tp, 'Position')[0]?.inner || '';
+      points.push({
+        time: parseTime(tagText(tp, 'Time')),
+        lat: tagNumber(position, 'LatitudeDegrees'),
+        lng: tagNumber(position, 'LongitudeDegrees'),
+        elevation: tagNumber(tp, 'AltitudeMeters'),
+        distance: tagNumber(tp.replace(/<Extensions>[\s\S]*<\/Extensions>/, ''), 'DistanceMeters'),
+        heartRate: tagNumber(tagBlocks(tp, 'HeartRateBpm')[0]?.inner || '', 'Value'),
+        cadence: tagNumber(tp, 'Cadence') ?? tagNumber(tp, 'RunCadence'),
+        speed: tagNumber(tp, 'Speed')
+      });
+    });
+
+    // Lap DistanceMeters is a direct child; trackpoint distances are cumulative
+    const lapOnly = inner.replace(/<Track>[\s\S]*<\/Track>/, '');
+    distance += tagNumber(lapOnly, 'DistanceMeters') || 0;
+  });
+
+  const creator = tagBlocks(activity.inner, 'Creator')[0]?.inner || '';
+  const startMs = parseTime(tagText(activity.inner, 'Id'));
+
+  return buildActivity(points, {
+    fileType: 'tcx',
+    activityName: tagText(activity.inner, 'Notes'),
+    activityType: activity.attrs.Sport,
+    startTime: startMs ? new Date(startMs) : null,
+    duration: duration || null,
+    distance: distance || null,
+    calories: calories || null,
+    maxHeartRate,
+    deviceName: tagText(creator, 'Name')
+  });
+}
+
+// ---------------------------------------------------------------------------
+// FIT (binary - only the messages we need: record, session, lap)
+// ---------------------------------------------------------------------------
+
+const FIT_EPOCH_OFFSET_SECONDS = 631065600; // 1989-12-31T00:00:00Z
+const SEMICIRCLES_TO_DEGREES = 180 / Math.pow(2, 31);
+
+const FIT_MESSAGES = {
+  SESSION: 18,
+  RECORD: 20
+};
+
+// FIT session sport / sub_sport enums → typeKey
+const FIT_SPORTS = { 0: 'other', 1: 'running', 2: 'cycling', 5: 'swimming', 11: 'walking', 17: 'hiking' };
+const FIT_RUNNING_SUB_SPORTS = { 1: 'treadmill_running', 3: 'trail_running' };
+
+// Base type → [byte size, reader, invalid value]
+const FIT_BASE_TYPES = {
+  0x00: [1, 'getUint8', 0xFF],
+  0x01: [1, 'getInt8', 0x7F],
+  0x02: [1, 'getUint8', 0xFF],
+  0x03: [2, 'getInt16', 0x7FFF],
+  0x04: [2, 'getUint16', 0xFFFF],
+  0x05: [4, 'getInt32', 0x7FFFFFFF],
+  0x06: [4, 'getUint32', 0xFFFFFFFF],
+  0x08: [4, 'getFloat32', null],
+  0x09: [8, 'getFloat64', null],
+  0x0A: [1, 'getUint8', 0x00],
+  0x0B: [2, 'getUint16', 0x0000],
+  0x0C: [4, 'getUint32', 0x00000000]
+};
+
+function readFitValue(view, offset, size, baseType, littleEndian) {
+  const type = FIT_BASE_TYPES[baseType & 0x1F];
+  // Strings, byte arrays, 64-bit ints and arrays aren't needed for the fields we read
+  if (!type || type[0] !== size) return null;
+  const [, reader, invalid] = type;
+  const value = type[0] === 1 ? view[reader](offset) : view[reader](offset, littleEndian);
+  if (invalid != null && value === invalid) return null;
+  return Number.isFinite(value) ? value : null;
+}
+
+export function parseFit(buffer) {
+  if (buffer.length < 14 || buffer.toString('ascii', 8, 12) !== '.FIT') {
+    throw new ActivityFileParseError('Not a FIT file (missing .FIT signature)');
+  }
+
+  const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  const headerSize = view.getUint8(0);
+  const dataSize = view.getUint32(4, true);
+  const end = Math.min(headerSize + dataSize, buffer.length);
+
+  const definitions = {};
+  const records = [];
+  const sessions = [];
+  let offset = headerSize;
+  let lastTimestamp = null;
+
+  while (offset < end) {
+    const header = view.getUint8(offset++);
+    let localType;
+    let timestamp = null;
+
+    if (header & 0x80) {
+      // Compressed timestamp header - 5-bit offset from the last full timestamp
+      localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1F;
+      if (lastTimestamp != null) {
+        timestamp = (lastTimestamp & ~0x1F) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1F)) timestamp += 0x20;
+        lastTimestamp = timestamp;
+      }
+    } else if (header & 0x40) {
+      // Definition message
+      localType = header & 0x0F;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({ number: view.getUint8(offset), size: view.getUint8(offset + 1), baseType: view.getUint8(offset + 2) });
+        offset += 3;
+      }
+
+      let developerSize = 0;
+      if (header & 0x20) {
+        const developerCount = view.getUint8(offset++);
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+      continue;
+    } else {
+      localType = header & 0x0F;
+    }
+
+    // Data message
+    const definition = definitions[localType];
+    if (!definition) {
+      throw new ActivityFileParseError(`Corrupt FIT file: data message for undefined local type ${localType}`);
+    }
+
+    const values = {};
+    definition.fields.forEach(field => {
+      values[field.number] = readFitValue(view, offset, field.size, field.baseType, definition.littleEndian);
+      offset += field.size;
+    });
+    offset += definition.developerSize;
+
+    if (values[253] != null) {
+      lastTimestamp = values[253];
+      timestamp = values[253];
+    }
+
+    if (definition.globalNumber === FIT_MESSAGES.RECORD) {
+      records.push({ ...values, timestamp });
+    } else if (definition.globalNumber === FIT_MESSAGES.SESSION) {
+      sessions.push(values);
+    }
+  }
+
+  if (records.length === 0) {
+    throw new ActivityFileParseError('FIT file has no record messages (not an activity file?)');
+  }
+
+  const toMs = (fitSeconds) => (fitSeconds == null ? null : (fitSeconds + FIT_EPOCH_OFFSET_SECONDS) * 1000);
+  const scaled = (value, scale, offsetBy = 0) => (value == null ? null : value / scale - offsetBy);
+
+  const points = records.map(record => ({
+    time: toMs(record.timestamp),
+    lat: record[0] == null ? null : record[0] * SEMICIRCLES_TO_DEGREES,
+    lng: record[1] == null ? null : record[1] * SEMICIRCLES_TO_DEGREES,
+    elevation: scaled(record[78], 5, 500) ?? scaled(record[2], 5, 500),
+    heartRate: record[3],
+    cadence: record[4],
+    distance: scaled(record[5], 100),
+    speed: scaled(record[73], 1000) ?? scaled(record[6], 1000)
+  }));
+
+  // Multi-sport files have several sessions - summary totals come from all of them
+  const session = sessions[0] || {};
+  const sum = (field, scale = 1) => {
+    const values = sessions.map(s => s[field]).filter(v => v != null);
+    return values.length ? values.reduce((total, v) => total + v, 0) / scale : null;
+  };
+
+  const sport = FIT_SPORTS[session[5]] || null;
+  const activityType = sport === 'running' && FIT_RUNNING_SUB_SPORTS[session[6]]
+    ? FIT_RUNNING_SUB_SPORTS[session[6]]
+    : sport;
+
+  return buildActivity(points, {
+    fileType: 'fit',
+    activityType,
+    startTime: session[2] != null ? new Date(toMs(session[2])) : null,
+    duration: sum(8, 1000) ?? sum(7, 1000),
+    distance: sum(9, 100),
+    averageSpeed: scaled(session[124], 1000) ?? scaled(session[14], 1000),
+    calories: sum(11),
+    averageHeartRate: session[16] ?? null,
+    maxHeartRate: session[17] ?? null,
+    elevationGain: sum(22)
+  });
+}
+
+/**
+ * Parse any supported activity file
+ * @param {string} fileName - Original file name (extension decides the parser)
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} Parsed activity (see top of file)
+ */
+export function parseActivityFile(fileName, buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw new ActivityFileParseError('File is empty');
+  }
+
+  const fileType = detectActivityFileType(fileName, buffer);
+  const parsers = { gpx: parseGpx, tcx: parseTcx, fit: parseFit };
+
+  if (!parsers[fileType]) {
+    throw new ActivityFileParseError(`Unsupported file type - expected one of: ${SUPPORTED_ACTIVITY_FILE_TYPES.join(', ')}`);
+  }
+
+  try {
+    return parsers[fileType](buffer);
+  } catch (error) {
+    if (error instanceof ActivityFileParseError) throw error;
+    // DataView RangeError etc. - truncated or corrupt file
+    throw new ActivityFileParseError(`Could not read ${fileType.toUpperCase()} file: ${error.message}`);
+  }
+}
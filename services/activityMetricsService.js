@@ -0,0 +1,366 @@
+import { getPrismaClient } from '../config/database.js';
+import { getActivityStreams } from './activityStreamService.js';
+
+/**
+ * Activity Metrics Service
+ *
+ * Derived running metrics computed once on ingest (summary, detail, Strava) and stored on
+ * AthleteActivity so the dashboard and leaderboards read them instead of recomputing:
+ *   paceSecondsPerMile              - duration / distance
+ *   gradeAdjustedPaceSecondsPerMile - pace scaled by the energy cost of the elevation profile (Minetti)
+ *   bestEfforts                     - fastest 1 mile / 5K / 10K / half inside the activity (samples, else splits)
+ *   heartRateZoneSeconds            - seconds in each zone (% of max HR)
+ *   trainingLoad                    - Banister TRIMP from the HR stream (average HR as fallback)
+ */
+
+const METERS_PER_MILE = 1609.34;
+
+export const BEST_EFFORT_DISTANCES = {
+  mile: 1609.34,
+  fiveK: 5000,
+  tenK: 10000,
+  half: 21097.5
+};
+
+// Upper bound of each zone as a fraction of max HR (z5 is everything above 0.9)
+export const HEART_RATE_ZONES = [
+  { zone: 'z1', max: 0.6 },
+  { zone: 'z2', max: 0.7 },
+  { zone: 'z3', max: 0.8 },
+  { zone: 'z4', max: 0.9 },
+  { zone: 'z5', max: Infinity }
+];
+
+export const DEFAULT_RESTING_HEART_RATE = 60;
+const MAX_SAMPLE_GAP_SECONDS = 30; // Longer gaps are pauses - don't credit them to a zone/load
+const GAP_SEGMENT_METERS = 20; // Grade is measured over >= 20m to smooth GPS/baro elevation noise
+const MAX_GRADE = 0.45;
+const FLAT_RUNNING_COST = 3.6; // J/kg/m at 0% grade
+
+const round = (value, decimals = 0) => {
+  if (value == null || !Number.isFinite(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Energy cost of running at a grade (Minetti et al. 2002), J/kg/m
+ * @param {number} grade - rise / run (e.g. 0.05 = 5%)
+ */
+function runningCost(grade) {
+  const i = Math.max(-MAX_GRADE, Math.min(MAX_GRADE, grade));
+  return 155.4 * i ** 5 - 30.4 * i ** 4 - 43.3 * i ** 3 + 46.3 * i ** 2 + 19.5 * i + FLAT_RUNNING_COST;
+}
+
+/**
+ * Pair time + cumulative distance from streams, dropping gaps and distance resets
+ * @returns {{ time: number[], distance: number[] }}
+ */
+function cumulativeTrack(streams) {
+  const time = [];
+  const distance = [];
+  if (!Array.isArray(streams?.time) || !Array.isArray(streams?.distance)) {
+    return { time, distance };
+  }
+
+  let maxDistance = 0;
+  streams.time.forEach((t, index) => {
+    const d = streams.distance[index];
+    if (t == null || d == null) return;
+    maxDistance = Math.max(maxDistance, d);
+    time.push(t);
+    distance.push(maxDistance);
+  });
+
+  return { time, distance };
+}
+
+/**
+ * Normalize Garmin splitSummaries/lapSummaries or Strava splits into a cumulative track
+ * Accepts items with distanceInMeters|distance and durationInSeconds|movingTime|elapsedTime
+ * @param {Array} splits
+ * @returns {{ time: number[], distance: number[] }}
+ */
+function splitsTrack(splits) {
+  const time = [0];
+  const distance = [0];
+  if (!Array.isArray(splits)) {
+    return { time: [], distance: [] };
+  }
+
+  for (const split of splits) {
+    const d = split?.distanceInMeters ?? split?.distance;
+    const t = split?.durationInSeconds ?? split?.movingTime ?? split?.elapsedTime ?? split?.timerDurationInSeconds;
+    if (!(d > 0) || !(t > 0)) continue;
+    time.push(time[time.length - 1] + t);
+    distance.push(distance[distance.length - 1] + d);
+  }
+
+  return time.length > 1 ? { time, distance } : { time: [], distance: [] };
+}
+
+/**
+ * Fastest time to cover targetMeters anywhere in a cumulative track (two-pointer sliding window)
+ * The window time is scaled to the exact target so coarse tracks (splits) aren't penalized.
+ * @returns {{ seconds: number, startOffset: number }|null}
+ */
+function fastestEffort(track, targetMeters) {
+  const { time, distance } = track;
+  let best = null;
+  let start = 0;
+
+  for (let end = 1; end < time.length; end++) {
+    while (start + 1 < end && distance[end] - distance[start + 1] >= targetMeters) {
+      start++;
+    }
+
+    const covered = distance[end] - distance[start];
+    if (covered < targetMeters) continue;
+
+    const seconds = (time[end] - time[start]) * (targetMeters / covered);
+    if (seconds > 0 && (!best || seconds < best.seconds)) {
+      best = { seconds, startOffset: time[start] };
+    }
+  }
+
+  return best ? { seconds: Math.round(best.seconds), startOffset: Math.round(best.startOffset) } : null;
+}
+
+/**
+ * Best efforts at the standard distances
+ * @returns {Object|null} - { mile: { seconds, startOffset, source }, ... } or null if none reached
+ */
+export function computeBestEfforts(streams, splits) {
+  const sampleTrack = cumulativeTrack(streams);
+  const useSamples = sampleTrack.time.length > 1;
+  const track = useSamples ? sampleTrack : splitsTrack(splits);
+  if (track.time.length < 2) {
+    return null;
+  }
+
+  const efforts = {};
+  Object.entries(BEST_EFFORT_DISTANCES).forEach(([key, meters]) => {
+    const effort = fastestEffort(track, meters);
+    if (effort) {
+      efforts[key] = { ...effort, source: useSamples ? 'samples' : 'splits' };
+    }
+  });
+
+  return Object.keys(efforts).length > 0 ? efforts : null;
+}
+
+/**
+ * Grade-adjusted pace: actual pace scaled by flat distance / energy-equivalent distance
+ * @returns {number|null} - Seconds per mile
+ */
+export function computeGradeAdjustedPace(streams, paceSecondsPerMile) {
+  if (!paceSecondsPerMile || !Array.isArray(streams?.elevation) || !Array.isArray(streams?.distance)) {
+    return null;
+  }
+
+  let flatMeters = 0;
+  let equivalentMeters = 0;
+  let segmentStart = null;
+
+  streams.distance.forEach((d, index) => {
+    const e = streams.elevation[index];
+    if (d == null || e == null) return;
+
+    if (!segmentStart) {
+      segmentStart = { d, e };
+      return;
+    }
+
+    const run = d - segmentStart.d;
+    if (run < GAP_SEGMENT_METERS) return;
+
+    const grade = (e - segmentStart.e) / run;
+    flatMeters += run;
+    equivalentMeters += run * (runningCost(grade) / FLAT_RUNNING_COST);
+    segmentStart = { d, e };
+  });
+
+  if (flatMeters === 0 || equivalentMeters === 0) {
+    return null;
+  }
+
+  return Math.round(paceSecondsPerMile * (flatMeters / equivalentMeters));
+}
+
+/**
+ * Seconds per HR zone from the heart rate stream
+ * Falls back to Garmin's own timeInHeartRateZones (array of 5 durations) when there is no stream.
+ * @returns {Object|null} - { z1, z2, z3, z4, z5 }
+ */
+export function computeHeartRateZones(streams, maxHeartRate, garminZones = null) {
+  if (maxHeartRate && Array.isArray(streams?.heartRate) && Array.isArray(streams?.time)) {
+    const zones = Object.fromEntries(HEART_RATE_ZONES.map(({ zone }) => [zone, 0]));
+    let counted = 0;
+
+    for (let index = 1; index < streams.time.length; index++) {
+      const hr = streams.heartRate[index];
+      const dt = streams.time[index] - streams.time[index - 1];
+      if (hr == null || !(dt > 0) || dt > MAX_SAMPLE_GAP_SECONDS) continue;
+
+      const { zone } = HEART_RATE_ZONES.find(z => hr / maxHeartRate < z.max);
+      zones[zone] += dt;
+      counted += dt;
+    }
+
+    if (counted > 0) {
+      return Object.fromEntries(Object.entries(zones).map(([zone, seconds]) => [zone, Math.round(seconds)]));
+    }
+  }
+
+  if (Array.isArray(garminZones) && garminZones.length >= HEART_RATE_ZONES.length) {
+    return Object.fromEntries(HEART_RATE_ZONES.map(({ zone }, index) => [zone, Math.round(Number(garminZones[index]) || 0)]));
+  }
+
+  return null;
+}
+
+/**
+ * Banister TRIMP: sum of minutes * HRr * 0.64 * e^(1.92 * HRr)
+ * Uses the HR stream when present, else average HR over the whole duration.
+ * @returns {number|null}
+ */
+export function computeTrainingLoad(streams, activity, maxHeartRate, restingHeartRate = DEFAULT_RESTING_HEART_RATE) {
+  if (!maxHeartRate || maxHeartRate <= restingHeartRate) {
+    return null;
+  }
+
+  const trimp = (hr, seconds) => {
+    const reserve = Math.max(0, Math.min(1, (hr - restingHeartRate) / (maxHeartRate - restingHeartRate)));
+    return (seconds / 60) * reserve * 0.64 * Math.exp(1.92 * reserve);
+  };
+
+  if (Array.isArray(streams?.heartRate) && Array.isArray(streams?.time)) {
+    let load = 0;
+    let counted = 0;
+    for (let index = 1; index < streams.time.length; index++) {
+      const hr = streams.heartRate[index];
+      const dt = streams.time[index] - streams.time[index - 1];
+      if (hr == null || !(dt > 0) || dt > MAX_SAMPLE_GAP_SECONDS) continue;
+      load += trimp(hr, dt);
+      counted += dt;
+    }
+    if (counted > 0) {
+      return round(load, 1);
+    }
+  }
+
+  if (activity.averageHeartRate && activity.duration) {
+    return round(trimp(activity.averageHeartRate, activity.duration), 1);
+  }
+
+  return null;
+}
+
+/**
+ * Compute every derived metric for one activity (pure - no database access)
+ * @param {Object} activity - AthleteActivity row (duration, distance, averageSpeed, averageHeartRate, summaryData, detailData)
+ * @param {Object|null} streams - Full-resolution streams (activityStreamService)
+ * @param {Object} [options] - { maxHeartRate, restingHeartRate }
+ * @returns {Object} - Columns to write on AthleteActivity
+ */
+export function computeActivityMetrics(activity, streams, options = {}) {
+  const maxHeartRate = options.maxHeartRate || activity.maxHeartRate || null;
+
+  let paceSecondsPerMile = null;
+  if (activity.duration && activity.distance > 0) {
+    paceSecondsPerMile = Math.round(activity.duration / (activity.distance / METERS_PER_MILE));
+  } else if (activity.averageSpeed > 0) {
+    paceSecondsPerMile = Math.round(METERS_PER_MILE / activity.averageSpeed);
+  }
+
+  const splits = activity.detailData?.splitSummaries
+    || activity.detailData?.lapSummaries
+    || activity.summaryData?.splits
+    || null;
+
+  return {
+    paceSecondsPerMile,
+    gradeAdjustedPaceSecondsPerMile: computeGradeAdjustedPace(streams, paceSecondsPerMile),
+    bestEfforts: computeBestEfforts(streams, splits),
+    heartRateZoneSeconds: computeHeartRateZones(streams, maxHeartRate, activity.detailData?.heartRateZones),
+    trainingLoad: computeTrainingLoad(streams, activity, maxHeartRate, options.restingHeartRate),
+    metricsComputedAt: new Date()
+  };
+}
+
+/**
+ * Athlete's max HR: age-predicted (220 - age) from birthday, else the highest HR we've recorded
+ * @param {string} athleteId
+ * @returns {Promise<number|null>}
+ */
+export async function getAthleteMaxHeartRate(athleteId) {
+  const prisma = getPrismaClient();
+
+  const athlete = await prisma.athlete.findUnique({
+    where: { id: athleteId },
+    select: { birthday: true }
+  });
+
+  if (athlete?.birthday) {
+    const ageMs = Date.now() - new Date(athlete.birthday).getTime();
+    const age = Math.floor(ageMs / (365.25 * 24 * 60 * 60 * 1000));
+    if (age > 5 && age < 100) {
+      return 220 - age;
+    }
+  }
+
+  const observed = await prisma.athleteActivity.aggregate({
+    where: { athleteId, maxHeartRate: { not: null } },
+    _max: { maxHeartRate: true }
+  });
+
+  return observed._max.maxHeartRate || null;
+}
+
+/**
+ * Compute and store derived metrics for an activity (call after any ingest step)
+ * Never throws - a metrics failure must not fail the ingest that triggered it.
+ * @param {string} activityId - AthleteActivity.id
+ * @returns {Promise<Object|null>} - Stored metrics or null on failure
+ */
+export async function updateActivityMetrics(activityId) {
+  try {
+    const prisma = getPrismaClient();
+
+    const activity = await prisma.athleteActivity.findUnique({
+      where: { id: activityId },
+      select: {
+        id: true,
+        athleteId: true,
+        duration: true,
+        distance: true,
+        averageSpeed: true,
+        averageHeartRate: true,
+        maxHeartRate: true,
+        summaryData: true,
+        detailData: true
+      }
+    });
+
+    if (!activity) {
+      console.warn(`⚠️ METRICS: Activity ${activityId} not found`);
+      return null;
+    }
+
+    const stream = await getActivityStreams(activityId, 'full');
+    const maxHeartRate = await getAthleteMaxHeartRate(activity.athleteId);
+
+    const metrics = computeActivityMetrics(activity, stream?.streams || null, { maxHeartRate });
+
+    await prisma.athleteActivity.update({
+      where: { id: activityId },
+      data: metrics
+    });
+
+    console.log(`📈 METRICS: Activity ${activityId} - pace ${metrics.paceSecondsPerMile ?? '-'}s/mi, GAP ${metrics.gradeAdjustedPaceSecondsPerMile ?? '-'}s/mi, load ${metrics.trainingLoad ?? '-'}, best efforts: ${metrics.bestEfforts ? Object.keys(metrics.bestEfforts).join(', ') : 'none'}`);
+    return metrics;
+  } catch (error) {
+    console.error(`❌ METRICS: Failed for activity ${activityId}:`, error);
+    return null;
+  }
+}
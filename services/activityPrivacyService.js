@@ -0,0 +1,293 @@
+import { getPrismaClient } from '../config/database.js';
+import { haversineMeters, encodePolyline, decodePolyline } from '../utils/geoUtils.js';
+
+/**
+ * Activity Privacy Service
+ *
+ * Visibility - who can see an activity at all:
+ *   public  - anyone (feeds, athlete pages)
+ *   crew    - athletes sharing a RunCrew with the owner (crew leaderboards, crew pages)
+ *   private - owner only
+ * AthleteActivity.visibility overrides Athlete.defaultActivityVisibility; null inherits the default.
+ *
+ * Privacy zones - circles around home/work. For everyone but the owner, route points and
+ * start/end coordinates inside a zone are removed, so the route never leads to the front door.
+ *
+ * Audience - who is looking: owner, crew, public, or admin (sees every activity's stats,
+ * never more location than the public would).
+ */
+
+export const ACTIVITY_VISIBILITY = {
+  PUBLIC: 'public',
+  CREW: 'crew',
+  PRIVATE: 'private'
+};
+
+export const ACTIVITY_VISIBILITY_LEVELS = Object.values(ACTIVITY_VISIBILITY);
+
+export const AUDIENCE = {
+  OWNER: 'owner',
+  CREW: 'crew',
+  PUBLIC: 'public',
+  ADMIN: 'admin'
+};
+
+export const DEFAULT_PRIVACY_ZONE_RADIUS_METERS = 200;
+export const MIN_PRIVACY_ZONE_RADIUS_METERS = 100;
+export const MAX_PRIVACY_ZONE_RADIUS_METERS = 1600;
+
+// Visibility levels each audience may see
+const VISIBLE_LEVELS = {
+  [AUDIENCE.CREW]: [ACTIVITY_VISIBILITY.PUBLIC, ACTIVITY_VISIBILITY.CREW],
+  [AUDIENCE.PUBLIC]: [ACTIVITY_VISIBILITY.PUBLIC]
+};
+
+// Legacy Garmin detail samples (pre-ActivityStream) carry coordinates too
+const SAMPLE_LATITUDE_KEY = 'latitudeInDegree';
+const SAMPLE_LONGITUDE_KEY = 'longitudeInDegree';
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for "public" | "crew" | "private"
+ */
+export function isValidVisibility(value) {
+  return ACTIVITY_VISIBILITY_LEVELS.includes(value);
+}
+
+/**
+ * Effective visibility of an activity
+ * @param {Object} activity - AthleteActivity (visibility)
+ * @param {string} [defaultVisibility] - Owner's Athlete.defaultActivityVisibility
+ * @returns {string} "public" | "crew" | "private"
+ */
+export function resolveActivityVisibility(activity, defaultVisibility) {
+  if (isValidVisibility(activity?.visibility)) return activity.visibility;
+  if (isValidVisibility(defaultVisibility)) return defaultVisibility;
+  return ACTIVITY_VISIBILITY.PUBLIC;
+}
+
+/**
+ * Whether an audience may see an activity with this effective visibility
+ * @param {string} visibility - Effective visibility (resolveActivityVisibility)
+ * @param {string} audience - AUDIENCE value
+ * @returns {boolean}
+ */
+export function canAudienceView(visibility, audience) {
+  if (audience === AUDIENCE.OWNER || audience === AUDIENCE.ADMIN) return true;
+  return (VISIBLE_LEVELS[audience] || VISIBLE_LEVELS[AUDIENCE.PUBLIC]).includes(visibility);
+}
+
+/**
+ * Prisma where-fragment limiting AthleteActivity rows to those the audience may see
+ * Returns { OR: [...] } - put it in an AND array when the query already has an OR.
+ * @param {string} audience - AUDIENCE value
+ * @returns {Object} Empty for owner/admin
+ */
+export function visibleActivityWhere(audience) {
+  if (audience === AUDIENCE.OWNER || audience === AUDIENCE.ADMIN) return {};
+
+  const levels = VISIBLE_LEVELS[audience] || VISIBLE_LEVELS[AUDIENCE.PUBLIC];
+  return {
+    OR: [
+      { visibility: { in: levels } },
+      { visibility: null, athlete: { defaultActivityVisibility: { in: levels } } }
+    ]
+  };
+}
+
+/**
+ * Work out who is looking at an athlete's activities
+ * @param {string} ownerAthleteId - Athlete whose activities are requested
+ * @param {string|null} firebaseId - Viewer's Firebase uid (req.user?.uid), null if anonymous
+ * @returns {Promise<string>} AUDIENCE.OWNER | AUDIENCE.CREW | AUDIENCE.PUBLIC
+ */
+export async function getViewerAudience(ownerAthleteId, firebaseId) {
+  if (!firebaseId) return AUDIENCE.PUBLIC;
+
+  const prisma = getPrismaClient();
+  const viewer = await prisma.athlete.findUnique({
+    where: { firebaseId },
+    select: { id: true }
+  });
+
+  if (!viewer) return AUDIENCE.PUBLIC;
+  if (viewer.id === ownerAthleteId) return AUDIENCE.OWNER;
+
+  const sharedCrew = await prisma.runCrewMembership.findFirst({
+    where: {
+      athleteId: viewer.id,
+      runCrew: {
+        memberships: { some: { athleteId: ownerAthleteId } }
+      }
+    },
+    select: { id: true }
+  });
+
+  return sharedCrew ? AUDIENCE.CREW : AUDIENCE.PUBLIC;
+}
+
+/**
+ * Load privacy zones for a set of athletes
+ * @param {Array<string>} athleteIds
+ * @returns {Promise<Map<string, Array<Object>>>} athleteId → zones
+ */
+export async function getPrivacyZonesByAthlete(athleteIds) {
+  const ids = [...new Set(athleteIds.filter(Boolean))];
+  const zonesByAthlete = new Map(ids.map(id => [id, []]));
+  if (ids.length === 0) return zonesByAthlete;
+
+  const prisma = getPrismaClient();
+  const zones = await prisma.privacyZone.findMany({
+    where: { athleteId: { in: ids } },
+    select: { athleteId: true, latitude: true, longitude: true, radiusMeters: true }
+  });
+
+  zones.forEach(zone => zonesByAthlete.get(zone.athleteId).push(zone));
+  return zonesByAthlete;
+}
+
+/**
+ * Whether a coordinate falls inside any privacy zone
+ * @param {number|null} latitude
+ * @param {number|null} longitude
+ * @param {Array<Object>} zones - PrivacyZone rows
+ * @returns {boolean}
+ */
+export function isInPrivacyZone(latitude, longitude, zones) {
+  if (latitude == null || longitude == null || !zones?.length) return false;
+  return zones.some(zone =>
+    haversineMeters(latitude, longitude, zone.latitude, zone.longitude) <= zone.radiusMeters
+  );
+}
+
+/**
+ * Remove polyline points inside privacy zones
+ * @param {string|null} encoded - Encoded polyline
+ * @param {Array<Object>} zones - PrivacyZone rows
+ * @returns {string|null} Trimmed polyline (null if nothing is left)
+ */
+export function trimPolylineForPrivacy(encoded, zones) {
+  if (!encoded || !zones?.length) return encoded;
+  const kept = decodePolyline(encoded).filter(([lat, lng]) => !isInPrivacyZone(lat, lng, zones));
+  return encodePolyline(kept);
+}
+
+function redactSamples(samples, zones, stripAll) {
+  return samples.map(sample => {
+    if (sample?.[SAMPLE_LATITUDE_KEY] == null) return sample;
+    if (!stripAll && !isInPrivacyZone(sample[SAMPLE_LATITUDE_KEY], sample[SAMPLE_LONGITUDE_KEY], zones)) return sample;
+    const { [SAMPLE_LATITUDE_KEY]: lat, [SAMPLE_LONGITUDE_KEY]: lng, ...rest } = sample;
+    return rest;
+  });
+}
+
+/**
+ * Strip location an audience must not see from one activity
+ * Owner: unchanged. Others: privacy-zone points removed. Admin viewing a private
+ * activity: no location at all (admin endpoints are not authenticated per athlete).
+ * @param {Object} activity - AthleteActivity
+ * @param {Object} options - { audience, zones, visibility }
+ * @returns {Object} Copy of the activity safe to return
+ */
+export function redactActivityForAudience(activity, { audience, zones = [], visibility } = {}) {
+  if (!activity || audience === AUDIENCE.OWNER) return activity;
+
+  const stripAll = audience === AUDIENCE.ADMIN && visibility === ACTIVITY_VISIBILITY.PRIVATE;
+  if (!stripAll && zones.length === 0) return activity;
+
+  const redacted = { ...activity };
+  const hide = (latKey, lngKey) => {
+    if (!(latKey in redacted)) return;
+    if (stripAll || isInPrivacyZone(redacted[latKey], redacted[lngKey], zones)) {
+      redacted[latKey] = null;
+      redacted[lngKey] = null;
+    }
+  };
+
+  hide('startLatitude', 'startLongitude');
+  hide('endLatitude', 'endLongitude');
+
+  if ('summaryPolyline' in redacted) {
+    redacted.summaryPolyline = stripAll ? null : trimPolylineForPrivacy(redacted.summaryPolyline, zones);
+  }
+
+  if (Array.isArray(redacted.detailData?.samples)) {
+    redacted.detailData = {
+      ...redacted.detailData,
+      samples: redactSamples(redacted.detailData.samples, zones, stripAll)
+    };
+  }
+
+  return redacted;
+}
+
+/**
+ * Null out latitude/longitude stream points inside privacy zones (other channels untouched,
+ * so charts keep their full length)
+ * @param {Object} streams - Parallel arrays (activityStreamService)
+ * @param {Object} options - { audience, zones }
+ * @returns {Object}
+ */
+export function redactStreamsForAudience(streams, { audience, zones = [] } = {}) {
+  if (!streams || audience === AUDIENCE.OWNER || zones.length === 0) return streams;
+  if (!Array.isArray(streams.latitude) || !Array.isArray(streams.longitude)) return streams;
+
+  const hidden = streams.latitude.map((lat, i) => isInPrivacyZone(lat, streams.longitude[i], zones));
+  return {
+    ...streams,
+    latitude: streams.latitude.map((lat, i) => (hidden[i] ? null : lat)),
+    longitude: streams.longitude.map((lng, i) => (hidden[i] ? null : lng))
+  };
+}
+
+/**
+ * Redact a list of activities (possibly from many athletes) for one audience
+ * Visibility filtering belongs in the query (visibleActivityWhere); for the admin audience
+ * pass activities including athlete.defaultActivityVisibility so private ones are fully stripped.
+ * @param {Array<Object>} activities - AthleteActivity rows
+ * @param {string} audience - AUDIENCE value
+ * @returns {Promise<Array<Object>>}
+ */
+export async function prepareActivitiesForAudience(activities, audience) {
+  if (audience === AUDIENCE.OWNER || activities.length === 0) return activities;
+
+  const zonesByAthlete = await getPrivacyZonesByAthlete(activities.map(activity => activity.athleteId));
+
+  return activities.map(activity => redactActivityForAudience(activity, {
+    audience,
+    zones: zonesByAthlete.get(activity.athleteId) || [],
+    visibility: resolveActivityVisibility(activity, activity.athlete?.defaultActivityVisibility)
+  }));
+}
+
+/**
+ * Resolve what a viewer may see of a single activity
+ * @param {string} activityId
+ * @param {string|null} firebaseId - Viewer's Firebase uid
+ * @returns {Promise<{activity: Object|null, audience: string, canView: boolean, zones: Array<Object>}>}
+ */
+export async function getActivityAccess(activityId, firebaseId) {
+  const prisma = getPrismaClient();
+  const activity = await prisma.athleteActivity.findUnique({
+    where: { id: activityId },
+    select: {
+      id: true,
+      athleteId: true,
+      visibility: true,
+      athlete: { select: { defaultActivityVisibility: true } }
+    }
+  });
+
+  if (!activity) {
+    return { activity: null, audience: AUDIENCE.PUBLIC, canView: false, zones: [] };
+  }
+
+  const audience = await getViewerAudience(activity.athleteId, firebaseId);
+  const visibility = resolveActivityVisibility(activity, activity.athlete.defaultActivityVisibility);
+  const canView = canAudienceView(visibility, audience);
+  const zones = canView && audience !== AUDIENCE.OWNER
+    ? (await getPrivacyZonesByAthlete([activity.athleteId])).get(activity.athleteId)
+    : [];
+
+  return { activity, audience, canView, zones };
+}
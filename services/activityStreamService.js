@@ -0,0 +1,149 @@
+import { getPrismaClient } from '../config/database.js';
+
+/**
+ * Activity Stream Service
+ *
+ * Time-series samples (HR, speed/pace, cadence, elevation, lat/lng) live in ActivityStream
+ * as parallel arrays - one row per resolution - so activity queries never drag them along.
+ *   full   - every sample as received
+ *   medium - bucket-averaged down to <= 1000 points (charts)
+ *   low    - bucket-averaged down to <= 200 points (previews/sparklines)
+ */
+
+export const STREAM_RESOLUTIONS = {
+  full: null,
+  medium: 1000,
+  low: 200
+};
+
+export const DEFAULT_STREAM_RESOLUTION = 'medium';
+
+export const STREAM_CHANNELS = ['time', 'distance', 'heartRate', 'speed', 'cadence', 'elevation', 'latitude', 'longitude'];
+
+// Decimal places kept per channel (keeps JSON compact without losing useful precision)
+const CHANNEL_PRECISION = {
+  time: 0,
+  distance: 1,
+  heartRate: 0,
+  speed: 2,
+  cadence: 0,
+  elevation: 1,
+  latitude: 6,
+  longitude: 6
+};
+
+const round = (value, decimals) => {
+  if (value == null || Number.isNaN(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => {
+  const present = values.filter(v => v != null);
+  if (present.length === 0) return null;
+  return present.reduce((sum, v) => sum + v, 0) / present.length;
+};
+
+/**
+ * Keep only channels that have at least one value, rounded to channel precision
+ * @param {Object} streams - Parallel arrays keyed by channel
+ * @returns {Object}
+ */
+function compactStreams(streams) {
+  const compacted = {};
+  STREAM_CHANNELS.forEach(channel => {
+    const values = streams[channel];
+    if (!Array.isArray(values) || !values.some(v => v != null)) return;
+    compacted[channel] = values.map(v => round(v, CHANNEL_PRECISION[channel]));
+  });
+  return compacted;
+}
+
+/**
+ * Downsample parallel arrays to at most maxPoints by averaging fixed-size buckets
+ * time keeps the bucket's first timestamp; every other channel is the bucket mean
+ * @param {Object} streams - Parallel arrays keyed by channel
+ * @param {number} maxPoints
+ * @returns {Object}
+ */
+export function downsampleStreams(streams, maxPoints) {
+  const length = streams.time?.length || 0;
+  if (!maxPoints || length <= maxPoints) {
+    return streams;
+  }
+
+  const bucketSize = Math.ceil(length / maxPoints);
+  const downsampled = {};
+
+  Object.keys(streams).forEach(channel => {
+    const values = streams[channel];
+    const out = [];
+    for (let start = 0; start < length; start += bucketSize) {
+      const bucket = values.slice(start, start + bucketSize);
+      out.push(channel === 'time' ? bucket[0] : mean(bucket));
+    }
+    downsampled[channel] = out;
+  });
+
+  return downsampled;
+}
+
+/**
+ * Store full + downsampled streams for an activity (replaces any existing streams)
+ * @param {string} activityId - AthleteActivity.id
+ * @param {Object} streams - Full-resolution parallel arrays (e.g. GarminFieldMapper.mapSampleStreams)
+ * @returns {Promise<number>} - Number of resolutions stored (0 if no usable samples)
+ */
+export async function saveActivityStreams(activityId, streams) {
+  if (!streams?.time?.length) {
+    return 0;
+  }
+
+  const prisma = getPrismaClient();
+  const full = compactStreams(streams);
+
+  const rows = Object.entries(STREAM_RESOLUTIONS).map(([resolution, maxPoints]) => {
+    const data = resolution === 'full' ? full : compactStreams(downsampleStreams(full, maxPoints));
+    return {
+      activityId,
+      resolution,
+      pointCount: data.time.length,
+      streams: data
+    };
+  });
+
+  await prisma.$transaction([
+    prisma.activityStream.deleteMany({ where: { activityId } }),
+    prisma.activityStream.createMany({ data: rows })
+  ]);
+
+  console.log(`✅ Saved streams for activity ${activityId}: ${rows.map(r => `${r.resolution}=${r.pointCount}`).join(', ')}`);
+  return rows.length;
+}
+
+/**
+ * Read streams for an activity at a resolution
+ * Adds derived pace (seconds per mile) when speed is present.
+ * @param {string} activityId
+ * @param {string} [resolution] - "full" | "medium" | "low"
+ * @returns {Promise<Object|null>} - { resolution, pointCount, streams } or null if none stored
+ */
+export async function getActivityStreams(activityId, resolution = DEFAULT_STREAM_RESOLUTION) {
+  const prisma = getPrismaClient();
+
+  const stream = await prisma.activityStream.findUnique({
+    where: { activityId_resolution: { activityId, resolution } },
+    select: { resolution: true, pointCount: true, streams: true }
+  });
+
+  if (!stream) {
+    return null;
+  }
+
+  const streams = { ...stream.streams };
+  if (Array.isArray(streams.speed)) {
+    streams.pace = streams.speed.map(speed => (speed && speed > 0 ? Math.round(1609.34 / speed) : null));
+  }
+
+  return { ...stream, streams };
+}
@@ -0,0 +1,213 @@
+/**
+ * Activity Type Service
+ *
+ * One taxonomy for every activity source. AthleteActivity.activityType keeps the provider's
+ * Garmin-style typeKey ("trail_running", "treadmill_running", "virtual_ride"); on every write
+ * it is classified into a canonical sport + sub-type stored alongside it:
+ *   trail_running     → run / trail
+ *   treadmill_running → run / treadmill
+ *   wheelchair_push_run → wheelchair / run   (never counted as a run)
+ * Aggregates filter on AthleteActivity.sport instead of matching type strings, and crews pick
+ * which sports count toward their leaderboards (RunCrew.countedSports).
+ */
+
+export const SPORTS = {
+  RUN: 'run',
+  WALK: 'walk',
+  HIKE: 'hike',
+  RIDE: 'ride',
+  SWIM: 'swim',
+  WHEELCHAIR: 'wheelchair',
+  ROW: 'row',
+  SKI: 'ski',
+  STRENGTH: 'strength',
+  CARDIO: 'cardio',
+  OTHER: 'other'
+};
+
+export const SPORT_LIST = Object.values(SPORTS);
+
+// What crews count when they haven't chosen (matches the original running-only leaderboards)
+export const DEFAULT_COUNTED_SPORTS = [SPORTS.RUN];
+
+export const SPORT_LABELS = {
+  run: 'Run',
+  walk: 'Walk',
+  hike: 'Hike',
+  ride: 'Ride',
+  swim: 'Swim',
+  wheelchair: 'Wheelchair',
+  row: 'Row',
+  ski: 'Ski',
+  strength: 'Strength',
+  cardio: 'Cardio',
+  other: 'Other'
+};
+
+// Known typeKeys (Garmin typeKeys, Strava sport_types after StravaFieldMapper, file sports) → [sport, subType]
+const ACTIVITY_TAXONOMY = {
+  running: [SPORTS.RUN, 'road'],
+  run: [SPORTS.RUN, 'road'],
+  street_running: [SPORTS.RUN, 'road'],
+  trail_running: [SPORTS.RUN, 'trail'],
+  trail_run: [SPORTS.RUN, 'trail'],
+  treadmill_running: [SPORTS.RUN, 'treadmill'],
+  indoor_running: [SPORTS.RUN, 'treadmill'],
+  track_running: [SPORTS.RUN, 'track'],
+  virtual_run: [SPORTS.RUN, 'virtual'],
+  ultra_run: [SPORTS.RUN, 'ultra'],
+  obstacle_run: [SPORTS.RUN, 'obstacle'],
+
+  walking: [SPORTS.WALK, 'outdoor'],
+  walk: [SPORTS.WALK, 'outdoor'],
+  casual_walking: [SPORTS.WALK, 'outdoor'],
+  speed_walking: [SPORTS.WALK, 'speed'],
+  indoor_walking: [SPORTS.WALK, 'indoor'],
+
+  hiking: [SPORTS.HIKE, 'trail'],
+  hike: [SPORTS.HIKE, 'trail'],
+  mountaineering: [SPORTS.HIKE, 'mountaineering'],
+
+  cycling: [SPORTS.RIDE, 'road'],
+  ride: [SPORTS.RIDE, 'road'],
+  road_biking: [SPORTS.RIDE, 'road'],
+  mountain_biking: [SPORTS.RIDE, 'mountain'],
+  gravel_cycling: [SPORTS.RIDE, 'gravel'],
+  cyclocross: [SPORTS.RIDE, 'gravel'],
+  indoor_cycling: [SPORTS.RIDE, 'indoor'],
+  virtual_ride: [SPORTS.RIDE, 'virtual'],
+  e_bike_fitness: [SPORTS.RIDE, 'ebike'],
+  e_bike_mountain: [SPORTS.RIDE, 'ebike'],
+
+  swimming: [SPORTS.SWIM, 'pool'],
+  lap_swimming: [SPORTS.SWIM, 'pool'],
+  open_water_swimming: [SPORTS.SWIM, 'open_water'],
+
+  wheelchair_push_run: [SPORTS.WHEELCHAIR, 'run'],
+  wheelchair_push_walk: [SPORTS.WHEELCHAIR, 'walk'],
+  wheelchair: [SPORTS.WHEELCHAIR, 'run'],
+
+  rowing: [SPORTS.ROW, 'water'],
+  indoor_rowing: [SPORTS.ROW, 'indoor'],
+
+  cross_country_skiing: [SPORTS.SKI, 'nordic'],
+  cross_country_skiing_ws: [SPORTS.SKI, 'nordic'],
+  nordic_ski: [SPORTS.SKI, 'nordic'],
+  resort_skiing_snowboarding_ws: [SPORTS.SKI, 'resort'],
+  alpine_ski: [SPORTS.SKI, 'resort'],
+  backcountry_skiing: [SPORTS.SKI, 'backcountry'],
+  snowboard: [SPORTS.SKI, 'snowboard'],
+
+  strength_training: [SPORTS.STRENGTH, 'weights'],
+  weight_training: [SPORTS.STRENGTH, 'weights'],
+
+  elliptical: [SPORTS.CARDIO, 'elliptical'],
+  stair_climbing: [SPORTS.CARDIO, 'stairs'],
+  hiit: [SPORTS.CARDIO, 'hiit'],
+  indoor_cardio: [SPORTS.CARDIO, 'indoor'],
+  fitness_equipment: [SPORTS.CARDIO, 'indoor'],
+
+  yoga: [SPORTS.OTHER, 'yoga'],
+  pilates: [SPORTS.OTHER, 'pilates'],
+  multi_sport: [SPORTS.OTHER, 'multisport'],
+  other: [SPORTS.OTHER, null]
+};
+
+// Fallbacks for typeKeys not in the table, checked in order (wheelchair before run/walk)
+const SPORT_PATTERNS = [
+  [/wheelchair/, SPORTS.WHEELCHAIR],
+  [/run/, SPORTS.RUN],
+  [/walk/, SPORTS.WALK],
+  [/hik/, SPORTS.HIKE],
+  [/swim/, SPORTS.SWIM],
+  [/bik|cycl|ride/, SPORTS.RIDE],
+  [/row/, SPORTS.ROW],
+  [/ski|snowboard/, SPORTS.SKI],
+  [/strength|weight/, SPORTS.STRENGTH]
+];
+
+/**
+ * Normalize a raw type label to typeKey format
+ * "TrailRun" → "trail_run", "Treadmill Run" → "treadmill_run", "trail-running" → "trail_running"
+ * @param {string} rawType
+ * @returns {string|null}
+ */
+export function toTypeKey(rawType) {
+  if (typeof rawType !== 'string' || !rawType.trim()) return null;
+  return rawType
+    .trim()
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Classify a raw activity type into canonical sport + sub-type
+ * @param {string|null} rawType - Garmin typeKey, Strava sport_type, file sport or athlete input
+ * @returns {{ sport: string|null, sportSubType: string|null }} Both null when there is no type
+ */
+export function classifyActivityType(rawType) {
+  const typeKey = toTypeKey(rawType);
+  if (!typeKey) return { sport: null, sportSubType: null };
+
+  if (ACTIVITY_TAXONOMY[typeKey]) {
+    const [sport, sportSubType] = ACTIVITY_TAXONOMY[typeKey];
+    return { sport, sportSubType };
+  }
+
+  const match = SPORT_PATTERNS.find(([pattern]) => pattern.test(typeKey));
+  if (!match) return { sport: SPORTS.OTHER, sportSubType: typeKey };
+
+  // "indoor_track_running" → "indoor_track": whatever qualifies the sport word is the sub-type
+  const sportSubType = typeKey
+    .split('_')
+    .filter(part => !match[0].test(part))
+    .join('_');
+
+  return { sport: match[1], sportSubType: sportSubType || null };
+}
+
+/**
+ * Add sport/sportSubType to AthleteActivity write data whenever it sets activityType
+ * @param {Object} data - Prisma create/update data
+ * @returns {Object} Same data with classification fields (unchanged if activityType isn't set)
+ */
+export function withActivityClassification(data) {
+  if (!data || data.activityType === undefined) return data;
+  return { ...data, ...classifyActivityType(data.activityType) };
+}
+
+/**
+ * @param {Object} activity - AthleteActivity (sport, or activityType for rows not yet classified)
+ * @returns {boolean}
+ */
+export function isRunActivity(activity) {
+  const sport = activity?.sport ?? classifyActivityType(activity?.activityType).sport;
+  return sport === SPORTS.RUN;
+}
+
+/**
+ * Sports a crew counts toward its leaderboards
+ * @param {Object} runCrew - RunCrew (countedSports)
+ * @returns {Array<string>}
+ */
+export function getCountedSports(runCrew) {
+  return runCrew?.countedSports?.length ? runCrew.countedSports : DEFAULT_COUNTED_SPORTS;
+}
+
+/**
+ * Validate a list of sports (crew settings, query params)
+ * @param {*} value - Array of sports or comma-separated string
+ * @returns {{ sports: Array<string>|null, invalid: Array<string> }}
+ */
+export function parseSportList(value) {
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === 'string' ? value.split(',') : null;
+
+  if (!list) return { sports: null, invalid: [] };
+
+  const sports = [...new Set(list.map(sport => String(sport).trim().toLowerCase()).filter(Boolean))];
+  const invalid = sports.filter(sport => !SPORT_LIST.includes(sport));
+  return { sports: invalid.length === 0 && sports.length > 0 ? sports : null, invalid };
+}
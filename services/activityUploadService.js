@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import { getPrismaClient } from '../config/database.js';
+import { parseActivityFile } from './activityFileParserService.js';
+import { saveActivityStreams } from './activityStreamService.js';
+import { afterActivityIngest } from './manualActivityService.js';
+import { withActivityClassification } from './activityTypeService.js';
+
+/**
+ * Activity Upload Service
+ * Imports GPX/TCX/FIT files into AthleteActivity (source: 'upload') for athletes
+ * without a Garmin/Strava connection - same post-ingest steps as the webhooks
+ * (streams → dedup → metrics → PRs).
+ */
+
+export const UPLOAD_SOURCE = 'upload';
+
+// GoFast is a running app - files with no sport tag are assumed to be runs
+const DEFAULT_UPLOAD_ACTIVITY_TYPE = 'running';
+
+/**
+ * sourceActivityId for an uploaded file - content hash, so re-uploading the same file
+ * updates the existing activity instead of creating a copy
+ * @param {string} athleteId
+ * @param {Buffer} buffer - File contents
+ * @returns {string} e.g. "upload_3f2a..."
+ */
+export function toUploadSourceActivityId(athleteId, buffer) {
+  const hash = crypto.createHash('sha1').update(athleteId).update(buffer).digest('hex');
+  return `${UPLOAD_SOURCE}_${hash.slice(0, 24)}`;
+}
+
+/**
+ * Parse one file and upsert it as an AthleteActivity
+ * Throws ActivityFileParseError for files that can't be parsed.
+ * @param {string} athleteId
+ * @param {Object} file - { originalname, buffer } (multer memory storage)
+ * @param {Object} [options] - { activityType } used when the file has no sport
+ * @returns {Promise<{activity: Object, created: boolean}>}
+ */
+export async function importActivityFile(athleteId, file, options = {}) {
+  const prisma = getPrismaClient();
+  const { streams, fileType, ...parsed } = parseActivityFile(file.originalname, file.buffer);
+
+  const sourceActivityId = toUploadSourceActivityId(athleteId, file.buffer);
+  const existing = await prisma.athleteActivity.findUnique({
+    where: { sourceActivityId },
+    select: { id: true }
+  });
+
+  const activityData = withActivityClassification({
+    ...parsed,
+    athleteId,
+    sourceActivityId,
+    source: UPLOAD_SOURCE,
+    activityType: parsed.activityType || options.activityType || DEFAULT_UPLOAD_ACTIVITY_TYPE,
+    activityName: parsed.activityName || file.originalname.replace(/\.[^.]+$/, ''),
+    summaryData: {
+      fileName: file.originalname,
+      fileType
+    },
+    detailData: {
+      sampleCount: streams.time.length
+    },
+    hydratedAt: new Date(),
+    lastUpdatedAt: new Date()
+  });
+
+  const upserted = await prisma.athleteActivity.upsert({
+    where: { sourceActivityId },
+    update: activityData,
+    create: {
+      ...activityData,
+      syncedAt: new Date()
+    }
+  });
+
+  console.log(`✅ UPLOAD: ${existing ? 'Updated' : 'Imported'} ${fileType.toUpperCase()} "${file.originalname}" as activity ${upserted.id} for athlete ${athleteId}`);
+
+  try {
+    await saveActivityStreams(upserted.id, streams);
+  } catch (streamError) {
+    console.error(`❌ UPLOAD: Failed to save streams for activity ${upserted.id}:`, streamError);
+  }
+
+  // Re-uploading the same file must not undo a type correction; the same run may already be here from Garmin/Strava
+  const activity = await afterActivityIngest(upserted.id);
+
+  return { activity, created: !existing };
+}
@@ -0,0 +1,323 @@
+import crypto from 'crypto';
+import { getPrismaClient } from '../config/database.js';
+import {
+  getCalendarDay,
+  isValidTimeZone,
+  parseClockTime,
+  parseDayKey,
+  toDayKey,
+  zonedTimeToUtc
+} from '../utils/timezoneUtils.js';
+import {
+  RUN_OCCURRENCE_STATUS,
+  buildRunOccurrence,
+  getRunRecurrence,
+  isRunOccurrenceDate
+} from './runCrewOccurrenceService.js';
+
+/**
+ * Calendar Feed Service
+ *
+ * iCalendar (RFC 5545) feed of an athlete's schedule, subscribed to from a phone calendar:
+ *   - planned workouts of their active training plans (all-day events, rest days left out)
+ *   - crew runs and crew events they RSVP'd "going" to (recurring runs: each occurrence they're
+ *     going to, cancelled ones stay in the feed marked cancelled so calendars drop them)
+ *
+ * The feed URL carries a secret token instead of a Firebase token (calendar apps can't sign in).
+ * Only its hash is stored (Athlete.calendarFeedTokenHash) - athlete rows are hydrated into crew
+ * payloads - so the URL is shown once, and rotating the token revokes old URLs. UIDs are built from
+ * row ids, so when a workout changes (plan adaptation, edited run) the calendar replaces the entry
+ * instead of adding one.
+ */
+
+const FEED_HOST = 'gofast';
+const PAST_DAYS = 14; // How far back the feed reaches
+const DEFAULT_RUN_MINUTES = 60;
+const DEFAULT_EVENT_MINUTES = 120;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const getBackendUrl = () => process.env.BACKEND_URL || 'https://gofastbackendv2-fall2025.onrender.com';
+
+/**
+ * New secret feed token (URL-safe)
+ * @returns {string}
+ */
+export function generateCalendarFeedToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * What gets stored and looked up for a token
+ * @param {string} token
+ * @returns {string} hex SHA-256
+ */
+export function hashCalendarFeedToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Subscription URLs for a feed token
+ * @param {string} token
+ * @returns {{url: string, webcalUrl: string}}
+ */
+export function getCalendarFeedUrls(token) {
+  const url = `${getBackendUrl()}/api/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
+
+// ---------------------------------------------------------------------------
+// iCalendar formatting
+// ---------------------------------------------------------------------------
+
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function formatUtc(date) {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+}
+
+function formatDay({ year, month, day }) {
+  return `${year}${pad(month)}${pad(day)}`;
+}
+
+function formatFloating({ year, month, day, hour, minute }) {
+  return `${formatDay({ year, month, day })}T${pad(hour)}${pad(minute)}00`;
+}
+
+function nextDay({ year, month, day }) {
+  const next = new Date(Date.UTC(year, month - 1, day) + MS_PER_DAY);
+  return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+}
+
+/**
+ * VEVENT lines
+ * @param {Object} event - { uid, updatedAt, summary, description?, location?, geo?, start, allDay?, cancelled? }
+ *   start: { day } for all-day, else { day, hour, minute, timeZone?, minutes }
+ */
+function buildEvent(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(event.updatedAt)}`,
+    `LAST-MODIFIED:${formatUtc(event.updatedAt)}`,
+    `SEQUENCE:${Math.floor(new Date(event.updatedAt).getTime() / 1000)}`
+  ];
+
+  const { start } = event;
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDay(start.day)}`, `DTEND;VALUE=DATE:${formatDay(nextDay(start.day))}`);
+  } else if (isValidTimeZone(start.timeZone)) {
+    const startsAt = zonedTimeToUtc({ ...start.day, hour: start.hour, minute: start.minute }, start.timeZone);
+    lines.push(`DTSTART:${formatUtc(startsAt)}`, `DTEND:${formatUtc(new Date(startsAt.getTime() + start.minutes * 60000))}`);
+  } else {
+    // No zone on the row - floating time shows at that clock time wherever the phone is
+    lines.push(`DTSTART:${formatFloating({ ...start.day, hour: start.hour, minute: start.minute })}`, `DURATION:PT${start.minutes}M`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.geo) lines.push(`GEO:${event.geo.lat};${event.geo.lng}`);
+  if (event.cancelled) lines.push('STATUS:CANCELLED');
+  lines.push('TRANSP:' + (event.allDay ? 'TRANSPARENT' : 'OPAQUE'), 'END:VEVENT');
+
+  return lines;
+}
+
+// ---------------------------------------------------------------------------
+// Feed contents
+// ---------------------------------------------------------------------------
+
+function describeWorkout(plannedData, plan) {
+  const lines = [];
+  if (plannedData.description) lines.push(plannedData.description);
+  if (plannedData.mileage) lines.push(`Distance: ${plannedData.mileage} mi`);
+  if (plannedData.paceRange) lines.push(`Pace: ${plannedData.paceRange.min}-${plannedData.paceRange.max} /mi`);
+  if (plannedData.hrRange) {
+    const { minPercent, maxPercent, minBpm, maxBpm } = plannedData.hrRange;
+    lines.push(`Heart rate: ${plannedData.hrZone?.toUpperCase() || ''} ${minBpm ? `${minBpm}-${maxBpm} bpm` : `${minPercent}-${maxPercent}% max`}`.replace(/\s+/g, ' '));
+  }
+  if (plannedData.coachNotes) lines.push(`Coach: ${plannedData.coachNotes}`);
+  if (plannedData.adjustment?.message) lines.push(`Changed: ${plannedData.adjustment.message}`);
+  lines.push(`${plan.trainingPlanName}${plan.race?.raceName ? ` - ${plan.race.raceName}` : ''}`);
+  return lines.join('\n');
+}
+
+function workoutEvents(plannedDays) {
+  return plannedDays
+    .filter(day => day.plannedData?.type && day.plannedData.type !== 'rest')
+    .map(day => ({
+      uid: `training-day-${day.id}@${FEED_HOST}`,
+      updatedAt: day.updatedAt,
+      summary: `🏃 ${day.plannedData.label || day.plannedData.type}`,
+      description: describeWorkout(day.plannedData, day.trainingPlan),
+      allDay: true,
+      start: { day: { year: day.date.getFullYear(), month: day.date.getMonth() + 1, day: day.date.getDate() } }
+    }));
+}
+
+function location(...parts) {
+  const text = parts.filter(Boolean).join(', ');
+  return text || null;
+}
+
+function timedStart(date, clockTime, timeZone, minutes) {
+  const time = parseClockTime(clockTime);
+  const day = getCalendarDay(date);
+  return time ? { day, ...time, timeZone, minutes } : null;
+}
+
+// Occurrences the athlete is going to (legacy series-wide RSVPs on recurring runs name no day - skipped)
+function goingRunOccurrences(rsvps) {
+  return rsvps.flatMap(({ run, occurrenceDate }) => {
+    const crewName = run.runCrew.name;
+    if (!getRunRecurrence(run)) return [{ ...buildRunOccurrence(run, null), crewName }];
+    if (!occurrenceDate || !isRunOccurrenceDate(run, occurrenceDate)) return [];
+
+    const override = run.overrides.find(o => o.occurrenceDate === occurrenceDate) || null;
+    return [{ ...buildRunOccurrence(run, occurrenceDate, override), crewName }];
+  });
+}
+
+function crewRunEvents(occurrences) {
+  return occurrences.map(run => {
+    const day = parseDayKey(run.date);
+    const time = parseClockTime(run.startTime);
+    const start = time ? { day, ...time, timeZone: run.timezone, minutes: DEFAULT_RUN_MINUTES } : null;
+    const cancelled = run.status === RUN_OCCURRENCE_STATUS.CANCELLED;
+    const details = [
+      cancelled ? 'CANCELLED' : null,
+      run.note,
+      run.description,
+      run.totalMiles ? `Distance: ${run.totalMiles} mi` : null,
+      run.pace ? `Pace: ${run.pace}` : null,
+      `Crew: ${run.crewName}`
+    ].filter(Boolean);
+
+    return {
+      uid: run.occurrenceDate
+        ? `runcrew-run-${run.runId}-${run.occurrenceDate.replace(/-/g, '')}@${FEED_HOST}`
+        : `runcrew-run-${run.runId}@${FEED_HOST}`,
+      updatedAt: run.updatedAt,
+      summary: `${cancelled ? '❌' : '👟'} ${run.title}`,
+      description: details.join('\n'),
+      location: location(run.meetUpPoint, run.meetUpAddress),
+      geo: run.meetUpLat != null && run.meetUpLng != null ? { lat: run.meetUpLat, lng: run.meetUpLng } : null,
+      cancelled,
+      allDay: !start,
+      start: start || { day }
+    };
+  });
+}
+
+function crewEventEvents(events) {
+  return events.map(event => {
+    const start = timedStart(event.date, event.time, null, DEFAULT_EVENT_MINUTES);
+    return {
+      uid: `runcrew-event-${event.id}@${FEED_HOST}`,
+      updatedAt: event.updatedAt,
+      summary: `🎉 ${event.title}`,
+      description: [event.description, `Crew: ${event.runCrew.name}`].filter(Boolean).join('\n'),
+      location: location(event.location, event.address),
+      allDay: !start,
+      start: start || { day: getCalendarDay(event.date) }
+    };
+  });
+}
+
+/**
+ * Build the iCalendar document for an athlete
+ * @param {Object} athlete - Athlete (id, firstName, lastName)
+ * @param {Date} [now]
+ * @returns {Promise<string>} text/calendar body (CRLF line endings)
+ */
+export async function buildAthleteCalendar(athlete, now = new Date()) {
+  const prisma = getPrismaClient();
+  const since = new Date(now.getTime() - PAST_DAYS * MS_PER_DAY);
+  const sinceKey = toDayKey(getCalendarDay(since));
+
+  const [plannedDays, runRsvps, eventRsvps] = await Promise.all([
+    prisma.trainingDayPlanned.findMany({
+      where: {
+        athleteId: athlete.id,
+        date: { gte: since },
+        trainingPlan: { status: 'active' }
+      },
+      include: {
+        trainingPlan: { select: { trainingPlanName: true, race: { select: { raceName: true } } } }
+      },
+      orderBy: { date: 'asc' }
+    }),
+    prisma.runCrewRunRSVP.findMany({
+      where: {
+        athleteId: athlete.id,
+        status: 'going',
+        OR: [
+          { occurrenceDate: { gte: sinceKey } },
+          { occurrenceDate: '', run: { date: { gte: since } } }
+        ]
+      },
+      include: {
+        run: {
+          include: {
+            runCrew: { select: { name: true } },
+            overrides: { where: { occurrenceDate: { gte: sinceKey } } }
+          }
+        }
+      }
+    }),
+    prisma.runCrewEventRSVP.findMany({
+      where: { athleteId: athlete.id, status: 'going', event: { date: { gte: since } } },
+      include: { event: { include: { runCrew: { select: { name: true } } } } }
+    })
+  ]);
+
+  const events = [
+    ...workoutEvents(plannedDays),
+    ...crewRunEvents(goingRunOccurrences(runRsvps)),
+    ...crewEventEvents(eventRsvps.map(rsvp => rsvp.event))
+  ];
+
+  const name = [athlete.firstName, athlete.lastName].filter(Boolean).join(' ');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//GoFast//Training Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name ? `GoFast - ${name}` : 'GoFast')}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
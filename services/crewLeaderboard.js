@@ -1,5 +1,7 @@
 import { getPrismaClient } from '../config/database.js';
 import { getCurrentWeek } from '../utils/weekUtils.js';
+import { visibleActivityWhere, AUDIENCE } from './activityPrivacyService.js';
+import { getCountedSports } from './activityTypeService.js';
 
 /**
  * Compute leaderboard metrics for a RunCrew on the fly.
@@ -7,7 +9,7 @@ import { getCurrentWeek } from '../utils/weekUtils.js';
  * Returns sorted list by total miles (desc) with activity counts and calories.
  * 
  * Note: 
- *   - Only includes running activities (excludes bikes, wheelchair, etc.)
+ *   - Only includes the crew's counted sports (RunCrew.countedSports, default: runs - no wheelchair, bikes, etc.)
  *   - Uses Monday-Sunday week boundaries (not rolling 7 days)
  */
 export async function computeCrewLeaderboard(runCrewId) {
@@ -20,6 +22,17 @@ export async function computeCrewLeaderboard(runCrewId) {
   const windowStart = weekRange.start;
   const windowEnd = weekRange.end;
 
+  const settings = await prisma.runCrew.findUnique({
+    where: { id: runCrewId },
+    select: { countedSports: true }
+  });
+
+  if (!settings) {
+    return [];
+  }
+
+  const countedSports = getCountedSports(settings);
+
   const crew = await prisma.runCrew.findUnique({
     where: { id: runCrewId },
     include: {
@@ -37,26 +50,22 @@ export async function computeCrewLeaderboard(runCrewId) {
                     gte: windowStart,
                     lte: windowEnd
                   },
-                  // MVP1: Only include running activities (exclude wheelchair)
-                  AND: [
-                    {
-                      OR: [
-                        { activityType: { equals: 'running', mode: 'insensitive' } },
-                        { activityType: { equals: 'run', mode: 'insensitive' } }
-                      ]
-                    },
-                    {
-                      NOT: {
-                        activityType: { contains: 'wheelchair', mode: 'insensitive' }
-                      }
-                    }
-                  ]
+                  // Skip cross-source duplicates (same run from Garmin + Strava)
+                  duplicateOfId: null,
+                  // Athlete opted this activity out of leaderboards
+                  excludeFromLeaderboards: false,
+                  // Only the sports this crew counts (classified on ingest - services/activityTypeService.js)
+                  sport: { in: countedSports },
+                  // Crew members see public + crew-only activities, never private ones
+                  ...visibleActivityWhere(AUDIENCE.CREW)
                 },
                 select: {
                   activityType: true,
+                  sport: true,
                   distance: true,
                   duration: true,
-                  calories: true
+                  calories: true,
+                  trainingLoad: true
                 }
               }
             }
@@ -71,29 +80,23 @@ export async function computeCrewLeaderboard(runCrewId) {
   }
 
   const leaderboard = crew.memberships.map((membership) => {
-    const allActivities = membership.athlete?.activities || [];
-    
-    // Safety net: Filter to only running activities (in case query filter missed something)
-    const activities = allActivities.filter(activity => {
-      if (!activity.activityType) return false;
-      const type = activity.activityType.toLowerCase();
-      // Include activities with "running" or "run" in the type, but exclude wheelchair
-      return (type.includes('running') || type === 'run') && !type.includes('wheelchair');
-    });
+    const activities = membership.athlete?.activities || [];
     
     const totals = activities.reduce(
       (acc, activity) => {
         const distance = activity.distance || 0;
         const duration = activity.duration || 0;
         const calories = activity.calories || 0;
+        const trainingLoad = activity.trainingLoad || 0;
 
         return {
           distance: acc.distance + distance,
           duration: acc.duration + duration,
-          calories: acc.calories + calories
+          calories: acc.calories + calories,
+          trainingLoad: acc.trainingLoad + trainingLoad
         };
       },
-      { distance: 0, duration: 0, calories: 0 }
+      { distance: 0, duration: 0, calories: 0, trainingLoad: 0 }
     );
 
     const totalMiles = totals.distance / 1609.34;
@@ -108,6 +111,7 @@ export async function computeCrewLeaderboard(runCrewId) {
       totalDistanceMiles: parseFloat(totalMiles.toFixed(2)),
       totalDuration: totals.duration,
       totalCalories: totals.calories,
+      totalTrainingLoad: Math.round(totals.trainingLoad * 10) / 10,
       activityCount: activities.length
     };
   });
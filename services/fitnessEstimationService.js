@@ -0,0 +1,344 @@
+import { getPrismaClient } from '../config/database.js';
+import { BEST_EFFORT_DISTANCES, DEFAULT_RESTING_HEART_RATE, getAthleteMaxHeartRate } from './activityMetricsService.js';
+import { predictRaceSeconds } from './trainingPlanGeneratorService.js';
+import { formatDuration, parseDuration } from '../utils/timeUtils.js';
+
+/**
+ * Fitness Estimation Service
+ *
+ * Keeps TrainingPlan.trainingPlanAdaptive5kTime current. Every workout linked to a plan day
+ * (trainingMatchService) becomes a 5K-equivalent observation that is blended into the running
+ * prediction; each step is kept as a TrainingFitnessPrediction row.
+ *
+ * Observations, strongest first:
+ *   race        - planned race day: the whole activity carried to 5K (Riegel)
+ *   best_effort - fastest mile / 5K / 10K / half inside a training run, carried to 5K. Training
+ *                 efforts are rarely all-out, so they only ever pull the prediction faster.
+ *   heart_rate  - steady runs: pace → VO2 (ACSM running equation), %HR reserve ≈ %VO2 reserve (Swain)
+ *                 gives VO2max, and the 5K is raced at ~95% of it
+ *
+ * The prediction starts from trainingPlanBaseline5k; the projected race-day finish is the prediction
+ * carried to Race.distanceMiles.
+ */
+
+export const PREDICTION_SOURCES = {
+  RACE: 'race',
+  BEST_EFFORT: 'best_effort',
+  HEART_RATE: 'heart_rate'
+};
+
+const METERS_PER_MILE = 1609.34;
+const FIVE_K_MILES = 5000 / METERS_PER_MILE;
+
+// Share of the gap between prediction and observation one workout closes
+const SOURCE_WEIGHTS = {
+  [PREDICTION_SOURCES.RACE]: 0.6,
+  [PREDICTION_SOURCES.BEST_EFFORT]: 0.35,
+  [PREDICTION_SOURCES.HEART_RATE]: 0.1
+};
+
+// Observations further than this from the prediction are glitches (GPS, HR strap), not fitness
+const MAX_OBSERVATION_SHIFT = {
+  [PREDICTION_SOURCES.RACE]: 0.25,
+  [PREDICTION_SOURCES.BEST_EFFORT]: 0.15,
+  [PREDICTION_SOURCES.HEART_RATE]: 0.1
+};
+
+const HR_STEADY_TYPES = ['easy', 'recovery', 'long'];
+const HR_MIN_SECONDS = 20 * 60;
+const HR_FRACTION_RANGE = { min: 0.65, max: 0.92 }; // Share of max HR outside which pace/HR is unreliable
+const FIVE_K_VO2_FRACTION = 0.95;
+const RESTING_VO2 = 3.5; // ml/kg/min
+const VO2_PER_METER_PER_MINUTE = 0.2; // ACSM horizontal running cost
+
+const ACTIVITY_SELECT = {
+  id: true,
+  athleteId: true,
+  startTime: true,
+  distance: true,
+  duration: true,
+  averageHeartRate: true,
+  paceSecondsPerMile: true,
+  gradeAdjustedPaceSecondsPerMile: true,
+  bestEfforts: true
+};
+
+/**
+ * 5K-equivalent observations from one workout (pure - no database access)
+ * @param {Object|null} plannedData - Snapshot on the TrainingDayExecuted
+ * @param {Object} activity - AthleteActivity (ACTIVITY_SELECT fields)
+ * @param {number|null} maxHeartRate
+ * @returns {Array<{source: string, seconds: number, details: Object}>}
+ */
+export function estimateFiveKFromWorkout(plannedData, activity, maxHeartRate) {
+  const observations = [];
+  const miles = (activity.distance || 0) / METERS_PER_MILE;
+
+  if (plannedData?.type === 'race' && miles >= 1 && activity.duration > 0) {
+    observations.push({
+      source: PREDICTION_SOURCES.RACE,
+      seconds: Math.round(predictRaceSeconds(activity.duration, miles, FIVE_K_MILES)),
+      details: { effortDistanceMiles: Number(miles.toFixed(2)), effortSeconds: Math.round(activity.duration) }
+    });
+  }
+
+  const bestEffort = Object.entries(BEST_EFFORT_DISTANCES)
+    .filter(([key]) => activity.bestEfforts?.[key]?.seconds > 0)
+    .map(([key, meters]) => ({
+      key,
+      seconds: activity.bestEfforts[key].seconds,
+      fiveK: Math.round(predictRaceSeconds(activity.bestEfforts[key].seconds, meters / METERS_PER_MILE, FIVE_K_MILES))
+    }))
+    .sort((a, b) => a.fiveK - b.fiveK)[0];
+
+  if (bestEffort) {
+    observations.push({
+      source: PREDICTION_SOURCES.BEST_EFFORT,
+      seconds: bestEffort.fiveK,
+      details: { effortDistance: bestEffort.key, effortSeconds: bestEffort.seconds }
+    });
+  }
+
+  const pace = activity.gradeAdjustedPaceSecondsPerMile || activity.paceSecondsPerMile;
+  const hrFraction = maxHeartRate && activity.averageHeartRate ? activity.averageHeartRate / maxHeartRate : null;
+
+  if (
+    HR_STEADY_TYPES.includes(plannedData?.type) &&
+    pace > 0 &&
+    activity.duration >= HR_MIN_SECONDS &&
+    hrFraction >= HR_FRACTION_RANGE.min &&
+    hrFraction <= HR_FRACTION_RANGE.max
+  ) {
+    const reserveFraction = (activity.averageHeartRate - DEFAULT_RESTING_HEART_RATE) / (maxHeartRate - DEFAULT_RESTING_HEART_RATE);
+    const vo2 = RESTING_VO2 + VO2_PER_METER_PER_MINUTE * (METERS_PER_MILE / (pace / 60));
+    const vo2max = RESTING_VO2 + (vo2 - RESTING_VO2) / reserveFraction;
+    const fiveKMetersPerMinute = (FIVE_K_VO2_FRACTION * vo2max - RESTING_VO2) / VO2_PER_METER_PER_MINUTE;
+
+    observations.push({
+      source: PREDICTION_SOURCES.HEART_RATE,
+      seconds: Math.round((5000 / fiveKMetersPerMinute) * 60),
+      details: {
+        paceSecondsPerMile: pace,
+        averageHeartRate: activity.averageHeartRate,
+        hrFraction: Number(hrFraction.toFixed(3)),
+        vo2max: Number(vo2max.toFixed(1))
+      }
+    });
+  }
+
+  return observations;
+}
+
+/**
+ * Blend the strongest usable observation into the current prediction (pure)
+ * @param {number} current5kSeconds
+ * @param {Array<Object>} observations - estimateFiveKFromWorkout result
+ * @returns {Object|null} { source, observed5kSeconds, predicted5kSeconds, weight, details }, null if nothing usable
+ */
+export function blendPrediction(current5kSeconds, observations) {
+  const usable = observations.filter(({ source, seconds }) => {
+    if (Math.abs(seconds - current5kSeconds) / current5kSeconds > MAX_OBSERVATION_SHIFT[source]) return false;
+    return source !== PREDICTION_SOURCES.BEST_EFFORT || seconds < current5kSeconds;
+  });
+
+  const observation = Object.values(PREDICTION_SOURCES)
+    .map(source => usable.find(candidate => candidate.source === source))
+    .find(Boolean);
+  if (!observation) return null;
+
+  const weight = SOURCE_WEIGHTS[observation.source];
+  return {
+    source: observation.source,
+    observed5kSeconds: observation.seconds,
+    predicted5kSeconds: Math.round(current5kSeconds + weight * (observation.seconds - current5kSeconds)),
+    weight,
+    details: observation.details
+  };
+}
+
+/**
+ * Projected finish for the plan's race from a 5K prediction
+ * @param {number|null} fiveKSeconds
+ * @param {Object} race - Race (distanceMiles)
+ * @returns {number|null} Seconds
+ */
+export function projectRaceSeconds(fiveKSeconds, race) {
+  if (!fiveKSeconds || !(race?.distanceMiles > 0)) return null;
+  return Math.round(predictRaceSeconds(fiveKSeconds, FIVE_K_MILES, race.distanceMiles));
+}
+
+/**
+ * Score one executed day against the plan's current prediction and store the step
+ * @returns {Promise<Object|null>} TrainingFitnessPrediction, or null if the workout says nothing new
+ */
+async function applyExecutedDay(plan, executedDay, current5kSeconds, maxHeartRate) {
+  const prisma = getPrismaClient();
+
+  const activity = await prisma.athleteActivity.findUnique({
+    where: { id: executedDay.activityId },
+    select: ACTIVITY_SELECT
+  });
+  if (!activity?.startTime) return null;
+
+  const step = blendPrediction(current5kSeconds, estimateFiveKFromWorkout(executedDay.plannedData, activity, maxHeartRate));
+  if (!step) return null;
+
+  return prisma.trainingFitnessPrediction.create({
+    data: {
+      trainingPlanId: plan.id,
+      activityId: activity.id,
+      source: step.source,
+      measuredAt: activity.startTime,
+      observed5kSeconds: step.observed5kSeconds,
+      previous5kSeconds: current5kSeconds,
+      predicted5kSeconds: step.predicted5kSeconds,
+      projectedRaceSeconds: projectRaceSeconds(step.predicted5kSeconds, plan.race),
+      details: { ...step.details, weight: step.weight }
+    }
+  });
+}
+
+async function loadPlan(trainingPlanId) {
+  const prisma = getPrismaClient();
+  return prisma.trainingPlan.findUnique({
+    where: { id: trainingPlanId },
+    include: { race: true }
+  });
+}
+
+async function saveAdaptive5k(plan, prediction) {
+  const prisma = getPrismaClient();
+  await prisma.trainingPlan.update({
+    where: { id: plan.id },
+    data: { trainingPlanAdaptive5kTime: prediction ? formatDuration(prediction.predicted5kSeconds) : null }
+  });
+}
+
+/**
+ * Re-estimate 5K fitness after a workout was linked to a plan day
+ * Each activity counts once per plan; one older than the latest prediction replays the history. Never throws - estimation must not fail the link that triggered it.
+ * @param {Object} executedDay - TrainingDayExecuted (activityId, plannedData, executionId)
+ * @returns {Promise<Object|null>} New TrainingFitnessPrediction, or null
+ */
+export async function updateFitnessEstimate(executedDay) {
+  try {
+    if (!executedDay?.activityId) return null;
+    const prisma = getPrismaClient();
+
+    const execution = await prisma.trainingPlanExecution.findUnique({
+      where: { id: executedDay.executionId },
+      select: { trainingPlanId: true }
+    });
+    if (!execution) return null;
+
+    const counted = await prisma.trainingFitnessPrediction.findFirst({
+      where: { trainingPlanId: execution.trainingPlanId, activityId: executedDay.activityId },
+      select: { id: true }
+    });
+    if (counted) return null;
+
+    const plan = await loadPlan(execution.trainingPlanId);
+    const latest = await prisma.trainingFitnessPrediction.findFirst({
+      where: { trainingPlanId: plan.id },
+      orderBy: [{ measuredAt: 'desc' }, { createdAt: 'desc' }]
+    });
+
+    // A run older than the latest prediction (late sync, backfill) belongs mid-history - replay it
+    const activity = await prisma.athleteActivity.findUnique({
+      where: { id: executedDay.activityId },
+      select: { startTime: true }
+    });
+    if (latest && activity?.startTime && activity.startTime < latest.measuredAt) {
+      await rebuildFitnessPredictions(plan.id);
+      return prisma.trainingFitnessPrediction.findFirst({
+        where: { trainingPlanId: plan.id, activityId: executedDay.activityId }
+      });
+    }
+
+    const current5kSeconds = latest?.predicted5kSeconds ?? parseDuration(plan.trainingPlanBaseline5k);
+    if (!current5kSeconds) return null;
+
+    const prediction = await applyExecutedDay(plan, executedDay, current5kSeconds, await getAthleteMaxHeartRate(plan.athleteId));
+    if (!prediction) return null;
+
+    await saveAdaptive5k(plan, prediction);
+    console.log(`📈 FITNESS: Plan ${plan.id} 5K ${formatDuration(current5kSeconds)} → ${formatDuration(prediction.predicted5kSeconds)} (${prediction.source})`);
+    return prediction;
+  } catch (error) {
+    console.error(`❌ FITNESS: Failed to update estimate for executed day ${executedDay?.id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Replay a plan's prediction history from its baseline (after days were re-linked by hand)
+ * @param {string} trainingPlanId
+ * @returns {Promise<number>} Predictions written
+ */
+export async function rebuildFitnessPredictions(trainingPlanId) {
+  const prisma = getPrismaClient();
+
+  const plan = await loadPlan(trainingPlanId);
+  if (!plan) return 0;
+
+  const executedDays = await prisma.trainingDayExecuted.findMany({
+    where: { execution: { trainingPlanId }, activityId: { not: null } },
+    orderBy: { date: 'asc' }
+  });
+
+  await prisma.trainingFitnessPrediction.deleteMany({ where: { trainingPlanId } });
+
+  const maxHeartRate = await getAthleteMaxHeartRate(plan.athleteId);
+  const seen = new Set();
+  let current5kSeconds = parseDuration(plan.trainingPlanBaseline5k);
+  let latest = null;
+
+  for (const executedDay of executedDays) {
+    if (!current5kSeconds || seen.has(executedDay.activityId)) continue;
+    seen.add(executedDay.activityId);
+
+    const prediction = await applyExecutedDay(plan, executedDay, current5kSeconds, maxHeartRate);
+    if (prediction) {
+      latest = prediction;
+      current5kSeconds = prediction.predicted5kSeconds;
+    }
+  }
+
+  await saveAdaptive5k(plan, latest);
+  console.log(`📈 FITNESS: Rebuilt plan ${trainingPlanId} predictions (${seen.size} workouts)`);
+  return seen.size;
+}
+
+/**
+ * Current prediction, projected race-day finish and history for a plan
+ * @param {Object} plan - TrainingPlan with race
+ * @returns {Promise<Object>} { baseline5k, adaptive5k, adaptive5kSeconds, goalTime, projectedRaceTime,
+ *                              projectedRaceSeconds, raceDistanceMiles, history }
+ */
+export async function getFitnessSummary(plan) {
+  const prisma = getPrismaClient();
+
+  const history = await prisma.trainingFitnessPrediction.findMany({
+    where: { trainingPlanId: plan.id },
+    orderBy: [{ measuredAt: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  const baselineSeconds = parseDuration(plan.trainingPlanBaseline5k);
+  const adaptive5kSeconds = history.length > 0 ? history[history.length - 1].predicted5kSeconds : baselineSeconds;
+  const projectedRaceSeconds = projectRaceSeconds(adaptive5kSeconds, plan.race);
+
+  return {
+    baseline5k: plan.trainingPlanBaseline5k,
+    adaptive5k: formatDuration(adaptive5kSeconds),
+    adaptive5kSeconds,
+    goalTime: plan.trainingPlanGoalTime,
+    projectedRaceTime: formatDuration(projectedRaceSeconds),
+    projectedRaceSeconds,
+    raceDistanceMiles: plan.race?.distanceMiles ?? null,
+    history: history.map(prediction => ({
+      ...prediction,
+      predicted5k: formatDuration(prediction.predicted5kSeconds),
+      projectedRaceTime: formatDuration(prediction.projectedRaceSeconds)
+    }))
+  };
+}
@@ -0,0 +1,127 @@
+import { getPrismaClient } from '../config/database.js';
+import GarminFieldMapper from './GarminFieldMapper.js';
+import { afterActivityIngest } from './manualActivityService.js';
+
+/**
+ * Extract Garmin userId from an activity summary - try multiple field name variations
+ * @param {Object} garminActivity - Single activity from Garmin's { activities: [...] } webhook
+ * @param {string} [rootUserId] - userId from payload root level (Garmin sometimes sends it there)
+ * @returns {string|null}
+ */
+export function extractGarminUserId(garminActivity, rootUserId = null) {
+  return garminActivity?.userId ||
+         garminActivity?.user_id ||
+         garminActivity?.userIdString ||
+         garminActivity?.garminUserId ||
+         rootUserId ||
+         null;
+}
+
+/**
+ * Extract Garmin activityId from an activity summary
+ * @param {Object} garminActivity
+ * @returns {string|number|null}
+ */
+export function extractGarminActivityId(garminActivity) {
+  return garminActivity?.activityId || garminActivity?.summaryId || garminActivity?.activitySummaryId || null;
+}
+
+/**
+ * Normalize Garmin webhook activity format to what GarminFieldMapper expects
+ * @param {Object} garminActivity - Raw webhook activity
+ * @returns {Object}
+ */
+export function normalizeGarminWebhookActivity(garminActivity) {
+  // Extract deviceName from multiple possible locations (Garmin may use deviceModel or deviceName)
+  const extractedDeviceName = garminActivity.deviceMetaData?.deviceName ||
+                              garminActivity.deviceMetaData?.deviceModel ||
+                              garminActivity.deviceName ||
+                              garminActivity.deviceModel ||
+                              garminActivity.device?.name ||
+                              garminActivity.device?.deviceName ||
+                              garminActivity.device?.deviceModel ||
+                              garminActivity.deviceMetaData?.name ||
+                              null;
+
+  console.log(`📱 Extracted deviceName: ${extractedDeviceName || 'NULL'}`);
+
+  return {
+    ...garminActivity,
+    // Try multiple field names for activityName
+    activityName: garminActivity.activityName ||
+                  garminActivity.activity_name ||
+                  garminActivity.name ||
+                  garminActivity.displayName ||
+                  garminActivity.title ||
+                  null,
+    // Convert activityType string to object format if needed
+    activityType: typeof garminActivity.activityType === 'string'
+      ? { typeKey: garminActivity.activityType }
+      : garminActivity.activityType,
+    // Convert startTimeInSeconds to startTimeLocal if needed
+    startTimeLocal: garminActivity.startTimeLocal ||
+      (garminActivity.startTimeInSeconds
+        ? new Date(garminActivity.startTimeInSeconds * 1000).toISOString()
+        : null),
+    // Map field name variations
+    averageSpeed: garminActivity.averageSpeed || garminActivity.averageSpeedInMetersPerSecond,
+    calories: garminActivity.calories || garminActivity.activeKilocalories,
+    averageHeartRate: garminActivity.averageHeartRate || garminActivity.averageHeartRateInBeatsPerMinute,
+    maxHeartRate: garminActivity.maxHeartRate || garminActivity.maxHeartRateInBeatsPerMinute,
+    elevationGain: garminActivity.elevationGain || garminActivity.totalElevationGainInMeters,
+    // Ensure deviceMetaData is passed AND explicitly set deviceName
+    deviceMetaData: garminActivity.deviceMetaData || null,
+    deviceName: extractedDeviceName, // Explicitly set deviceName for mapper
+  };
+}
+
+/**
+ * Map, validate and upsert a Garmin activity summary into AthleteActivity
+ * @param {Object} garminActivity - Raw webhook activity
+ * @param {string} athleteId - Our athlete's ID
+ * @returns {Promise<Object|null>} - Upserted activity or null if validation failed
+ */
+export async function saveGarminActivitySummary(garminActivity, athleteId) {
+  const prisma = getPrismaClient();
+  const activityId = extractGarminActivityId(garminActivity);
+
+  // Map using GarminFieldMapper
+  const mappedActivity = GarminFieldMapper.mapActivitySummary(normalizeGarminWebhookActivity(garminActivity), athleteId);
+
+  console.log(`✅ Mapped activity: ${mappedActivity.activityName || mappedActivity.activityType || 'Unknown'}`);
+
+  // Validate the mapped activity
+  const validation = GarminFieldMapper.validateActivity(mappedActivity);
+  if (!validation.isValid) {
+    console.error(`❌ Activity validation failed for activityId ${activityId}:`, validation.errors);
+    return null;
+  }
+
+  if (validation.warnings.length > 0) {
+    console.warn(`⚠️ Activity validation warnings for activityId ${activityId}:`, validation.warnings);
+  }
+
+  // Remove timestamps from mapped activity (we set them in upsert)
+  const { syncedAt, lastUpdatedAt, ...activityData } = mappedActivity;
+
+  const upsertedActivity = await prisma.athleteActivity.upsert({
+    where: { sourceActivityId: mappedActivity.sourceActivityId },
+    update: {
+      ...activityData,
+      lastUpdatedAt: new Date()
+    },
+    create: {
+      ...activityData,
+      syncedAt: new Date(),
+      lastUpdatedAt: new Date()
+    }
+  });
+
+  console.log(`✅ Saved Garmin activity ${activityId} for athlete ${athleteId} (deviceName: ${upsertedActivity.deviceName || 'NULL'})`);
+
+  // Overrides, dedup against any Strava copy (Garmin wins canonical), metrics from summary fields
+  // (the detail webhook recomputes with samples), PRs, training match, crew check-in
+  await afterActivityIngest(upsertedActivity.id);
+
+  return upsertedActivity;
+}
@@ -0,0 +1,271 @@
+import { getPrismaClient } from '../config/database.js';
+import { garminFetch } from './tokenManagerService.js';
+
+/**
+ * Garmin Backfill Service
+ *
+ * Garmin only pushes NEW activities after connection. The backfill API asks Garmin to
+ * re-push history for a time window - it answers 202 and later POSTs the data to our
+ * regular /api/garmin/activity and /activity-details webhooks, so everything goes through
+ * the webhook inbox → GarminFieldMapper pipeline like a live push.
+ *
+ * Progress = chunk requests sent + activities that have landed in the requested range.
+ */
+
+const GARMIN_BACKFILL_BASE_URL = 'https://apis.garmin.com/wellness-api/rest/backfill';
+
+// Garmin accepts at most 90 days per backfill request - stay well under
+const CHUNK_DAYS = 30;
+const MAX_DAYS = 730;
+const REQUEST_DELAY_MS = 1000; // Be gentle with Garmin rate limits
+const QUIET_PERIOD_MS = 15 * 60 * 1000; // No new data for 15 minutes after requesting = done
+const STALE_REQUESTING_MS = 30 * 60 * 1000; // Server restarted mid-job
+
+// Garmin backfill summary types we request (path segment → what arrives at which webhook)
+const BACKFILL_TYPES = ['activities', 'activityDetails'];
+
+export const BACKFILL_STATUS = {
+  QUEUED: 'queued',
+  REQUESTING: 'requesting',
+  IMPORTING: 'importing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const ACTIVE_STATUSES = [BACKFILL_STATUS.QUEUED, BACKFILL_STATUS.REQUESTING, BACKFILL_STATUS.IMPORTING];
+
+export const getDefaultBackfillDays = () => parseInt(process.env.GARMIN_BACKFILL_DAYS || '90', 10);
+
+/**
+ * Split [rangeStart, rangeEnd] into CHUNK_DAYS windows (oldest first)
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export function buildBackfillChunks(rangeStart, rangeEnd, chunkDays = CHUNK_DAYS) {
+  const chunks = [];
+  const chunkMs = chunkDays * 24 * 60 * 60 * 1000;
+
+  let cursor = rangeStart.getTime();
+  while (cursor < rangeEnd.getTime()) {
+    const end = Math.min(cursor + chunkMs, rangeEnd.getTime());
+    chunks.push({ start: new Date(cursor), end: new Date(end) });
+    cursor = end;
+  }
+
+  return chunks;
+}
+
+/**
+ * Request one backfill window from Garmin
+ * @returns {Promise<string>} - "accepted" | "duplicate" (already requested before) | "failed"
+ */
+async function requestBackfillWindow(athleteId, type, start, end) {
+  const params = new URLSearchParams({
+    summaryStartTimeInSeconds: Math.floor(start.getTime() / 1000).toString(),
+    summaryEndTimeInSeconds: Math.floor(end.getTime() / 1000).toString()
+  });
+
+  const response = await garminFetch('athlete', athleteId, `${GARMIN_BACKFILL_BASE_URL}/${type}?${params.toString()}`);
+
+  // 202 Accepted - data will be pushed to our webhooks
+  if (response.status === 202 || response.ok) {
+    return 'accepted';
+  }
+
+  // 409 Conflict - this window was already backfilled for this user
+  if (response.status === 409) {
+    return 'duplicate';
+  }
+
+  const text = await response.text();
+  throw new Error(`Garmin backfill ${type} failed (${response.status}): ${text}`);
+}
+
+/**
+ * Send all chunk requests for a job and record progress as we go
+ * Runs in the background - never throws.
+ * @param {string} jobId
+ */
+export async function runBackfillJob(jobId) {
+  const prisma = getPrismaClient();
+
+  try {
+    const job = await prisma.garminBackfillJob.update({
+      where: { id: jobId },
+      data: { status: BACKFILL_STATUS.REQUESTING, startedAt: new Date() }
+    });
+
+    console.log(`📦 GARMIN BACKFILL: Starting job ${jobId} for athlete ${job.athleteId} (${job.days} days, ${job.totalChunks} chunks)`);
+
+    const chunks = buildBackfillChunks(job.rangeStart, job.rangeEnd).map(chunk => ({
+      start: chunk.start.toISOString(),
+      end: chunk.end.toISOString()
+    }));
+
+    let chunksRequested = 0;
+    let chunksFailed = 0;
+    let lastError = null;
+
+    for (const chunk of chunks) {
+      for (const type of BACKFILL_TYPES) {
+        try {
+          chunk[type] = await requestBackfillWindow(job.athleteId, type, new Date(chunk.start), new Date(chunk.end));
+        } catch (error) {
+          console.error(`❌ GARMIN BACKFILL: ${type} ${chunk.start} → ${chunk.end} failed:`, error.message);
+          chunk[type] = 'failed';
+          lastError = error.message;
+        }
+        await new Promise(resolve => setTimeout(resolve, REQUEST_DELAY_MS));
+      }
+
+      if (BACKFILL_TYPES.some(type => chunk[type] === 'failed')) {
+        chunksFailed++;
+      } else {
+        chunksRequested++;
+      }
+
+      await prisma.garminBackfillJob.update({
+        where: { id: jobId },
+        data: { chunks, chunksRequested, chunksFailed, lastError }
+      });
+    }
+
+    const allFailed = chunksFailed === chunks.length;
+
+    await prisma.garminBackfillJob.update({
+      where: { id: jobId },
+      data: allFailed
+        ? { status: BACKFILL_STATUS.FAILED, completedAt: new Date() }
+        : { status: BACKFILL_STATUS.IMPORTING, requestedAt: new Date() }
+    });
+
+    console.log(`✅ GARMIN BACKFILL: Job ${jobId} requested ${chunksRequested}/${chunks.length} chunks (${chunksFailed} failed)`);
+  } catch (error) {
+    console.error(`❌ GARMIN BACKFILL: Job ${jobId} crashed:`, error);
+    await prisma.garminBackfillJob.update({
+      where: { id: jobId },
+      data: { status: BACKFILL_STATUS.FAILED, lastError: error.message, completedAt: new Date() }
+    }).catch(() => {});
+  }
+}
+
+/**
+ * Create a backfill job for an athlete and start it in the background
+ * If a job is already running, that job is returned instead of starting another.
+ * @param {string} athleteId
+ * @param {Object} [options]
+ * @param {number} [options.days] - Days of history (default GARMIN_BACKFILL_DAYS or 90, max 730)
+ * @param {string} [options.trigger] - "connect" | "manual"
+ * @returns {Promise<{job: Object, alreadyRunning: boolean}>}
+ */
+export async function startGarminBackfill(athleteId, { days, trigger = 'manual' } = {}) {
+  const prisma = getPrismaClient();
+
+  // A job stuck in queued/requesting lost its process - let a new one start
+  await prisma.garminBackfillJob.updateMany({
+    where: {
+      athleteId,
+      status: { in: [BACKFILL_STATUS.QUEUED, BACKFILL_STATUS.REQUESTING] },
+      updatedAt: { lt: new Date(Date.now() - STALE_REQUESTING_MS) }
+    },
+    data: { status: BACKFILL_STATUS.FAILED, lastError: 'Interrupted before all chunks were requested', completedAt: new Date() }
+  });
+
+  // Settle an "importing" job that has gone quiet so it doesn't block a new request
+  await getBackfillProgress(athleteId);
+
+  const existing = await prisma.garminBackfillJob.findFirst({
+    where: { athleteId, status: { in: ACTIVE_STATUSES } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (existing) {
+    console.log(`⚠️ GARMIN BACKFILL: Job ${existing.id} already ${existing.status} for athlete ${athleteId}`);
+    return { job: existing, alreadyRunning: true };
+  }
+
+  const requestedDays = Math.min(Math.max(parseInt(days, 10) || getDefaultBackfillDays(), 1), MAX_DAYS);
+  const rangeEnd = new Date();
+  const rangeStart = new Date(rangeEnd.getTime() - requestedDays * 24 * 60 * 60 * 1000);
+
+  const job = await prisma.garminBackfillJob.create({
+    data: {
+      athleteId,
+      trigger,
+      days: requestedDays,
+      rangeStart,
+      rangeEnd,
+      totalChunks: buildBackfillChunks(rangeStart, rangeEnd).length
+    }
+  });
+
+  // Fire and forget - progress is read via getBackfillProgress()
+  runBackfillJob(job.id);
+
+  return { job, alreadyRunning: false };
+}
+
+/**
+ * Latest backfill job for an athlete with live import counts
+ * Also flips "importing" → "completed" once Garmin has gone quiet.
+ * @param {string} athleteId
+ * @returns {Promise<Object|null>} - null if the athlete has never been backfilled
+ */
+export async function getBackfillProgress(athleteId) {
+  const prisma = getPrismaClient();
+
+  let job = await prisma.garminBackfillJob.findFirst({
+    where: { athleteId },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!job) {
+    return null;
+  }
+
+  const importedWhere = {
+    athleteId,
+    source: 'garmin',
+    startTime: { gte: job.rangeStart, lte: job.rangeEnd },
+    syncedAt: { gte: job.createdAt }
+  };
+
+  const [activitiesImported, detailsImported, latestImport] = await Promise.all([
+    prisma.athleteActivity.count({ where: importedWhere }),
+    prisma.athleteActivity.count({ where: { ...importedWhere, hydratedAt: { not: null } } }),
+    prisma.athleteActivity.findFirst({
+      where: importedWhere,
+      orderBy: { syncedAt: 'desc' },
+      select: { syncedAt: true }
+    })
+  ]);
+
+  if (job.status === BACKFILL_STATUS.IMPORTING) {
+    const lastSignal = Math.max(job.requestedAt?.getTime() || 0, latestImport?.syncedAt?.getTime() || 0);
+    if (Date.now() - lastSignal > QUIET_PERIOD_MS) {
+      job = await prisma.garminBackfillJob.update({
+        where: { id: job.id },
+        data: { status: BACKFILL_STATUS.COMPLETED, completedAt: new Date() }
+      });
+      console.log(`✅ GARMIN BACKFILL: Job ${job.id} completed (${activitiesImported} activities imported)`);
+    }
+  }
+
+  return {
+    jobId: job.id,
+    status: job.status,
+    trigger: job.trigger,
+    days: job.days,
+    rangeStart: job.rangeStart,
+    rangeEnd: job.rangeEnd,
+    totalChunks: job.totalChunks,
+    chunksRequested: job.chunksRequested,
+    chunksFailed: job.chunksFailed,
+    activitiesImported,
+    detailsImported,
+    isImporting: ACTIVE_STATUSES.includes(job.status),
+    lastError: job.lastError,
+    startedAt: job.startedAt,
+    requestedAt: job.requestedAt,
+    completedAt: job.completedAt
+  };
+}
@@ -40,3 +40,46 @@ export async function findAthleteByGarminUserId(garminUserId) {
     return null;
   }
 }
+
+// Garmin-connectable models, in lookup order (ownerType matches tokenManagerService GARMIN_OWNER_MODELS)
+const GARMIN_OWNER_LOOKUP_ORDER = ['athlete', 'parent', 'youngAthlete'];
+
+/**
+ * Find whoever owns a Garmin userId - Athlete, Parent or YoungAthlete
+ * @param {string} garminUserId - Garmin's unique userId
+ * @returns {Promise<{ownerType: string, owner: Object}|null>} - owner has id, garmin_user_id, garmin_access_token
+ */
+export async function findGarminOwnerByUserId(garminUserId) {
+  if (!garminUserId) {
+    console.warn('⚠️ Missing garminUserId in findGarminOwnerByUserId()');
+    return null;
+  }
+
+  const prisma = getPrismaClient();
+
+  try {
+    for (const ownerType of GARMIN_OWNER_LOOKUP_ORDER) {
+      const owner = await prisma[ownerType].findFirst({
+        where: { garmin_user_id: garminUserId },
+        select: {
+          id: true,
+          garmin_user_id: true,
+          garmin_access_token: true,
+          garmin_is_connected: true
+        }
+      });
+
+      if (owner) {
+        console.log(`✅ Found ${ownerType} ${owner.id} for garmin_user_id ${garminUserId}`);
+        return { ownerType, owner };
+      }
+    }
+
+    console.warn(`⚠️ No athlete, parent or young athlete found for garmin_user_id: ${garminUserId}`);
+    return null;
+
+  } catch (error) {
+    console.error('❌ Error finding Garmin owner by garmin_user_id:', error);
+    return null;
+  }
+}
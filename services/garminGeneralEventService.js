@@ -0,0 +1,136 @@
+import { getPrismaClient } from '../config/database.js';
+import { findGarminOwnerByUserId } from './garminFindAthleteService.js';
+import { garminFetch } from './tokenManagerService.js';
+import { enqueueWebhooks } from './webhookInboxService.js';
+import { deregisterGarminUser } from './garminWebhookProcessorService.js';
+
+/**
+ * Garmin General Event Service
+ * Handlers for POST /api/garmin/webhook events: { eventType, userId, data, timestamp }
+ * The Garmin userId can belong to an Athlete, Parent or YoungAthlete.
+ */
+
+const GARMIN_PERMISSIONS_URL = 'https://apis.garmin.com/wellness-api/rest/user/permissions';
+
+/**
+ * Normalize whatever Garmin sent as permissions into a string array
+ * Accepts ["ACTIVITY_EXPORT", ...], { permissions: [...] } or a space-separated scope string
+ */
+function normalizePermissions(raw) {
+  if (Array.isArray(raw)) return raw;
+  if (Array.isArray(raw?.permissions)) return raw.permissions;
+  if (typeof raw?.scope === 'string') return raw.scope.split(/\s+/).filter(Boolean);
+  if (typeof raw === 'string') return raw.split(/\s+/).filter(Boolean);
+  return null;
+}
+
+async function handlePermissionsChanged(ownerType, owner, data) {
+  const prisma = getPrismaClient();
+
+  let permissions = normalizePermissions(data);
+
+  // Event didn't carry the permission set - ask Garmin for the current one
+  if (!permissions) {
+    const resp = await garminFetch(ownerType, owner.id, GARMIN_PERMISSIONS_URL, {
+      headers: { 'Content-Type': 'application/json' }
+    });
+    // A failed lookup says nothing about the scopes - keep the stored ones and let Garmin retry (500)
+    if (!resp.ok) {
+      throw new Error(`Garmin permissions fetch failed with ${resp.status} for ${ownerType} ${owner.id}`);
+    }
+    permissions = normalizePermissions(await resp.json());
+    if (!permissions) {
+      throw new Error(`Garmin permissions response for ${ownerType} ${owner.id} had no permission list`);
+    }
+  }
+
+  await prisma[ownerType].update({
+    where: { id: owner.id },
+    data: {
+      garmin_permissions: {
+        current: permissions,
+        updatedAt: new Date().toISOString()
+      },
+      garmin_scope: permissions.join(' '),
+      garmin_last_sync_at: new Date()
+    }
+  });
+
+  console.log(`✅ Permissions updated for ${ownerType} ${owner.id}:`, permissions);
+  return { permissions };
+}
+
+async function handleConnectionStatus(ownerType, owner, data) {
+  const prisma = getPrismaClient();
+
+  // Garmin may send { connected: bool } or { status: "CONNECTED" | "DISCONNECTED" }
+  const connected = typeof data?.connected === 'boolean'
+    ? data.connected
+    : String(data?.status || '').toUpperCase() === 'CONNECTED';
+
+  await prisma[ownerType].update({
+    where: { id: owner.id },
+    data: connected
+      ? { garmin_is_connected: true, garmin_disconnected_at: null }
+      : { garmin_is_connected: false, garmin_disconnected_at: new Date() }
+  });
+
+  console.log(`✅ Garmin connection for ${ownerType} ${owner.id} is now ${connected ? 'connected' : 'disconnected'}`);
+  return { connected };
+}
+
+async function handleDataAvailable(ownerType, owner, userId, data) {
+  // Pull happens in the webhook inbox worker (garminWebhookProcessorService 'pull-sync')
+  const queued = await enqueueWebhooks('garmin', 'pull-sync', [{
+    userId,
+    ownerType,
+    ownerId: owner.id,
+    summaryType: data?.summaryType || 'activities',
+    callbackURL: data?.callbackURL || null,
+    uploadStartTimeInSeconds: data?.uploadStartTimeInSeconds || null,
+    uploadEndTimeInSeconds: data?.uploadEndTimeInSeconds || null
+  }]);
+
+  return { queued };
+}
+
+/**
+ * Handle one general Garmin webhook event
+ * @param {Object} event - { eventType, userId, data }
+ * @returns {Promise<{handled: boolean, ownerType?: string, ownerId?: string, result?: Object, reason?: string}>}
+ */
+export async function handleGarminGeneralEvent({ eventType, userId, data }) {
+  if (!userId) {
+    return { handled: false, reason: 'userId is required' };
+  }
+
+  // Deregistration wipes every model holding this Garmin user - no single owner needed
+  if (eventType === 'user_deregistered') {
+    const updated = await deregisterGarminUser(userId);
+    return { handled: updated > 0, result: { recordsUpdated: updated }, reason: updated ? undefined : 'No owner found' };
+  }
+
+  const match = await findGarminOwnerByUserId(userId);
+  if (!match) {
+    return { handled: false, reason: `No athlete, parent or young athlete for Garmin user ${userId}` };
+  }
+
+  const { ownerType, owner } = match;
+  let result;
+
+  switch (eventType) {
+    case 'permissions_changed':
+      result = await handlePermissionsChanged(ownerType, owner, data);
+      break;
+    case 'connection_status':
+      result = await handleConnectionStatus(ownerType, owner, data);
+      break;
+    case 'data_available':
+      result = await handleDataAvailable(ownerType, owner, userId, data);
+      break;
+    default:
+      return { handled: false, ownerType, ownerId: owner.id, reason: `Unknown event type: ${eventType}` };
+  }
+
+  return { handled: true, ownerType, ownerId: owner.id, result };
+}
@@ -1,5 +1,7 @@
 import { getPrismaClient } from '../config/database.js';
 import GarminFieldMapper from './GarminFieldMapper.js';
+import { saveActivityStreams } from './activityStreamService.js';
+import { afterActivityIngest } from './manualActivityService.js';
 
 /**
  * Update activity detail data from Garmin activity-details webhook
@@ -97,6 +99,20 @@ export async function updateActivityDetail(activityId, garminDetailPayload) {
     console.log(`✅ Detail data saved - keys:`, Object.keys(updated.detailData || {}));
     console.log(`✅ hydratedAt: ${updated.hydratedAt}`);
 
+    // Samples go to ActivityStream (full + downsampled), not detailData
+    const streams = GarminFieldMapper.mapSampleStreams(garminDetailPayload.samples);
+    if (streams) {
+      try {
+        await saveActivityStreams(updated.id, streams);
+      } catch (streamError) {
+        console.error(`❌ Failed to save streams for activityId ${activityId}:`, streamError);
+      }
+    }
+
+    // Details make this row the preferred canonical - re-run dedup so the group converges on it,
+    // then recompute with the full streams (GAP, best efforts, HR zones, load)
+    await afterActivityIngest(updated.id);
+
     return updated;
 
   } catch (error) {
@@ -0,0 +1,251 @@
+import { getPrismaClient } from '../config/database.js';
+import { findAthleteByGarminUserId } from './garminFindAthleteService.js';
+import {
+  extractGarminUserId,
+  extractGarminActivityId,
+  saveGarminActivitySummary
+} from './garminActivitySummaryService.js';
+import { updateActivityDetail } from './garminUpdateActivityDetailService.js';
+import { garminFetch } from './tokenManagerService.js';
+
+/**
+ * Garmin Webhook Processors
+ *
+ * One processor per inbox eventType. Each takes a single stored payload item and returns:
+ *   { status: 'processed', wakes?: [dependencyKey], enqueue?: { eventType, items } }
+ *                                                       - done (wakes pending rows waiting on us / queues follow-up rows)
+ *   { status: 'pending', dependencyKey, reason }        - dependency missing, park and retry later
+ *   { status: 'failed', reason }                        - payload can never succeed, don't retry
+ * Throwing means "transient error" - the inbox worker retries with backoff.
+ */
+
+const GARMIN_API_HOST = 'apis.garmin.com';
+
+// Pull summaryType → inbox eventType the pulled items are processed as
+const PULL_SUMMARY_TYPES = {
+  activities: 'activity',
+  activityDetails: 'activity-details'
+};
+
+export const garminUserDependency = (garminUserId) => `garmin_user:${garminUserId}`;
+export const garminActivityDependency = (activityId) => `garmin_activity:${activityId}`;
+
+/**
+ * Activity summary (POST /api/garmin/activity) - payload is one item of { activities: [...] }
+ * with root-level userId folded in by the route
+ */
+async function processActivity(payload) {
+  const userId = extractGarminUserId(payload);
+  const activityId = extractGarminActivityId(payload);
+
+  if (!userId) {
+    return { status: 'failed', reason: `No userId found in activity (keys: ${Object.keys(payload || {}).join(', ')})` };
+  }
+  if (!activityId) {
+    return { status: 'failed', reason: `No activityId found in activity (keys: ${Object.keys(payload || {}).join(', ')})` };
+  }
+
+  console.log(`🔍 Processing activity ${activityId} for userId: ${userId}`);
+
+  // Athlete may still be mid-OAuth (garmin_user_id saved after tokens) - wait for it
+  const athlete = await findAthleteByGarminUserId(userId);
+  if (!athlete) {
+    return {
+      status: 'pending',
+      dependencyKey: garminUserDependency(userId),
+      reason: `No athlete found for Garmin user ID: ${userId}`
+    };
+  }
+
+  const saved = await saveGarminActivitySummary(payload, athlete.id);
+  if (!saved) {
+    return { status: 'failed', reason: `Activity validation failed for activityId ${activityId}` };
+  }
+
+  // Details that arrived before this summary can now be applied
+  return { status: 'processed', wakes: [garminActivityDependency(activityId)] };
+}
+
+/**
+ * Activity details (POST /api/garmin/activity-details) - payload is one item of { activityDetails: [...] }
+ * Summary webhook saves sourceActivityId = top-level activityId, so try that first, then summary.activityId
+ */
+async function processActivityDetails(payload) {
+  const prisma = getPrismaClient();
+  const candidateIds = [payload?.activityId, payload?.summary?.activityId]
+    .filter(Boolean)
+    .map(id => id.toString());
+
+  if (candidateIds.length === 0) {
+    return { status: 'failed', reason: 'No activityId found in activity detail' };
+  }
+
+  const summary = await prisma.athleteActivity.findFirst({
+    where: { sourceActivityId: { in: candidateIds } },
+    select: { sourceActivityId: true }
+  });
+
+  // Detail before summary - park until the summary webhook is processed
+  if (!summary) {
+    return {
+      status: 'pending',
+      dependencyKey: garminActivityDependency(candidateIds[0]),
+      reason: `Summary not received yet for activityId ${candidateIds.join(' / ')}`
+    };
+  }
+
+  const updated = await updateActivityDetail(summary.sourceActivityId, payload);
+  if (!updated) {
+    throw new Error(`Detail update failed for activityId ${summary.sourceActivityId}`);
+  }
+
+  console.log(`✅ Activity detail updated successfully for activityId ${summary.sourceActivityId}`);
+  return { status: 'processed' };
+}
+
+// Garmin data the same person could have connected on more than one model
+const GARMIN_OWNER_TYPES = ['athlete', 'parent', 'youngAthlete'];
+
+/**
+ * Wipe Garmin connection for a Garmin userId on every model that holds it
+ * Clears garmin_user_id so webhooks stop matching, flips garmin_is_connected, stamps garmin_disconnected_at
+ * @param {string} garminUserId
+ * @returns {Promise<number>} - Records updated across all models
+ */
+export async function deregisterGarminUser(garminUserId) {
+  const prisma = getPrismaClient();
+
+  const sharedWipe = {
+    garmin_user_id: null,              // Clear user ID to prevent webhook matching
+    garmin_access_token: null,
+    garmin_refresh_token: null,
+    garmin_expires_in: null,
+    garmin_expires_at: null,
+    garmin_token_status: null,
+    garmin_scope: null,
+    garmin_permissions: null,
+    garmin_is_connected: false,
+    garmin_disconnected_at: new Date()
+  };
+
+  let updated = 0;
+  for (const ownerType of GARMIN_OWNER_TYPES) {
+    const data = ownerType === 'athlete'
+      ? {
+          ...sharedWipe,
+          garmin_user_profile: null,      // Clear profile data
+          garmin_user_sleep: null,        // Clear sleep data
+          garmin_user_preferences: null   // Clear preferences
+        }
+      : sharedWipe;
+
+    const result = await prisma[ownerType].updateMany({
+      where: { garmin_user_id: garminUserId },
+      data
+    });
+
+    if (result.count > 0) {
+      console.log(`✅ Garmin data wiped for ${result.count} ${ownerType} record(s) (userId: ${garminUserId})`);
+    }
+    updated += result.count;
+  }
+
+  return updated;
+}
+
+/**
+ * Deregistration (PUT/POST /api/garmin/deregistration) - payload is { userId }
+ * Wipes ALL Garmin data on every Athlete/Parent/YoungAthlete holding this Garmin user.
+ */
+async function processDeregistration(payload) {
+  const { userId } = payload || {};
+
+  if (!userId) {
+    return { status: 'failed', reason: 'No userId found in deregistration payload' };
+  }
+
+  console.log(`📩 Garmin deregistration for ${userId}`);
+
+  const updated = await deregisterGarminUser(userId);
+  if (updated === 0) {
+    // Nothing to wipe - already disconnected or never connected
+    console.log(`⚠️ No athlete, parent or young athlete found for Garmin user ${userId}`);
+  }
+
+  return { status: 'processed' };
+}
+
+/**
+ * Pull sync (queued by the general webhook's data_available event)
+ * payload: { userId, ownerType, ownerId, summaryType, callbackURL?, uploadStartTimeInSeconds?, uploadEndTimeInSeconds? }
+ * Pulled items are re-queued as regular activity / activity-details inbox rows.
+ */
+async function processPullSync(payload) {
+  const { userId, ownerType, ownerId, summaryType = 'activities', callbackURL } = payload || {};
+
+  const followUpType = PULL_SUMMARY_TYPES[summaryType];
+  if (!followUpType) {
+    return { status: 'failed', reason: `Unsupported pull summaryType: ${summaryType}` };
+  }
+
+  // Only athletes have an activity pipeline (AthleteActivity) today
+  if (ownerType !== 'athlete') {
+    console.log(`⚠️ Skipping Garmin pull sync for ${ownerType} ${ownerId} - no activity pipeline for this owner type`);
+    return { status: 'processed' };
+  }
+
+  let url;
+  if (callbackURL) {
+    // We attach the athlete's token - never send it anywhere but Garmin
+    let parsed;
+    try {
+      parsed = new URL(callbackURL);
+    } catch {
+      return { status: 'failed', reason: `Invalid callbackURL: ${callbackURL}` };
+    }
+    if (parsed.protocol !== 'https:' || parsed.hostname !== GARMIN_API_HOST) {
+      return { status: 'failed', reason: `Refusing pull from non-Garmin callbackURL: ${parsed.hostname}` };
+    }
+    url = parsed.toString();
+  } else if (payload.uploadStartTimeInSeconds && payload.uploadEndTimeInSeconds) {
+    const params = new URLSearchParams({
+      uploadStartTimeInSeconds: String(payload.uploadStartTimeInSeconds),
+      uploadEndTimeInSeconds: String(payload.uploadEndTimeInSeconds)
+    });
+    url = `https://${GARMIN_API_HOST}/wellness-api/rest/${summaryType}?${params.toString()}`;
+  } else {
+    return { status: 'failed', reason: 'Pull sync needs callbackURL or uploadStartTimeInSeconds/uploadEndTimeInSeconds' };
+  }
+
+  const resp = await garminFetch('athlete', ownerId, url);
+  if (!resp.ok) {
+    const text = await resp.text();
+    // 4xx (other than auth/rate limit) won't get better on retry
+    if (resp.status >= 400 && resp.status < 500 && resp.status !== 401 && resp.status !== 429) {
+      return { status: 'failed', reason: `Garmin pull failed (${resp.status}): ${text}` };
+    }
+    throw new Error(`Garmin pull failed (${resp.status}): ${text}`);
+  }
+
+  const items = await resp.json();
+  const list = Array.isArray(items) ? items : [];
+
+  console.log(`✅ Garmin pull sync fetched ${list.length} ${summaryType} for athlete ${ownerId}`);
+
+  return {
+    status: 'processed',
+    enqueue: {
+      eventType: followUpType,
+      items: list.map(item => ({ ...item, userId: item.userId || userId }))
+    }
+  };
+}
+
+export const GARMIN_WEBHOOK_PROCESSORS = {
+  'activity': processActivity,
+  'activity-details': processActivityDetails,
+  'deregistration': processDeregistration,
+  'pull-sync': processPullSync
+};
+
+export default GARMIN_WEBHOOK_PROCESSORS;
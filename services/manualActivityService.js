@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import { getPrismaClient } from '../config/database.js';
+import { dedupActivity, promoteDuplicateOf } from './activityDedupService.js';
+import { updateActivityMetrics } from './activityMetricsService.js';
+import { evaluatePersonalRecords, rebuildPersonalRecords } from './personalRecordService.js';
+import { matchActivityToTrainingDay, unlinkActivityFromTraining } from './trainingMatchService.js';
+import { checkInFromActivity } from './runCrewAttendanceService.js';
+import { isValidVisibility, ACTIVITY_VISIBILITY_LEVELS } from './activityPrivacyService.js';
+import { toTypeKey, withActivityClassification, classifyActivityType } from './activityTypeService.js';
+import { parseDuration } from '../utils/timeUtils.js';
+
+/**
+ * Manual Activity Service
+ *
+ * Manual activities (source: 'manual') are fully editable by the athlete.
+ * Synced activities (garmin/strava/upload) keep their raw provider data - the athlete can only:
+ *   - override the type (activityTypeOverride; the provider's type is kept in originalActivityType)
+ *   - set their visibility (public/crew/private) or exclude them from crew leaderboards (excludeFromLeaderboards)
+ * A type override is re-applied after every sync so a re-delivered webhook doesn't undo it.
+ */
+
+export const MANUAL_SOURCE = 'manual';
+
+const METERS_PER_MILE = 1609.34;
+const METERS_PER_KM = 1000;
+const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * Normalize an activity type label to our typeKey format ("Treadmill Run" → "treadmill_run")
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function normalizeActivityType(value) {
+  return toTypeKey(value);
+}
+
+/**
+ * Validate manual activity input
+ * Distance: distanceMeters | distanceMiles | distanceKm. Duration: seconds or "h:mm:ss".
+ * @param {Object} body - Request body
+ * @param {Object} [options] - { partial: true } for updates (only provided fields are validated)
+ * @returns {{ data: Object, errors: Array<string> }}
+ */
+export function validateManualActivityInput(body, { partial = false } = {}) {
+  const data = {};
+  const errors = [];
+  const has = (field) => body[field] !== undefined;
+
+  if (has('activityType') || !partial) {
+    const activityType = normalizeActivityType(body.activityType) || (partial ? null : 'running');
+    if (!activityType) errors.push('activityType cannot be empty');
+    else data.activityType = activityType;
+  }
+
+  if (has('activityName')) {
+    data.activityName = body.activityName?.trim() || null;
+  }
+
+  if (has('startTime') || !partial) {
+    const startTime = new Date(body.startTime);
+    if (!body.startTime || Number.isNaN(startTime.getTime())) {
+      errors.push('startTime is required and must be a valid date');
+    } else if (startTime.getTime() > Date.now() + 24 * 60 * 60 * 1000) {
+      errors.push('startTime cannot be in the future');
+    } else {
+      data.startTime = startTime;
+    }
+  }
+
+  const distanceFields = ['distanceMeters', 'distanceMiles', 'distanceKm'].filter(has);
+  if (distanceFields.length > 1) {
+    errors.push('Send only one of distanceMeters, distanceMiles, distanceKm');
+  } else if (distanceFields.length === 1) {
+    const field = distanceFields[0];
+    const value = body[field] === null ? null : Number(body[field]);
+    if (value !== null && (!Number.isFinite(value) || value < 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    } else {
+      const factor = field === 'distanceMiles' ? METERS_PER_MILE : field === 'distanceKm' ? METERS_PER_KM : 1;
+      data.distance = value === null ? null : Math.round(value * factor * 10) / 10;
+    }
+  }
+
+  if (has('duration') || !partial) {
+    const duration = typeof body.duration === 'string' && body.duration.includes(':')
+      ? parseDuration(body.duration)
+      : Number(body.duration);
+    if (!Number.isFinite(duration) || duration <= 0) {
+      errors.push('duration is required (seconds or "h:mm:ss")');
+    } else {
+      data.duration = Math.round(duration);
+    }
+  }
+
+  if (has('notes')) {
+    const notes = body.notes?.trim() || null;
+    if (notes && notes.length > MAX_NOTES_LENGTH) errors.push(`notes cannot exceed ${MAX_NOTES_LENGTH} characters`);
+    else data.notes = notes;
+  }
+
+  if (has('perceivedEffort')) {
+    const effort = body.perceivedEffort === null ? null : Number(body.perceivedEffort);
+    if (effort !== null && (!Number.isInteger(effort) || effort < 1 || effort > 10)) {
+      errors.push('perceivedEffort must be an integer from 1 to 10');
+    } else {
+      data.perceivedEffort = effort;
+    }
+  }
+
+  ['calories', 'averageHeartRate', 'maxHeartRate'].forEach(field => {
+    if (!has(field)) return;
+    const value = body[field] === null ? null : Number(body[field]);
+    if (value !== null && (!Number.isFinite(value) || value < 0)) errors.push(`${field} must be a non-negative number`);
+    else data[field] = value === null ? null : Math.round(value);
+  });
+
+  if (has('visibility')) {
+    if (body.visibility !== null && !isValidVisibility(body.visibility)) {
+      errors.push(`visibility must be one of: ${ACTIVITY_VISIBILITY_LEVELS.join(', ')} (or null for your default)`);
+    } else {
+      data.visibility = body.visibility;
+    }
+  }
+
+  if (has('excludeFromLeaderboards')) {
+    data.excludeFromLeaderboards = Boolean(body.excludeFromLeaderboards);
+  }
+
+  return { data, errors };
+}
+
+/**
+ * Post-write chain for every ingest path (Garmin summary/details, Strava, upload, manual)
+ * Order matters: the type override decides the sport, dedup decides the canonical row, metrics feed
+ * PRs and the training match, and check-in uses the canonical run.
+ * @param {string} activityId - AthleteActivity.id
+ * @returns {Promise<Object|null>} The activity with any type override re-applied
+ */
+export async function afterActivityIngest(activityId) {
+  const prisma = getPrismaClient();
+
+  // Athlete corrected the type - keep their correction over the provider's
+  const activity = await reapplyActivityOverrides(await prisma.athleteActivity.findUnique({ where: { id: activityId } }));
+  if (!activity) return null;
+
+  await dedupActivity(activityId);
+  await updateActivityMetrics(activityId);
+  await evaluatePersonalRecords(activityId);
+  await matchActivityToTrainingDay(activityId);
+  await checkInFromActivity(activityId);
+
+  return activity;
+}
+
+const averageSpeedFor = (distance, duration) => (distance && duration ? distance / duration : null);
+
+/**
+ * Create a manual activity
+ * @param {string} athleteId
+ * @param {Object} data - Validated input (validateManualActivityInput)
+ * @returns {Promise<Object>} Created AthleteActivity
+ */
+export async function createManualActivity(athleteId, data) {
+  const prisma = getPrismaClient();
+
+  const activity = await prisma.athleteActivity.create({
+    data: withActivityClassification({
+      ...data,
+      athleteId,
+      source: MANUAL_SOURCE,
+      sourceActivityId: `${MANUAL_SOURCE}_${crypto.randomUUID()}`,
+      activityName: data.activityName || 'Manual activity',
+      averageSpeed: averageSpeedFor(data.distance, data.duration),
+      editedAt: new Date()
+    })
+  });
+
+  console.log(`✅ MANUAL: Created activity ${activity.id} for athlete ${athleteId}`);
+
+  await afterActivityIngest(activity.id);
+  return prisma.athleteActivity.findUnique({ where: { id: activity.id } });
+}
+
+/**
+ * Update a manual activity
+ * @param {Object} activity - Existing AthleteActivity (source: 'manual')
+ * @param {Object} data - Validated partial input
+ * @returns {Promise<Object>} Updated AthleteActivity
+ */
+export async function updateManualActivity(activity, data) {
+  const prisma = getPrismaClient();
+
+  const distance = data.distance !== undefined ? data.distance : activity.distance;
+  const duration = data.duration !== undefined ? data.duration : activity.duration;
+
+  await prisma.athleteActivity.update({
+    where: { id: activity.id },
+    data: withActivityClassification({
+      ...data,
+      // Editing the type replaces any override - afterActivityIngest would otherwise re-apply the old one
+      ...(data.activityType !== undefined ? { activityTypeOverride: null, originalActivityType: null } : {}),
+      averageSpeed: averageSpeedFor(distance, duration),
+      editedAt: new Date(),
+      lastUpdatedAt: new Date()
+    })
+  });
+
+  console.log(`✅ MANUAL: Updated activity ${activity.id}`);
+
+  await afterActivityIngest(activity.id);
+
+  // An edit can make a PR slower - history must be rebuilt, not just appended
+  await rebuildPersonalRecords(activity.athleteId);
+
+  return prisma.athleteActivity.findUnique({ where: { id: activity.id } });
+}
+
+/**
+ * Delete a manual or uploaded activity (synced ones can only be made private/excluded)
+ * @param {Object} activity - Existing AthleteActivity
+ */
+export async function deleteAthleteActivity(activity) {
+  const prisma = getPrismaClient();
+
+  // Deleting a canonical row would null every duplicate's link (SetNull) and count them all
+  const promoted = activity.duplicateOfId ? null : await promoteDuplicateOf(activity.id);
+
+  await prisma.athleteActivity.delete({ where: { id: activity.id } });
+  console.log(`🗑️ MANUAL: Deleted ${activity.source} activity ${activity.id}`);
+
+  await unlinkActivityFromTraining(activity.id);
+
+  await rebuildPersonalRecords(activity.athleteId);
+
+  // The surviving copy takes over the training day the deleted one was linked to
+  if (promoted) {
+    await matchActivityToTrainingDay(promoted.id);
+  }
+}
+
+/**
+ * Apply athlete overrides to any activity (type, visibility, leaderboard exclusion)
+ * activityType: string sets the override, null clears it (provider type restored)
+ * visibility: "public" | "crew" | "private", null falls back to the athlete's default
+ * @param {Object} activity - Existing AthleteActivity
+ * @param {Object} overrides - { activityType?, visibility?, excludeFromLeaderboards? }
+ * @returns {Promise<Object>} Updated AthleteActivity
+ */
+export async function applyActivityOverrides(activity, overrides) {
+  const prisma = getPrismaClient();
+  const data = { editedAt: new Date() };
+
+  if (overrides.activityType !== undefined) {
+    if (overrides.activityType === null) {
+      data.activityTypeOverride = null;
+      data.activityType = activity.originalActivityType ?? activity.activityType;
+      data.originalActivityType = null;
+    } else {
+      data.activityTypeOverride = overrides.activityType;
+      data.activityType = overrides.activityType;
+      data.originalActivityType = activity.activityTypeOverride ? activity.originalActivityType : activity.activityType;
+    }
+  }
+
+  if (overrides.visibility !== undefined) data.visibility = overrides.visibility;
+  if (overrides.excludeFromLeaderboards !== undefined) data.excludeFromLeaderboards = overrides.excludeFromLeaderboards;
+
+  const updated = await prisma.athleteActivity.update({
+    where: { id: activity.id },
+    data: withActivityClassification(data)
+  });
+
+  console.log(`✅ OVERRIDE: Activity ${activity.id} updated (${Object.keys(data).filter(key => key !== 'editedAt').join(', ')})`);
+
+  // Type decides whether the activity counts as a run for PRs and training days
+  if (overrides.activityType !== undefined) {
+    await rebuildPersonalRecords(activity.athleteId);
+    await matchActivityToTrainingDay(activity.id);
+  }
+
+  return updated;
+}
+
+/**
+ * Re-apply a type override after a sync upsert overwrote activityType with the provider's value
+ * @param {Object} activity - AthleteActivity returned by the upsert
+ * @returns {Promise<Object>} The activity with the override applied
+ */
+export async function reapplyActivityOverrides(activity) {
+  if (!activity?.activityTypeOverride || activity.activityType === activity.activityTypeOverride) {
+    return activity;
+  }
+
+  const prisma = getPrismaClient();
+  return prisma.athleteActivity.update({
+    where: { id: activity.id },
+    data: {
+      originalActivityType: activity.activityType,
+      activityType: activity.activityTypeOverride,
+      ...classifyActivityType(activity.activityTypeOverride)
+    }
+  });
+}
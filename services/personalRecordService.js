@@ -0,0 +1,384 @@
+import { getPrismaClient } from '../config/database.js';
+import { BEST_EFFORT_DISTANCES } from './activityMetricsService.js';
+import { getSocketServer } from '../src/socket.js';
+import { formatDuration } from '../utils/timeUtils.js';
+import { resolveActivityVisibility, canAudienceView, ACTIVITY_VISIBILITY, AUDIENCE } from './activityPrivacyService.js';
+import { isRunActivity } from './activityTypeService.js';
+
+/**
+ * Personal Record Service
+ *
+ * PRs are derived from AthleteActivity.bestEfforts (activityMetricsService) and kept as history:
+ * every improvement is a PersonalRecord row, the standing one has isCurrent = true.
+ *
+ * Activities usually arrive in order, so a faster effort just appends a row. When an older
+ * activity shows up late (backfill, Strava import) the history for that distance is rebuilt
+ * chronologically so "when was this PR set" stays true. The same goes for dedup picking a new
+ * canonical copy of a run that already holds PRs - it's the same run, so nothing is announced.
+ *
+ * New PRs on recent runs are posted to every crew wall the athlete belongs to
+ * (Message → socket room group-{runCrewId}, event message:new) - unless the run is private.
+ */
+
+export const PR_DISTANCE_LABELS = {
+  mile: '1 Mile',
+  fiveK: '5K',
+  tenK: '10K',
+  half: 'Half Marathon'
+};
+
+// Whole activity counts as an effort when it's within 3% over the distance (races, manual entries)
+const WHOLE_ACTIVITY_TOLERANCE = 1.03;
+
+// Only announce PRs from runs this recent - backfills shouldn't flood the crew wall
+const ANNOUNCE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const ACTIVITY_SELECT = {
+  id: true,
+  athleteId: true,
+  activityType: true,
+  sport: true,
+  startTime: true,
+  distance: true,
+  duration: true,
+  bestEfforts: true,
+  duplicateOfId: true,
+  visibility: true
+};
+
+/**
+ * PR-eligible efforts in one activity
+ * @param {Object} activity - AthleteActivity (ACTIVITY_SELECT)
+ * @returns {Object} - { fiveK: { seconds, source }, ... }
+ */
+function collectEfforts(activity) {
+  const efforts = {};
+
+  Object.entries(BEST_EFFORT_DISTANCES).forEach(([key, meters]) => {
+    const bestEffort = activity.bestEfforts?.[key];
+    if (bestEffort?.seconds > 0) {
+      efforts[key] = { seconds: bestEffort.seconds, source: bestEffort.source || 'samples' };
+      return;
+    }
+
+    // No samples/splits - a whole activity of (about) this distance still counts
+    if (activity.duration > 0 && activity.distance >= meters && activity.distance <= meters * WHOLE_ACTIVITY_TOLERANCE) {
+      efforts[key] = { seconds: Math.round(activity.duration * (meters / activity.distance)), source: 'activity' };
+    }
+  });
+
+  return efforts;
+}
+
+/**
+ * Rebuild PR history from scratch (chronological walk over canonical running activities)
+ * @param {string} athleteId
+ * @param {Array<string>} [distanceKeys] - Defaults to every PR distance
+ * @returns {Promise<number>} - History rows written
+ */
+export async function rebuildPersonalRecords(athleteId, distanceKeys = Object.keys(BEST_EFFORT_DISTANCES)) {
+  const prisma = getPrismaClient();
+
+  const activities = await prisma.athleteActivity.findMany({
+    where: {
+      athleteId,
+      duplicateOfId: null,
+      startTime: { not: null }
+    },
+    select: ACTIVITY_SELECT,
+    orderBy: { startTime: 'asc' }
+  });
+
+  const rows = [];
+  const best = {};
+
+  activities
+    .filter(isRunActivity)
+    .forEach(activity => {
+      const efforts = collectEfforts(activity);
+      distanceKeys.forEach(key => {
+        const effort = efforts[key];
+        if (!effort || (best[key] && effort.seconds >= best[key].seconds)) return;
+
+        rows.push({
+          athleteId,
+          distanceKey: key,
+          seconds: effort.seconds,
+          previousSeconds: best[key]?.seconds ?? null,
+          activityId: activity.id,
+          source: effort.source,
+          achievedAt: activity.startTime,
+          isCurrent: false
+        });
+        best[key] = rows[rows.length - 1];
+      });
+    });
+
+  Object.values(best).forEach(row => {
+    row.isCurrent = true;
+  });
+
+  await prisma.$transaction([
+    prisma.personalRecord.deleteMany({ where: { athleteId, distanceKey: { in: distanceKeys } } }),
+    prisma.personalRecord.createMany({ data: rows })
+  ]);
+
+  console.log(`🏆 PRs: Rebuilt ${rows.length} record(s) for athlete ${athleteId} (${distanceKeys.join(', ')})`);
+  return rows.length;
+}
+
+/**
+ * Rebuild PRs when some are held by an activity that's now a duplicate (dedup picked another copy
+ * of the same run as canonical)
+ * @param {string} athleteId
+ * @returns {Promise<boolean>} - Whether a rebuild ran
+ */
+export async function rebuildSupersededRecords(athleteId) {
+  const prisma = getPrismaClient();
+
+  const superseded = await prisma.personalRecord.findFirst({
+    where: { athleteId, activity: { duplicateOfId: { not: null } } },
+    select: { id: true }
+  });
+
+  if (!superseded) {
+    return false;
+  }
+
+  await rebuildPersonalRecords(athleteId);
+  return true;
+}
+
+/**
+ * Post new PRs to every crew wall the athlete is a member of
+ * @param {Object} activity - Activity that set them (private activities are never announced)
+ * @param {Array<Object>} records - New PersonalRecord rows
+ */
+async function announcePersonalRecords(activity, records) {
+  const prisma = getPrismaClient();
+
+  const athlete = await prisma.athlete.findUnique({
+    where: { id: activity.athleteId },
+    select: {
+      firstName: true,
+      lastName: true,
+      defaultActivityVisibility: true,
+      runCrewMemberships: { select: { runCrewId: true } }
+    }
+  });
+
+  if (!athlete || athlete.runCrewMemberships.length === 0) {
+    return;
+  }
+
+  if (resolveActivityVisibility(activity, athlete.defaultActivityVisibility) === ACTIVITY_VISIBILITY.PRIVATE) {
+    return;
+  }
+
+  const author = [athlete.firstName, athlete.lastName].filter(Boolean).join(' ') || 'A crew member';
+  const content = records
+    .map(record => {
+      const improvement = record.previousSeconds != null
+        ? ` (previous ${formatDuration(record.previousSeconds)})`
+        : '';
+      return `🏆 New ${PR_DISTANCE_LABELS[record.distanceKey]} PR: ${formatDuration(record.seconds)}${improvement}`;
+    })
+    .join('\n');
+
+  const io = getSocketServer();
+
+  for (const { runCrewId } of athlete.runCrewMemberships) {
+    const message = await prisma.message.create({
+      data: {
+        groupId: runCrewId,
+        authorId: activity.athleteId,
+        author,
+        content
+      }
+    });
+
+    if (io) {
+      io.to(`group-${runCrewId}`).emit('message:new', {
+        id: message.id,
+        groupId: message.groupId,
+        authorId: message.authorId,
+        author: message.author,
+        content: message.content,
+        createdAt: message.createdAt
+      });
+    }
+  }
+
+  console.log(`📣 PRs: Announced ${records.length} PR(s) for athlete ${activity.athleteId} in ${athlete.runCrewMemberships.length} crew(s)`);
+}
+
+/**
+ * Check an activity's efforts against the athlete's PRs (call after metrics are stored)
+ * Never throws - PR tracking must not fail the ingest that triggered it.
+ * @param {string} activityId - AthleteActivity.id
+ * @returns {Promise<Array<Object>>} - PersonalRecord rows this activity set
+ */
+export async function evaluatePersonalRecords(activityId) {
+  try {
+    const prisma = getPrismaClient();
+
+    const activity = await prisma.athleteActivity.findUnique({
+      where: { id: activityId },
+      select: ACTIVITY_SELECT
+    });
+
+    // Duplicates are the same run as their canonical - only the canonical counts
+    if (!activity || activity.duplicateOfId || !activity.startTime || !isRunActivity(activity)) {
+      return [];
+    }
+
+    // Another copy of this run held the PRs - the rebuild moves them here; not an improvement
+    if (await rebuildSupersededRecords(activity.athleteId)) {
+      return prisma.personalRecord.findMany({
+        where: { athleteId: activity.athleteId, activityId: activity.id }
+      });
+    }
+
+    const efforts = collectEfforts(activity);
+    const newRecords = [];
+    const rebuildKeys = [];
+
+    for (const [distanceKey, effort] of Object.entries(efforts)) {
+      const current = await prisma.personalRecord.findFirst({
+        where: { athleteId: activity.athleteId, distanceKey, isCurrent: true }
+      });
+
+      // Same activity re-ingested (details arrived, metrics recomputed) - history may shift
+      if (current?.activityId === activity.id) {
+        if (current.seconds !== effort.seconds) rebuildKeys.push(distanceKey);
+        continue;
+      }
+
+      if (current && effort.seconds >= current.seconds) {
+        continue;
+      }
+
+      // Older activity arriving late - rebuild so achievedAt order stays correct
+      if (current && activity.startTime < current.achievedAt) {
+        rebuildKeys.push(distanceKey);
+        continue;
+      }
+
+      const [, record] = await prisma.$transaction([
+        prisma.personalRecord.updateMany({
+          where: { athleteId: activity.athleteId, distanceKey, isCurrent: true },
+          data: { isCurrent: false }
+        }),
+        prisma.personalRecord.create({
+          data: {
+            athleteId: activity.athleteId,
+            distanceKey,
+            seconds: effort.seconds,
+            previousSeconds: current?.seconds ?? null,
+            activityId: activity.id,
+            source: effort.source,
+            achievedAt: activity.startTime
+          }
+        })
+      ]);
+
+      console.log(`🏆 PRs: New ${PR_DISTANCE_LABELS[distanceKey]} PR for athlete ${activity.athleteId}: ${formatDuration(effort.seconds)}`);
+      newRecords.push(record);
+    }
+
+    if (rebuildKeys.length > 0) {
+      await rebuildPersonalRecords(activity.athleteId, rebuildKeys);
+    }
+
+    // First-ever records aren't news - only announce improvements on recent runs
+    const announceable = newRecords.filter(record => record.previousSeconds != null);
+    const isRecent = Date.now() - new Date(activity.startTime).getTime() <= ANNOUNCE_WINDOW_MS;
+    if (announceable.length > 0 && isRecent) {
+      await announcePersonalRecords(activity, announceable);
+    }
+
+    return newRecords;
+  } catch (error) {
+    console.error(`❌ PRs: Failed to evaluate activity ${activityId}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Current PRs (+ optional history) for an athlete
+ * Records set by activities the audience can't see are left out (not just their activity link).
+ * @param {string} athleteId
+ * @param {Object} [options] - { includeHistory: boolean, audience: AUDIENCE value (default owner) }
+ * @returns {Promise<{records: Object, history?: Object}>}
+ */
+export async function getPersonalRecords(athleteId, { includeHistory = true, audience = AUDIENCE.OWNER } = {}) {
+  const prisma = getPrismaClient();
+
+  const [allRows, athlete] = await Promise.all([
+    prisma.personalRecord.findMany({
+      where: includeHistory ? { athleteId } : { athleteId, isCurrent: true },
+      orderBy: { achievedAt: 'desc' },
+      include: {
+        activity: {
+          select: { id: true, activityName: true, source: true, sourceActivityId: true, visibility: true }
+        }
+      }
+    }),
+    prisma.athlete.findUnique({
+      where: { id: athleteId },
+      select: { defaultActivityVisibility: true }
+    })
+  ]);
+
+  // Deleted activities (activity null) have nothing left to hide
+  const rows = allRows.filter(row => !row.activity
+    || canAudienceView(resolveActivityVisibility(row.activity, athlete?.defaultActivityVisibility), audience));
+
+  const toRecord = (row) => ({
+    id: row.id,
+    distance: PR_DISTANCE_LABELS[row.distanceKey] || row.distanceKey,
+    seconds: row.seconds,
+    time: formatDuration(row.seconds),
+    previousSeconds: row.previousSeconds,
+    achievedAt: row.achievedAt,
+    source: row.source,
+    activity: row.activity && {
+      id: row.activity.id,
+      activityName: row.activity.activityName,
+      source: row.activity.source,
+      sourceActivityId: row.activity.sourceActivityId
+    }
+  });
+
+  const records = {};
+  rows.filter(row => row.isCurrent).forEach(row => {
+    records[row.distanceKey] = toRecord(row);
+  });
+
+  if (!includeHistory) {
+    return { records };
+  }
+
+  const history = {};
+  rows.forEach(row => {
+    (history[row.distanceKey] ||= []).push(toRecord(row));
+  });
+
+  return { records, history };
+}
+
+/**
+ * Current 5K PR formatted like TrainingPlan.trainingPlanBaseline5k ("24:30")
+ * @param {string} athleteId
+ * @returns {Promise<string|null>}
+ */
+export async function getBaseline5kFromRecords(athleteId) {
+  const prisma = getPrismaClient();
+
+  const record = await prisma.personalRecord.findFirst({
+    where: { athleteId, distanceKey: 'fiveK', isCurrent: true },
+    select: { seconds: true }
+  });
+
+  return record ? formatDuration(record.seconds) : null;
+}
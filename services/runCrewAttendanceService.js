@@ -0,0 +1,352 @@
+import crypto from 'crypto';
+import { getPrismaClient } from '../config/database.js';
+import { haversineMeters } from '../utils/geoUtils.js';
+import { storeCheckInCode, getCheckInCode, countCheckInAttempt, getCheckInAttempts } from '../utils/redis.js';
+import { dayKeyToDate, getCalendarDay, toDayKey } from '../utils/timezoneUtils.js';
+import { isRunActivity } from './activityTypeService.js';
+import { RUN_OCCURRENCE_STATUS, expandRunOccurrences } from './runCrewOccurrenceService.js';
+
+/**
+ * RunCrew Attendance Service
+ *
+ * RSVPs say who meant to come; RunCrewRunCheckIn says who came. Three ways in:
+ *   - roll call: an organizer marks members present
+ *   - code: the organizer shows a short-lived code at the meet-up, members enter it
+ *   - activity: a synced run that starts near the meet-up point around the start time
+ *
+ * Check-ins are per occurrence (same "YYYY-MM-DD" key as RSVPs, "" for single runs). Attendance
+ * stats walk the crew's past occurrences since the member joined - cancelled ones don't count,
+ * a streak is consecutive crew runs attended. A run that just happened doesn't break a streak
+ * until its synced activities have had time to arrive.
+ */
+
+export const CHECK_IN_METHODS = {
+  ROLL_CALL: 'roll_call',
+  CODE: 'code',
+  ACTIVITY: 'activity'
+};
+
+export const CHECK_IN_CODE_TTL_SECONDS = 20 * 60;
+export const MAX_CHECK_IN_CODE_ATTEMPTS = 5; // Per athlete and occurrence - a 6-digit code can't be guessed in 5
+const AUTO_CHECK_IN_RADIUS_METERS = 400;
+const AUTO_CHECK_IN_EARLY_MINUTES = 30; // Warm-up jog to the meet-up
+const AUTO_CHECK_IN_LATE_MINUTES = 45; // Watch started late
+const ACTIVITY_SYNC_GRACE_MINUTES = 3 * 60; // The run itself, then the watch syncing
+const ATTENDANCE_HISTORY_DAYS = 365;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const dayKeyOf = (date) => toDayKey(getCalendarDay(date));
+const occurrenceKey = (occurrence) => occurrence.occurrenceDate || '';
+const attendanceKey = (runId, occurrenceDate) => `${runId}|${occurrenceDate || ''}`;
+
+// ---------------------------------------------------------------------------
+// Check-in
+// ---------------------------------------------------------------------------
+
+/**
+ * New self check-in code for an occurrence (replaces the previous one)
+ * @param {Object} occurrence - from getRunOccurrence()
+ * @returns {Promise<{code: string, expiresAt: string}>}
+ */
+export async function issueCheckInCode(occurrence) {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(Date.now() + CHECK_IN_CODE_TTL_SECONDS * 1000).toISOString();
+
+  await storeCheckInCode(attendanceKey(occurrence.runId, occurrenceKey(occurrence)), { code, expiresAt }, CHECK_IN_CODE_TTL_SECONDS);
+  return { code, expiresAt };
+}
+
+/**
+ * Check a member's self check-in code against the current, unexpired code for an occurrence
+ * Wrong codes count against the member; after MAX_CHECK_IN_CODE_ATTEMPTS they're locked out of
+ * code check-in for that occurrence (roll call still works).
+ * @param {Object} occurrence
+ * @param {string} athleteId
+ * @param {string} code
+ * @returns {Promise<{valid: boolean, locked: boolean}>}
+ */
+export async function verifyCheckInCode(occurrence, athleteId, code) {
+  const key = attendanceKey(occurrence.runId, occurrenceKey(occurrence));
+  const attemptsKey = `${key}|${athleteId}`;
+
+  if (await getCheckInAttempts(attemptsKey) >= MAX_CHECK_IN_CODE_ATTEMPTS) {
+    return { valid: false, locked: true };
+  }
+
+  const stored = await getCheckInCode(key);
+  const given = Buffer.from(String(code ?? '').trim());
+  const expected = Buffer.from(stored?.code || '');
+  const valid = Boolean(stored) && new Date(stored.expiresAt) > new Date()
+    && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+
+  if (valid) {
+    return { valid, locked: false };
+  }
+
+  const attempts = await countCheckInAttempt(attemptsKey, CHECK_IN_CODE_TTL_SECONDS);
+  return { valid, locked: attempts >= MAX_CHECK_IN_CODE_ATTEMPTS };
+}
+
+/**
+ * Mark an athlete present (idempotent - the first check-in's method is kept)
+ * @param {Object} occurrence
+ * @param {string} athleteId
+ * @param {Object} details - { method, activityId?, checkedInById? }
+ * @returns {Promise<Object>} RunCrewRunCheckIn
+ */
+export async function recordCheckIn(occurrence, athleteId, { method, activityId = null, checkedInById = null }) {
+  const prisma = getPrismaClient();
+  const where = {
+    runId_occurrenceDate_athleteId: {
+      runId: occurrence.runId,
+      occurrenceDate: occurrenceKey(occurrence),
+      athleteId
+    }
+  };
+
+  const existing = await prisma.runCrewRunCheckIn.findUnique({ where });
+  if (existing) {
+    // A roll call or code check-in still gets the activity that proves it
+    if (activityId && !existing.activityId) {
+      return prisma.runCrewRunCheckIn.update({ where, data: { activityId } });
+    }
+    return existing;
+  }
+
+  return prisma.runCrewRunCheckIn.create({
+    data: {
+      runId: occurrence.runId,
+      occurrenceDate: occurrenceKey(occurrence),
+      athleteId,
+      method,
+      activityId,
+      checkedInById
+    }
+  });
+}
+
+/**
+ * Undo a check-in (roll call correction)
+ * @param {Object} occurrence
+ * @param {string} athleteId
+ * @returns {Promise<number>} rows removed
+ */
+export async function removeCheckIn(occurrence, athleteId) {
+  const prisma = getPrismaClient();
+  const { count } = await prisma.runCrewRunCheckIn.deleteMany({
+    where: { runId: occurrence.runId, occurrenceDate: occurrenceKey(occurrence), athleteId }
+  });
+  return count;
+}
+
+/**
+ * Check the athlete in to crew runs their synced run started at (call after any ingest step)
+ * Needs a GPS start, and a run with meet-up coordinates and a timezone (for the start instant).
+ * Never throws - attendance must not break ingestion.
+ * @param {string} activityId - AthleteActivity id
+ * @returns {Promise<Array<Object>>} check-ins made or updated
+ */
+export async function checkInFromActivity(activityId) {
+  try {
+    const prisma = getPrismaClient();
+    const activity = await prisma.athleteActivity.findUnique({
+      where: { id: activityId },
+      select: {
+        id: true,
+        athleteId: true,
+        activityType: true,
+        sport: true,
+        startTime: true,
+        startLatitude: true,
+        startLongitude: true,
+        duplicateOfId: true
+      }
+    });
+
+    if (!activity?.startTime || activity.duplicateOfId || !isRunActivity(activity)
+      || activity.startLatitude == null || activity.startLongitude == null) {
+      return [];
+    }
+
+    const memberships = await prisma.runCrewMembership.findMany({
+      where: { athleteId: activity.athleteId },
+      select: { runCrewId: true }
+    });
+    if (memberships.length === 0) return [];
+
+    const startMs = new Date(activity.startTime).getTime();
+    const window = { from: dayKeyOf(startMs - MS_PER_DAY), to: dayKeyOf(startMs + MS_PER_DAY) };
+
+    const runs = await prisma.runCrewRun.findMany({
+      where: {
+        runCrewId: { in: memberships.map(m => m.runCrewId) },
+        date: { lte: dayKeyToDate(window.to) },
+        OR: [{ runType: 'recurring' }, { date: { gte: dayKeyToDate(window.from) } }]
+      },
+      include: { overrides: true }
+    });
+
+    const attended = expandRunOccurrences(runs, window).filter(occurrence => {
+      if (occurrence.status === RUN_OCCURRENCE_STATUS.CANCELLED || !occurrence.startsAt) return false;
+      if (occurrence.meetUpLat == null || occurrence.meetUpLng == null) return false;
+
+      const minutesFromStart = (startMs - new Date(occurrence.startsAt).getTime()) / 60000;
+      if (minutesFromStart < -AUTO_CHECK_IN_EARLY_MINUTES || minutesFromStart > AUTO_CHECK_IN_LATE_MINUTES) return false;
+
+      const distance = haversineMeters(activity.startLatitude, activity.startLongitude, occurrence.meetUpLat, occurrence.meetUpLng);
+      return distance <= AUTO_CHECK_IN_RADIUS_METERS;
+    });
+
+    const checkIns = [];
+    for (const occurrence of attended) {
+      checkIns.push(await recordCheckIn(occurrence, activity.athleteId, {
+        method: CHECK_IN_METHODS.ACTIVITY,
+        activityId: activity.id
+      }));
+      console.log(`✅ CHECK-IN: Activity ${activity.id} checked athlete ${activity.athleteId} in to run ${occurrence.id}`);
+    }
+    return checkIns;
+
+  } catch (error) {
+    console.error(`❌ CHECK-IN: Failed to check in from activity ${activityId}:`, error);
+    return [];
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Attendance history
+// ---------------------------------------------------------------------------
+
+// Crew occurrences that have happened (last year), oldest first
+async function getPastCrewOccurrences(runCrewId, now) {
+  const prisma = getPrismaClient();
+  const runs = await prisma.runCrewRun.findMany({
+    where: { runCrewId },
+    include: { overrides: true }
+  });
+
+  const today = dayKeyOf(now);
+  const window = { from: dayKeyOf(now.getTime() - ATTENDANCE_HISTORY_DAYS * MS_PER_DAY), to: today };
+
+  return expandRunOccurrences(runs, window).filter(occurrence => (
+    occurrence.status !== RUN_OCCURRENCE_STATUS.CANCELLED
+    && (occurrence.startsAt ? new Date(occurrence.startsAt) <= now : occurrence.date < today)
+  ));
+}
+
+// Still inside the auto check-in window - a missing check-in may just not have synced yet
+function isAwaitingCheckIns(occurrence, now) {
+  if (!occurrence.startsAt) return false;
+  const settledAt = new Date(occurrence.startsAt).getTime()
+    + (AUTO_CHECK_IN_LATE_MINUTES + ACTIVITY_SYNC_GRACE_MINUTES) * 60 * 1000;
+  return now.getTime() < settledAt;
+}
+
+function attendanceStats(occurrences, checkIns, now) {
+  let currentStreak = 0;
+  let longestStreak = 0;
+
+  occurrences.forEach(occurrence => {
+    if (checkIns.has(attendanceKey(occurrence.runId, occurrence.occurrenceDate))) {
+      currentStreak += 1;
+      longestStreak = Math.max(longestStreak, currentStreak);
+    } else if (!isAwaitingCheckIns(occurrence, now)) {
+      currentStreak = 0;
+    }
+  });
+
+  const attendedOccurrences = occurrences.filter(o => checkIns.has(attendanceKey(o.runId, o.occurrenceDate)));
+  return {
+    attended: attendedOccurrences.length,
+    eligible: occurrences.length,
+    attendanceRate: occurrences.length ? Math.round((attendedOccurrences.length / occurrences.length) * 100) / 100 : null,
+    currentStreak,
+    longestStreak,
+    lastAttendedOn: attendedOccurrences.at(-1)?.date || null
+  };
+}
+
+/**
+ * Attendance stats for every member of a crew (last year, since each member joined)
+ * @param {string} runCrewId
+ * @param {Date} [now]
+ * @returns {Promise<Array<Object>>} { athlete, joinedAt, attended, eligible, attendanceRate, currentStreak, longestStreak, lastAttendedOn }
+ */
+export async function getCrewAttendance(runCrewId, now = new Date()) {
+  const prisma = getPrismaClient();
+
+  const [occurrences, memberships, checkIns] = await Promise.all([
+    getPastCrewOccurrences(runCrewId, now),
+    prisma.runCrewMembership.findMany({
+      where: { runCrewId },
+      include: { athlete: { select: { id: true, firstName: true, lastName: true, photoURL: true } } }
+    }),
+    prisma.runCrewRunCheckIn.findMany({
+      where: { run: { runCrewId } },
+      select: { runId: true, occurrenceDate: true, athleteId: true }
+    })
+  ]);
+
+  const byAthlete = new Map();
+  checkIns.forEach(checkIn => {
+    if (!byAthlete.has(checkIn.athleteId)) byAthlete.set(checkIn.athleteId, new Set());
+    byAthlete.get(checkIn.athleteId).add(attendanceKey(checkIn.runId, checkIn.occurrenceDate));
+  });
+
+  return memberships
+    .map(membership => {
+      const joined = dayKeyOf(membership.joinedAt);
+      return {
+        athlete: membership.athlete,
+        joinedAt: membership.joinedAt,
+        ...attendanceStats(
+          occurrences.filter(o => o.date >= joined),
+          byAthlete.get(membership.athleteId) || new Set(),
+          now
+        )
+      };
+    })
+    .sort((a, b) => b.currentStreak - a.currentStreak || b.attended - a.attended);
+}
+
+/**
+ * One member's attendance: stats plus every past crew run since they joined (newest first)
+ * @param {string} runCrewId
+ * @param {Object} membership - RunCrewMembership (athleteId, joinedAt)
+ * @param {Date} [now]
+ * @returns {Promise<Object>} { ...stats, history: [{ runId, occurrenceDate, date, title, attended, method }] }
+ */
+export async function getMemberAttendance(runCrewId, membership, now = new Date()) {
+  const prisma = getPrismaClient();
+  const joined = dayKeyOf(membership.joinedAt);
+
+  const [occurrences, checkIns] = await Promise.all([
+    getPastCrewOccurrences(runCrewId, now),
+    prisma.runCrewRunCheckIn.findMany({
+      where: { athleteId: membership.athleteId, run: { runCrewId } },
+      select: { runId: true, occurrenceDate: true, method: true, activityId: true, createdAt: true }
+    })
+  ]);
+
+  const eligible = occurrences.filter(o => o.date >= joined);
+  const byKey = new Map(checkIns.map(checkIn => [attendanceKey(checkIn.runId, checkIn.occurrenceDate), checkIn]));
+
+  return {
+    ...attendanceStats(eligible, new Set(byKey.keys()), now),
+    history: eligible
+      .map(occurrence => {
+        const checkIn = byKey.get(attendanceKey(occurrence.runId, occurrence.occurrenceDate));
+        return {
+          runId: occurrence.runId,
+          occurrenceDate: occurrence.occurrenceDate,
+          date: occurrence.date,
+          title: occurrence.title,
+          attended: Boolean(checkIn),
+          method: checkIn?.method || null,
+          activityId: checkIn?.activityId || null,
+          checkedInAt: checkIn?.createdAt || null
+        };
+      })
+      .reverse()
+  };
+}
@@ -0,0 +1,307 @@
+import { getPrismaClient } from '../config/database.js';
+import { getSocketServer } from '../src/socket.js';
+import { getRunOccurrence, RUN_OCCURRENCE_STATUS } from './runCrewOccurrenceService.js';
+
+/**
+ * RunCrew Capacity Service
+ *
+ * Runs and events can cap how many members are "going" (capacity, null = unlimited). Runs are
+ * capped per occurrence, so a full Tuesday says nothing about Thursday.
+ *   - "going" on a full run/event is stored as "waitlisted" with waitlistedAt as the queue spot
+ *   - when a "going" member switches away, or the capacity goes up, the longest-waiting members
+ *     are promoted to "going"
+ *   - promoted members get rsvp:promoted in their socket room athlete-{athleteId}. That push is
+ *     the only live notice - members who are offline see it on their RSVP (promotedAt) next load
+ *
+ * Lowering the capacity never bumps anyone who is already going - it just stops new RSVPs until
+ * enough members drop out. Nobody is promoted into a cancelled or past occurrence.
+ */
+
+export const RSVP_STATUS = {
+  GOING: 'going',
+  MAYBE: 'maybe',
+  NOT_GOING: 'not-going',
+  WAITLISTED: 'waitlisted'
+};
+
+// What members can ask for - "waitlisted" is only ever assigned
+export const RSVP_CHOICES = [RSVP_STATUS.GOING, RSVP_STATUS.MAYBE, RSVP_STATUS.NOT_GOING];
+
+export const MAX_CAPACITY = 500;
+
+// Two RSVPs racing for the last spot: Serializable makes one of them retry and see the other
+const MAX_TRANSACTION_ATTEMPTS = 3;
+const WRITE_CONFLICT = 'P2034';
+
+const RSVP_ATHLETE_INCLUDE = {
+  athlete: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      photoURL: true
+    }
+  }
+};
+
+/**
+ * Capacity from a request body
+ * @param {*} value - positive whole number; null or "" for unlimited
+ * @returns {{capacity: number|null}|null} null when the value is invalid
+ */
+export function parseCapacity(value) {
+  if (value === null || value === '') {
+    return { capacity: null };
+  }
+
+  const capacity = Number(value);
+  if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+    return null;
+  }
+  return { capacity };
+}
+
+/**
+ * Open spots given the RSVPs of one occurrence/event
+ * @param {number|null} capacity
+ * @param {Array<Object>} rsvps
+ * @returns {number|null} null when unlimited
+ */
+export function getSpotsLeft(capacity, rsvps = []) {
+  if (capacity == null) return null;
+  const going = rsvps.filter(rsvp => rsvp.status === RSVP_STATUS.GOING).length;
+  return Math.max(0, capacity - going);
+}
+
+// ---------------------------------------------------------------------------
+// RSVP targets - one run occurrence or one event
+// ---------------------------------------------------------------------------
+
+function runTarget(run, occurrence) {
+  const occurrenceDate = occurrence.occurrenceDate || '';
+
+  return {
+    model: 'runCrewRunRSVP',
+    scope: { runId: run.id, occurrenceDate },
+    uniqueWhere: athleteId => ({
+      runId_athleteId_occurrenceDate: { runId: run.id, athleteId, occurrenceDate }
+    }),
+    capacity: run.capacity ?? null,
+    isOpen: occurrence.status !== RUN_OCCURRENCE_STATUS.CANCELLED
+      && (!occurrence.startsAt || new Date(occurrence.startsAt) > new Date()),
+    notice: {
+      type: 'run',
+      runCrewId: run.runCrewId,
+      runId: run.id,
+      occurrenceDate: occurrence.occurrenceDate,
+      title: run.title,
+      date: occurrence.date,
+      startTime: occurrence.startTime
+    }
+  };
+}
+
+function eventTarget(event) {
+  return {
+    model: 'runCrewEventRSVP',
+    scope: { eventId: event.id },
+    uniqueWhere: athleteId => ({
+      eventId_athleteId: { eventId: event.id, athleteId }
+    }),
+    capacity: event.capacity ?? null,
+    // Event dates are calendar days - the event stays open through its day
+    isOpen: new Date(event.date).getTime() + 24 * 60 * 60 * 1000 > Date.now(),
+    notice: {
+      type: 'event',
+      runCrewId: event.runCrewId,
+      eventId: event.id,
+      title: event.title,
+      date: event.date,
+      time: event.time
+    }
+  };
+}
+
+async function inCapacityTransaction(work) {
+  const prisma = getPrismaClient();
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await prisma.$transaction(work, { isolationLevel: 'Serializable' });
+    } catch (error) {
+      if (error.code !== WRITE_CONFLICT || attempt >= MAX_TRANSACTION_ATTEMPTS) throw error;
+    }
+  }
+}
+
+// Promote waitlisted members into open spots (inside a transaction)
+async function fillOpenSpots(tx, target) {
+  if (!target.isOpen) return [];
+
+  let openSpots;
+  if (target.capacity != null) {
+    const going = await tx[target.model].count({
+      where: { ...target.scope, status: RSVP_STATUS.GOING }
+    });
+    openSpots = target.capacity - going;
+    if (openSpots <= 0) return [];
+  }
+
+  const next = await tx[target.model].findMany({
+    where: { ...target.scope, status: RSVP_STATUS.WAITLISTED },
+    orderBy: [{ waitlistedAt: 'asc' }, { createdAt: 'asc' }],
+    take: openSpots,
+    select: { id: true, athleteId: true }
+  });
+
+  if (next.length > 0) {
+    await tx[target.model].updateMany({
+      where: { id: { in: next.map(rsvp => rsvp.id) } },
+      data: { status: RSVP_STATUS.GOING, waitlistedAt: null, promotedAt: new Date() }
+    });
+  }
+  return next.map(rsvp => rsvp.athleteId);
+}
+
+function notifyPromoted(target, athleteIds) {
+  if (athleteIds.length === 0) return;
+
+  const io = getSocketServer();
+  if (io) {
+    athleteIds.forEach(athleteId => {
+      io.to(`athlete-${athleteId}`).emit('rsvp:promoted', {
+        ...target.notice,
+        status: RSVP_STATUS.GOING
+      });
+    });
+  }
+
+  console.log(`🎟️ WAITLIST: Promoted ${athleteIds.length} member(s) to going for ${target.notice.type} ${target.notice.runId || target.notice.eventId}${target.notice.occurrenceDate ? ` on ${target.notice.occurrenceDate}` : ''}`);
+}
+
+async function applyRsvp(target, athleteId, status, details = {}) {
+  const { rsvp, promoted } = await inCapacityTransaction(async (tx) => {
+    const existing = await tx[target.model].findUnique({ where: target.uniqueWhere(athleteId) });
+
+    let nextStatus = status;
+    let waitlistedAt = null;
+    if (status === RSVP_STATUS.GOING && target.capacity != null && existing?.status !== RSVP_STATUS.GOING) {
+      const going = await tx[target.model].count({
+        where: { ...target.scope, status: RSVP_STATUS.GOING }
+      });
+      if (going >= target.capacity) {
+        nextStatus = RSVP_STATUS.WAITLISTED;
+        // Asking again keeps the place in line
+        waitlistedAt = existing?.status === RSVP_STATUS.WAITLISTED ? existing.waitlistedAt : new Date();
+      }
+    }
+
+    const data = {
+      ...details,
+      status: nextStatus,
+      waitlistedAt,
+      // The member has seen their RSVP once they change it
+      ...(existing?.status === nextStatus ? {} : { promotedAt: null })
+    };
+    const saved = await tx[target.model].upsert({
+      where: target.uniqueWhere(athleteId),
+      update: data,
+      create: { ...target.scope, athleteId, ...data },
+      include: RSVP_ATHLETE_INCLUDE
+    });
+
+    const freedSpot = existing?.status === RSVP_STATUS.GOING && nextStatus !== RSVP_STATUS.GOING;
+    return {
+      rsvp: saved,
+      promoted: freedSpot ? await fillOpenSpots(tx, target) : []
+    };
+  });
+
+  notifyPromoted(target, promoted);
+
+  let waitlistPosition = null;
+  if (rsvp.status === RSVP_STATUS.WAITLISTED) {
+    const prisma = getPrismaClient();
+    waitlistPosition = 1 + await prisma[target.model].count({
+      where: {
+        ...target.scope,
+        status: RSVP_STATUS.WAITLISTED,
+        waitlistedAt: { lt: rsvp.waitlistedAt }
+      }
+    });
+  }
+
+  return { rsvp, waitlistPosition, promotedAthleteIds: promoted };
+}
+
+// ---------------------------------------------------------------------------
+// RSVPs
+// ---------------------------------------------------------------------------
+
+/**
+ * RSVP to one occurrence of a run, waitlisting "going" when it's full
+ * @param {Object} run - RunCrewRun
+ * @param {Object} occurrence - from getRunOccurrence()
+ * @param {string} athleteId
+ * @param {string} status - one of RSVP_CHOICES
+ * @param {Object} [options]
+ * @param {string|null} [options.paceGroupId] - group to run with (undefined keeps the current pick)
+ * @returns {Promise<{rsvp: Object, waitlistPosition: number|null, promotedAthleteIds: string[]}>}
+ */
+export async function rsvpToRunOccurrence(run, occurrence, athleteId, status, { paceGroupId } = {}) {
+  return applyRsvp(runTarget(run, occurrence), athleteId, status, paceGroupId === undefined ? {} : { paceGroupId });
+}
+
+/**
+ * RSVP to a crew event, waitlisting "going" when it's full
+ * @param {Object} event - RunCrewEvent
+ * @param {string} athleteId
+ * @param {string} status - one of RSVP_CHOICES
+ * @returns {Promise<{rsvp: Object, waitlistPosition: number|null, promotedAthleteIds: string[]}>}
+ */
+export async function rsvpToEvent(event, athleteId, status) {
+  return applyRsvp(eventTarget(event), athleteId, status);
+}
+
+// ---------------------------------------------------------------------------
+// Capacity changes
+// ---------------------------------------------------------------------------
+
+/**
+ * Promote waitlisted members into spots a capacity change opened, on every occurrence that has a waitlist
+ * @param {Object} run - RunCrewRun with `overrides` included
+ * @returns {Promise<number>} members promoted
+ */
+export async function fillRunWaitlists(run) {
+  const prisma = getPrismaClient();
+  const waiting = await prisma.runCrewRunRSVP.findMany({
+    where: { runId: run.id, status: RSVP_STATUS.WAITLISTED },
+    select: { occurrenceDate: true },
+    distinct: ['occurrenceDate']
+  });
+
+  let promotedCount = 0;
+  for (const { occurrenceDate } of waiting) {
+    const occurrence = getRunOccurrence(run, occurrenceDate);
+    // Waitlists left over from a schedule change have no occurrence to go to
+    if (!occurrence || (occurrence.occurrenceDate || '') !== occurrenceDate) continue;
+
+    const target = runTarget(run, occurrence);
+    const promoted = await inCapacityTransaction(tx => fillOpenSpots(tx, target));
+    notifyPromoted(target, promoted);
+    promotedCount += promoted.length;
+  }
+  return promotedCount;
+}
+
+/**
+ * Promote waitlisted members into spots a capacity change opened
+ * @param {Object} event - RunCrewEvent
+ * @returns {Promise<number>} members promoted
+ */
+export async function fillEventWaitlist(event) {
+  const target = eventTarget(event);
+  const promoted = await inCapacityTransaction(tx => fillOpenSpots(tx, target));
+  notifyPromoted(target, promoted);
+  return promoted.length;
+}
@@ -0,0 +1,221 @@
+import {
+  dayKeyToDate,
+  getCalendarDay,
+  isValidTimeZone,
+  parseClockTime,
+  parseDayKey,
+  toDayKey,
+  zonedTimeToUtc
+} from '../utils/timezoneUtils.js';
+import { expandRecurrence, parseRecurrenceRule } from '../utils/recurrenceRuleUtils.js';
+import { summarizePaceGroups } from './runCrewPaceGroupService.js';
+
+/**
+ * RunCrew Occurrence Service
+ *
+ * A recurring RunCrewRun is a series: `date` is its first day, `recurrenceRule` an RRULE and
+ * `recurrenceEndsOn` the last possible day. This service materializes the series into concrete
+ * occurrences over a window of days:
+ *   - each occurrence is keyed by the day the rule produces (occurrenceDate "YYYY-MM-DD")
+ *   - a RunCrewRunOverride for that key cancels it, moves it or changes its meet-up
+ *   - RSVPs carry the same key, so going to one Tuesday says nothing about the next
+ *
+ * Single runs come out as one occurrence (occurrenceDate null, RSVP key ""). Start instants are
+ * computed in the run's IANA timezone, so 06:30 stays 06:30 local across DST changes.
+ */
+
+export const RUN_OCCURRENCE_STATUS = {
+  SCHEDULED: 'scheduled',
+  CANCELLED: 'cancelled'
+};
+
+export const DEFAULT_OCCURRENCE_WINDOW_DAYS = 56;
+export const MAX_OCCURRENCE_WINDOW_DAYS = 366;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const dayKeyOf = (date) => toDayKey(getCalendarDay(date));
+
+function addDays(key, days) {
+  return dayKeyOf(dayKeyToDate(key).getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Parsed recurrence rule of a run, or null for single runs
+ * Runs saved with a rule this engine can't read are treated as single runs.
+ * @param {Object} run - RunCrewRun
+ * @returns {Object|null}
+ */
+export function getRunRecurrence(run) {
+  if (run.runType !== 'recurring' || !run.recurrenceRule) {
+    return null;
+  }
+
+  try {
+    return parseRecurrenceRule(run.recurrenceRule);
+  } catch (error) {
+    console.warn(`⚠️ RUN OCCURRENCES: Run ${run.id} has an unreadable recurrence rule (${error.message})`);
+    return null;
+  }
+}
+
+/**
+ * Window of days from query params
+ * @param {Object} query - { from?, to? } "YYYY-MM-DD"; defaults to yesterday + 8 weeks
+ * @param {Date} [now]
+ * @returns {{from: string, to: string}|null} null when the params are invalid
+ */
+export function resolveOccurrenceWindow({ from, to } = {}, now = new Date()) {
+  const fromKey = from || addDays(dayKeyOf(now), -1);
+  if (!parseDayKey(fromKey)) {
+    return null;
+  }
+
+  const toKey = to || addDays(fromKey, DEFAULT_OCCURRENCE_WINDOW_DAYS);
+  if (!parseDayKey(toKey) || toKey < fromKey || toKey > addDays(fromKey, MAX_OCCURRENCE_WINDOW_DAYS)) {
+    return null;
+  }
+  return { from: fromKey, to: toKey };
+}
+
+/**
+ * Days the series produces within a window (before overrides)
+ * @param {Object} run - RunCrewRun
+ * @param {{from: string, to: string}} window
+ * @returns {string[]} day keys
+ */
+export function getRunOccurrenceDates(run, window) {
+  const startKey = dayKeyOf(run.date);
+  const rule = getRunRecurrence(run);
+
+  if (!rule) {
+    return startKey >= window.from && startKey <= window.to ? [startKey] : [];
+  }
+
+  return expandRecurrence(rule, startKey, {
+    ...window,
+    endsOn: run.recurrenceEndsOn ? dayKeyOf(run.recurrenceEndsOn) : null
+  });
+}
+
+/**
+ * Whether a day is an occurrence of a recurring run
+ * @param {Object} run - RunCrewRun
+ * @param {string} occurrenceDate - "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+export function isRunOccurrenceDate(run, occurrenceDate) {
+  if (!getRunRecurrence(run) || !parseDayKey(occurrenceDate)) {
+    return false;
+  }
+  return getRunOccurrenceDates(run, { from: occurrenceDate, to: occurrenceDate }).length === 1;
+}
+
+function startsAtFor(dateKey, startTime, timeZone) {
+  const time = parseClockTime(startTime);
+  if (!time || !isValidTimeZone(timeZone)) return null;
+  return zonedTimeToUtc({ ...parseDayKey(dateKey), ...time }, timeZone);
+}
+
+/**
+ * One concrete occurrence of a run
+ * @param {Object} run - RunCrewRun (with rsvps / paceGroups to get the occurrence's RSVPs and group counts)
+ * @param {string|null} occurrenceDate - rule day for recurring runs, null for single runs
+ * @param {Object|null} override - RunCrewRunOverride for that day
+ * @returns {Object}
+ */
+export function buildRunOccurrence(run, occurrenceDate, override = null) {
+  const dateKey = override?.date ? dayKeyOf(override.date) : occurrenceDate || dayKeyOf(run.date);
+  const startTime = override?.startTime || run.startTime;
+  const meetUp = override?.meetUpPoint ? override : run;
+  const startsAt = startsAtFor(dateKey, startTime, run.timezone);
+  const rsvpKey = occurrenceDate || '';
+  const rsvps = (run.rsvps || []).filter(rsvp => (rsvp.occurrenceDate || '') === rsvpKey);
+  const capacity = run.capacity ?? null;
+
+  return {
+    id: occurrenceDate ? `${run.id}:${occurrenceDate}` : run.id,
+    runId: run.id,
+    runCrewId: run.runCrewId,
+    isRecurring: Boolean(occurrenceDate),
+    occurrenceDate,
+    status: override?.status || RUN_OCCURRENCE_STATUS.SCHEDULED,
+    isModified: Boolean(override),
+    isMoved: Boolean(override?.date) && dateKey !== occurrenceDate,
+    title: run.title,
+    date: dateKey,
+    startTime,
+    timezone: run.timezone,
+    startsAt: startsAt ? startsAt.toISOString() : null,
+    meetUpPoint: meetUp.meetUpPoint,
+    meetUpAddress: meetUp.meetUpAddress,
+    meetUpPlaceId: meetUp.meetUpPlaceId,
+    meetUpLat: meetUp.meetUpLat,
+    meetUpLng: meetUp.meetUpLng,
+    totalMiles: run.totalMiles,
+    pace: run.pace,
+    stravaMapUrl: run.stravaMapUrl,
+    route: run.route || null,
+    description: run.description,
+    recurrenceNote: run.recurrenceNote,
+    note: override?.note || null,
+    createdBy: run.createdBy,
+    updatedAt: override && override.updatedAt > run.updatedAt ? override.updatedAt : run.updatedAt,
+    capacity,
+    spotsLeft: capacity == null ? null : Math.max(0, capacity - rsvps.filter(rsvp => rsvp.status === 'going').length),
+    paceGroups: summarizePaceGroups(run.paceGroups, rsvps, run.totalMiles),
+    rsvps
+  };
+}
+
+/**
+ * The occurrence a request is about
+ * Single runs ignore occurrenceDate; recurring runs need one of their dates.
+ * @param {Object} run - RunCrewRun with `overrides` included
+ * @param {string} [occurrenceDate] - "YYYY-MM-DD"
+ * @returns {Object|null} occurrence, null when the date isn't part of the series
+ */
+export function getRunOccurrence(run, occurrenceDate) {
+  if (!getRunRecurrence(run)) {
+    return buildRunOccurrence(run, null);
+  }
+  if (!isRunOccurrenceDate(run, occurrenceDate)) {
+    return null;
+  }
+
+  const override = (run.overrides || []).find(o => o.occurrenceDate === occurrenceDate) || null;
+  return buildRunOccurrence(run, occurrenceDate, override);
+}
+
+/**
+ * Occurrences of runs within a window, in start order
+ * Runs need `overrides` (and `rsvps`) included. Occurrences moved into the window are included,
+ * ones moved out of it are not.
+ * @param {Array<Object>} runs - RunCrewRun rows
+ * @param {{from: string, to: string}} window
+ * @returns {Array<Object>}
+ */
+export function expandRunOccurrences(runs, window) {
+  const occurrences = runs.flatMap(run => {
+    if (!getRunRecurrence(run)) {
+      return getRunOccurrenceDates(run, window).map(() => buildRunOccurrence(run, null));
+    }
+
+    const overrides = new Map((run.overrides || []).map(override => [override.occurrenceDate, override]));
+    const dates = new Set(getRunOccurrenceDates(run, window));
+
+    (run.overrides || []).forEach(override => {
+      const movedTo = override.date && dayKeyOf(override.date);
+      if (movedTo && movedTo >= window.from && movedTo <= window.to && !dates.has(override.occurrenceDate)
+        && isRunOccurrenceDate(run, override.occurrenceDate)) {
+        dates.add(override.occurrenceDate);
+      }
+    });
+
+    return [...dates].map(date => buildRunOccurrence(run, date, overrides.get(date) || null));
+  });
+
+  return occurrences
+    .filter(occurrence => occurrence.date >= window.from && occurrence.date <= window.to)
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.startsAt || '').localeCompare(b.startsAt || ''));
+}
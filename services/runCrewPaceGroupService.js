@@ -0,0 +1,185 @@
+import { getPrismaClient } from '../config/database.js';
+import { SPORTS } from './activityTypeService.js';
+import { formatDuration, parseDuration } from '../utils/timeUtils.js';
+
+/**
+ * RunCrew Pace Group Service
+ *
+ * One meet-up, several groups: a RunCrewRunPaceGroup has a target pace range (seconds per mile,
+ * min = fast end), an optional distance and leader. RSVPs pick a group (paceGroupId), and every
+ * occurrence reports how many members are going / maybe / waitlisted per group.
+ *
+ * Suggestions come from the member's recent runs: distance-weighted average pace of the last few
+ * weeks, matched to the group whose range holds it (or the closest one).
+ */
+
+// Anything outside this isn't a running pace (per mile)
+const MIN_PACE_SECONDS = 3 * 60;
+const MAX_PACE_SECONDS = 30 * 60;
+
+const METERS_PER_MILE = 1609.34;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const SUGGESTION_HISTORY_DAYS = 42;
+const SUGGESTION_MAX_RUNS = 10;
+const SUGGESTION_MIN_METERS = METERS_PER_MILE; // Shorter runs say more about warm-ups than pace
+
+export class PaceGroupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaceGroupError';
+  }
+}
+
+/**
+ * "8:30-9:00 min/mile" style label for a range
+ * @param {number} minSeconds - Fast end
+ * @param {number} maxSeconds - Slow end
+ * @returns {string}
+ */
+export function formatPaceRange(minSeconds, maxSeconds) {
+  const range = minSeconds === maxSeconds
+    ? formatDuration(minSeconds)
+    : `${formatDuration(minSeconds)}-${formatDuration(maxSeconds)}`;
+  return `${range} min/mile`;
+}
+
+function parsePace(key, value) {
+  const seconds = typeof value === 'number' ? Math.round(value) : parseDuration(value);
+  if (!seconds || seconds < MIN_PACE_SECONDS || seconds > MAX_PACE_SECONDS) {
+    throw new PaceGroupError(`${key} must be a pace per mile like "8:30"`);
+  }
+  return seconds;
+}
+
+/**
+ * Validate pace group input into RunCrewRunPaceGroup fields
+ * @param {Object} body - { name?, minPace, maxPace ("m:ss" or seconds per mile), distanceMiles?, sortOrder? }
+ * @param {Object} [existing] - group being updated (omitted fields keep its values)
+ * @returns {Object} fields to write (leaderId is checked by the route - it needs the crew)
+ * @throws {PaceGroupError}
+ */
+export function parsePaceGroupInput(body, existing = null) {
+  const { name, minPace, maxPace, distanceMiles, sortOrder } = body || {};
+  const data = {};
+
+  if (!existing && (minPace == null || maxPace == null)) {
+    throw new PaceGroupError('minPace and maxPace are required');
+  }
+  if (minPace !== undefined) data.minPaceSecondsPerMile = parsePace('minPace', minPace);
+  if (maxPace !== undefined) data.maxPaceSecondsPerMile = parsePace('maxPace', maxPace);
+
+  const min = data.minPaceSecondsPerMile ?? existing?.minPaceSecondsPerMile;
+  const max = data.maxPaceSecondsPerMile ?? existing?.maxPaceSecondsPerMile;
+  if (min > max) {
+    throw new PaceGroupError('minPace is the fast end of the range - it can\'t be slower than maxPace');
+  }
+
+  if (name !== undefined || !existing) {
+    // Unnamed groups go by their pace ("9:00s")
+    data.name = name?.trim() || `${formatDuration(min)}s`;
+  }
+
+  if (distanceMiles !== undefined) {
+    const miles = distanceMiles === null || distanceMiles === '' ? null : Number(distanceMiles);
+    if (miles !== null && (!Number.isFinite(miles) || miles <= 0 || miles > 100)) {
+      throw new PaceGroupError('distanceMiles must be a distance in miles (or null for the run\'s distance)');
+    }
+    data.distanceMiles = miles;
+  }
+
+  if (sortOrder !== undefined) {
+    if (!Number.isInteger(Number(sortOrder))) {
+      throw new PaceGroupError('sortOrder must be a whole number');
+    }
+    data.sortOrder = Number(sortOrder);
+  }
+
+  return data;
+}
+
+/**
+ * Pace groups of one occurrence with RSVP counts
+ * @param {Array<Object>} paceGroups - RunCrewRunPaceGroup rows (leader included when wanted)
+ * @param {Array<Object>} rsvps - the occurrence's RSVPs
+ * @param {number|null} [runMiles] - run.totalMiles, for groups without their own distance
+ * @returns {Array<Object>} groups in display order, each with pace label and counts
+ */
+export function summarizePaceGroups(paceGroups = [], rsvps = [], runMiles = null) {
+  return [...paceGroups]
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.minPaceSecondsPerMile - b.minPaceSecondsPerMile)
+    .map(group => {
+      const groupRsvps = rsvps.filter(rsvp => rsvp.paceGroupId === group.id);
+      const count = status => groupRsvps.filter(rsvp => rsvp.status === status).length;
+
+      return {
+        ...group,
+        pace: formatPaceRange(group.minPaceSecondsPerMile, group.maxPaceSecondsPerMile),
+        distanceMiles: group.distanceMiles ?? runMiles ?? null,
+        counts: {
+          going: count('going'),
+          maybe: count('maybe'),
+          waitlisted: count('waitlisted')
+        }
+      };
+    });
+}
+
+/**
+ * Group for a pace: the one whose range holds it, else the one with the closest edge
+ * @param {Array<Object>} paceGroups
+ * @param {number} paceSecondsPerMile
+ * @returns {Object|null}
+ */
+export function matchPaceGroup(paceGroups, paceSecondsPerMile) {
+  const distanceTo = group => Math.max(
+    group.minPaceSecondsPerMile - paceSecondsPerMile,
+    paceSecondsPerMile - group.maxPaceSecondsPerMile,
+    0
+  );
+
+  return [...paceGroups].sort((a, b) => distanceTo(a) - distanceTo(b)
+    || (a.maxPaceSecondsPerMile - a.minPaceSecondsPerMile) - (b.maxPaceSecondsPerMile - b.minPaceSecondsPerMile))[0] || null;
+}
+
+/**
+ * Suggested pace group for a member from their recent runs
+ * @param {string} athleteId
+ * @param {Array<Object>} paceGroups - the run's groups
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} { paceGroupId, paceSecondsPerMile, pace, basedOnRuns } - null without recent runs
+ */
+export async function suggestPaceGroup(athleteId, paceGroups, now = new Date()) {
+  const prisma = getPrismaClient();
+
+  const runs = await prisma.athleteActivity.findMany({
+    where: {
+      athleteId,
+      sport: SPORTS.RUN,
+      duplicateOfId: null,
+      startTime: { gte: new Date(now.getTime() - SUGGESTION_HISTORY_DAYS * MS_PER_DAY), lte: now },
+      distance: { gte: SUGGESTION_MIN_METERS },
+      paceSecondsPerMile: { not: null }
+    },
+    orderBy: { startTime: 'desc' },
+    take: SUGGESTION_MAX_RUNS,
+    select: { distance: true, paceSecondsPerMile: true }
+  });
+
+  const usable = runs.filter(run => run.paceSecondsPerMile >= MIN_PACE_SECONDS && run.paceSecondsPerMile <= MAX_PACE_SECONDS);
+  if (usable.length === 0) {
+    return null;
+  }
+
+  const miles = usable.reduce((total, run) => total + run.distance / METERS_PER_MILE, 0);
+  const paceSecondsPerMile = Math.round(
+    usable.reduce((total, run) => total + run.paceSecondsPerMile * (run.distance / METERS_PER_MILE), 0) / miles
+  );
+
+  return {
+    paceGroupId: matchPaceGroup(paceGroups, paceSecondsPerMile)?.id || null,
+    paceSecondsPerMile,
+    pace: formatPaceRange(paceSecondsPerMile, paceSecondsPerMile),
+    basedOnRuns: usable.length
+  };
+}
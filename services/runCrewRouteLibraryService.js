@@ -0,0 +1,114 @@
+import { decodePolyline, encodePolyline, pathDistanceMeters } from '../utils/geoUtils.js';
+import { computeElevationGain, parseGpxRoute } from './activityFileParserService.js';
+
+/**
+ * RunCrew Route Library Service
+ *
+ * A crew stores its courses once (RunCrewRoute) and runs point at them (RunCrewRun.routeId), so
+ * the frontend draws the map from our polyline instead of a pasted Strava link.
+ *   - GPX: track or route points; distance and elevation gain from the full file
+ *   - encoded polyline (Google format, e.g. a Strava map.polyline): distance only
+ *
+ * The stored polyline is thinned to MAX_ROUTE_POINTS for drawing; distance is measured before.
+ */
+
+export const ROUTE_SOURCES = {
+  GPX: 'gpx',
+  POLYLINE: 'polyline'
+};
+
+const MAX_ROUTE_POINTS = 1000;
+const MAX_ROUTE_METERS = 200 * 1609.34; // Longer than any crew run - almost certainly a bad file
+const METERS_PER_MILE = 1609.34;
+
+// Route fields returned with runs (everything the map needs)
+export const RUN_ROUTE_SELECT = {
+  id: true,
+  name: true,
+  source: true,
+  polyline: true,
+  distanceMeters: true,
+  elevationGainMeters: true,
+  startLat: true,
+  startLng: true,
+  endLat: true,
+  endLng: true
+};
+
+export class RouteLibraryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RouteLibraryError';
+  }
+}
+
+/**
+ * Miles for a stored route (rounded to 0.01)
+ * @param {Object} route - RunCrewRoute
+ * @returns {number}
+ */
+export function routeMiles(route) {
+  return Math.round((route.distanceMeters / METERS_PER_MILE) * 100) / 100;
+}
+
+function buildRouteData(source, coordinates, elevationGainMeters = null) {
+  if (coordinates.length < 2) {
+    throw new RouteLibraryError('A route needs at least 2 points');
+  }
+
+  const distanceMeters = Math.round(pathDistanceMeters(coordinates) * 10) / 10;
+  if (distanceMeters <= 0 || distanceMeters > MAX_ROUTE_METERS) {
+    throw new RouteLibraryError('Route distance is out of range - check the file or polyline');
+  }
+
+  const step = Math.max(1, Math.ceil(coordinates.length / MAX_ROUTE_POINTS));
+  const drawn = coordinates.filter((_, index) => index % step === 0 || index === coordinates.length - 1);
+  const [startLat, startLng] = coordinates[0];
+  const [endLat, endLng] = coordinates[coordinates.length - 1];
+
+  return {
+    source,
+    polyline: encodePolyline(drawn),
+    distanceMeters,
+    elevationGainMeters,
+    startLat,
+    startLng,
+    endLat,
+    endLng
+  };
+}
+
+/**
+ * Route fields from a GPX course or recorded track
+ * @param {Buffer} buffer - .gpx file
+ * @returns {Object} RunCrewRoute fields + { gpxName } (the file's own name, if any)
+ * @throws {RouteLibraryError|ActivityFileParseError}
+ */
+export function buildRouteFromGpx(buffer) {
+  const { name, points } = parseGpxRoute(buffer);
+
+  return {
+    ...buildRouteData(
+      ROUTE_SOURCES.GPX,
+      points.map(point => [point.lat, point.lng]),
+      computeElevationGain(points.map(point => point.elevation))
+    ),
+    gpxName: name
+  };
+}
+
+/**
+ * Route fields from a Google encoded polyline
+ * @param {string} encoded
+ * @returns {Object} RunCrewRoute fields
+ * @throws {RouteLibraryError}
+ */
+export function buildRouteFromPolyline(encoded) {
+  const coordinates = typeof encoded === 'string' ? decodePolyline(encoded.trim()) : [];
+  const valid = coordinates.every(([lat, lng]) => Math.abs(lat) <= 90 && Math.abs(lng) <= 180);
+
+  if (!valid) {
+    throw new RouteLibraryError('polyline is not a valid encoded polyline');
+  }
+  return buildRouteData(ROUTE_SOURCES.POLYLINE, coordinates);
+}
@@ -0,0 +1,107 @@
+import { getPrismaClient } from '../config/database.js';
+import StravaFieldMapper from './StravaFieldMapper.js';
+import { stravaFetch } from './tokenManagerService.js';
+import { rebuildPersonalRecords } from './personalRecordService.js';
+import { unlinkActivityFromTraining } from './trainingMatchService.js';
+import { afterActivityIngest } from './manualActivityService.js';
+
+const getStravaBaseUrl = () => process.env.STRAVA_BASE_URL || 'https://www.strava.com/api/v3';
+
+/**
+ * Fetch a single activity from the Strava API (token refreshed by tokenManagerService)
+ * @param {string} athleteId - Our athlete's ID (owner of the Strava tokens)
+ * @param {string|number} stravaActivityId - Strava activity id (object_id from webhook)
+ * @returns {Promise<{success: boolean, activity?: Object, status?: number, error?: string}>}
+ */
+export async function fetchStravaActivity(athleteId, stravaActivityId) {
+  try {
+    const resp = await stravaFetch(athleteId, `${getStravaBaseUrl()}/activities/${stravaActivityId}`);
+
+    if (!resp.ok) {
+      const text = await resp.text();
+      console.error(`❌ Strava activity fetch failed (${resp.status}) for activity ${stravaActivityId}:`, text);
+      return { success: false, status: resp.status, error: text };
+    }
+
+    const activity = await resp.json();
+    return { success: true, activity };
+  } catch (error) {
+    console.error(`❌ Strava activity fetch error for activity ${stravaActivityId}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Map and upsert a Strava activity into AthleteActivity (source: 'strava')
+ * @param {string} athleteId - Our athlete's ID
+ * @param {Object} stravaActivity - Raw Strava activity from the API
+ * @returns {Promise<Object|null>} - Upserted activity record or null if invalid
+ */
+export async function upsertStravaActivity(athleteId, stravaActivity) {
+  const prisma = getPrismaClient();
+
+  const mappedActivity = StravaFieldMapper.mapActivitySummary(stravaActivity, athleteId);
+
+  const validation = StravaFieldMapper.validateActivity(mappedActivity);
+  if (!validation.isValid) {
+    console.error(`❌ Strava activity validation failed for activity ${stravaActivity?.id}:`, validation.errors);
+    return null;
+  }
+
+  if (validation.warnings.length > 0) {
+    console.warn(`⚠️ Strava activity validation warnings for activity ${stravaActivity.id}:`, validation.warnings);
+  }
+
+  // Remove timestamps from mapped activity (we set them in upsert)
+  const { syncedAt, lastUpdatedAt, ...activityData } = mappedActivity;
+
+  const upserted = await prisma.athleteActivity.upsert({
+    where: { sourceActivityId: mappedActivity.sourceActivityId },
+    update: {
+      ...activityData,
+      lastUpdatedAt: new Date()
+    },
+    create: {
+      ...activityData,
+      syncedAt: new Date(),
+      lastUpdatedAt: new Date()
+    }
+  });
+
+  console.log(`✅ Saved Strava activity ${stravaActivity.id} for athlete ${athleteId}`);
+
+  // Garmin-connected athletes usually get the same run via Garmin → Strava sync (dedup);
+  // best efforts come from summaryData.splits (Strava doesn't send samples on this path)
+  await afterActivityIngest(upserted.id);
+  return upserted;
+}
+
+/**
+ * Delete a Strava activity from AthleteActivity (athlete deleted it on Strava)
+ * @param {string|number} stravaActivityId - Strava activity id
+ * @returns {Promise<number>} - Number of rows deleted
+ */
+export async function deleteStravaActivity(stravaActivityId) {
+  const prisma = getPrismaClient();
+  const where = {
+    sourceActivityId: StravaFieldMapper.toSourceActivityId(stravaActivityId),
+    source: 'strava'
+  };
+
+  const existing = await prisma.athleteActivity.findFirst({ where, select: { id: true, athleteId: true } });
+
+  const result = await prisma.athleteActivity.deleteMany({ where });
+
+  if (existing) {
+    await unlinkActivityFromTraining(existing.id);
+  }
+
+  console.log(`🗑️ Deleted ${result.count} Strava activity record(s) for activity ${stravaActivityId}`);
+
+  // PRs set by the deleted run must fall back to the previous bests
+  if (existing && result.count > 0) {
+    await rebuildPersonalRecords(existing.athleteId);
+  }
+
+  return result.count;
+}
@@ -0,0 +1,388 @@
+/**
+ * Token Manager Service
+ * Keeps Garmin and Strava OAuth tokens fresh for every connected owner:
+ *   - Garmin: Athlete, Parent, YoungAthlete (identical garmin_* token columns)
+ *   - Strava: Athlete only
+ *
+ * Tokens are refreshed shortly BEFORE they expire, and again on a 401 from the provider.
+ * Rotated tokens are persisted immediately. If a refresh fails the connection is marked
+ * `refresh_failed` so the frontend can prompt the user to reconnect.
+ */
+
+import { getPrismaClient } from '../config/database.js';
+import { GARMIN_CONFIG } from './garminUtils.js';
+
+// Refresh this many seconds before the provider says the token expires
+const REFRESH_SKEW_SECONDS = 300;
+
+export const TOKEN_STATUS = {
+  HEALTHY: 'healthy',
+  REFRESH_FAILED: 'refresh_failed'
+};
+
+// Prisma delegate per Garmin token owner type
+export const GARMIN_OWNER_MODELS = {
+  athlete: 'athlete',
+  parent: 'parent',
+  youngAthlete: 'youngAthlete'
+};
+
+const GARMIN_TOKEN_SELECT = {
+  id: true,
+  garmin_access_token: true,
+  garmin_refresh_token: true,
+  garmin_expires_in: true,
+  garmin_expires_at: true,
+  garmin_connected_at: true,
+  garmin_is_connected: true
+};
+
+// In-flight refreshes, keyed by provider/owner - Garmin and Strava rotate refresh tokens,
+// so two concurrent refreshes with the same refresh token would invalidate each other
+const inFlightRefreshes = new Map();
+
+const dedupeRefresh = (key, refreshFn) => {
+  if (inFlightRefreshes.has(key)) {
+    return inFlightRefreshes.get(key);
+  }
+  const promise = refreshFn().finally(() => inFlightRefreshes.delete(key));
+  inFlightRefreshes.set(key, promise);
+  return promise;
+};
+
+/**
+ * Compute absolute expiry from a relative expires_in
+ * @param {number} expiresIn - Seconds until expiry (Garmin token response)
+ * @param {Date} issuedAt - When the token was issued (defaults to now)
+ * @returns {Date|null}
+ */
+export function computeExpiresAt(expiresIn, issuedAt = new Date()) {
+  if (!expiresIn) return null;
+  return new Date(new Date(issuedAt).getTime() + expiresIn * 1000);
+}
+
+/**
+ * Resolve the absolute Garmin expiry for an owner record.
+ * Legacy rows only have garmin_expires_in, so fall back to connected_at + expires_in.
+ * @param {Object} owner - Record with garmin_* token columns
+ * @returns {Date|null}
+ */
+export function getGarminExpiresAt(owner) {
+  if (owner.garmin_expires_at) return new Date(owner.garmin_expires_at);
+  if (owner.garmin_expires_in && owner.garmin_connected_at) {
+    return computeExpiresAt(owner.garmin_expires_in, owner.garmin_connected_at);
+  }
+  return null;
+}
+
+/**
+ * Is this token expired (or about to expire)?
+ * @param {Date|null} expiresAt - Absolute expiry (unknown expiry counts as expired)
+ * @returns {boolean}
+ */
+export function isTokenExpiring(expiresAt) {
+  if (!expiresAt) return true;
+  return expiresAt.getTime() - Date.now() < REFRESH_SKEW_SECONDS * 1000;
+}
+
+/**
+ * Garmin client credentials per owner type (young athletes use a separate Garmin app)
+ */
+const getGarminClientCredentials = (ownerType) => {
+  if (ownerType === 'youngAthlete' && process.env.GARMIN_YOUNG_ATHLETE_CLIENT_ID) {
+    return {
+      clientId: process.env.GARMIN_YOUNG_ATHLETE_CLIENT_ID,
+      clientSecret: process.env.GARMIN_YOUNG_ATHLETE_CLIENT_SECRET
+    };
+  }
+  return {
+    clientId: process.env.GARMIN_CLIENT_ID || GARMIN_CONFIG.CLIENT_ID,
+    clientSecret: process.env.GARMIN_CLIENT_SECRET || GARMIN_CONFIG.CLIENT_SECRET
+  };
+};
+
+/**
+ * Refresh Garmin tokens for an owner and persist the rotated tokens
+ * @param {string} ownerType - 'athlete' | 'parent' | 'youngAthlete'
+ * @param {Object} owner - Record with garmin_* token columns
+ * @returns {Promise<{success: boolean, accessToken?: string, error?: string}>}
+ */
+export async function refreshGarminToken(ownerType, owner) {
+  const model = GARMIN_OWNER_MODELS[ownerType];
+  if (!model) {
+    return { success: false, error: `Unknown Garmin owner type: ${ownerType}` };
+  }
+
+  return dedupeRefresh(`garmin:${ownerType}:${owner.id}`, async () => {
+    const prisma = getPrismaClient();
+
+    if (!owner.garmin_refresh_token) {
+      await markGarminConnectionUnhealthy(ownerType, owner.id, 'No refresh token stored');
+      return { success: false, error: 'No Garmin refresh token' };
+    }
+
+    try {
+      console.log(`🔄 TOKEN MANAGER: Refreshing Garmin token for ${ownerType} ${owner.id}`);
+
+      const { clientId, clientSecret } = getGarminClientCredentials(ownerType);
+      const response = await fetch(GARMIN_CONFIG.TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          grant_type: 'refresh_token',
+          client_id: clientId,
+          client_secret: clientSecret,
+          refresh_token: owner.garmin_refresh_token
+        })
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`❌ TOKEN MANAGER: Garmin refresh failed for ${ownerType} ${owner.id}:`, response.status, errorText);
+        await markGarminConnectionUnhealthy(ownerType, owner.id, `HTTP ${response.status}`);
+        return { success: false, error: `Garmin refresh failed: ${response.status}` };
+      }
+
+      const tokens = await response.json();
+      const now = new Date();
+
+      await prisma[model].update({
+        where: { id: owner.id },
+        data: {
+          garmin_access_token: tokens.access_token,
+          garmin_refresh_token: tokens.refresh_token || owner.garmin_refresh_token,
+          garmin_expires_in: tokens.expires_in || null,
+          garmin_expires_at: computeExpiresAt(tokens.expires_in, now),
+          garmin_token_status: TOKEN_STATUS.HEALTHY
+        }
+      });
+
+      console.log(`✅ TOKEN MANAGER: Garmin token refreshed for ${ownerType} ${owner.id}`);
+      return { success: true, accessToken: tokens.access_token };
+
+    } catch (error) {
+      console.error(`❌ TOKEN MANAGER: Garmin refresh error for ${ownerType} ${owner.id}:`, error);
+      await markGarminConnectionUnhealthy(ownerType, owner.id, error.message);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Get a usable Garmin access token, refreshing first if it is expired/expiring
+ * @param {string} ownerType - 'athlete' | 'parent' | 'youngAthlete'
+ * @param {string} ownerId - Owner record ID
+ * @param {Object} options - { forceRefresh: boolean }
+ * @returns {Promise<{success: boolean, accessToken?: string, error?: string}>}
+ */
+export async function getValidGarminAccessToken(ownerType, ownerId, { forceRefresh = false } = {}) {
+  const model = GARMIN_OWNER_MODELS[ownerType];
+  if (!model) {
+    return { success: false, error: `Unknown Garmin owner type: ${ownerType}` };
+  }
+
+  const prisma = getPrismaClient();
+  const owner = await prisma[model].findUnique({
+    where: { id: ownerId },
+    select: GARMIN_TOKEN_SELECT
+  });
+
+  if (!owner) {
+    return { success: false, error: `${ownerType} not found` };
+  }
+
+  if (!owner.garmin_access_token) {
+    return { success: false, error: 'No Garmin access token found' };
+  }
+
+  if (!forceRefresh && !isTokenExpiring(getGarminExpiresAt(owner))) {
+    return { success: true, accessToken: owner.garmin_access_token };
+  }
+
+  return refreshGarminToken(ownerType, owner);
+}
+
+/**
+ * Mark a Garmin connection as unhealthy (refresh failed - user must reconnect)
+ */
+export async function markGarminConnectionUnhealthy(ownerType, ownerId, reason) {
+  try {
+    const prisma = getPrismaClient();
+    await prisma[GARMIN_OWNER_MODELS[ownerType]].update({
+      where: { id: ownerId },
+      data: { garmin_token_status: TOKEN_STATUS.REFRESH_FAILED }
+    });
+    console.warn(`⚠️ TOKEN MANAGER: Garmin connection marked unhealthy for ${ownerType} ${ownerId} (${reason})`);
+  } catch (error) {
+    console.error('❌ TOKEN MANAGER: Failed to mark Garmin connection unhealthy:', error);
+  }
+}
+
+/**
+ * Refresh Strava tokens for an athlete and persist the rotated tokens
+ * @param {Object} athlete - Athlete with strava_* token columns
+ * @returns {Promise<{success: boolean, accessToken?: string, error?: string}>}
+ */
+export async function refreshStravaToken(athlete) {
+  return dedupeRefresh(`strava:athlete:${athlete.id}`, async () => {
+    const prisma = getPrismaClient();
+
+    if (!athlete.strava_refresh_token) {
+      await markStravaConnectionUnhealthy(athlete.id, 'No refresh token stored');
+      return { success: false, error: 'No Strava refresh token' };
+    }
+
+    try {
+      console.log(`🔄 TOKEN MANAGER: Refreshing Strava token for athlete ${athlete.id}`);
+
+      const resp = await fetch('https://www.strava.com/oauth/token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          client_id: process.env.STRAVA_CLIENT_ID,
+          client_secret: process.env.STRAVA_CLIENT_SECRET,
+          grant_type: 'refresh_token',
+          refresh_token: athlete.strava_refresh_token
+        })
+      });
+
+      if (!resp.ok) {
+        const text = await resp.text();
+        console.error(`❌ TOKEN MANAGER: Strava refresh failed for athlete ${athlete.id}:`, resp.status, text);
+        await markStravaConnectionUnhealthy(athlete.id, `HTTP ${resp.status}`);
+        return { success: false, error: `Strava refresh failed: ${resp.status}` };
+      }
+
+      const json = await resp.json();
+      const updated = await prisma.athlete.update({
+        where: { id: athlete.id },
+        data: {
+          strava_access_token: json.access_token || null,
+          strava_refresh_token: json.refresh_token || athlete.strava_refresh_token,
+          strava_expires_at: json.expires_at || null,
+          strava_token_status: TOKEN_STATUS.HEALTHY
+        },
+        select: { strava_access_token: true, strava_expires_at: true }
+      });
+
+      console.log(`✅ TOKEN MANAGER: Strava token refreshed for athlete ${athlete.id}`);
+      return { success: true, accessToken: updated.strava_access_token, expiresAt: updated.strava_expires_at };
+
+    } catch (error) {
+      console.error(`❌ TOKEN MANAGER: Strava refresh error for athlete ${athlete.id}:`, error);
+      await markStravaConnectionUnhealthy(athlete.id, error.message);
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Get a usable Strava access token, refreshing first if it is expired/expiring
+ * @param {string} athleteId - Athlete ID
+ * @param {Object} options - { forceRefresh: boolean }
+ * @returns {Promise<{success: boolean, accessToken?: string, expiresAt?: number, error?: string}>}
+ */
+export async function getValidStravaAccessToken(athleteId, { forceRefresh = false } = {}) {
+  const prisma = getPrismaClient();
+  const athlete = await prisma.athlete.findUnique({
+    where: { id: athleteId },
+    select: {
+      id: true,
+      strava_access_token: true,
+      strava_refresh_token: true,
+      strava_expires_at: true
+    }
+  });
+
+  if (!athlete) {
+    return { success: false, error: 'Athlete not found' };
+  }
+
+  if (!athlete.strava_access_token && !athlete.strava_refresh_token) {
+    return { success: false, error: 'Athlete not connected to Strava' };
+  }
+
+  // strava_expires_at is already absolute (epoch seconds)
+  const expiresAt = athlete.strava_expires_at ? new Date(athlete.strava_expires_at * 1000) : null;
+  if (!forceRefresh && athlete.strava_access_token && !isTokenExpiring(expiresAt)) {
+    return { success: true, accessToken: athlete.strava_access_token, expiresAt: athlete.strava_expires_at };
+  }
+
+  return refreshStravaToken(athlete);
+}
+
+/**
+ * Mark a Strava connection as unhealthy (refresh failed - user must reconnect)
+ */
+export async function markStravaConnectionUnhealthy(athleteId, reason) {
+  try {
+    const prisma = getPrismaClient();
+    await prisma.athlete.update({
+      where: { id: athleteId },
+      data: { strava_token_status: TOKEN_STATUS.REFRESH_FAILED }
+    });
+    console.warn(`⚠️ TOKEN MANAGER: Strava connection marked unhealthy for athlete ${athleteId} (${reason})`);
+  } catch (error) {
+    console.error('❌ TOKEN MANAGER: Failed to mark Strava connection unhealthy:', error);
+  }
+}
+
+/**
+ * fetch() against the Garmin API with a managed token.
+ * Refreshes before the call if needed, and once more (then retries) on a 401.
+ * @returns {Promise<Response>} - Raw fetch Response
+ * @throws {Error} when no usable token can be obtained
+ */
+export async function garminFetch(ownerType, ownerId, url, options = {}) {
+  const tokenResult = await getValidGarminAccessToken(ownerType, ownerId);
+  if (!tokenResult.success) {
+    throw new Error(tokenResult.error);
+  }
+
+  const doFetch = (accessToken) => fetch(url, {
+    ...options,
+    headers: { ...(options.headers || {}), Authorization: `Bearer ${accessToken}` }
+  });
+
+  let response = await doFetch(tokenResult.accessToken);
+  if (response.status === 401) {
+    console.warn(`⚠️ TOKEN MANAGER: Garmin 401 for ${ownerType} ${ownerId} - forcing refresh`);
+    const retryToken = await getValidGarminAccessToken(ownerType, ownerId, { forceRefresh: true });
+    if (!retryToken.success) {
+      return response;
+    }
+    response = await doFetch(retryToken.accessToken);
+  }
+
+  return response;
+}
+
+/**
+ * fetch() against the Strava API with a managed token.
+ * Refreshes before the call if needed, and once more (then retries) on a 401.
+ * @returns {Promise<Response>} - Raw fetch Response
+ * @throws {Error} when no usable token can be obtained
+ */
+export async function stravaFetch(athleteId, url, options = {}) {
+  const tokenResult = await getValidStravaAccessToken(athleteId);
+  if (!tokenResult.success) {
+    throw new Error(tokenResult.error);
+  }
+
+  const doFetch = (accessToken) => fetch(url, {
+    ...options,
+    headers: { ...(options.headers || {}), Authorization: `Bearer ${accessToken}` }
+  });
+
+  let response = await doFetch(tokenResult.accessToken);
+  if (response.status === 401) {
+    console.warn(`⚠️ TOKEN MANAGER: Strava 401 for athlete ${athleteId} - forcing refresh`);
+    const retryToken = await getValidStravaAccessToken(athleteId, { forceRefresh: true });
+    if (!retryToken.success) {
+      return response;
+    }
+    response = await doFetch(retryToken.accessToken);
+  }
+
+  return response;
+}
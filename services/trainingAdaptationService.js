@@ -0,0 +1,410 @@
+import { getPrismaClient } from '../config/database.js';
+import { getAthleteMaxHeartRate } from './activityMetricsService.js';
+import {
+  buildAdjustedWorkout,
+  MAX_WEEKLY_GROWTH,
+  WORKOUT_TYPES
+} from './trainingPlanGeneratorService.js';
+import { EXECUTION_STATUS, startOfDay } from './trainingExecutionService.js';
+
+/**
+ * Training Adaptation Service
+ *
+ * Plans react to what actually happened: upcoming TrainingDayPlanned rows are rewritten and every
+ * change is kept as a TrainingPlanAdjustment with a reason the athlete can read (the day's
+ * plannedData.adjustment carries the latest one).
+ *
+ *   injury         - feedback.injuryFlag: rest the next day, the following run days easy at half mileage
+ *   fatigue        - effort ≥ 9, or ≥ 7 with a low mood: the next hard day swaps with a later easy day
+ *                    of the week, or turns easy when there is none
+ *   missed_workout - a key workout missed in the last 2 days moves onto a later easy day of the week
+ *   mileage_ramp   - after a week that fell short, the next one asks for at most 10% over what was run
+ *
+ * Only days from today on with nothing executed yet change, race day never does, and nothing moves
+ * or reaches across a TrainingPhase boundary. Each trigger (triggerKey) is acted on once.
+ */
+
+export const ADJUSTMENT_REASONS = {
+  INJURY: 'injury',
+  FATIGUE: 'fatigue',
+  MISSED_WORKOUT: 'missed_workout',
+  MILEAGE_RAMP: 'mileage_ramp'
+};
+
+export const ADJUSTMENT_ACTIONS = {
+  REDUCE: 'reduce',
+  DOWNGRADE: 'downgrade',
+  REST: 'rest',
+  SHIFT: 'shift'
+};
+
+const QUALITY_TYPES = [WORKOUT_TYPES.TEMPO, WORKOUT_TYPES.INTERVALS, WORKOUT_TYPES.RACE_PACE];
+const HARD_TYPES = [...QUALITY_TYPES, WORKOUT_TYPES.LONG];
+const EASY_TYPES = [WORKOUT_TYPES.EASY, WORKOUT_TYPES.RECOVERY, WORKOUT_TYPES.STRIDES];
+
+const INJURY_EASY_DAYS = 3; // Run days after the rest day kept easy
+const INJURY_MILEAGE_FACTOR = 0.5;
+const FATIGUE_EFFORT = 9;
+const LOW_MOOD_EFFORT = 7;
+const LOW_MOODS = ['tired', 'exhausted', 'sore', 'sick', 'stressed', 'bad'];
+const FATIGUE_MILEAGE_FACTOR = 0.7;
+const MISSED_LOOKBACK_DAYS = 2;
+const RAMP_SHORTFALL_SHARE = 0.9; // A week under 90% of its planned miles fell short
+const RAMP_FLOOR_SHARE = 0.5; // Never cut a week below half of what was planned the week before
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const typeOf = (day) => day?.plannedData?.type;
+const sum = (values) => values.reduce((total, value) => total + (Number(value) || 0), 0);
+const round1 = (value) => Math.round(value * 10) / 10;
+const dayKey = (day) => `${day.weekIndex}:${day.dayIndex}`;
+
+/**
+ * Everything a rule needs about one execution of a plan
+ */
+async function loadAdaptationContext(execution) {
+  const prisma = getPrismaClient();
+
+  const [plan, plannedDays, executedDays] = await Promise.all([
+    prisma.trainingPlan.findUnique({
+      where: { id: execution.trainingPlanId },
+      include: { race: true }
+    }),
+    prisma.trainingDayPlanned.findMany({
+      where: { trainingPlanId: execution.trainingPlanId },
+      orderBy: { date: 'asc' }
+    }),
+    prisma.trainingDayExecuted.findMany({
+      where: { executionId: execution.id }
+    })
+  ]);
+
+  return {
+    execution,
+    plan,
+    plannedDays,
+    executedByPosition: new Map(executedDays.map(executed => [dayKey(executed), executed])),
+    maxHeartRate: plan ? await getAthleteMaxHeartRate(plan.athleteId) : null,
+    today: startOfDay()
+  };
+}
+
+function samePhase(a, b) {
+  return a.trainingPhaseId && b.trainingPhaseId ? a.trainingPhaseId === b.trainingPhaseId : a.phase === b.phase;
+}
+
+// Still ahead, nothing logged against it, not the race
+function isAdjustable(ctx, day) {
+  return startOfDay(day.date) >= ctx.today
+    && !ctx.executedByPosition.has(dayKey(day))
+    && typeOf(day) !== WORKOUT_TYPES.RACE;
+}
+
+async function alreadyAdapted(trainingPlanId, triggerKey) {
+  const prisma = getPrismaClient();
+  const existing = await prisma.trainingPlanAdjustment.findFirst({
+    where: { trainingPlanId, triggerKey },
+    select: { id: true }
+  });
+  return Boolean(existing);
+}
+
+/**
+ * Rewrite one planned day and record why
+ * @returns {Promise<Object>} TrainingPlanAdjustment
+ */
+async function applyAdjustment(ctx, day, plannedData, { action: requestedAction, reason, message, triggerKey }) {
+  const prisma = getPrismaClient();
+  // A cut that falls under a minimum run is a rest day
+  const action = plannedData.type === WORKOUT_TYPES.REST && requestedAction !== ADJUSTMENT_ACTIONS.SHIFT
+    ? ADJUSTMENT_ACTIONS.REST
+    : requestedAction;
+  const after = {
+    ...plannedData,
+    ...(day.plannedData?.cutbackWeek ? { cutbackWeek: true } : {}),
+    adjustment: { reason, action, message, adjustedAt: new Date().toISOString() }
+  };
+
+  const [, adjustment] = await prisma.$transaction([
+    prisma.trainingDayPlanned.update({
+      where: { id: day.id },
+      data: { plannedData: after }
+    }),
+    prisma.trainingPlanAdjustment.create({
+      data: {
+        trainingPlanId: ctx.plan.id,
+        executionId: ctx.execution.id,
+        trainingDayPlannedId: day.id,
+        weekIndex: day.weekIndex,
+        dayIndex: day.dayIndex,
+        date: day.date,
+        action,
+        reason,
+        message,
+        triggerKey,
+        before: day.plannedData,
+        after
+      }
+    })
+  ]);
+
+  // Later rules in the same pass see the new day
+  day.plannedData = after;
+  console.log(`🔧 TRAINING ADAPT: Plan ${ctx.plan.id} week ${day.weekIndex} day ${day.dayIndex} ${action} (${reason})`);
+  return adjustment;
+}
+
+// Hard days become easy runs, easy days recovery runs
+function easierWorkout(ctx, day, factor) {
+  const type = EASY_TYPES.includes(typeOf(day)) ? WORKOUT_TYPES.RECOVERY : WORKOUT_TYPES.EASY;
+  return buildAdjustedWorkout(ctx.plan, { type, mileage: (day.plannedData?.mileage || 0) * factor, phaseName: day.phase }, ctx.maxHeartRate);
+}
+
+/**
+ * Later easy day of the same week and phase a hard workout can move onto
+ * Skips days next to another workout so two quality sessions never land back to back.
+ */
+function findSwapTarget(ctx, day) {
+  const week = ctx.plannedDays.filter(candidate => candidate.weekIndex === day.weekIndex);
+  const isQualityAt = (dayIndex) => QUALITY_TYPES.includes(typeOf(week.find(candidate => candidate.dayIndex === dayIndex)));
+
+  return week.find(candidate =>
+    candidate.dayIndex > day.dayIndex
+    && samePhase(candidate, day)
+    && EASY_TYPES.includes(typeOf(candidate))
+    && isAdjustable(ctx, candidate)
+    && !isQualityAt(candidate.dayIndex - 1)
+    && !isQualityAt(candidate.dayIndex + 1)
+  ) || null;
+}
+
+/**
+ * Adapt upcoming days to the feedback on one executed day (injury, fatigue)
+ * Never throws - adaptation must not fail the feedback that triggered it.
+ * @param {Object} execution - Active TrainingPlanExecution
+ * @param {Object} plannedDay - TrainingDayPlanned the feedback is for
+ * @param {Object} executedDay - TrainingDayExecuted holding the feedback
+ * @returns {Promise<Array<Object>>} TrainingPlanAdjustments made
+ */
+export async function adaptPlanAfterFeedback(execution, plannedDay, executedDay) {
+  try {
+    const feedback = executedDay?.feedback;
+    if (!feedback || execution.status !== EXECUTION_STATUS.ACTIVE) return [];
+
+    const effort = Number(feedback.effort) || 0;
+    const lowMood = LOW_MOODS.includes(String(feedback.mood || '').toLowerCase());
+    const injured = feedback.injuryFlag === true;
+    const fatigued = effort >= FATIGUE_EFFORT || (lowMood && effort >= LOW_MOOD_EFFORT);
+    if (!injured && !fatigued) return [];
+
+    const reason = injured ? ADJUSTMENT_REASONS.INJURY : ADJUSTMENT_REASONS.FATIGUE;
+    const triggerKey = `${reason}:${executedDay.id}`;
+    if (await alreadyAdapted(execution.trainingPlanId, triggerKey)) return [];
+
+    const ctx = await loadAdaptationContext(execution);
+    if (!ctx.plan) return [];
+
+    // Days after the one the feedback is about, still in its phase
+    const ahead = ctx.plannedDays.filter(day =>
+      startOfDay(day.date) > startOfDay(plannedDay.date) && samePhase(day, plannedDay) && isAdjustable(ctx, day)
+    );
+
+    return injured
+      ? await adaptForInjury(ctx, ahead, triggerKey)
+      : await adaptForFatigue(ctx, ahead, triggerKey);
+  } catch (error) {
+    console.error(`❌ TRAINING ADAPT: Feedback adaptation failed for day ${plannedDay?.id}:`, error);
+    return [];
+  }
+}
+
+async function adaptForInjury(ctx, ahead, triggerKey) {
+  const adjustments = [];
+  const [nextDay, ...rest] = ahead;
+  const reason = ADJUSTMENT_REASONS.INJURY;
+
+  if (nextDay && typeOf(nextDay) !== WORKOUT_TYPES.REST) {
+    adjustments.push(await applyAdjustment(ctx, nextDay, buildAdjustedWorkout(ctx.plan, { type: WORKOUT_TYPES.REST }), {
+      action: ADJUSTMENT_ACTIONS.REST,
+      reason,
+      message: 'Rest day after you flagged an injury',
+      triggerKey
+    }));
+  }
+
+  const runDays = rest.filter(day => typeOf(day) !== WORKOUT_TYPES.REST).slice(0, INJURY_EASY_DAYS);
+  for (const day of runDays) {
+    const wasHard = HARD_TYPES.includes(typeOf(day));
+    adjustments.push(await applyAdjustment(ctx, day, easierWorkout(ctx, day, INJURY_MILEAGE_FACTOR), {
+      action: wasHard ? ADJUSTMENT_ACTIONS.DOWNGRADE : ADJUSTMENT_ACTIONS.REDUCE,
+      reason,
+      message: wasHard
+        ? `${day.plannedData.label} swapped for an easy run while you recover from the injury`
+        : 'Shorter and easier while you recover from the injury',
+      triggerKey
+    }));
+  }
+
+  return adjustments;
+}
+
+async function adaptForFatigue(ctx, ahead, triggerKey) {
+  const reason = ADJUSTMENT_REASONS.FATIGUE;
+  const nextRun = ahead.find(day => typeOf(day) !== WORKOUT_TYPES.REST);
+  if (!nextRun) return [];
+
+  if (!HARD_TYPES.includes(typeOf(nextRun))) {
+    return [await applyAdjustment(ctx, nextRun, easierWorkout(ctx, nextRun, FATIGUE_MILEAGE_FACTOR), {
+      action: ADJUSTMENT_ACTIONS.REDUCE,
+      reason,
+      message: 'Eased off after a very hard effort',
+      triggerKey
+    })];
+  }
+
+  const target = findSwapTarget(ctx, nextRun);
+  if (!target) {
+    const factor = typeOf(nextRun) === WORKOUT_TYPES.LONG ? FATIGUE_MILEAGE_FACTOR : 1;
+    return [await applyAdjustment(ctx, nextRun, easierWorkout(ctx, nextRun, factor), {
+      action: ADJUSTMENT_ACTIONS.DOWNGRADE,
+      reason,
+      message: `${nextRun.plannedData.label} turned into an easy run - you need the recovery`,
+      triggerKey
+    })];
+  }
+
+  // Swap: the hard workout waits for the easy day, the easy run comes first
+  const hardWorkout = nextRun.plannedData;
+  const easyWorkout = target.plannedData;
+  return [
+    await applyAdjustment(ctx, nextRun, easyWorkout, {
+      action: ADJUSTMENT_ACTIONS.SHIFT,
+      reason,
+      message: `${hardWorkout.label} moved to ${target.dayName || 'later this week'} so you can recover first`,
+      triggerKey
+    }),
+    await applyAdjustment(ctx, target, hardWorkout, {
+      action: ADJUSTMENT_ACTIONS.SHIFT,
+      reason,
+      message: `${hardWorkout.label} moved here from ${nextRun.dayName || 'earlier this week'} after a very hard effort`,
+      triggerKey
+    })
+  ];
+}
+
+/**
+ * Adapt to the schedule so far: move recently missed key workouts, keep the week's ramp safe
+ * Run after each sync and daily (scripts/adaptTrainingPlans.js). Never throws.
+ * @param {Object} execution - TrainingPlanExecution
+ * @returns {Promise<Array<Object>>} TrainingPlanAdjustments made
+ */
+export async function adaptPlanSchedule(execution) {
+  try {
+    if (execution?.status !== EXECUTION_STATUS.ACTIVE) return [];
+
+    const ctx = await loadAdaptationContext(execution);
+    if (!ctx.plan) return [];
+
+    return [
+      ...(await adaptForMissedWorkouts(ctx)),
+      ...(await adaptForMileageRamp(ctx))
+    ];
+  } catch (error) {
+    console.error(`❌ TRAINING ADAPT: Schedule adaptation failed for execution ${execution?.id}:`, error);
+    return [];
+  }
+}
+
+async function adaptForMissedWorkouts(ctx) {
+  const adjustments = [];
+  const since = new Date(ctx.today.getTime() - MISSED_LOOKBACK_DAYS * MS_PER_DAY);
+  const startedOn = startOfDay(ctx.execution.startedAt);
+
+  const missed = ctx.plannedDays.filter(day => {
+    const date = startOfDay(day.date);
+    return date >= since && date < ctx.today && date >= startedOn
+      && QUALITY_TYPES.includes(typeOf(day))
+      && !ctx.executedByPosition.get(dayKey(day))?.activityId;
+  });
+
+  for (const day of missed) {
+    const triggerKey = `missed:${day.id}`;
+    if (await alreadyAdapted(ctx.plan.id, triggerKey)) continue;
+
+    const target = findSwapTarget(ctx, day);
+    if (!target) continue;
+
+    adjustments.push(await applyAdjustment(ctx, target, day.plannedData, {
+      action: ADJUSTMENT_ACTIONS.SHIFT,
+      reason: ADJUSTMENT_REASONS.MISSED_WORKOUT,
+      message: `${day.plannedData.label} moved here from ${day.dayName || 'earlier this week'}, when it was missed`,
+      triggerKey
+    }));
+  }
+
+  return adjustments;
+}
+
+async function adaptForMileageRamp(ctx) {
+  const current = ctx.plannedDays.find(day => startOfDay(day.date).getTime() === ctx.today.getTime());
+  if (!current || current.weekIndex === 0) return [];
+
+  const weekIndex = current.weekIndex;
+  const previousWeek = ctx.plannedDays.filter(day => day.weekIndex === weekIndex - 1);
+  const thisWeek = ctx.plannedDays.filter(day => day.weekIndex === weekIndex);
+
+  // Only judge a full week the athlete was actually following the plan for
+  if (previousWeek.length === 0 || startOfDay(ctx.execution.startedAt) > startOfDay(previousWeek[0].date)) return [];
+
+  const triggerKey = `ramp:${ctx.execution.id}:${weekIndex}`;
+  if (await alreadyAdapted(ctx.plan.id, triggerKey)) return [];
+
+  const actualMiles = sum(previousWeek.map(day => ctx.executedByPosition.get(dayKey(day))?.analysis?.actualMileage));
+  const plannedPrevious = sum(previousWeek.map(day => day.plannedData?.mileage));
+  if (actualMiles >= plannedPrevious * RAMP_SHORTFALL_SHARE) return [];
+
+  const cap = Math.max(actualMiles * MAX_WEEKLY_GROWTH, plannedPrevious * RAMP_FLOOR_SHARE);
+  const planned = sum(thisWeek.map(day => day.plannedData?.mileage));
+  if (planned <= cap) return [];
+
+  // Trim the steady runs still ahead; workouts and the race keep their shape
+  const flexible = thisWeek.filter(day =>
+    isAdjustable(ctx, day) && samePhase(day, current) && [...EASY_TYPES, WORKOUT_TYPES.LONG].includes(typeOf(day))
+  );
+  const flexibleMiles = sum(flexible.map(day => day.plannedData.mileage));
+  if (flexibleMiles === 0) return [];
+
+  const factor = Math.max(0, (flexibleMiles - (planned - cap)) / flexibleMiles);
+  const message = `Week eased to about ${round1(cap)} mi - you ran ${round1(actualMiles)} mi last week and mileage should build gradually`;
+
+  const adjustments = [];
+  for (const day of flexible) {
+    const plannedData = buildAdjustedWorkout(
+      ctx.plan,
+      { type: typeOf(day), mileage: day.plannedData.mileage * factor, phaseName: day.phase },
+      ctx.maxHeartRate
+    );
+    adjustments.push(await applyAdjustment(ctx, day, plannedData, {
+      action: ADJUSTMENT_ACTIONS.REDUCE,
+      reason: ADJUSTMENT_REASONS.MILEAGE_RAMP,
+      message,
+      triggerKey
+    }));
+  }
+
+  return adjustments;
+}
+
+/**
+ * Why a plan changed
+ * @param {string} trainingPlanId
+ * @param {Object} [where] - Extra filters ({ weekIndex })
+ * @returns {Promise<Array<Object>>} TrainingPlanAdjustments, newest first
+ */
+export async function getPlanAdjustments(trainingPlanId, where = {}) {
+  const prisma = getPrismaClient();
+  return prisma.trainingPlanAdjustment.findMany({
+    where: { trainingPlanId, ...where },
+    orderBy: { createdAt: 'desc' }
+  });
+}
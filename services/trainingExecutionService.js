@@ -0,0 +1,296 @@
+import { getPrismaClient } from '../config/database.js';
+
+/**
+ * Training Execution Service
+ *
+ * A TrainingPlan is the schedule (TrainingDayPlanned rows). A TrainingPlanExecution is one
+ * run-through of it: start → complete | cancel. What actually happened on a day lives in
+ * TrainingDayExecuted under the execution (linked activity, analysis, feedback), matched to the
+ * planned day by weekIndex + dayIndex.
+ *
+ * Day endpoints return the two merged: { ...plannedDay, executed, status }.
+ * Only one plan per athlete is active at a time - starting one archives the others.
+ * Activities are linked to days by services/trainingMatchService.js.
+ */
+
+export const EXECUTION_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+export const DAY_STATUS = {
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  REST: 'rest',
+  TODAY: 'today',
+  MISSED: 'missed',
+  UPCOMING: 'upcoming'
+};
+
+// TrainingPlan.status after each execution outcome
+const PLAN_STATUS_FOR_EXECUTION = {
+  [EXECUTION_STATUS.ACTIVE]: 'active',
+  [EXECUTION_STATUS.COMPLETED]: 'completed',
+  [EXECUTION_STATUS.CANCELLED]: 'archived'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Date|string} value
+ * @returns {Date} Midnight (server time) of that day - how TrainingDayPlanned.date is stored
+ */
+export function startOfDay(value = new Date()) {
+  const d = new Date(value);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Parse a "YYYY-MM-DD" route param as a local calendar day
+ * @param {string} value
+ * @returns {Date|null}
+ */
+export function parseDayParam(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Calendar day an activity happened on where the athlete ran it, as a planned-day date
+ * Uses the provider's local start (Strava start_date_local, Garmin start + startTimeOffsetInSeconds)
+ * so an evening run west of UTC stays on its own day. Falls back to the server day of startTime.
+ * @param {Object} activity - AthleteActivity (startTime, summaryData)
+ * @returns {Date} Midnight (server time), comparable with TrainingDayPlanned.date
+ */
+export function activityLocalDay(activity) {
+  const { startDateLocal, startTimeOffsetInSeconds } = activity.summaryData || {};
+  let key = null;
+
+  if (typeof startDateLocal === 'string') {
+    key = startDateLocal.slice(0, 10);
+  } else if (Number.isFinite(startTimeOffsetInSeconds)) {
+    key = new Date(new Date(activity.startTime).getTime() + startTimeOffsetInSeconds * 1000).toISOString().slice(0, 10);
+  }
+
+  return parseDayParam(key) || startOfDay(activity.startTime);
+}
+
+/**
+ * Prisma where-fragment for every row whose date falls on the given calendar day
+ * @param {Date} day
+ * @returns {Object}
+ */
+export function sameDayWhere(day) {
+  const start = startOfDay(day);
+  return { gte: start, lt: new Date(start.getTime() + MS_PER_DAY) };
+}
+
+/**
+ * Where a planned day stands
+ * @param {Object} plannedDay - TrainingDayPlanned
+ * @param {Object|null} executedDay - Matching TrainingDayExecuted
+ * @param {Date} [today]
+ * @returns {string} DAY_STATUS value
+ */
+export function getDayStatus(plannedDay, executedDay, today = startOfDay()) {
+  const isRest = plannedDay.plannedData?.type === 'rest';
+  if (executedDay?.activityId && !isRest) {
+    return executedDay.analysis?.workoutCompleted === false ? DAY_STATUS.PARTIAL : DAY_STATUS.COMPLETED;
+  }
+  if (isRest) return DAY_STATUS.REST;
+
+  const day = startOfDay(plannedDay.date).getTime();
+  if (day === today.getTime()) return DAY_STATUS.TODAY;
+  return day < today.getTime() ? DAY_STATUS.MISSED : DAY_STATUS.UPCOMING;
+}
+
+/**
+ * Merge planned days with what was executed
+ * @param {Array<Object>} plannedDays - TrainingDayPlanned rows
+ * @param {Array<Object>} executedDays - TrainingDayExecuted rows of one execution
+ * @returns {Array<Object>} Planned days with { executed, status }
+ */
+export function mergeTrainingDays(plannedDays, executedDays = []) {
+  const today = startOfDay();
+  const executedByPosition = new Map(
+    executedDays.map(executed => [`${executed.weekIndex}:${executed.dayIndex}`, executed])
+  );
+
+  return plannedDays.map(plannedDay => {
+    const executed = executedByPosition.get(`${plannedDay.weekIndex}:${plannedDay.dayIndex}`) || null;
+    return {
+      ...plannedDay,
+      executed,
+      status: getDayStatus(plannedDay, executed, today)
+    };
+  });
+}
+
+/**
+ * The execution a plan's days are shown against: the active one, else the most recent
+ * @param {string} trainingPlanId
+ * @returns {Promise<Object|null>} TrainingPlanExecution
+ */
+export async function getCurrentExecution(trainingPlanId) {
+  const prisma = getPrismaClient();
+
+  const active = await prisma.trainingPlanExecution.findFirst({
+    where: { trainingPlanId, status: EXECUTION_STATUS.ACTIVE },
+    orderBy: { startedAt: 'desc' }
+  });
+  if (active) return active;
+
+  return prisma.trainingPlanExecution.findFirst({
+    where: { trainingPlanId },
+    orderBy: { startedAt: 'desc' }
+  });
+}
+
+/**
+ * Athlete's active plan
+ * @param {string} athleteId
+ * @returns {Promise<Object|null>} TrainingPlan with race
+ */
+export async function getActivePlan(athleteId) {
+  const prisma = getPrismaClient();
+  return prisma.trainingPlan.findFirst({
+    where: { athleteId, status: 'active' },
+    include: { race: true },
+    orderBy: { updatedAt: 'desc' }
+  });
+}
+
+/**
+ * Planned days of a plan merged with its current execution
+ * @param {string} trainingPlanId
+ * @param {Object} [where] - Extra TrainingDayPlanned filters ({ weekIndex }, { date })
+ * @returns {Promise<{days: Array<Object>, execution: Object|null}>}
+ */
+export async function getMergedTrainingDays(trainingPlanId, where = {}) {
+  const prisma = getPrismaClient();
+
+  const [plannedDays, execution] = await Promise.all([
+    prisma.trainingDayPlanned.findMany({
+      where: { trainingPlanId, ...where },
+      orderBy: { date: 'asc' }
+    }),
+    getCurrentExecution(trainingPlanId)
+  ]);
+
+  if (plannedDays.length === 0 || !execution) {
+    return { days: mergeTrainingDays(plannedDays), execution };
+  }
+
+  const executedDays = await prisma.trainingDayExecuted.findMany({
+    where: {
+      executionId: execution.id,
+      OR: plannedDays.map(day => ({ weekIndex: day.weekIndex, dayIndex: day.dayIndex }))
+    }
+  });
+
+  return { days: mergeTrainingDays(plannedDays, executedDays), execution };
+}
+
+/**
+ * Start following a plan
+ * Archives the athlete's other active plans (cancelling their executions) and makes this one active.
+ * @param {Object} plan - TrainingPlan
+ * @returns {Promise<Object|null>} New TrainingPlanExecution, or null if this plan is already running
+ */
+export async function startPlanExecution(plan) {
+  const prisma = getPrismaClient();
+
+  const running = await prisma.trainingPlanExecution.findFirst({
+    where: { trainingPlanId: plan.id, status: EXECUTION_STATUS.ACTIVE },
+    select: { id: true }
+  });
+  if (running) return null;
+
+  const [, , , execution] = await prisma.$transaction([
+    prisma.trainingPlanExecution.updateMany({
+      where: {
+        status: EXECUTION_STATUS.ACTIVE,
+        trainingPlan: { athleteId: plan.athleteId, id: { not: plan.id } }
+      },
+      data: { status: EXECUTION_STATUS.CANCELLED }
+    }),
+    prisma.trainingPlan.updateMany({
+      where: { athleteId: plan.athleteId, status: 'active', id: { not: plan.id } },
+      data: { status: 'archived' }
+    }),
+    prisma.trainingPlan.update({
+      where: { id: plan.id },
+      data: { status: PLAN_STATUS_FOR_EXECUTION[EXECUTION_STATUS.ACTIVE] }
+    }),
+    prisma.trainingPlanExecution.create({
+      data: {
+        trainingPlanId: plan.id,
+        startedAt: new Date(),
+        status: EXECUTION_STATUS.ACTIVE
+      }
+    })
+  ]);
+
+  console.log(`▶️ TRAINING EXECUTION: Started plan ${plan.id} (execution ${execution.id})`);
+  return execution;
+}
+
+/**
+ * Finish a plan's active execution
+ * @param {Object} plan - TrainingPlan
+ * @param {string} status - EXECUTION_STATUS.COMPLETED | EXECUTION_STATUS.CANCELLED
+ * @returns {Promise<Object|null>} Updated TrainingPlanExecution, or null if the plan isn't running
+ */
+export async function finishPlanExecution(plan, status) {
+  const prisma = getPrismaClient();
+
+  const running = await prisma.trainingPlanExecution.findFirst({
+    where: { trainingPlanId: plan.id, status: EXECUTION_STATUS.ACTIVE },
+    orderBy: { startedAt: 'desc' }
+  });
+  if (!running) return null;
+
+  const [execution] = await prisma.$transaction([
+    prisma.trainingPlanExecution.update({
+      where: { id: running.id },
+      data: { status }
+    }),
+    prisma.trainingPlan.update({
+      where: { id: plan.id },
+      data: { status: PLAN_STATUS_FOR_EXECUTION[status] }
+    })
+  ]);
+
+  console.log(`⏹️ TRAINING EXECUTION: Plan ${plan.id} execution ${execution.id} → ${status}`);
+  return execution;
+}
+
+/**
+ * Create or update the executed counterpart of a planned day
+ * The planned workout is snapshotted on first write so later plan edits don't rewrite history.
+ * @param {Object} execution - TrainingPlanExecution
+ * @param {Object} plannedDay - TrainingDayPlanned
+ * @param {Object} data - TrainingDayExecuted fields to set (activityId, analysis, feedback)
+ * @returns {Promise<Object>} TrainingDayExecuted
+ */
+export async function upsertExecutedDay(execution, plannedDay, data) {
+  const prisma = getPrismaClient();
+  const date = startOfDay(plannedDay.date);
+
+  return prisma.trainingDayExecuted.upsert({
+    where: { executionId_date: { executionId: execution.id, date } },
+    create: {
+      executionId: execution.id,
+      athleteId: plannedDay.athleteId,
+      weekIndex: plannedDay.weekIndex,
+      dayIndex: plannedDay.dayIndex,
+      date,
+      plannedData: plannedDay.plannedData,
+      ...data
+    },
+    update: data
+  });
+}
@@ -0,0 +1,405 @@
+import { getPrismaClient } from '../config/database.js';
+import { isRunActivity } from './activityTypeService.js';
+import { HEART_RATE_ZONES } from './activityMetricsService.js';
+import { updateFitnessEstimate, rebuildFitnessPredictions } from './fitnessEstimationService.js';
+import { adaptPlanSchedule } from './trainingAdaptationService.js';
+import {
+  EXECUTION_STATUS,
+  activityLocalDay,
+  sameDayWhere,
+  startOfDay,
+  upsertExecutedDay
+} from './trainingExecutionService.js';
+
+/**
+ * Training Match Service
+ *
+ * Links ingested runs to the athlete's plan: every ingest path calls matchActivityToTrainingDay
+ * last (after dedup, metrics and PRs). It finds the active TrainingPlanExecution and the
+ * TrainingDayPlanned on the activity's local calendar date, links the activity on the TrainingDayExecuted row
+ * (snapshotting plannedData) and stores an analysis against the planned mileage, pace and HR zone.
+ *
+ * One activity per day: a second run the same day replaces an automatic link only when its
+ * distance is closer to the plan. Days the athlete linked or cleared by hand (linkSource "manual")
+ * are never relinked automatically. Duplicates (duplicateOfId) are matched through their canonical.
+ *
+ * Each new link feeds the plan's adaptive 5K prediction (fitnessEstimationService) and re-checks
+ * the schedule (trainingAdaptationService); manual re-links replay the prediction history.
+ */
+
+export const LINK_SOURCE = {
+  AUTO: 'auto',
+  MANUAL: 'manual'
+};
+
+const METERS_PER_MILE = 1609.34;
+
+// Planned types run at one steady effort - judged on average pace and an HR ceiling.
+// Everything else (tempo, intervals, race pace) is judged on the average the segments add up to.
+const STEADY_TYPES = ['easy', 'recovery', 'long', 'strides'];
+
+const MILEAGE_TOLERANCE = 0.1; // ±10% of planned miles
+const COMPLETED_MILEAGE_SHARE = 0.75; // Less than this is a partial workout
+const STEADY_PACE_TOLERANCE_SECONDS = 15; // Slack around a steady run's pace range
+const STRUCTURED_PACE_TOLERANCE = 0.05; // ±5% of the planned average for structured workouts
+const HR_ZONE_TARGET_SHARE = 0.8; // Steady runs: ≥80% of HR time at or below the target zone
+const SCORE_WEIGHTS = { mileage: 0.4, pace: 0.4, heartRate: 0.2 };
+
+const ACTIVITY_SELECT = {
+  id: true,
+  athleteId: true,
+  activityType: true,
+  sport: true,
+  startTime: true,
+  duration: true,
+  distance: true,
+  averageHeartRate: true,
+  paceSecondsPerMile: true,
+  heartRateZoneSeconds: true,
+  summaryData: true,
+  duplicateOfId: true
+};
+
+// Widest UTC offset in use (+14:00) - a run's UTC start can sit this far from its local day
+const MAX_UTC_OFFSET_MS = 14 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => (value == null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Compare an activity with the planned workout (pure - no database access)
+ * @param {Object} plannedData - TrainingDayPlanned.plannedData
+ * @param {Object} activity - AthleteActivity (distance, duration, paceSecondsPerMile, heartRateZoneSeconds)
+ * @returns {Object} { workoutCompleted, hitTargetMileage, hitTargetPace, stayedInHRZone, mileageVariance,
+ *                     paceVariance, qualityScore, performanceNotes, actualMileage, actualPaceSecondsPerMile,
+ *                     targetZoneSharePercent }
+ */
+export function analyzeActivityAgainstPlan(plannedData, activity) {
+  const notes = [];
+  const plannedMiles = Number(plannedData?.mileage) || 0;
+  const actualMiles = activity.distance ? activity.distance / METERS_PER_MILE : 0;
+  const actualPace = activity.paceSecondsPerMile
+    || (activity.duration && actualMiles > 0 ? Math.round(activity.duration / actualMiles) : null);
+
+  if (!plannedData || plannedData.type === 'rest' || plannedMiles === 0) {
+    return {
+      workoutCompleted: false,
+      hitTargetMileage: null,
+      hitTargetPace: null,
+      stayedInHRZone: null,
+      mileageVariance: null,
+      paceVariance: null,
+      qualityScore: null,
+      performanceNotes: ['Ran on a planned rest day'],
+      actualMileage: round(actualMiles),
+      actualPaceSecondsPerMile: actualPace,
+      targetZoneSharePercent: null
+    };
+  }
+
+  // Mileage
+  const mileageVariance = (actualMiles - plannedMiles) / plannedMiles;
+  const hitTargetMileage = Math.abs(mileageVariance) <= MILEAGE_TOLERANCE;
+  const workoutCompleted = actualMiles >= plannedMiles * COMPLETED_MILEAGE_SHARE;
+  if (!workoutCompleted) notes.push(`Covered ${round(actualMiles, 1)} of ${plannedMiles} planned miles`);
+  else if (mileageVariance > MILEAGE_TOLERANCE) notes.push(`Ran ${round(actualMiles - plannedMiles, 1)} mi more than planned`);
+
+  // Pace
+  const isSteady = STEADY_TYPES.includes(plannedData.type);
+  const range = plannedData.paceSecondsPerMile;
+  let hitTargetPace = null;
+  let paceVariance = null;
+
+  if (actualPace && isSteady && range) {
+    const target = (range.min + range.max) / 2;
+    paceVariance = (actualPace - target) / target;
+    hitTargetPace = actualPace >= range.min - STEADY_PACE_TOLERANCE_SECONDS
+      && actualPace <= range.max + STEADY_PACE_TOLERANCE_SECONDS;
+    if (actualPace < range.min - STEADY_PACE_TOLERANCE_SECONDS) notes.push(`Faster than planned ${plannedData.type} pace - keep easy days easy`);
+  } else if (actualPace && plannedData.duration > 0) {
+    const target = plannedData.duration / plannedMiles;
+    paceVariance = (actualPace - target) / target;
+    hitTargetPace = Math.abs(paceVariance) <= STRUCTURED_PACE_TOLERANCE;
+  }
+  if (hitTargetPace === false && paceVariance > 0) notes.push('Slower than the planned pace');
+
+  // Heart rate
+  let stayedInHRZone = null;
+  let targetZoneShare = null;
+  const zoneSeconds = activity.heartRateZoneSeconds;
+  const targetIndex = HEART_RATE_ZONES.findIndex(z => z.zone === plannedData.hrZone);
+  const totalZoneSeconds = zoneSeconds ? Object.values(zoneSeconds).reduce((a, b) => a + (Number(b) || 0), 0) : 0;
+
+  if (targetIndex !== -1 && totalZoneSeconds > 0) {
+    const zonesAtOrBelow = HEART_RATE_ZONES.slice(0, targetIndex + 1).map(z => z.zone);
+    const atOrBelow = zonesAtOrBelow.reduce((sum, zone) => sum + (Number(zoneSeconds[zone]) || 0), 0);
+    targetZoneShare = (Number(zoneSeconds[plannedData.hrZone]) || 0) / totalZoneSeconds;
+
+    // Workouts mix zones by design (warmup, recoveries) - only steady runs have a ceiling to respect
+    if (isSteady) {
+      stayedInHRZone = atOrBelow / totalZoneSeconds >= HR_ZONE_TARGET_SHARE;
+      if (!stayedInHRZone) notes.push(`Heart rate drifted above ${plannedData.hrZone.toUpperCase()}`);
+    }
+  }
+
+  // Score: weighted mix of whatever could be judged
+  const parts = [
+    ['mileage', Math.max(0, 1 - Math.abs(mileageVariance) / 0.5)],
+    ['pace', paceVariance == null ? null : Math.max(0, 1 - Math.abs(paceVariance) / 0.15)],
+    ['heartRate', stayedInHRZone == null ? null : (stayedInHRZone ? 1 : 0.5)]
+  ].filter(([, score]) => score != null);
+  const weight = parts.reduce((sum, [key]) => sum + SCORE_WEIGHTS[key], 0);
+  const qualityScore = Math.round(parts.reduce((sum, [key, score]) => sum + SCORE_WEIGHTS[key] * score, 0) / weight * 100);
+
+  return {
+    workoutCompleted,
+    hitTargetMileage,
+    hitTargetPace,
+    stayedInHRZone,
+    mileageVariance: round(mileageVariance),
+    paceVariance: round(paceVariance),
+    qualityScore,
+    performanceNotes: notes,
+    actualMileage: round(actualMiles),
+    actualPaceSecondsPerMile: actualPace,
+    targetZoneSharePercent: targetZoneShare == null ? null : Math.round(targetZoneShare * 100)
+  };
+}
+
+/**
+ * Athlete's running execution
+ * @param {string} athleteId
+ * @returns {Promise<Object|null>} TrainingPlanExecution
+ */
+async function getActiveExecution(athleteId) {
+  const prisma = getPrismaClient();
+  return prisma.trainingPlanExecution.findFirst({
+    where: { status: EXECUTION_STATUS.ACTIVE, trainingPlan: { athleteId } },
+    orderBy: { startedAt: 'desc' }
+  });
+}
+
+/**
+ * Clear an activity's link from whatever training day holds it (activity deleted, moved, re-linked)
+ * @param {string} activityId
+ * @returns {Promise<number>} Rows unlinked
+ */
+export async function unlinkActivityFromTraining(activityId) {
+  const prisma = getPrismaClient();
+  const { count } = await prisma.trainingDayExecuted.updateMany({
+    where: { activityId },
+    data: { activityId: null, analysis: null }
+  });
+  return count;
+}
+
+/**
+ * Link an activity to a planned day and store the analysis
+ * @param {Object} execution - TrainingPlanExecution
+ * @param {Object} plannedDay - TrainingDayPlanned
+ * @param {Object} activity - AthleteActivity (ACTIVITY_SELECT fields)
+ * @param {string} linkSource - LINK_SOURCE value
+ * @returns {Promise<Object>} TrainingDayExecuted
+ */
+export async function linkActivityToPlannedDay(execution, plannedDay, activity, linkSource) {
+  const prisma = getPrismaClient();
+
+  // activityId is unique - free it from any other day first
+  await unlinkActivityFromTraining(activity.id);
+
+  const existing = await prisma.trainingDayExecuted.findUnique({
+    where: { executionId_date: { executionId: execution.id, date: startOfDay(plannedDay.date) } }
+  });
+  const plannedData = existing?.plannedData || plannedDay.plannedData;
+
+  const analysis = {
+    ...analyzeActivityAgainstPlan(plannedData, activity),
+    linkSource,
+    analyzedAt: new Date().toISOString()
+  };
+
+  return upsertExecutedDay(execution, plannedDay, {
+    activityId: activity.id,
+    analysis,
+    plannedData
+  });
+}
+
+/**
+ * Whether a new candidate should take an automatically linked day from the current activity
+ */
+async function shouldReplaceLink(executedDay, candidate, plannedMiles) {
+  // A day the athlete picked or cleared by hand stays that way (even with no activity on it)
+  if (executedDay?.analysis?.linkSource === LINK_SOURCE.MANUAL) return false;
+  if (!executedDay?.activityId || executedDay.activityId === candidate.id) return true;
+
+  const prisma = getPrismaClient();
+  const current = await prisma.athleteActivity.findUnique({
+    where: { id: executedDay.activityId },
+    select: { id: true, distance: true, duplicateOfId: true }
+  });
+
+  // Linked run is gone or turned out to be a copy of this one
+  if (!current || current.duplicateOfId) return true;
+
+  const miss = (activity) => Math.abs((activity.distance || 0) / METERS_PER_MILE - plannedMiles);
+  return miss(candidate) < miss(current);
+}
+
+/**
+ * Match an ingested activity to the athlete's active plan
+ * Never throws - plan matching must not fail the ingest that triggered it.
+ * @param {string} activityId - AthleteActivity.id
+ * @returns {Promise<Object|null>} TrainingDayExecuted that now holds the activity, or null
+ */
+export async function matchActivityToTrainingDay(activityId) {
+  try {
+    const prisma = getPrismaClient();
+
+    let activity = await prisma.athleteActivity.findUnique({
+      where: { id: activityId },
+      select: ACTIVITY_SELECT
+    });
+
+    // A duplicate is the same run as its canonical - match that instead
+    if (activity?.duplicateOfId) {
+      await unlinkActivityFromTraining(activity.id);
+      activity = await prisma.athleteActivity.findUnique({
+        where: { id: activity.duplicateOfId },
+        select: ACTIVITY_SELECT
+      });
+    }
+
+    if (!activity?.startTime) return null;
+
+    // The athlete put this activity on a day by hand - keep it there, just refresh the analysis
+    const currentLink = await prisma.trainingDayExecuted.findUnique({ where: { activityId: activity.id } });
+    if (currentLink?.analysis?.linkSource === LINK_SOURCE.MANUAL) {
+      return prisma.trainingDayExecuted.update({
+        where: { id: currentLink.id },
+        data: {
+          analysis: {
+            ...analyzeActivityAgainstPlan(currentLink.plannedData, activity),
+            linkSource: LINK_SOURCE.MANUAL,
+            analyzedAt: new Date().toISOString()
+          }
+        }
+      });
+    }
+
+    // Retyped as a ride/walk/... - it no longer fills a run
+    if (!isRunActivity(activity)) {
+      if (currentLink) await unlinkActivityFromTraining(activity.id);
+      return null;
+    }
+
+    const execution = await getActiveExecution(activity.athleteId);
+    if (!execution) return null;
+
+    const plannedDay = await prisma.trainingDayPlanned.findFirst({
+      where: {
+        trainingPlanId: execution.trainingPlanId,
+        date: sameDayWhere(activityLocalDay(activity))
+      }
+    });
+
+    if (!plannedDay) {
+      // Date edited off the plan - don't leave it on its old day
+      await unlinkActivityFromTraining(activity.id);
+      return null;
+    }
+
+    const executedDay = await prisma.trainingDayExecuted.findUnique({
+      where: { executionId_date: { executionId: execution.id, date: startOfDay(plannedDay.date) } }
+    });
+
+    if (!(await shouldReplaceLink(executedDay, activity, Number(plannedDay.plannedData?.mileage) || 0))) {
+      return null;
+    }
+
+    const linked = await linkActivityToPlannedDay(execution, plannedDay, activity, LINK_SOURCE.AUTO);
+
+    console.log(`🎯 TRAINING MATCH: Activity ${activity.id} → week ${plannedDay.weekIndex} day ${plannedDay.dayIndex} (score ${linked.analysis?.qualityScore ?? '-'})`);
+    await updateFitnessEstimate(linked);
+    await adaptPlanSchedule(execution);
+    return linked;
+  } catch (error) {
+    console.error(`❌ TRAINING MATCH: Failed for activity ${activityId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Match runs already logged on an execution's days up to today (plan started mid-week)
+ * @param {Object} execution - TrainingPlanExecution
+ * @returns {Promise<number>} Activities linked
+ */
+export async function backfillExecutionMatches(execution) {
+  const prisma = getPrismaClient();
+
+  const plannedDays = await prisma.trainingDayPlanned.findMany({
+    where: { trainingPlanId: execution.trainingPlanId, date: { lte: new Date() } },
+    select: { athleteId: true, date: true },
+    orderBy: { date: 'asc' }
+  });
+  if (plannedDays.length === 0) return 0;
+
+  const activities = await prisma.athleteActivity.findMany({
+    where: {
+      athleteId: plannedDays[0].athleteId,
+      duplicateOfId: null,
+      startTime: {
+        gte: new Date(startOfDay(plannedDays[0].date).getTime() - MAX_UTC_OFFSET_MS),
+        lt: new Date(sameDayWhere(plannedDays[plannedDays.length - 1].date).lt.getTime() + MAX_UTC_OFFSET_MS)
+      }
+    },
+    select: { id: true },
+    orderBy: { startTime: 'asc' }
+  });
+
+  let linked = 0;
+  for (const activity of activities) {
+    if (await matchActivityToTrainingDay(activity.id)) linked++;
+  }
+
+  if (linked > 0) console.log(`🎯 TRAINING MATCH: Backfilled ${linked} activity link(s) for execution ${execution.id}`);
+  return linked;
+}
+
+/**
+ * Athlete re-links a planned day by hand (or clears it with activityId null)
+ * Manual choices stick: the automatic matcher never replaces or re-fills them.
+ * @param {Object} execution - Active TrainingPlanExecution of the day's plan
+ * @param {Object} plannedDay - TrainingDayPlanned
+ * @param {string|null} activityId - Athlete's AthleteActivity.id (a duplicate resolves to its canonical)
+ * @returns {Promise<Object|null>} TrainingDayExecuted, or null if the activity isn't the athlete's
+ */
+export async function relinkTrainingDay(execution, plannedDay, activityId) {
+  const prisma = getPrismaClient();
+
+  if (activityId === null) {
+    const executed = await upsertExecutedDay(execution, plannedDay, {
+      activityId: null,
+      analysis: { linkSource: LINK_SOURCE.MANUAL, unlinked: true, analyzedAt: new Date().toISOString() }
+    });
+    console.log(`🔗 TRAINING MATCH: Cleared activity on week ${plannedDay.weekIndex} day ${plannedDay.dayIndex} (manual)`);
+    await rebuildFitnessPredictions(execution.trainingPlanId);
+    return executed;
+  }
+
+  let activity = await prisma.athleteActivity.findFirst({
+    where: { id: activityId, athleteId: plannedDay.athleteId },
+    select: ACTIVITY_SELECT
+  });
+  if (activity?.duplicateOfId) {
+    activity = await prisma.athleteActivity.findUnique({
+      where: { id: activity.duplicateOfId },
+      select: ACTIVITY_SELECT
+    });
+  }
+  if (!activity) return null;
+
+  const executed = await linkActivityToPlannedDay(execution, plannedDay, activity, LINK_SOURCE.MANUAL);
+  console.log(`🔗 TRAINING MATCH: Activity ${activity.id} → week ${plannedDay.weekIndex} day ${plannedDay.dayIndex} (manual)`);
+  await rebuildFitnessPredictions(execution.trainingPlanId);
+  return executed;
+}
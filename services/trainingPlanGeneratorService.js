@@ -0,0 +1,783 @@
+import { getPrismaClient } from '../config/database.js';
+import { formatDuration, parseDuration } from '../utils/timeUtils.js';
+import { getWeekStart } from '../utils/weekUtils.js';
+import { HEART_RATE_ZONES, getAthleteMaxHeartRate } from './activityMetricsService.js';
+import { getBaseline5kFromRecords } from './personalRecordService.js';
+import { startPlanExecution } from './trainingExecutionService.js';
+
+/**
+ * Training Plan Generator Service
+ *
+ * Builds a TrainingPlan for a Race from the athlete's goal time and baseline 5K:
+ *   - a template per race type (5k, 10k, half, marathon) sets plan length, peak mileage,
+ *     long-run cap and the key workouts of each phase
+ *   - weeks are split into base → build → peak → taper (one TrainingPhase each)
+ *   - weekly mileage ramps toward peak with a cutback every 4th week, then tapers
+ *   - every day gets a TrainingDayPlanned whose plannedData holds type, mileage, pace range,
+ *     HR zone and structured segments (warmup / work / repeat blocks / cooldown)
+ *
+ * Training paces come from the baseline 5K (what the athlete can run today), race pace from the
+ * goal time - so workouts stay honest even when the goal is ambitious.
+ * Throws TrainingPlanGenerationError when the inputs can't produce a plan.
+ */
+
+export const METERS_PER_MILE = 1609.34;
+const FIVE_K_MILES = 5000 / METERS_PER_MILE;
+const RIEGEL_EXPONENT = 1.06;
+
+export const PLAN_PHASES = ['base', 'build', 'peak', 'taper'];
+export const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export const WORKOUT_TYPES = {
+  REST: 'rest',
+  EASY: 'easy',
+  RECOVERY: 'recovery',
+  STRIDES: 'strides',
+  LONG: 'long',
+  TEMPO: 'tempo',
+  INTERVALS: 'intervals',
+  RACE_PACE: 'race_pace',
+  RACE: 'race'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const CUTBACK_EVERY_WEEKS = 4;
+const CUTBACK_FACTOR = 0.8;
+export const MAX_WEEKLY_GROWTH = 1.1; // Peak never asks for more than ~10%/week over the starting mileage
+const WARMUP_MILES = 1.5;
+const COOLDOWN_MILES = 1;
+export const MIN_RUN_MILES = 2;
+const MIN_QUALITY_MILES = WARMUP_MILES + COOLDOWN_MILES + 2;
+const QUALITY_SHARE = 0.2;
+
+// Share of peak mileage in each taper week (last entry is race week)
+const TAPER_FACTORS = {
+  1: [0.6],
+  2: [0.75, 0.5],
+  3: [0.8, 0.65, 0.45]
+};
+
+// Mon..Sun: what each day is for. Quality slots are filled per phase from the template.
+const WEEK_LAYOUT = ['rest', 'quality1', 'easy', 'quality2', 'rest', 'long', 'recovery'];
+
+// Base and taper weeks are the same for every race; build/peak come from the template
+const COMMON_PHASE_WORKOUTS = {
+  base: [[WORKOUT_TYPES.STRIDES], [WORKOUT_TYPES.EASY]],
+  taper: [[WORKOUT_TYPES.RACE_PACE, { maxWorkMiles: 3 }], [WORKOUT_TYPES.STRIDES]]
+};
+
+export const PLAN_TEMPLATES = {
+  '5k': {
+    label: '5K',
+    distanceMiles: 3.1,
+    minWeeks: 6,
+    defaultWeeks: 8,
+    maxWeeks: 12,
+    taperWeeks: 1,
+    phaseSplit: { base: 0.3, build: 0.4, peak: 0.3 },
+    startMileage: 12,
+    peakMileage: { min: 18, max: 35 },
+    longRunShare: 0.3,
+    longRunMaxMiles: 8,
+    raceHrZone: 'z5',
+    workouts: {
+      build: [[WORKOUT_TYPES.INTERVALS, { repMeters: 800, paceZone: 'interval' }], [WORKOUT_TYPES.TEMPO]],
+      peak: [[WORKOUT_TYPES.INTERVALS, { repMeters: 400, paceZone: 'repetition' }], [WORKOUT_TYPES.RACE_PACE, { maxWorkMiles: 2 }]]
+    }
+  },
+  '10k': {
+    label: '10K',
+    distanceMiles: 6.2,
+    minWeeks: 8,
+    defaultWeeks: 10,
+    maxWeeks: 14,
+    taperWeeks: 1,
+    phaseSplit: { base: 0.35, build: 0.35, peak: 0.3 },
+    startMileage: 15,
+    peakMileage: { min: 22, max: 40 },
+    longRunShare: 0.3,
+    longRunMaxMiles: 10,
+    raceHrZone: 'z4',
+    workouts: {
+      build: [[WORKOUT_TYPES.INTERVALS, { repMeters: 1000, paceZone: 'interval' }], [WORKOUT_TYPES.TEMPO]],
+      peak: [[WORKOUT_TYPES.INTERVALS, { repMeters: 1200, paceZone: 'interval' }], [WORKOUT_TYPES.RACE_PACE, { maxWorkMiles: 4 }]]
+    }
+  },
+  half: {
+    label: 'Half Marathon',
+    distanceMiles: 13.1,
+    minWeeks: 10,
+    defaultWeeks: 12,
+    maxWeeks: 16,
+    taperWeeks: 2,
+    phaseSplit: { base: 0.35, build: 0.35, peak: 0.3 },
+    startMileage: 18,
+    peakMileage: { min: 30, max: 45 },
+    longRunShare: 0.35,
+    longRunMaxMiles: 13,
+    longRunFinish: { phases: ['peak'], miles: 3 },
+    raceHrZone: 'z4',
+    workouts: {
+      build: [[WORKOUT_TYPES.TEMPO], [WORKOUT_TYPES.INTERVALS, { repMeters: 1000, paceZone: 'interval' }]],
+      peak: [[WORKOUT_TYPES.TEMPO], [WORKOUT_TYPES.RACE_PACE, { maxWorkMiles: 6 }]]
+    }
+  },
+  marathon: {
+    label: 'Marathon',
+    distanceMiles: 26.2,
+    minWeeks: 12,
+    defaultWeeks: 16,
+    maxWeeks: 20,
+    taperWeeks: 3,
+    phaseSplit: { base: 0.35, build: 0.35, peak: 0.3 },
+    startMileage: 22,
+    peakMileage: { min: 40, max: 55 },
+    longRunShare: 0.45,
+    longRunMaxMiles: 20,
+    longRunFinish: { phases: ['peak'], miles: 4 },
+    raceHrZone: 'z3',
+    workouts: {
+      build: [[WORKOUT_TYPES.TEMPO], [WORKOUT_TYPES.RACE_PACE, { maxWorkMiles: 6 }]],
+      peak: [[WORKOUT_TYPES.INTERVALS, { repMeters: 1600, paceZone: 'threshold' }], [WORKOUT_TYPES.RACE_PACE, { maxWorkMiles: 10 }]]
+    }
+  }
+};
+
+export const PLAN_TEMPLATE_KEYS = Object.keys(PLAN_TEMPLATES);
+
+// Pace zone → HR zone (race pace depends on the distance, see template.raceHrZone)
+const PACE_ZONE_HR = {
+  recovery: 'z1',
+  easy: 'z2',
+  long: 'z2',
+  marathon: 'z3',
+  threshold: 'z4',
+  interval: 'z5',
+  repetition: 'z5'
+};
+
+export class TrainingPlanGenerationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TrainingPlanGenerationError';
+  }
+}
+
+const roundToHalf = (miles) => Math.round(miles * 2) / 2;
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+/**
+ * Riegel race-time prediction: T2 = T1 × (D2 / D1)^1.06
+ * @param {number} seconds - Known race time
+ * @param {number} fromMiles - Known race distance
+ * @param {number} toMiles - Distance to predict
+ * @returns {number} Predicted seconds
+ */
+export function predictRaceSeconds(seconds, fromMiles, toMiles) {
+  return seconds * Math.pow(toMiles / fromMiles, RIEGEL_EXPONENT);
+}
+
+/**
+ * Pick the template for a race
+ * "10m" trains like a half; "other" goes by distance.
+ * @param {Object} race - Race (raceType, distanceMiles)
+ * @returns {string} PLAN_TEMPLATES key
+ */
+export function resolveTemplateKey(race) {
+  const raceType = String(race?.raceType || '').toLowerCase();
+  if (PLAN_TEMPLATES[raceType]) return raceType;
+  if (raceType === '10m') return 'half';
+
+  const miles = Number(race?.distanceMiles) || 0;
+  if (miles <= 4) return '5k';
+  if (miles <= 8) return '10k';
+  if (miles <= 16) return 'half';
+  return 'marathon';
+}
+
+function paceRange(fastSecondsPerMile, slowSecondsPerMile) {
+  return { min: Math.round(fastSecondsPerMile), max: Math.round(slowSecondsPerMile) };
+}
+
+/**
+ * Training pace zones (seconds per mile, min = fast end) from a baseline 5K and goal race pace
+ * @param {number} baseline5kSeconds
+ * @param {number} goalPaceSecondsPerMile
+ * @returns {Object} { recovery, easy, long, marathon, threshold, interval, repetition, race }
+ */
+export function computePaceZones(baseline5kSeconds, goalPaceSecondsPerMile) {
+  const fiveK = baseline5kSeconds / FIVE_K_MILES;
+  const pacePer = (miles) => predictRaceSeconds(baseline5kSeconds, FIVE_K_MILES, miles) / miles;
+  const tenK = pacePer(10000 / METERS_PER_MILE);
+  const half = pacePer(21097.5 / METERS_PER_MILE);
+  const marathon = pacePer(42195 / METERS_PER_MILE);
+
+  return {
+    recovery: paceRange(fiveK * 1.4, fiveK * 1.55),
+    easy: paceRange(fiveK * 1.25, fiveK * 1.4),
+    long: paceRange(fiveK * 1.2, fiveK * 1.35),
+    marathon: paceRange(marathon * 0.99, marathon * 1.02),
+    threshold: paceRange(tenK * 1.01, half * 1.01),
+    interval: paceRange(fiveK * 0.97, fiveK),
+    repetition: paceRange(fiveK * 0.92, fiveK * 0.95),
+    race: paceRange(goalPaceSecondsPerMile * 0.99, goalPaceSecondsPerMile * 1.01)
+  };
+}
+
+/**
+ * HR bounds of a zone as % of max HR, plus bpm when max HR is known
+ * @param {string} zone - "z1".."z5"
+ * @param {number|null} maxHeartRate
+ * @returns {Object} { minPercent, maxPercent, minBpm?, maxBpm? }
+ */
+export function heartRateRange(zone, maxHeartRate) {
+  const index = HEART_RATE_ZONES.findIndex(z => z.zone === zone);
+  if (index === -1) return null;
+
+  const minPercent = Math.round((index === 0 ? 0.5 : HEART_RATE_ZONES[index - 1].max) * 100);
+  const maxPercent = Math.round(Math.min(HEART_RATE_ZONES[index].max, 1) * 100);
+  const range = { minPercent, maxPercent };
+
+  if (maxHeartRate) {
+    range.minBpm = Math.round(maxHeartRate * minPercent / 100);
+    range.maxBpm = Math.round(maxHeartRate * maxPercent / 100);
+  }
+  return range;
+}
+
+/**
+ * Weekly mileage for every week of the plan
+ * Linear ramp from start to peak (cutback every 4th week), then the taper.
+ */
+function buildWeeklyMileage(template, totalWeeks, startMileage) {
+  const taperFactors = TAPER_FACTORS[template.taperWeeks];
+  const trainingWeeks = totalWeeks - taperFactors.length;
+
+  const targetPeak = clamp(startMileage * 1.5, template.peakMileage.min, template.peakMileage.max);
+  const safePeak = Math.min(targetPeak, startMileage * Math.pow(MAX_WEEKLY_GROWTH, trainingWeeks - 1));
+  const peak = Math.max(startMileage, safePeak);
+
+  const weeks = [];
+  for (let i = 0; i < trainingWeeks; i++) {
+    const progress = trainingWeeks === 1 ? 1 : i / (trainingWeeks - 1);
+    const isCutback = (i + 1) % CUTBACK_EVERY_WEEKS === 0 && i < trainingWeeks - 1;
+    const mileage = (startMileage + (peak - startMileage) * progress) * (isCutback ? CUTBACK_FACTOR : 1);
+    weeks.push({ mileage: roundToHalf(mileage), isCutback });
+  }
+  taperFactors.forEach(factor => weeks.push({ mileage: roundToHalf(peak * factor), isCutback: false }));
+
+  return weeks;
+}
+
+/**
+ * Split weeks into phases (taper length is fixed by the template)
+ * @returns {Array<{phaseName, phaseIndex, startWeek, endWeek}>}
+ */
+function buildPhases(template, totalWeeks) {
+  const taperWeeks = TAPER_FACTORS[template.taperWeeks].length;
+  const trainingWeeks = totalWeeks - taperWeeks;
+
+  const base = Math.max(1, Math.round(trainingWeeks * template.phaseSplit.base));
+  const build = Math.max(1, Math.round(trainingWeeks * template.phaseSplit.build));
+  const peak = Math.max(1, trainingWeeks - base - build);
+  const lengths = [base, trainingWeeks - base - peak, peak, taperWeeks];
+
+  let startWeek = 0;
+  return PLAN_PHASES.map((phaseName, phaseIndex) => {
+    const phase = { phaseName, phaseIndex, startWeek, endWeek: startWeek + lengths[phaseIndex] - 1 };
+    startWeek += lengths[phaseIndex];
+    return phase;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Workouts
+// ---------------------------------------------------------------------------
+
+function paceFields(zones, paceZone) {
+  const range = zones[paceZone];
+  return {
+    paceZone,
+    paceRange: { min: formatDuration(range.min), max: formatDuration(range.max) },
+    paceSecondsPerMile: range
+  };
+}
+
+function hrZoneFor(paceZone, template) {
+  return paceZone === 'race' ? template.raceHrZone : PACE_ZONE_HR[paceZone];
+}
+
+function distanceSegment(type, miles, paceZone, ctx, label) {
+  return {
+    type,
+    ...(label ? { label } : {}),
+    distanceMeters: Math.round(miles * METERS_PER_MILE),
+    ...paceFields(ctx.zones, paceZone),
+    hrZone: hrZoneFor(paceZone, ctx.template)
+  };
+}
+
+function timeSegment(type, seconds, paceZone, ctx, label) {
+  return {
+    type,
+    ...(label ? { label } : {}),
+    durationSeconds: seconds,
+    ...paceFields(ctx.zones, paceZone),
+    hrZone: hrZoneFor(paceZone, ctx.template)
+  };
+}
+
+// Estimated seconds for a segment list (distance at the middle of its pace range)
+function estimateSeconds(segments) {
+  return segments.reduce((total, segment) => {
+    if (segment.type === 'repeat') return total + segment.repeat * estimateSeconds(segment.steps);
+    if (segment.durationSeconds) return total + segment.durationSeconds;
+    const midPace = (segment.paceSecondsPerMile.min + segment.paceSecondsPerMile.max) / 2;
+    return total + (segment.distanceMeters / METERS_PER_MILE) * midPace;
+  }, 0);
+}
+
+function segmentMiles(segments) {
+  return segments.reduce((total, segment) => {
+    if (segment.type === 'repeat') return total + segment.repeat * segmentMiles(segment.steps);
+    if (segment.distanceMeters) return total + segment.distanceMeters / METERS_PER_MILE;
+    const midPace = (segment.paceSecondsPerMile.min + segment.paceSecondsPerMile.max) / 2;
+    return total + segment.durationSeconds / midPace;
+  }, 0);
+}
+
+function workout(ctx, { type, label, description, mileage, paceZone, segments, coachNotes }) {
+  return {
+    type,
+    label,
+    description,
+    mileage,
+    duration: Math.round(estimateSeconds(segments)),
+    ...paceFields(ctx.zones, paceZone),
+    targetPace: formatDuration((ctx.zones[paceZone].min + ctx.zones[paceZone].max) / 2),
+    hrZone: hrZoneFor(paceZone, ctx.template),
+    hrRange: heartRateRange(hrZoneFor(paceZone, ctx.template), ctx.maxHeartRate),
+    segments,
+    coachNotes: coachNotes || null
+  };
+}
+
+function restDay() {
+  return {
+    type: WORKOUT_TYPES.REST,
+    label: 'Rest',
+    description: 'Rest day - walk, stretch or light cross-training',
+    mileage: 0,
+    duration: 0,
+    paceZone: null,
+    paceRange: null,
+    paceSecondsPerMile: null,
+    targetPace: null,
+    hrZone: null,
+    hrRange: null,
+    segments: [],
+    coachNotes: null
+  };
+}
+
+function easyRun(ctx, mileage, paceZone = 'easy') {
+  const isRecovery = paceZone === 'recovery';
+  return workout(ctx, {
+    type: isRecovery ? WORKOUT_TYPES.RECOVERY : WORKOUT_TYPES.EASY,
+    label: `${mileage} mi ${isRecovery ? 'recovery' : 'easy'}`,
+    description: isRecovery ? 'Very easy, short and relaxed' : 'Conversational pace',
+    mileage,
+    paceZone,
+    segments: [distanceSegment('steady', mileage, paceZone, ctx)]
+  });
+}
+
+function stridesRun(ctx, mileage) {
+  const segments = [
+    distanceSegment('steady', mileage, 'easy', ctx),
+    {
+      type: 'repeat',
+      repeat: 6,
+      steps: [
+        timeSegment('work', 20, 'repetition', ctx, 'Stride'),
+        timeSegment('recovery', 60, 'recovery', ctx, 'Walk / jog back')
+      ]
+    }
+  ];
+  return workout(ctx, {
+    type: WORKOUT_TYPES.STRIDES,
+    label: `${mileage} mi easy + 6 strides`,
+    description: 'Easy run finishing with 6 × 20s relaxed fast strides',
+    mileage,
+    paceZone: 'easy',
+    segments
+  });
+}
+
+function longRun(ctx, mileage, phaseName) {
+  const finish = ctx.template.longRunFinish;
+  const finishMiles = finish?.phases.includes(phaseName) ? Math.min(finish.miles, roundToHalf(mileage / 3)) : 0;
+
+  const segments = finishMiles > 0
+    ? [
+        distanceSegment('steady', mileage - finishMiles, 'long', ctx),
+        distanceSegment('work', finishMiles, 'race', ctx, 'Goal race pace finish')
+      ]
+    : [distanceSegment('steady', mileage, 'long', ctx)];
+
+  return workout(ctx, {
+    type: WORKOUT_TYPES.LONG,
+    label: finishMiles > 0 ? `${mileage} mi long, last ${finishMiles} at race pace` : `${mileage} mi long`,
+    description: finishMiles > 0 ? 'Steady long run, finishing at goal race pace' : 'Steady long run at easy effort',
+    mileage,
+    paceZone: 'long',
+    segments,
+    coachNotes: finishMiles > 0 ? 'Practice race-day fueling on this one' : null
+  });
+}
+
+// Warmup + main set + cooldown; the main set fills whatever the day's mileage leaves
+function qualityRun(ctx, mileage, kind, options = {}) {
+  const workMiles = Math.max(1, mileage - WARMUP_MILES - COOLDOWN_MILES);
+  const warmup = distanceSegment('warmup', WARMUP_MILES, 'easy', ctx, 'Warm up');
+  const cooldown = distanceSegment('cooldown', COOLDOWN_MILES, 'easy', ctx, 'Cool down');
+
+  if (kind === WORKOUT_TYPES.INTERVALS) {
+    const repMiles = options.repMeters / METERS_PER_MILE;
+    const reps = clamp(Math.round((workMiles * 0.9) / repMiles), 3, 12);
+    const recoverySeconds = options.repMeters <= 400 ? 60 : options.repMeters <= 1000 ? 90 : 120;
+    const segments = [
+      warmup,
+      {
+        type: 'repeat',
+        repeat: reps,
+        steps: [
+          { ...distanceSegment('work', repMiles, options.paceZone, ctx), distanceMeters: options.repMeters },
+          timeSegment('recovery', recoverySeconds, 'recovery', ctx, 'Jog recovery')
+        ]
+      },
+      cooldown
+    ];
+    return workout(ctx, {
+      type: WORKOUT_TYPES.INTERVALS,
+      label: `${reps} × ${options.repMeters}m`,
+      description: `${reps} × ${options.repMeters}m at ${options.paceZone} pace with ${recoverySeconds}s jog recoveries`,
+      mileage: roundToHalf(segmentMiles(segments)),
+      paceZone: options.paceZone,
+      segments
+    });
+  }
+
+  if (kind === WORKOUT_TYPES.RACE_PACE) {
+    const miles = roundToHalf(Math.min(workMiles, options.maxWorkMiles || workMiles));
+    return workout(ctx, {
+      type: WORKOUT_TYPES.RACE_PACE,
+      label: `${miles} mi at goal race pace`,
+      description: `Lock in goal ${ctx.template.label} pace`,
+      mileage: roundToHalf(WARMUP_MILES + miles + COOLDOWN_MILES),
+      paceZone: 'race',
+      segments: [warmup, distanceSegment('work', miles, 'race', ctx, 'Goal race pace'), cooldown]
+    });
+  }
+
+  const miles = roundToHalf(Math.min(workMiles, 6));
+  return workout(ctx, {
+    type: WORKOUT_TYPES.TEMPO,
+    label: `${miles} mi tempo`,
+    description: 'Comfortably hard - a pace you could hold for about an hour',
+    mileage: roundToHalf(WARMUP_MILES + miles + COOLDOWN_MILES),
+    paceZone: 'threshold',
+    segments: [warmup, distanceSegment('work', miles, 'threshold', ctx, 'Tempo'), cooldown]
+  });
+}
+
+function buildSlotWorkout(ctx, [kind, options], mileage) {
+  if (kind === WORKOUT_TYPES.EASY) return easyRun(ctx, mileage);
+  if (kind === WORKOUT_TYPES.STRIDES) return stridesRun(ctx, mileage);
+  return qualityRun(ctx, mileage, kind, options);
+}
+
+function raceDay(ctx, race) {
+  const mileage = Number(race.distanceMiles) || ctx.template.distanceMiles;
+  return workout(ctx, {
+    type: WORKOUT_TYPES.RACE,
+    label: race.raceName || `${ctx.template.label} race`,
+    description: `Race day - goal ${ctx.goalTime}`,
+    mileage,
+    paceZone: 'race',
+    segments: [distanceSegment('work', mileage, 'race', ctx, 'Race')],
+    coachNotes: 'Start controlled, settle into goal pace, race the last mile'
+  });
+}
+
+/**
+ * Plan one week (7 plannedData objects, Mon..Sun)
+ * Long run and quality days take their share first; easy days split what's left.
+ */
+function buildWeek(ctx, { phaseName, mileage }) {
+  const qualityWorkouts = ctx.template.workouts[phaseName] || COMMON_PHASE_WORKOUTS[phaseName];
+  const isHardSlot = (index) => ![WORKOUT_TYPES.EASY, WORKOUT_TYPES.STRIDES].includes(qualityWorkouts[index][0]);
+
+  const longMiles = roundToHalf(clamp(mileage * ctx.template.longRunShare, MIN_RUN_MILES + 1, ctx.template.longRunMaxMiles));
+  const qualityMiles = roundToHalf(Math.max(MIN_QUALITY_MILES, mileage * QUALITY_SHARE));
+
+  // Easy pool: easy day, recovery day (lighter) and any quality slot that isn't a workout
+  const hardCount = [0, 1].filter(isHardSlot).length;
+  const easyWeights = { easy: 1, recovery: 0.7, quality1: isHardSlot(0) ? 0 : 1, quality2: isHardSlot(1) ? 0 : 1 };
+  const totalWeight = Object.values(easyWeights).reduce((a, b) => a + b, 0);
+  const easyPool = Math.max(0, mileage - longMiles - hardCount * qualityMiles);
+  const easyMiles = (slot) => roundToHalf(Math.max(MIN_RUN_MILES, easyPool * easyWeights[slot] / totalWeight));
+
+  return WEEK_LAYOUT.map(slot => {
+    if (slot === 'rest') return restDay();
+    if (slot === 'long') return longRun(ctx, longMiles, phaseName);
+    if (slot === 'easy') return easyRun(ctx, easyMiles('easy'));
+    if (slot === 'recovery') return easyRun(ctx, easyMiles('recovery'), 'recovery');
+
+    const index = slot === 'quality1' ? 0 : 1;
+    return buildSlotWorkout(ctx, qualityWorkouts[index], isHardSlot(index) ? qualityMiles : easyMiles(slot));
+  });
+}
+
+// Race week: race on race day, rest after, shakeout the day before, nothing hard in the last 2 days
+function fitRaceWeek(ctx, week, raceDayIndex, race) {
+  return week.map((plannedData, dayIndex) => {
+    if (dayIndex === raceDayIndex) return raceDay(ctx, race);
+    if (dayIndex > raceDayIndex) return restDay();
+    if (dayIndex === raceDayIndex - 1) {
+      return { ...easyRun(ctx, MIN_RUN_MILES), label: `${MIN_RUN_MILES} mi shakeout`, description: 'Short and easy - stay loose for tomorrow' };
+    }
+    const isHard = ![WORKOUT_TYPES.REST, WORKOUT_TYPES.EASY, WORKOUT_TYPES.RECOVERY, WORKOUT_TYPES.STRIDES].includes(plannedData.type);
+    if (dayIndex === raceDayIndex - 2 && isHard) return easyRun(ctx, Math.min(plannedData.mileage, 3));
+    if (plannedData.type === WORKOUT_TYPES.LONG) return easyRun(ctx, Math.min(plannedData.mileage, 4));
+    return plannedData;
+  });
+}
+
+/**
+ * Generate a full plan (no database access)
+ * @param {Object} params
+ * @param {Object} params.race - Race (raceName, raceType, raceDate, distanceMiles)
+ * @param {string} params.goalTime - "h:mm:ss" / "mm:ss"
+ * @param {string} params.baseline5k - "mm:ss"
+ * @param {number} [params.baselineWeeklyMileage] - Current weekly miles (default: template start mileage)
+ * @param {Date|string} [params.startDate] - Earliest plan start (default: next Monday, or today if Monday)
+ * @param {number} [params.totalWeeks] - Plan length (default: template default, capped by time until race)
+ * @param {string} [params.template] - PLAN_TEMPLATES key (default: from race type)
+ * @param {number|null} [params.maxHeartRate] - For bpm HR ranges
+ * @param {string} [params.trainingPlanName]
+ * @param {Date} [params.now]
+ * @returns {Object} { templateKey, plan, paceZones, phases, days, warnings }
+ */
+export function generateTrainingPlan({
+  race,
+  goalTime,
+  baseline5k,
+  baselineWeeklyMileage,
+  startDate,
+  totalWeeks,
+  template: requestedTemplate,
+  maxHeartRate = null,
+  trainingPlanName,
+  now = new Date()
+}) {
+  if (requestedTemplate && !PLAN_TEMPLATES[requestedTemplate]) {
+    throw new TrainingPlanGenerationError(`template must be one of: ${PLAN_TEMPLATE_KEYS.join(', ')}`);
+  }
+  const templateKey = requestedTemplate || resolveTemplateKey(race);
+  const template = PLAN_TEMPLATES[templateKey];
+
+  const goalSeconds = parseDuration(goalTime);
+  const baselineSeconds = parseDuration(baseline5k);
+  if (!goalSeconds) throw new TrainingPlanGenerationError('goalTime must be a duration like "1:45:00"');
+  if (!baselineSeconds) throw new TrainingPlanGenerationError('baseline5k must be a duration like "24:30"');
+
+  const distanceMiles = Number(race.distanceMiles) || template.distanceMiles;
+  const goalPace = goalSeconds / distanceMiles;
+
+  // Weeks: race week is the last one; start no earlier than startDate, no longer than requested/default
+  const raceDate = new Date(race.raceDate);
+  const raceWeekStart = getWeekStart(raceDate);
+  const earliestStart = startDate
+    ? getWeekStart(new Date(startDate))
+    : getWeekStart(addDays(now, now.getDay() === 1 ? 0 : 7));
+  const availableWeeks = Math.floor(Math.round((raceWeekStart - earliestStart) / MS_PER_DAY) / 7) + 1;
+
+  if (Number.isNaN(raceDate.getTime()) || raceDate < now) {
+    throw new TrainingPlanGenerationError('Race date must be in the future');
+  }
+
+  const weeks = totalWeeks != null ? Number(totalWeeks) : Math.min(availableWeeks, template.defaultWeeks);
+
+  if (!Number.isInteger(weeks) || weeks < template.minWeeks || weeks > template.maxWeeks) {
+    throw new TrainingPlanGenerationError(
+      `A ${template.label} plan needs ${template.minWeeks}-${template.maxWeeks} weeks (${availableWeeks} until race day)`
+    );
+  }
+  if (weeks > availableWeeks) {
+    throw new TrainingPlanGenerationError(`Only ${availableWeeks} weeks until race day - can't fit a ${weeks}-week plan`);
+  }
+
+  const planStart = addDays(raceWeekStart, -(weeks - 1) * 7);
+  const startMileage = Number(baselineWeeklyMileage) > 0 ? Number(baselineWeeklyMileage) : template.startMileage;
+
+  const zones = computePaceZones(baselineSeconds, goalPace);
+  const ctx = { template, zones, maxHeartRate, goalTime: formatDuration(goalSeconds) };
+  const weeklyMileage = buildWeeklyMileage(template, weeks, startMileage);
+  const phases = buildPhases(template, weeks);
+  const raceDayIndex = (raceDate.getDay() + 6) % 7; // Monday = 0
+
+  const days = [];
+  phases.forEach(phase => {
+    phase.metadata = {
+      focus: phase.phaseName,
+      weeklyMileage: weeklyMileage.slice(phase.startWeek, phase.endWeek + 1).map(w => w.mileage),
+      keyWorkouts: (template.workouts[phase.phaseName] || COMMON_PHASE_WORKOUTS[phase.phaseName]).map(([kind]) => kind)
+    };
+
+    for (let weekIndex = phase.startWeek; weekIndex <= phase.endWeek; weekIndex++) {
+      let week = buildWeek(ctx, { phaseName: phase.phaseName, mileage: weeklyMileage[weekIndex].mileage });
+      if (weekIndex === weeks - 1) week = fitRaceWeek(ctx, week, raceDayIndex, race);
+
+      week.forEach((plannedData, dayIndex) => {
+        days.push({
+          date: addDays(planStart, weekIndex * 7 + dayIndex),
+          weekIndex,
+          dayIndex,
+          dayName: DAY_NAMES[dayIndex],
+          phase: phase.phaseName,
+          plannedData: weeklyMileage[weekIndex].isCutback ? { ...plannedData, cutbackWeek: true } : plannedData
+        });
+      });
+    }
+  });
+
+  const warnings = [];
+  const predictedSeconds = predictRaceSeconds(baselineSeconds, FIVE_K_MILES, distanceMiles);
+  if (goalSeconds < predictedSeconds * 0.92) {
+    warnings.push(
+      `Goal ${formatDuration(goalSeconds)} is well ahead of the ${formatDuration(predictedSeconds)} your baseline 5K predicts - ` +
+      'workouts use baseline paces, race-pace sessions use the goal'
+    );
+  }
+  if (startMileage < template.startMileage * 0.5) {
+    warnings.push(`Starting from ${startMileage} mi/week - build a base before a ${template.label} plan if you can`);
+  }
+
+  return {
+    templateKey,
+    plan: {
+      trainingPlanName: trainingPlanName || `${race.raceName || template.label} Plan`,
+      trainingPlanGoalTime: formatDuration(goalSeconds),
+      trainingPlanGoalPace: formatDuration(goalPace),
+      trainingPlanBaseline5k: formatDuration(baselineSeconds),
+      trainingPlanBaselineWeeklyMileage: Math.round(startMileage),
+      trainingPlanStartDate: planStart,
+      trainingPlanTotalWeeks: weeks
+    },
+    paceZones: Object.fromEntries(Object.entries(zones).map(([zone, range]) => [zone, paceFields(zones, zone).paceRange])),
+    phases,
+    days,
+    warnings
+  };
+}
+
+/**
+ * Rebuild a simpler day for an existing plan (plan adaptation: reduced or downgraded workouts)
+ * Uses the plan's own pace zones, so a swapped-in easy run matches the rest of the plan.
+ * @param {Object} plan - TrainingPlan with race
+ * @param {Object} day - { type: rest | easy | recovery | strides | long, mileage, phaseName }
+ * @param {number|null} [maxHeartRate]
+ * @returns {Object} plannedData (rest when the mileage drops under a minimum run)
+ */
+export function buildAdjustedWorkout(plan, { type, mileage, phaseName }, maxHeartRate = null) {
+  const miles = roundToHalf(mileage || 0);
+  if (type === WORKOUT_TYPES.REST || miles < MIN_RUN_MILES) return restDay();
+
+  const template = PLAN_TEMPLATES[resolveTemplateKey(plan.race)];
+  const goalPace = parseDuration(plan.trainingPlanGoalPace)
+    || parseDuration(plan.trainingPlanGoalTime) / (Number(plan.race?.distanceMiles) || template.distanceMiles);
+  const zones = computePaceZones(parseDuration(plan.trainingPlanBaseline5k), goalPace);
+  const ctx = { template, zones, maxHeartRate, goalTime: plan.trainingPlanGoalTime };
+
+  if (type === WORKOUT_TYPES.LONG) return longRun(ctx, miles, phaseName);
+  if (type === WORKOUT_TYPES.STRIDES) return stridesRun(ctx, miles);
+  return easyRun(ctx, miles, type === WORKOUT_TYPES.RECOVERY ? 'recovery' : 'easy');
+}
+
+/**
+ * Generate and store a plan for an athlete's race
+ * @param {string} athleteId
+ * @param {Object} race - Race
+ * @param {Object} options - { goalTime, baseline5k?, baselineWeeklyMileage?, startDate?, totalWeeks?,
+ *                             template?, trainingPlanName?, activate? }
+ *                           baseline5k falls back to the athlete's 5K PR. activate starts the plan
+ *                           (startPlanExecution: other plans archived, their executions cancelled).
+ * @returns {Promise<Object>} { plan (with race, phases, plannedDays), execution (null unless activated), paceZones, warnings }
+ */
+export async function createTrainingPlan(athleteId, race, options) {
+  const prisma = getPrismaClient();
+
+  const baseline5k = options.baseline5k || await getBaseline5kFromRecords(athleteId);
+  if (!baseline5k) {
+    throw new TrainingPlanGenerationError('baseline5k is required (no 5K PR on record to pre-fill it)');
+  }
+
+  const generated = generateTrainingPlan({
+    ...options,
+    race,
+    baseline5k,
+    maxHeartRate: await getAthleteMaxHeartRate(athleteId)
+  });
+
+  const created = await prisma.$transaction(async (tx) => {
+    const plan = await tx.trainingPlan.create({
+      data: {
+        ...generated.plan,
+        athleteId,
+        raceId: race.id,
+        status: 'draft'
+      }
+    });
+
+    const phaseIds = {};
+    for (const phase of generated.phases) {
+      const created = await tx.trainingPhase.create({
+        data: { ...phase, trainingPlanId: plan.id }
+      });
+      phaseIds[phase.phaseName] = created.id;
+    }
+
+    await tx.trainingDayPlanned.createMany({
+      data: generated.days.map(day => ({
+        ...day,
+        trainingPlanId: plan.id,
+        trainingPhaseId: phaseIds[day.phase],
+        athleteId
+      }))
+    });
+
+    return plan;
+  });
+
+  const planId = created.id;
+  const execution = options.activate ? await startPlanExecution(created) : null;
+
+  const plan = await prisma.trainingPlan.findUnique({
+    where: { id: planId },
+    include: {
+      race: true,
+      phases: { orderBy: { phaseIndex: 'asc' } },
+      plannedDays: { orderBy: { date: 'asc' } }
+    }
+  });
+
+  console.log(`✅ TRAINING PLAN: Generated ${generated.templateKey} plan ${planId} (${generated.plan.trainingPlanTotalWeeks} weeks, ${generated.days.length} days) for athlete ${athleteId}`);
+
+  return { plan, execution, paceZones: generated.paceZones, warnings: generated.warnings };
+}
@@ -0,0 +1,294 @@
+import { getPrismaClient } from '../config/database.js';
+import { GARMIN_WEBHOOK_PROCESSORS } from './garminWebhookProcessorService.js';
+
+/**
+ * Webhook Inbox Service
+ *
+ * Every provider push is stored in WebhookInbox BEFORE processing, so nothing is lost when
+ * the athlete is unknown, the summary hasn't arrived yet or the database hiccups.
+ *
+ * Flow:
+ *   route → enqueueWebhooks() (one row per item) → 200 to provider → worker processes
+ *   queued     - waiting for the worker (new rows and retries after a transient error)
+ *   processing - claimed by a worker
+ *   pending    - dependency missing (see dependencyKey) - woken early when it arrives, else retried with backoff
+ *   processed  - done
+ *   failed     - bad payload or out of attempts - replay from /api/admin/webhooks/inbox/:id/replay
+ */
+
+export const INBOX_STATUS = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  PENDING: 'pending',
+  PROCESSED: 'processed',
+  FAILED: 'failed'
+};
+
+const PROCESSORS = {
+  garmin: GARMIN_WEBHOOK_PROCESSORS
+};
+
+const MAX_ATTEMPTS = 10;
+const BASE_BACKOFF_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... capped
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+const POLL_INTERVAL_MS = 15 * 1000;
+const BATCH_SIZE = 25;
+const STUCK_PROCESSING_MS = 10 * 60 * 1000; // Worker died mid-item (deploy/restart)
+
+let workerTimer = null;
+let isDraining = false;
+
+/**
+ * Backoff delay for the given attempt count (exponential, capped)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in ms
+ */
+export function getBackoffMs(attempts) {
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, Math.max(attempts - 1, 0)), MAX_BACKOFF_MS);
+}
+
+/**
+ * Store webhook items in the inbox and kick the worker
+ * @param {string} provider - "garmin"
+ * @param {string} eventType - "activity", "activity-details", "deregistration", "pull-sync"
+ * @param {Array<Object>} items - One row is created per item
+ * @returns {Promise<number>} - Number of rows stored
+ */
+export async function enqueueWebhooks(provider, eventType, items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 0;
+  }
+
+  const prisma = getPrismaClient();
+  const result = await prisma.webhookInbox.createMany({
+    data: items.map(payload => ({ provider, eventType, payload }))
+  });
+
+  console.log(`📥 Webhook inbox: stored ${result.count} ${provider} ${eventType} item(s)`);
+
+  kickWebhookWorker();
+  return result.count;
+}
+
+/**
+ * Process a single inbox row (claims it first so concurrent workers don't double-process)
+ * @param {Object} item - WebhookInbox row
+ * @returns {Promise<string|null>} - Resulting status, or null if another worker claimed it
+ */
+export async function processInboxItem(item) {
+  const prisma = getPrismaClient();
+
+  const claimed = await prisma.webhookInbox.updateMany({
+    where: {
+      id: item.id,
+      status: { in: [INBOX_STATUS.QUEUED, INBOX_STATUS.PENDING] }
+    },
+    data: {
+      status: INBOX_STATUS.PROCESSING,
+      attempts: { increment: 1 }
+    }
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  const attempts = item.attempts + 1;
+  const processor = PROCESSORS[item.provider]?.[item.eventType];
+
+  if (!processor) {
+    await prisma.webhookInbox.update({
+      where: { id: item.id },
+      data: { status: INBOX_STATUS.FAILED, lastError: `No processor for ${item.provider}:${item.eventType}` }
+    });
+    return INBOX_STATUS.FAILED;
+  }
+
+  let result;
+  try {
+    result = await processor(item.payload);
+  } catch (error) {
+    console.error(`❌ Webhook inbox: ${item.provider} ${item.eventType} ${item.id} failed (attempt ${attempts}):`, error);
+    result = { status: 'retry', reason: error.message };
+  }
+
+  const outOfAttempts = attempts >= MAX_ATTEMPTS;
+  const retryAt = new Date(Date.now() + getBackoffMs(attempts));
+  let data;
+
+  switch (result.status) {
+    case 'processed':
+      data = { status: INBOX_STATUS.PROCESSED, processedAt: new Date(), lastError: null, dependencyKey: null };
+      break;
+
+    case 'pending':
+      console.log(`⏸️ Webhook inbox: ${item.id} pending - ${result.reason}`);
+      data = outOfAttempts
+        ? { status: INBOX_STATUS.FAILED, lastError: `Gave up waiting: ${result.reason}` }
+        : { status: INBOX_STATUS.PENDING, lastError: result.reason, dependencyKey: result.dependencyKey || null, nextAttemptAt: retryAt };
+      break;
+
+    case 'failed':
+      console.error(`❌ Webhook inbox: ${item.id} failed permanently - ${result.reason}`);
+      data = { status: INBOX_STATUS.FAILED, lastError: result.reason };
+      break;
+
+    default:
+      data = outOfAttempts
+        ? { status: INBOX_STATUS.FAILED, lastError: result.reason }
+        : { status: INBOX_STATUS.QUEUED, lastError: result.reason, nextAttemptAt: retryAt };
+  }
+
+  await prisma.webhookInbox.update({ where: { id: item.id }, data });
+
+  if (result.status === 'processed' && result.wakes?.length) {
+    await wakePendingWebhooks(result.wakes);
+  }
+
+  if (result.status === 'processed' && result.enqueue?.items?.length) {
+    await enqueueWebhooks(item.provider, result.enqueue.eventType, result.enqueue.items);
+  }
+
+  return data.status;
+}
+
+/**
+ * Process every due queued/pending row (one drain at a time per process)
+ * @returns {Promise<number>} - Rows processed
+ */
+export async function processDueWebhooks() {
+  if (isDraining) {
+    return 0;
+  }
+  isDraining = true;
+
+  try {
+    const prisma = getPrismaClient();
+
+    // Release rows a crashed worker left in "processing"
+    await prisma.webhookInbox.updateMany({
+      where: {
+        status: INBOX_STATUS.PROCESSING,
+        updatedAt: { lt: new Date(Date.now() - STUCK_PROCESSING_MS) }
+      },
+      data: { status: INBOX_STATUS.QUEUED, nextAttemptAt: new Date() }
+    });
+
+    let processed = 0;
+    let batch;
+    do {
+      batch = await prisma.webhookInbox.findMany({
+        where: {
+          status: { in: [INBOX_STATUS.QUEUED, INBOX_STATUS.PENDING] },
+          nextAttemptAt: { lte: new Date() }
+        },
+        orderBy: { receivedAt: 'asc' },
+        take: BATCH_SIZE
+      });
+
+      for (const item of batch) {
+        await processInboxItem(item);
+        processed++;
+      }
+    } while (batch.length === BATCH_SIZE);
+
+    if (processed > 0) {
+      console.log(`✅ Webhook inbox: processed ${processed} item(s)`);
+    }
+    return processed;
+  } catch (error) {
+    console.error('❌ Webhook inbox worker error:', error);
+    return 0;
+  } finally {
+    isDraining = false;
+  }
+}
+
+/**
+ * Trigger a drain without waiting for it (used right after enqueue/wake)
+ */
+export function kickWebhookWorker() {
+  setImmediate(() => {
+    processDueWebhooks();
+  });
+}
+
+/**
+ * Move pending rows waiting on the given dependencies back to the queue
+ * @param {Array<string>} dependencyKeys - e.g. ["garmin_activity:123"]
+ * @returns {Promise<number>} - Rows woken
+ */
+export async function wakePendingWebhooks(dependencyKeys) {
+  const keys = (dependencyKeys || []).filter(Boolean);
+  if (keys.length === 0) {
+    return 0;
+  }
+
+  const prisma = getPrismaClient();
+  const result = await prisma.webhookInbox.updateMany({
+    where: {
+      status: INBOX_STATUS.PENDING,
+      dependencyKey: { in: keys }
+    },
+    data: {
+      status: INBOX_STATUS.QUEUED,
+      nextAttemptAt: new Date()
+    }
+  });
+
+  if (result.count > 0) {
+    console.log(`⏰ Webhook inbox: woke ${result.count} pending item(s) for ${keys.join(', ')}`);
+    kickWebhookWorker();
+  }
+  return result.count;
+}
+
+/**
+ * Replay inbox rows from scratch (attempts reset) - admin tool
+ * @param {Object} where - Prisma where for WebhookInbox (e.g. { id } or { status: 'failed' })
+ * @returns {Promise<number>} - Rows requeued
+ */
+export async function replayWebhooks(where) {
+  const prisma = getPrismaClient();
+
+  const result = await prisma.webhookInbox.updateMany({
+    // AND keeps the caller's own status filter - a spread would replace it
+    where: {
+      AND: [where, { status: { not: INBOX_STATUS.PROCESSING } }]
+    },
+    data: {
+      status: INBOX_STATUS.QUEUED,
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+      dependencyKey: null,
+      processedAt: null
+    }
+  });
+
+  console.log(`🔁 Webhook inbox: requeued ${result.count} item(s) for replay`);
+  return result.count;
+}
+
+/**
+ * Start the background worker (call once after the server is listening)
+ */
+export function startWebhookInboxWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    processDueWebhooks();
+  }, POLL_INTERVAL_MS);
+
+  console.log(`📥 Webhook inbox worker started (polling every ${POLL_INTERVAL_MS / 1000}s)`);
+  kickWebhookWorker();
+}
+
+export function stopWebhookInboxWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
@@ -0,0 +1,348 @@
+import { METERS_PER_MILE, heartRateRange } from './trainingPlanGeneratorService.js';
+
+/**
+ * Workout Export Service
+ *
+ * Turns a planned day (TrainingDayPlanned.plannedData) into a structured workout a watch can run:
+ *   - FIT workout file (file type 5) - copy to the watch or import in Garmin Connect
+ *   - Garmin Training API workout JSON (WorkoutStep / WorkoutRepeatStep)
+ *
+ * Segments map to steps: warmup / cooldown / recovery keep their intensity, work steps inside a
+ * repeat block become intervals, and repeat blocks stay repeat blocks. Each step targets its pace
+ * range, or its HR zone (bpm when the athlete's max HR is known, the watch's own zone otherwise).
+ */
+
+export const WORKOUT_EXPORT_FORMATS = ['fit', 'garmin'];
+export const WORKOUT_EXPORT_TARGETS = ['pace', 'hr'];
+
+const STEP_INTENSITIES = {
+  warmup: 'warmup',
+  cooldown: 'cooldown',
+  recovery: 'recovery',
+  work: 'active',
+  steady: 'active'
+};
+
+export class WorkoutExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WorkoutExportError';
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Steps
+// ---------------------------------------------------------------------------
+
+const speedFromPace = (secondsPerMile) => METERS_PER_MILE / secondsPerMile;
+
+function stepTarget(segment, target, maxHeartRate) {
+  if (target === 'hr') {
+    const zone = Number(String(segment.hrZone || '').replace(/^z/i, ''));
+    if (!zone) return { type: 'open' };
+
+    const range = maxHeartRate ? heartRateRange(segment.hrZone, maxHeartRate) : null;
+    return range
+      ? { type: 'heart_rate', lowBpm: range.minBpm, highBpm: range.maxBpm }
+      : { type: 'heart_rate', zone };
+  }
+
+  const pace = segment.paceSecondsPerMile;
+  if (!pace?.min || !pace?.max) return { type: 'open' };
+
+  // Low = slow end of the range, high = fast end (speeds, not paces)
+  return { type: 'pace', lowSpeed: speedFromPace(pace.max), highSpeed: speedFromPace(pace.min) };
+}
+
+function segmentToStep(segment, options, inRepeat) {
+  if (segment.type === 'repeat') {
+    return {
+      kind: 'repeat',
+      count: segment.repeat,
+      steps: segment.steps.map(step => segmentToStep(step, options, true))
+    };
+  }
+
+  const intensity = STEP_INTENSITIES[segment.type] || 'active';
+  return {
+    kind: 'step',
+    name: segment.label || null,
+    intensity: inRepeat && intensity === 'active' ? 'interval' : intensity,
+    duration: segment.durationSeconds
+      ? { type: 'time', seconds: segment.durationSeconds }
+      : { type: 'distance', meters: segment.distanceMeters },
+    target: stepTarget(segment, options.target, options.maxHeartRate)
+  };
+}
+
+/**
+ * Structured steps for a planned workout
+ * Plans generated before segments existed get one step covering the day's mileage.
+ * @param {Object} plannedData - TrainingDayPlanned.plannedData
+ * @param {Object} [options] - { target: 'pace' | 'hr', maxHeartRate }
+ * @returns {Array<Object>} steps ({ kind: 'step' } or { kind: 'repeat', count, steps })
+ */
+export function buildWorkoutSteps(plannedData, { target = 'pace', maxHeartRate = null } = {}) {
+  if (!plannedData || plannedData.type === 'rest' || !(plannedData.mileage > 0)) {
+    throw new WorkoutExportError('Rest days have no workout to export');
+  }
+
+  const segments = plannedData.segments?.length
+    ? plannedData.segments
+    : [{
+        type: 'steady',
+        distanceMeters: Math.round(plannedData.mileage * METERS_PER_MILE),
+        paceSecondsPerMile: plannedData.paceSecondsPerMile,
+        hrZone: plannedData.hrZone
+      }];
+
+  return segments.map(segment => segmentToStep(segment, { target, maxHeartRate }, false));
+}
+
+// ---------------------------------------------------------------------------
+// FIT workout file
+// ---------------------------------------------------------------------------
+
+const FIT_EPOCH_OFFSET_SECONDS = 631065600; // 1989-12-31T00:00:00Z
+const FIT_PROTOCOL_VERSION = 0x20; // 2.0
+const FIT_PROFILE_VERSION = 2132; // 21.32
+const FIT_STRING_BYTES = 32;
+
+const FIT_MESSAGES = { FILE_ID: 0, WORKOUT: 26, WORKOUT_STEP: 27 };
+const FIT_FILE_TYPE_WORKOUT = 5;
+const FIT_MANUFACTURER_DEVELOPMENT = 255;
+const FIT_SPORT_RUNNING = 1;
+
+const FIT_DURATION_TYPES = { time: 0, distance: 1, repeat: 6 };
+const FIT_TARGET_TYPES = { pace: 0, heart_rate: 1, open: 2 };
+const FIT_INTENSITIES = { active: 0, rest: 1, warmup: 2, cooldown: 3, recovery: 4, interval: 5 };
+
+// Base type → [id, byte size, invalid value]
+const FIT_TYPES = {
+  enum: [0x00, 1, 0xFF],
+  uint16: [0x84, 2, 0xFFFF],
+  uint32: [0x86, 4, 0xFFFFFFFF],
+  uint32z: [0x8C, 4, 0],
+  string: [0x07, FIT_STRING_BYTES, null]
+};
+
+// [field number, base type] in the order values are written
+const FIT_FIELDS = {
+  [FIT_MESSAGES.FILE_ID]: [[0, 'enum'], [1, 'uint16'], [2, 'uint16'], [3, 'uint32z'], [4, 'uint32']],
+  [FIT_MESSAGES.WORKOUT]: [[8, 'string'], [4, 'enum'], [6, 'uint16']],
+  [FIT_MESSAGES.WORKOUT_STEP]: [[254, 'uint16'], [0, 'string'], [1, 'enum'], [2, 'uint32'], [3, 'enum'], [4, 'uint32'], [5, 'uint32'], [6, 'uint32'], [7, 'enum']]
+};
+
+const FIT_CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+function fitCrc(buffer) {
+  let crc = 0;
+  for (const byte of buffer) {
+    let tmp = FIT_CRC_TABLE[crc & 0xF];
+    crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ FIT_CRC_TABLE[byte & 0xF];
+    tmp = FIT_CRC_TABLE[crc & 0xF];
+    crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ FIT_CRC_TABLE[(byte >> 4) & 0xF];
+  }
+  return crc;
+}
+
+// Fixed-size, NUL-terminated; cut on a character boundary
+function fitString(text) {
+  const out = Buffer.alloc(FIT_STRING_BYTES);
+  let used = 0;
+  for (const char of String(text || '')) {
+    const bytes = Buffer.from(char, 'utf8');
+    if (used + bytes.length > FIT_STRING_BYTES - 1) break;
+    bytes.copy(out, used);
+    used += bytes.length;
+  }
+  return out;
+}
+
+// Local message type = index of the global message in FIT_MESSAGES order
+const localType = (globalNumber) => Object.values(FIT_MESSAGES).indexOf(globalNumber);
+
+function fitDefinition(globalNumber) {
+  const fields = FIT_FIELDS[globalNumber];
+  const buffer = Buffer.alloc(6 + fields.length * 3);
+  buffer.writeUInt8(0x40 | localType(globalNumber), 0);
+  buffer.writeUInt8(0, 1); // reserved
+  buffer.writeUInt8(0, 2); // little endian
+  buffer.writeUInt16LE(globalNumber, 3);
+  buffer.writeUInt8(fields.length, 5);
+  fields.forEach(([number, type], i) => {
+    const [id, size] = FIT_TYPES[type];
+    buffer.writeUInt8(number, 6 + i * 3);
+    buffer.writeUInt8(size, 7 + i * 3);
+    buffer.writeUInt8(id, 8 + i * 3);
+  });
+  return buffer;
+}
+
+function fitData(globalNumber, values) {
+  const parts = [Buffer.from([localType(globalNumber)])];
+
+  FIT_FIELDS[globalNumber].forEach(([number, type]) => {
+    const [, size, invalid] = FIT_TYPES[type];
+    const value = values[number];
+    if (type === 'string') {
+      parts.push(fitString(value));
+      return;
+    }
+    const buffer = Buffer.alloc(size);
+    buffer.writeUIntLE(value == null ? invalid : Math.round(value), 0, size);
+    parts.push(buffer);
+  });
+
+  return Buffer.concat(parts);
+}
+
+// Repeat steps come after the steps they repeat and point back at the first of them
+function flattenFitSteps(steps, out = []) {
+  steps.forEach(step => {
+    if (step.kind === 'repeat') {
+      const firstIndex = out.length;
+      flattenFitSteps(step.steps, out);
+      out.push({
+        254: out.length,
+        1: FIT_DURATION_TYPES.repeat,
+        2: firstIndex,
+        4: step.count
+      });
+      return;
+    }
+
+    const { duration, target } = step;
+    const values = {
+      254: out.length,
+      0: step.name,
+      1: FIT_DURATION_TYPES[duration.type],
+      2: duration.type === 'time' ? duration.seconds * 1000 : duration.meters * 100,
+      3: FIT_TARGET_TYPES[target.type],
+      7: FIT_INTENSITIES[step.intensity]
+    };
+
+    if (target.type === 'pace') {
+      Object.assign(values, { 4: 0, 5: target.lowSpeed * 1000, 6: target.highSpeed * 1000 });
+    } else if (target.type === 'heart_rate') {
+      // Custom bpm is offset by 100 (values 1-100 mean % of max HR)
+      Object.assign(values, target.zone
+        ? { 4: target.zone }
+        : { 4: 0, 5: target.lowBpm + 100, 6: target.highBpm + 100 });
+    }
+
+    out.push(values);
+  });
+  return out;
+}
+
+/**
+ * Encode a planned workout as a FIT workout file
+ * @param {Object} plannedData - TrainingDayPlanned.plannedData
+ * @param {Object} [options] - { name, target: 'pace' | 'hr', maxHeartRate, createdAt }
+ * @returns {Buffer}
+ */
+export function encodeFitWorkout(plannedData, { name, target, maxHeartRate, createdAt = new Date() } = {}) {
+  const steps = flattenFitSteps(buildWorkoutSteps(plannedData, { target, maxHeartRate }));
+
+  const data = Buffer.concat([
+    fitDefinition(FIT_MESSAGES.FILE_ID),
+    fitData(FIT_MESSAGES.FILE_ID, {
+      0: FIT_FILE_TYPE_WORKOUT,
+      1: FIT_MANUFACTURER_DEVELOPMENT,
+      2: 0,
+      4: Math.floor(new Date(createdAt).getTime() / 1000) - FIT_EPOCH_OFFSET_SECONDS
+    }),
+    fitDefinition(FIT_MESSAGES.WORKOUT),
+    fitData(FIT_MESSAGES.WORKOUT, {
+      8: name || plannedData.label,
+      4: FIT_SPORT_RUNNING,
+      6: steps.length
+    }),
+    fitDefinition(FIT_MESSAGES.WORKOUT_STEP),
+    ...steps.map(values => fitData(FIT_MESSAGES.WORKOUT_STEP, values))
+  ]);
+
+  const header = Buffer.alloc(14);
+  header.writeUInt8(14, 0);
+  header.writeUInt8(FIT_PROTOCOL_VERSION, 1);
+  header.writeUInt16LE(FIT_PROFILE_VERSION, 2);
+  header.writeUInt32LE(data.length, 4);
+  header.write('.FIT', 8, 'ascii');
+  header.writeUInt16LE(fitCrc(header.subarray(0, 12)), 12);
+
+  const crc = Buffer.alloc(2);
+  crc.writeUInt16LE(fitCrc(Buffer.concat([header, data])), 0);
+
+  return Buffer.concat([header, data, crc]);
+}
+
+// ---------------------------------------------------------------------------
+// Garmin Training API JSON
+// ---------------------------------------------------------------------------
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function garminTarget(target) {
+  if (target.type === 'pace') {
+    return { targetType: 'PACE', targetValue: null, targetValueLow: round2(target.lowSpeed), targetValueHigh: round2(target.highSpeed) };
+  }
+  if (target.type === 'heart_rate') {
+    return target.zone
+      ? { targetType: 'HEART_RATE', targetValue: target.zone, targetValueLow: null, targetValueHigh: null }
+      : { targetType: 'HEART_RATE', targetValue: null, targetValueLow: target.lowBpm, targetValueHigh: target.highBpm };
+  }
+  return { targetType: 'OPEN', targetValue: null, targetValueLow: null, targetValueHigh: null };
+}
+
+function garminSteps(steps, counter) {
+  return steps.map(step => {
+    const stepOrder = ++counter.order;
+
+    if (step.kind === 'repeat') {
+      return {
+        type: 'WorkoutRepeatStep',
+        stepOrder,
+        repeatType: 'REPEAT_UNTIL_STEPS_CMPLT',
+        repeatValue: step.count,
+        steps: garminSteps(step.steps, counter)
+      };
+    }
+
+    const isTime = step.duration.type === 'time';
+    return {
+      type: 'WorkoutStep',
+      stepOrder,
+      intensity: step.intensity.toUpperCase(),
+      description: step.name,
+      durationType: isTime ? 'TIME' : 'DISTANCE',
+      durationValue: isTime ? step.duration.seconds : step.duration.meters,
+      durationValueType: isTime ? null : 'METER',
+      ...garminTarget(step.target)
+    };
+  });
+}
+
+/**
+ * Garmin Training API workout for a planned day
+ * @param {Object} plannedData - TrainingDayPlanned.plannedData
+ * @param {Object} [options] - { name, target: 'pace' | 'hr', maxHeartRate }
+ * @returns {Object} workout JSON (paces as m/s, distances in meters, times in seconds)
+ */
+export function buildGarminWorkout(plannedData, { name, target, maxHeartRate } = {}) {
+  const steps = buildWorkoutSteps(plannedData, { target, maxHeartRate });
+
+  return {
+    workoutName: name || plannedData.label,
+    description: plannedData.description || null,
+    sport: 'RUNNING',
+    workoutProvider: 'GoFast',
+    workoutSourceId: 'GoFast',
+    estimatedDurationInSecs: plannedData.duration || null,
+    estimatedDistanceInMeters: Math.round(plannedData.mileage * METERS_PER_MILE),
+    steps: garminSteps(steps, { order: 0 })
+  };
+}
@@ -1,17 +1,33 @@
 import { Server as SocketIOServer } from 'socket.io';
 import { Server as HTTPServer } from 'http';
 import { getPrismaClient } from '../config/database.js';
+import { verifyIdToken } from '../middleware/firebaseMiddleware.js';
 
 /**
  * Socket.io Event Logic for Group Wall Messaging
  * 
- * Rooms: group-{groupId}
+ * Rooms: group-{groupId}, athlete-{athleteId}
  * Events:
  *   - message:send → create message, emit message:new to room
  *   - join:group → join room for groupId
  *   - leave:group → leave room for groupId
+ *   - join:athlete → join the signed-in athlete's own room (rsvp:promoted when a waitlist spot
+ *     opens up). Needs a Firebase ID token ({ token } or the handshake's auth.token); the room is
+ *     the token's athlete, never an id the client names.
+ *   - leave:athlete → leave it
  */
 
+// Set once by initializeSocket so services can broadcast without importing index.js
+let ioInstance = null;
+
+/**
+ * Socket.io server (null until initializeSocket runs - e.g. in scripts)
+ * @returns {SocketIOServer|null}
+ */
+export function getSocketServer() {
+  return ioInstance;
+}
+
 export function initializeSocket(server) {
   const io = new SocketIOServer(server, {
     cors: {
@@ -48,6 +64,48 @@ export function initializeSocket(server) {
       console.log(`👋 Socket ${socket.id} left room: ${room}`);
     });
 
+    // Join the athlete's own room (personal notifications) - only with proof of who they are
+    socket.on('join:athlete', async (data) => {
+      const token = data?.token || socket.handshake?.auth?.token;
+      if (!token) {
+        socket.emit('error', { message: 'token is required' });
+        return;
+      }
+
+      try {
+        const decodedToken = await verifyIdToken(token);
+        const prisma = getPrismaClient();
+        const athlete = await prisma.athlete.findUnique({
+          where: { firebaseId: decodedToken.uid },
+          select: { id: true }
+        });
+
+        if (!athlete) {
+          socket.emit('error', { message: 'Athlete not found' });
+          return;
+        }
+
+        const room = `athlete-${athlete.id}`;
+        socket.join(room);
+        socket.data.athleteId = athlete.id;
+        console.log(`📨 Socket ${socket.id} joined room: ${room}`);
+        socket.emit('joined:athlete', { athleteId: athlete.id, room });
+      } catch (error) {
+        console.error('❌ Socket join:athlete token verification failed:', error.message);
+        socket.emit('error', { message: 'Invalid token' });
+      }
+    });
+
+    // Leave the athlete's own room
+    socket.on('leave:athlete', () => {
+      if (!socket.data.athleteId) return;
+
+      const room = `athlete-${socket.data.athleteId}`;
+      socket.leave(room);
+      socket.data.athleteId = null;
+      console.log(`👋 Socket ${socket.id} left room: ${room}`);
+    });
+
     // Send a new message
     socket.on('message:send', async (data) => {
       const { groupId, authorId, author, content } = data;
@@ -98,6 +156,7 @@ export function initializeSocket(server) {
     });
   });
 
+  ioInstance = io;
   return io;
 }
 
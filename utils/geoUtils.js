@@ -0,0 +1,114 @@
+/**
+ * Geo Utilities
+ *
+ * Distance between coordinates and Google encoded polylines (the format of
+ * AthleteActivity.summaryPolyline from Garmin/Strava).
+ */
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {number} lat1 - Latitude of point A (degrees)
+ * @param {number} lng1 - Longitude of point A (degrees)
+ * @param {number} lat2 - Latitude of point B (degrees)
+ * @param {number} lng2 - Longitude of point B (degrees)
+ * @returns {number} Distance in meters
+ */
+export function haversineMeters(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function encodeValue(value) {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+  while (v >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return encoded + String.fromCharCode(v + 63);
+}
+
+/**
+ * Encode coordinates as a Google encoded polyline
+ * @param {Array<[number, number]>} coordinates - [[lat, lng], ...]
+ * @param {number} [precision] - Decimal places (5 = Google/Strava/Garmin default)
+ * @returns {string|null} Encoded polyline or null if no coordinates
+ */
+export function encodePolyline(coordinates, precision = 5) {
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    return null;
+  }
+
+  const factor = Math.pow(10, precision);
+  let lastLat = 0;
+  let lastLng = 0;
+  let encoded = '';
+
+  coordinates.forEach(([lat, lng]) => {
+    const latE = Math.round(lat * factor);
+    const lngE = Math.round(lng * factor);
+    encoded += encodeValue(latE - lastLat) + encodeValue(lngE - lastLng);
+    lastLat = latE;
+    lastLng = lngE;
+  });
+
+  return encoded;
+}
+
+/**
+ * Decode a Google encoded polyline
+ * @param {string} encoded - Encoded polyline
+ * @param {number} [precision] - Decimal places used when encoding
+ * @returns {Array<[number, number]>} [[lat, lng], ...]
+ */
+export function decodePolyline(encoded, precision = 5) {
+  if (typeof encoded !== 'string' || encoded.length === 0) {
+    return [];
+  }
+
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    coordinates.push([lat / factor, lng / factor]);
+  }
+
+  return coordinates;
+}
+
+/**
+ * Total length of a coordinate path
+ * @param {Array<[number, number]>} coordinates - [[lat, lng], ...]
+ * @returns {number} Distance in meters
+ */
+export function pathDistanceMeters(coordinates) {
+  let total = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    total += haversineMeters(coordinates[i - 1][0], coordinates[i - 1][1], coordinates[i][0], coordinates[i][1]);
+  }
+  return total;
+}
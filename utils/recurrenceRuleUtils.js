@@ -0,0 +1,199 @@
+/**
+ * Recurrence Rule Utilities
+ *
+ * The RRULE subset crews actually use (RFC 5545 syntax):
+ *   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, BYDAY (MO,TU / 1TU,-1SA for monthly), BYMONTHDAY,
+ *   COUNT or UNTIL (WKST is accepted, weeks always start Monday)
+ *
+ * Rules work on calendar days ("YYYY-MM-DD" keys) - the wall-clock time and timezone live on the
+ * run, so occurrences don't drift across DST changes.
+ */
+
+import { getCalendarDay, parseDayKey, toDayKey } from './timezoneUtils.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 1000;
+const MAX_SCAN_DAYS = 10 * 366; // A series is never expanded more than ~10 years past its start
+
+export class RecurrenceRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceRuleError';
+  }
+}
+
+function parsePositiveInt(key, value, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new RecurrenceRuleError(`${key} must be a whole number from 1 to ${max}`);
+  }
+  return number;
+}
+
+function parseByDay(value, freq) {
+  return value.split(',').map(part => {
+    const match = part.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match) {
+      throw new RecurrenceRuleError(`Invalid BYDAY value "${part}"`);
+    }
+
+    const ordinal = match[1] ? Number(match[1]) : null;
+    if (ordinal != null && (freq !== 'MONTHLY' || ordinal === 0 || Math.abs(ordinal) > 5)) {
+      throw new RecurrenceRuleError(`BYDAY "${part}": numbered weekdays (1TU, -1SA) only work with FREQ=MONTHLY`);
+    }
+    return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+  });
+}
+
+function parseByMonthDay(value, freq) {
+  if (freq !== 'MONTHLY') {
+    throw new RecurrenceRuleError('BYMONTHDAY only works with FREQ=MONTHLY');
+  }
+
+  return value.split(',').map(part => {
+    const day = Number(part);
+    if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+      throw new RecurrenceRuleError(`Invalid BYMONTHDAY value "${part}"`);
+    }
+    return day;
+  });
+}
+
+// UNTIL is a date (20261231) or a UTC date-time (20261231T235959Z) - only the day matters here
+function parseUntil(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+  const key = match && `${match[1]}-${match[2]}-${match[3]}`;
+  if (!key || !parseDayKey(key)) {
+    throw new RecurrenceRuleError(`Invalid UNTIL value "${value}"`);
+  }
+  return key;
+}
+
+/**
+ * Parse and validate an RRULE string
+ * @param {string} text - "FREQ=WEEKLY;BYDAY=TU,TH" (an "RRULE:" prefix is fine)
+ * @returns {Object} { freq, interval, byDay, byMonthDay, count, until }
+ * @throws {RecurrenceRuleError}
+ */
+export function parseRecurrenceRule(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new RecurrenceRuleError('Recurrence rule is empty');
+  }
+
+  const parts = Object.fromEntries(
+    text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).map(part => {
+      const [key, value] = part.split('=');
+      if (!key || value == null || value === '') {
+        throw new RecurrenceRuleError(`Invalid rule part "${part}"`);
+      }
+      return [key.trim().toUpperCase(), value.trim()];
+    })
+  );
+
+  const { FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL, WKST, ...unsupported } = parts;
+  const unsupportedKeys = Object.keys(unsupported);
+
+  if (unsupportedKeys.length > 0) {
+    throw new RecurrenceRuleError(`Unsupported rule part(s): ${unsupportedKeys.join(', ')}`);
+  }
+  if (!FREQUENCIES.includes(FREQ?.toUpperCase())) {
+    throw new RecurrenceRuleError(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (WKST && WKST.toUpperCase() !== 'MO') {
+    throw new RecurrenceRuleError('Only WKST=MO is supported');
+  }
+  if (COUNT && UNTIL) {
+    throw new RecurrenceRuleError('Use COUNT or UNTIL, not both');
+  }
+
+  const freq = FREQ.toUpperCase();
+  return {
+    freq,
+    interval: INTERVAL ? parsePositiveInt('INTERVAL', INTERVAL, MAX_INTERVAL) : 1,
+    byDay: BYDAY ? parseByDay(BYDAY, freq) : [],
+    byMonthDay: BYMONTHDAY ? parseByMonthDay(BYMONTHDAY, freq) : [],
+    count: COUNT ? parsePositiveInt('COUNT', COUNT, MAX_COUNT) : null,
+    until: UNTIL ? parseUntil(UNTIL) : null
+  };
+}
+
+const dayMs = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// Monday of the day's week, as a day number
+function weekStart(ms) {
+  const weekday = new Date(ms).getUTCDay();
+  return ms / MS_PER_DAY - ((weekday + 6) % 7);
+}
+
+function matchesRule(rule, start, ms) {
+  const date = new Date(ms);
+  const weekday = date.getUTCDay();
+  const { year, month, day } = getCalendarDay(date);
+
+  if (rule.freq === 'DAILY') {
+    const elapsedDays = Math.round((ms - dayMs(start)) / MS_PER_DAY);
+    return elapsedDays % rule.interval === 0
+      && (rule.byDay.length === 0 || rule.byDay.some(d => d.weekday === weekday));
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const elapsedWeeks = Math.round((weekStart(ms) - weekStart(dayMs(start))) / 7);
+    const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [new Date(dayMs(start)).getUTCDay()];
+    return elapsedWeeks % rule.interval === 0 && weekdays.includes(weekday);
+  }
+
+  // MONTHLY
+  const elapsedMonths = (year - start.year) * 12 + (month - start.month);
+  if (elapsedMonths % rule.interval !== 0) return false;
+
+  const monthLength = daysInMonth(year, month);
+  if (rule.byMonthDay.length) {
+    return rule.byMonthDay.some(d => (d > 0 ? d : monthLength + d + 1) === day);
+  }
+  if (rule.byDay.length) {
+    const nth = Math.ceil(day / 7);
+    const nthFromEnd = Math.ceil((monthLength - day + 1) / 7);
+    return rule.byDay.some(d => d.weekday === weekday && (
+      d.ordinal == null || (d.ordinal > 0 ? d.ordinal === nth : -d.ordinal === nthFromEnd)
+    ));
+  }
+  return day === start.day;
+}
+
+/**
+ * Occurrence days of a rule within a window
+ * Counting (COUNT) starts at the series start, so the whole series up to `to` is walked.
+ * @param {Object} rule - parseRecurrenceRule() result
+ * @param {string} startKey - first possible occurrence ("YYYY-MM-DD")
+ * @param {Object} window - { from, to, endsOn? } day keys, inclusive
+ * @returns {string[]} day keys, ascending
+ */
+export function expandRecurrence(rule, startKey, { from, to, endsOn = null }) {
+  const start = parseDayKey(startKey);
+  if (!start) {
+    throw new RecurrenceRuleError(`Invalid series start "${startKey}"`);
+  }
+
+  const lastKey = [to, rule.until, endsOn].filter(Boolean).sort()[0];
+  const lastMs = Math.min(dayMs(parseDayKey(lastKey)), dayMs(start) + MAX_SCAN_DAYS * MS_PER_DAY);
+  const occurrences = [];
+  let seen = 0;
+
+  for (let ms = dayMs(start); ms <= lastMs; ms += MS_PER_DAY) {
+    if (!matchesRule(rule, start, ms)) continue;
+
+    seen += 1;
+    const key = toDayKey(getCalendarDay(ms));
+    if (key >= from) occurrences.push(key);
+    if (rule.count && seen >= rule.count) break;
+  }
+
+  return occurrences;
+}
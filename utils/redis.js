@@ -193,4 +193,75 @@ export const deleteJoinContext = async (sessionId) => {
   }
 };
 
+// Crew run check-in codes (the stored value carries its own expiry - the memory fallback has no TTL)
+export const storeCheckInCode = async (key, codeData, ttlSeconds = 1200) => {
+  const dataJson = JSON.stringify(codeData);
+
+  try {
+    const redisClient = createRedisClient();
+    if (redisClient && isConnected && redisClient.isOpen) {
+      await redisClient.setEx(`runcheckin:${key}`, ttlSeconds, dataJson);
+      console.log(`✅ Check-in code stored in Redis for ${key}`);
+    } else {
+      fallbackStore.set(`runcheckin:${key}`, dataJson);
+      console.log(`⚠️ Check-in code stored in memory fallback for ${key}`);
+    }
+  } catch (error) {
+    console.error('❌ Failed to store check-in code:', error);
+    fallbackStore.set(`runcheckin:${key}`, dataJson);
+  }
+};
+
+export const getCheckInCode = async (key) => {
+  try {
+    const redisClient = createRedisClient();
+    if (redisClient && isConnected && redisClient.isOpen) {
+      const dataJson = await redisClient.get(`runcheckin:${key}`);
+      if (dataJson) return JSON.parse(dataJson);
+    }
+
+    const fallbackValue = fallbackStore.get(`runcheckin:${key}`);
+    return fallbackValue ? JSON.parse(fallbackValue) : null;
+  } catch (error) {
+    console.error('❌ Failed to get check-in code:', error);
+    return null;
+  }
+};
+
+// Failed check-in code attempts per athlete (the fallback entry carries its own expiry)
+export const countCheckInAttempt = async (key, ttlSeconds = 1200) => {
+  try {
+    const redisClient = createRedisClient();
+    if (redisClient && isConnected && redisClient.isOpen) {
+      const attempts = await redisClient.incr(`runcheckin_attempts:${key}`);
+      if (attempts === 1) await redisClient.expire(`runcheckin_attempts:${key}`, ttlSeconds);
+      return attempts;
+    }
+  } catch (error) {
+    console.error('❌ Failed to count check-in attempt:', error);
+  }
+
+  const current = fallbackStore.get(`runcheckin_attempts:${key}`);
+  const entry = current && current.expiresAt > Date.now()
+    ? { ...current, attempts: current.attempts + 1 }
+    : { attempts: 1, expiresAt: Date.now() + ttlSeconds * 1000 };
+  fallbackStore.set(`runcheckin_attempts:${key}`, entry);
+  return entry.attempts;
+};
+
+export const getCheckInAttempts = async (key) => {
+  try {
+    const redisClient = createRedisClient();
+    if (redisClient && isConnected && redisClient.isOpen) {
+      const attempts = await redisClient.get(`runcheckin_attempts:${key}`);
+      if (attempts) return Number(attempts);
+    }
+  } catch (error) {
+    console.error('❌ Failed to get check-in attempts:', error);
+  }
+
+  const fallbackValue = fallbackStore.get(`runcheckin_attempts:${key}`);
+  return fallbackValue && fallbackValue.expiresAt > Date.now() ? fallbackValue.attempts : 0;
+};
+
 export default createRedisClient;
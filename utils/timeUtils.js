@@ -0,0 +1,46 @@
+/**
+ * Time Utilities
+ *
+ * Converts between seconds and the "mm:ss" / "h:mm:ss" strings the training models store
+ * (e.g. TrainingPlan.trainingPlanBaseline5k = "24:30", trainingPlanGoalTime = "1:45:00").
+ */
+
+/**
+ * Format seconds as "m:ss" (under an hour) or "h:mm:ss"
+ * @param {number} totalSeconds - Duration in seconds
+ * @returns {string|null} Formatted string like "24:30" or "1:45:00"
+ */
+export function formatDuration(totalSeconds) {
+  if (totalSeconds == null || !Number.isFinite(totalSeconds) || totalSeconds < 0) {
+    return null;
+  }
+
+  const rounded = Math.round(totalSeconds);
+  const hours = Math.floor(rounded / 3600);
+  const minutes = Math.floor((rounded % 3600) / 60);
+  const seconds = rounded % 60;
+  const ss = String(seconds).padStart(2, '0');
+
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${ss}`;
+  }
+  return `${minutes}:${ss}`;
+}
+
+/**
+ * Parse "mm:ss" or "h:mm:ss" into seconds
+ * @param {string} value - Duration string like "24:30" or "1:45:00"
+ * @returns {number|null} Seconds, or null if the string isn't a duration
+ */
+export function parseDuration(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const parts = value.trim().split(':');
+  if (parts.length < 2 || parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) {
+    return null;
+  }
+
+  return parts.map(Number).reduce((total, part) => total * 60 + part, 0);
+}
@@ -0,0 +1,147 @@
+/**
+ * Timezone Utilities
+ *
+ * Crew runs store a calendar date, a wall-clock start ("06:30 AM") and an IANA zone
+ * ("America/Chicago"). These helpers turn that into a real instant using the runtime's Intl
+ * timezone data - no tz library needed. Calendar days travel as "YYYY-MM-DD" keys.
+ */
+
+/**
+ * @param {string} timeZone - IANA zone name
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse a wall-clock time: "06:30 AM", "6:30pm", "6 PM", "18:30"
+ * @param {string} value
+ * @returns {{hour: number, minute: number}|null}
+ */
+export function parseClockTime(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?$/i);
+  if (!match) {
+    return null;
+  }
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3]?.toLowerCase();
+
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === 'p' ? 12 : 0);
+  } else if (!match[2]) {
+    return null; // "6" alone is ambiguous
+  }
+
+  if (hour > 23 || minute > 59) {
+    return null;
+  }
+  return { hour, minute };
+}
+
+/**
+ * Offset of a zone from UTC at an instant (ms, positive east of Greenwich)
+ * @param {Date} date
+ * @param {string} timeZone - IANA zone name
+ * @returns {number}
+ */
+export function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+
+  const wallClockAsUtc = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time happens in a zone
+ * Across a DST change the offset is re-read at the result, so "06:30" stays 06:30 local.
+ * @param {Object} wallClock - { year, month (1-12), day, hour, minute }
+ * @param {string} timeZone - IANA zone name
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffsetMs(new Date(wallClockAsUtc), timeZone);
+  const corrected = getTimeZoneOffsetMs(new Date(wallClockAsUtc - offset), timeZone);
+  return new Date(wallClockAsUtc - corrected);
+}
+
+/**
+ * Calendar day of a stored date-only value (saved as UTC midnight by the crew routes)
+ * @param {Date|string} value
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function getCalendarDay(value) {
+  const date = new Date(value);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * "YYYY-MM-DD" key of a calendar day
+ * @param {{year: number, month: number, day: number}} calendarDay
+ * @returns {string}
+ */
+export function toDayKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a "YYYY-MM-DD" key (rejects impossible dates like 2026-02-30)
+ * @param {string} key
+ * @returns {{year: number, month: number, day: number}|null}
+ */
+export function parseDayKey(key) {
+  const match = typeof key === 'string' && key.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const day = getCalendarDay(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return toDayKey(day) === key ? day : null;
+}
+
+/**
+ * A calendar day stored the way the crew routes store dates (UTC midnight)
+ * @param {string} key - "YYYY-MM-DD"
+ * @returns {Date|null}
+ */
+export function dayKeyToDate(key) {
+  const day = parseDayKey(key);
+  return day ? new Date(Date.UTC(day.year, day.month - 1, day.day)) : null;
+}